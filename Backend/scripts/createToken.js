@@ -0,0 +1,17 @@
+import { issueToken, ROLES } from '../src/middleware/auth.js';
+
+// Mint an API token signed with JWT_SECRET:
+//   npm run token -- <user> <role> [team] [expiresIn]
+const [id, role, team = null, expiresIn = '30d'] = process.argv.slice(2);
+
+if (!id || !role) {
+  console.error(`Usage: npm run token -- <user> <${ROLES.join('|')}> [team] [expiresIn]`);
+  process.exit(1);
+}
+
+try {
+  console.log(issueToken({ id, name: id, role, team }, { expiresIn }));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
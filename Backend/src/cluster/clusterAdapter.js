@@ -0,0 +1,68 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+import { logger } from '../utils/logger.js';
+
+const SUBSCRIBE_RETRY_DELAY = 5000;
+
+// Socket.IO adapter fanning broadcasts out to every instance through a
+// ClusterBackend, so a socket receives events emitted by any instance.
+// Each namespace publishes on one channel; responses to a request go to the
+// requesting server's own channel.
+class BackendAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, backend, options) {
+    super(nsp, options);
+    this.backend = backend;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribes = [];
+    this.retryDelay = options.subscribeRetryDelay ?? SUBSCRIBE_RETRY_DELAY;
+    this.closed = false;
+
+    // Resolves once broadcasts of the other instances reach this one; until
+    // then only this instance's sockets receive what it emits
+    this.ready = this.subscribe();
+  }
+
+  // Subscribe to both channels, retrying until the backend accepts
+  async subscribe() {
+    while (!this.closed) {
+      const results = await Promise.allSettled([
+        this.backend.subscribe(this.channel, message => this.onMessage(message)),
+        this.backend.subscribe(`${this.channel}#${this.uid}`, response => this.onResponse(response))
+      ]);
+      const unsubscribes = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      const failure = results.find(result => result.status === 'rejected');
+
+      if (!failure) {
+        this.unsubscribes = unsubscribes;
+        this.init();
+        return;
+      }
+
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      logger.error(`Failed to subscribe to ${this.channel}, retrying in ${this.retryDelay / 1000}s:`, failure.reason.message);
+      await sleep(this.retryDelay);
+    }
+  }
+
+  async doPublish(message) {
+    await this.backend.publish(this.channel, message);
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.backend.publish(`${this.channel}#${requesterUid}`, response);
+  }
+
+  close() {
+    this.closed = true;
+    super.close();
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+// Adapter class for `new Server(httpServer, { adapter })`
+export const createClusterAdapter = (backend, options = {}) => class extends BackendAdapter {
+  constructor(nsp) {
+    super(nsp, backend, options);
+  }
+};
@@ -0,0 +1,38 @@
+// Interface shared by the backends instances coordinate through (in-process,
+// Redis, ...): publish/subscribe messaging for the Socket.IO adapter and for
+// state the leader shares, and expiring leases for leader election.
+// Messages are JSON values.
+class ClusterBackend {
+  async connect() {}
+
+  // publish(channel, message)
+  async publish() {
+    throw new Error(`${this.constructor.name} does not implement publish()`);
+  }
+
+  // subscribe(channel, handler) -> unsubscribe function
+  async subscribe() {
+    throw new Error(`${this.constructor.name} does not implement subscribe()`);
+  }
+
+  // Take the lease, or extend it when `owner` already holds it
+  // acquireLease(name, owner, ttlMs) -> true when `owner` holds the lease
+  async acquireLease() {
+    throw new Error(`${this.constructor.name} does not implement acquireLease()`);
+  }
+
+  // Give the lease up if `owner` holds it
+  // releaseLease(name, owner)
+  async releaseLease() {
+    throw new Error(`${this.constructor.name} does not implement releaseLease()`);
+  }
+
+  // getLeaseOwner(name) -> owner or null
+  async getLeaseOwner() {
+    throw new Error(`${this.constructor.name} does not implement getLeaseOwner()`);
+  }
+
+  async close() {}
+}
+
+export default ClusterBackend;
@@ -0,0 +1,43 @@
+import os from 'os';
+import dotenv from 'dotenv';
+import MemoryClusterBackend from './memoryClusterBackend.js';
+import RedisClusterBackend from './redisClusterBackend.js';
+import LeaderElection from './leaderElection.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+// Cluster backends that can be selected through CLUSTER_BACKEND. `memory`
+// keeps everything in this process, for a single instance; `redis` lets
+// several instances share socket broadcasts and elect one monitor.
+const clusterBackendFactories = {
+  memory: () => new MemoryClusterBackend(),
+  redis: () => new RedisClusterBackend()
+};
+
+const createClusterBackend = (name = process.env.CLUSTER_BACKEND || 'memory') => {
+  const key = name.trim().toLowerCase();
+  const factory = clusterBackendFactories[key];
+  if (!factory) {
+    throw new Error(`Unknown cluster backend "${name}". Available: ${Object.keys(clusterBackendFactories).join(', ')}`);
+  }
+
+  const backend = factory();
+  backend.name = key;
+  logger.info(`Using ${key} cluster backend`);
+  return backend;
+};
+
+export const instanceId = `${os.hostname()}:${process.pid}`;
+
+export const clusterBackend = createClusterBackend();
+
+// Only the leader runs the job monitor and polls the providers
+export const monitorElection = new LeaderElection(clusterBackend, {
+  name: 'job-monitor',
+  instanceId,
+  ttl: parseInt(process.env.LEADER_LEASE_TTL, 10) || 15000
+});
+
+export { createClusterBackend };
+export { createClusterAdapter } from './clusterAdapter.js';
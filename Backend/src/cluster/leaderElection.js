@@ -0,0 +1,74 @@
+import { logger } from '../utils/logger.js';
+
+// Lease-based election of the one instance that runs a singleton task. The
+// leader renews its lease three times per TTL; the others try to take it on
+// the same schedule, so a crashed leader is replaced within one TTL.
+class LeaderElection {
+  constructor(backend, { name, instanceId, ttl = 15000 }) {
+    this.backend = backend;
+    this.name = name;
+    this.instanceId = instanceId;
+    this.ttl = ttl;
+    this.isLeader = false;
+    this.leaderId = null;
+    this.timer = null;
+    this.callbacks = {};
+  }
+
+  // onElected() runs when this instance becomes leader, onDemoted() when it
+  // stops being leader
+  async start({ onElected = () => {}, onDemoted = () => {} } = {}) {
+    this.callbacks = { onElected, onDemoted };
+    await this.campaign();
+    this.timer = setInterval(() => this.campaign(), Math.floor(this.ttl / 3));
+  }
+
+  async campaign() {
+    let elected = false;
+    try {
+      elected = await this.backend.acquireLease(this.name, this.instanceId, this.ttl);
+      this.leaderId = elected ? this.instanceId : await this.backend.getLeaseOwner(this.name);
+    } catch (error) {
+      // Without the backend the lease can't be renewed and may pass to
+      // another instance: step down rather than risk two leaders
+      logger.error(`Leader election for ${this.name} failed:`, error.message);
+      this.leaderId = null;
+    }
+
+    if (elected && !this.isLeader) {
+      this.isLeader = true;
+      logger.info(`👑 ${this.instanceId} is now the ${this.name} leader`);
+      this.callbacks.onElected?.();
+    } else if (!elected && this.isLeader) {
+      this.isLeader = false;
+      logger.warn(`${this.instanceId} is no longer the ${this.name} leader`);
+      this.callbacks.onDemoted?.();
+    }
+  }
+
+  // Stop campaigning and hand the lease over right away
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.isLeader) {
+      this.isLeader = false;
+      this.callbacks.onDemoted?.();
+      try {
+        await this.backend.releaseLease(this.name, this.instanceId);
+      } catch (error) {
+        logger.warn(`Failed to release the ${this.name} lease:`, error.message);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      leader: this.leaderId
+    };
+  }
+}
+
+export default LeaderElection;
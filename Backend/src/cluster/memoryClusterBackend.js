@@ -0,0 +1,57 @@
+import { EventEmitter } from 'events';
+import ClusterBackend from './clusterBackend.js';
+
+// Channels and leases shared by every backend in this process, so several
+// Socket.IO servers started by one process (tests, benchmarks) form a cluster
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+const leases = new Map();
+
+// In-process cluster: a single instance always wins the election. Messages
+// are delivered asynchronously and copied, as they would be over a network.
+class MemoryClusterBackend extends ClusterBackend {
+  constructor() {
+    super();
+    this.subscriptions = [];
+  }
+
+  async publish(channel, message) {
+    const copy = JSON.stringify(message);
+    setImmediate(() => bus.emit(channel, JSON.parse(copy)));
+  }
+
+  async subscribe(channel, handler) {
+    bus.on(channel, handler);
+    const unsubscribe = () => bus.off(channel, handler);
+    this.subscriptions.push(unsubscribe);
+    return unsubscribe;
+  }
+
+  async acquireLease(name, owner, ttlMs) {
+    const lease = leases.get(name);
+    if (lease && lease.owner !== owner && lease.expiresAt > Date.now()) {
+      return false;
+    }
+
+    leases.set(name, { owner, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  async releaseLease(name, owner) {
+    if (leases.get(name)?.owner === owner) {
+      leases.delete(name);
+    }
+  }
+
+  async getLeaseOwner(name) {
+    const lease = leases.get(name);
+    return lease && lease.expiresAt > Date.now() ? lease.owner : null;
+  }
+
+  async close() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+  }
+}
+
+export default MemoryClusterBackend;
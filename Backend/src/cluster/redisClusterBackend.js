@@ -0,0 +1,113 @@
+import Redis from 'ioredis';
+import ClusterBackend from './clusterBackend.js';
+import { logger } from '../utils/logger.js';
+
+// Take the lease when it is free, extend it when the caller holds it
+const ACQUIRE_SCRIPT = `
+local owner = redis.call('GET', KEYS[1])
+if not owner then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+if owner == ARGV[1] then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return 1
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// Cluster over Redis, for instances on several processes or hosts. Keys and
+// channels share a prefix, so several deployments can use one Redis.
+// `createClient` builds the connection; tests can pass a Redis stand-in.
+class RedisClusterBackend extends ClusterBackend {
+  constructor({
+    url = process.env.REDIS_URL || 'redis://localhost:6379',
+    prefix = process.env.CLUSTER_PREFIX || 'quantumania:',
+    createClient = (redisUrl) => new Redis(redisUrl, { lazyConnect: true })
+  } = {}) {
+    super();
+    this.url = url;
+    this.prefix = prefix;
+    this.client = createClient(url);
+    // A connection in subscriber mode can't run other commands
+    this.subscriber = this.client.duplicate();
+    this.handlers = new Map();
+    // SUBSCRIBE of each channel, which every subscriber to it waits for
+    this.subscriptions = new Map();
+
+    this.subscriber.on('message', (channel, message) => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(message);
+      } catch (error) {
+        logger.warn(`Ignoring malformed cluster message on ${channel}:`, error.message);
+        return;
+      }
+      handlers.forEach(handler => handler(parsed));
+    });
+
+    [this.client, this.subscriber].forEach(connection => {
+      connection.on('error', error => logger.error('Redis cluster connection error:', error.message));
+    });
+  }
+
+  async connect() {
+    await Promise.all([this.client, this.subscriber]
+      .filter(connection => connection.status === 'wait')
+      .map(connection => connection.connect()));
+    logger.info(`Connected to Redis cluster backend at ${this.url}`);
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.prefix + channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    const key = this.prefix + channel;
+    if (!this.subscriptions.has(key)) {
+      const subscribing = this.subscriber.subscribe(key);
+      this.subscriptions.set(key, subscribing);
+      // Let the next attempt subscribe again
+      subscribing.catch(() => this.subscriptions.delete(key));
+    }
+
+    // Handlers are only added once the channel is subscribed, so a failed
+    // attempt leaves those of earlier subscribers alone
+    await this.subscriptions.get(key);
+    if (!this.handlers.has(key)) {
+      this.handlers.set(key, new Set());
+    }
+    this.handlers.get(key).add(handler);
+
+    return () => this.handlers.get(key)?.delete(handler);
+  }
+
+  async acquireLease(name, owner, ttlMs) {
+    const acquired = await this.client.eval(ACQUIRE_SCRIPT, 1, `${this.prefix}lease:${name}`, owner, ttlMs);
+    return acquired === 1;
+  }
+
+  async releaseLease(name, owner) {
+    await this.client.eval(RELEASE_SCRIPT, 1, `${this.prefix}lease:${name}`, owner);
+  }
+
+  async getLeaseOwner(name) {
+    return this.client.get(`${this.prefix}lease:${name}`);
+  }
+
+  async close() {
+    this.handlers.clear();
+    this.subscriptions.clear();
+    await Promise.all([this.subscriber.quit(), this.client.quit()]);
+  }
+}
+
+export default RedisClusterBackend;
@@ -1,19 +1,29 @@
-import ibmQuantumService from '../services/ibmQuantumService.js';
-import { getJobCache, getLastUpdate, getMonitoringStatus } from '../services/jobMonitor.js';
+import providerRegistry from '../services/providerRegistry.js';
+import { jobHistoryStore, queueHistoryStore } from '../stores/index.js';
+import { getJobCache, getLastUpdate, getJobCacheSource, getMonitoringStatus } from '../services/jobMonitor.js';
+import { canSeeJob } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
+import { getSourceInfo, combineSources, describeSource } from '../utils/dataSource.js';
+
+// The jobs `user` may see: jobs submitted for a team only show to the team
+// and to admins
+const visibleJobs = async (jobs, user) => {
+  const owners = await Promise.all(jobs.map(job => jobHistoryStore.getOwner(job.id)));
+  return jobs.filter((job, index) => canSeeJob(user, owners[index]));
+};
 
 class DashboardController {
   
   async getOverview(req, res) {
     try {
       const [systemStats, monitoringStatus] = await Promise.all([
-        ibmQuantumService.getSystemStats(),
+        providerRegistry.getSystemStats(),
         Promise.resolve(getMonitoringStatus())
       ]);
 
-      const cachedJobs = getJobCache();
+      const cachedJobs = await visibleJobs(getJobCache(), req.user);
       const recentJobs = cachedJobs.slice(0, 10);
-      const backends = await ibmQuantumService.getBackends();
+      const backends = await providerRegistry.getBackends();
 
       const overview = {
         summary: {
@@ -24,6 +34,7 @@ class DashboardController {
           errorJobs: systemStats.errorJobs,
           totalBackends: systemStats.totalBackends,
           onlineBackends: systemStats.onlineBackends,
+          providers: Object.keys(systemStats.providers || {}),
           lastUpdate: getLastUpdate()
         },
         recentJobs: recentJobs.map(job => ({
@@ -31,12 +42,14 @@ class DashboardController {
           name: job.name || `Job ${job.id}`,
           status: job.status,
           backend: job.backend,
+          provider: job.provider,
           creation_date: job.creation_date,
           shots: job.shots,
           qubits: job.qubits
         })),
         backends: backends.slice(0, 8).map(backend => ({
           name: backend.name,
+          provider: backend.provider,
           status: backend.status?.operational ? 'online' : 'offline',
           qubits: backend.n_qubits || backend.num_qubits,
           simulator: backend.simulator,
@@ -44,6 +57,7 @@ class DashboardController {
           basis_gates: backend.basis_gates?.slice(0, 5) || []
         })),
         monitoring: monitoringStatus,
+        ...describeSource(combineSources(getSourceInfo(systemStats), getSourceInfo(backends), getJobCacheSource())),
         timestamp: new Date().toISOString()
       };
 
@@ -64,69 +78,40 @@ class DashboardController {
   async getAnalytics(req, res) {
     try {
       const { timeRange = '24h' } = req.query;
-      const cachedJobs = getJobCache();
       
       // Calculate time boundaries
-      const now = new Date();
-      let timeLimit;
-      
-      switch (timeRange) {
-        case '1h':
-          timeLimit = new Date(now.getTime() - 60 * 60 * 1000);
-          break;
-        case '6h':
-          timeLimit = new Date(now.getTime() - 6 * 60 * 60 * 1000);
-          break;
-        case '24h':
-        default:
-          timeLimit = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-          break;
-        case '7d':
-          timeLimit = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-      }
-
-      // Filter jobs by time range
-      const recentJobs = cachedJobs.filter(job => {
-        const jobDate = new Date(job.creation_date || job.created_at);
-        return jobDate >= timeLimit;
-      });
-
-      // Job status distribution
-      const statusDistribution = cachedJobs.reduce((acc, job) => {
-        acc[job.status] = (acc[job.status] || 0) + 1;
-        return acc;
-      }, {});
+      const timeLimit = new Date(Date.now() - this.getHoursInRange(timeRange) * 60 * 60 * 1000);
 
-      // Backend usage distribution
-      const backendUsage = cachedJobs.reduce((acc, job) => {
-        const backend = job.backend || 'unknown';
-        acc[backend] = (acc[backend] || 0) + 1;
-        return acc;
-      }, {});
+      // Aggregates over the whole job history and over the time range,
+      // counted by the store rather than loaded job by job
+      const [history, recent] = await Promise.all([
+        jobHistoryStore.summarizeJobs(),
+        jobHistoryStore.summarizeJobs({ since: timeLimit })
+      ]);
 
       // Jobs timeline (hourly breakdown)
-      const timeline = this.generateJobsTimeline(recentJobs, timeRange);
+      const timeline = await this.generateJobsTimeline(recent.total, timeRange);
 
       // Queue length trends
-      const queueTrends = await this.getQueueTrends();
+      const queueTrends = await this.getQueueTrends(timeLimit.getTime());
 
       // Performance metrics
-      const performanceMetrics = this.calculatePerformanceMetrics(cachedJobs);
+      const performanceMetrics = this.calculatePerformanceMetrics(recent);
 
       const analytics = {
         timeRange,
         summary: {
-          totalJobs: cachedJobs.length,
-          recentJobs: recentJobs.length,
-          avgJobsPerHour: Math.round((recentJobs.length / this.getHoursInRange(timeRange)) * 10) / 10
+          totalJobs: history.total,
+          recentJobs: recent.total,
+          avgJobsPerHour: Math.round((recent.total / this.getHoursInRange(timeRange)) * 10) / 10
         },
-        statusDistribution,
-        backendUsage,
+        statusDistribution: recent.byStatus,
+        backendUsage: recent.byBackend,
         timeline,
         queueTrends,
         performanceMetrics,
-        insights: this.generateInsights(cachedJobs, recentJobs),
+        insights: this.generateInsights(history, recent),
+        ...describeSource(getJobCacheSource()),
         timestamp: new Date().toISOString()
       };
 
@@ -148,7 +133,7 @@ class DashboardController {
     try {
       const monitoringStatus = getMonitoringStatus();
       const cachedJobs = getJobCache();
-      const systemStats = await ibmQuantumService.getSystemStats();
+      const systemStats = await providerRegistry.getSystemStats();
 
       // Current system load
       const currentLoad = {
@@ -163,13 +148,14 @@ class DashboardController {
         const jobDate = new Date(job.creation_date || job.created_at);
         return jobDate >= tenMinutesAgo;
       });
+      const visibleActivity = await visibleJobs(recentActivity, req.user);
 
       const realtimeData = {
         monitoring: monitoringStatus,
         currentLoad,
         recentActivity: {
           count: recentActivity.length,
-          jobs: recentActivity.slice(0, 5).map(job => ({
+          jobs: visibleActivity.slice(0, 5).map(job => ({
             id: job.id,
             status: job.status,
             backend: job.backend,
@@ -182,6 +168,7 @@ class DashboardController {
           healthPercentage: Math.round((systemStats.onlineBackends / systemStats.totalBackends) * 100)
         },
         lastUpdate: getLastUpdate(),
+        ...describeSource(combineSources(getSourceInfo(systemStats), getJobCacheSource())),
         timestamp: new Date().toISOString()
       };
 
@@ -200,19 +187,16 @@ class DashboardController {
   }
 
   // Helper methods
-  generateJobsTimeline(jobs, timeRange) {
+  // Jobs per bucket; the last bucket also takes the jobs in the range that
+  // were created before the first bucket, so the counts add up to `total`
+  async generateJobsTimeline(total, timeRange) {
     const buckets = this.getTimeBuckets(timeRange);
-    const timeline = buckets.map(bucket => ({ time: bucket, count: 0 }));
-
-    jobs.forEach(job => {
-      const jobTime = new Date(job.creation_date || job.created_at);
-      const bucketIndex = this.findTimeBucket(jobTime, buckets);
-      if (bucketIndex !== -1) {
-        timeline[bucketIndex].count++;
-      }
-    });
+    const counts = await Promise.all(buckets.slice(0, -1).map((bucket, i) =>
+      jobHistoryStore.countJobs({ since: bucket, until: buckets[i + 1] })
+    ));
+    counts.push(total - counts.reduce((sum, count) => sum + count, 0));
 
-    return timeline;
+    return buckets.map((bucket, i) => ({ time: bucket, count: counts[i] }));
   }
 
   getTimeBuckets(timeRange) {
@@ -247,15 +231,6 @@ class DashboardController {
     return buckets;
   }
 
-  findTimeBucket(jobTime, buckets) {
-    for (let i = 0; i < buckets.length - 1; i++) {
-      if (jobTime >= buckets[i] && jobTime < buckets[i + 1]) {
-        return i;
-      }
-    }
-    return buckets.length - 1; // Last bucket
-  }
-
   getHoursInRange(timeRange) {
     switch (timeRange) {
       case '1h': return 1;
@@ -266,18 +241,32 @@ class DashboardController {
     }
   }
 
-  async getQueueTrends() {
+  // Current queue length of the busiest devices, with the recorded series
+  // since `from`
+  async getQueueTrends(from) {
     try {
-      const backends = await ibmQuantumService.getBackends();
+      const backends = await providerRegistry.getBackends();
       const activeBackends = backends.filter(b => !b.simulator && b.status?.operational);
+      const to = Date.now();
+      const resolution = queueHistoryStore.resolveResolution('auto', from, to);
       
       const trends = [];
       for (const backend of activeBackends.slice(0, 5)) {
         try {
-          const queueStatus = await ibmQuantumService.getQueueStatus(backend.name);
+          const [queueStatus, series] = await Promise.all([
+            providerRegistry.getQueueStatus(backend.name, { provider: backend.provider }),
+            queueHistoryStore.getSeries(backend.name, { provider: backend.provider, from, to, resolution })
+          ]);
           trends.push({
             backend: backend.name,
+            provider: backend.provider,
             queueLength: queueStatus.length || 0,
+            resolution,
+            series: series.map(point => ({
+              timestamp: point.timestamp,
+              queueLength: point.queueLength,
+              pendingJobs: point.pendingJobs
+            })),
             timestamp: new Date().toISOString()
           });
         } catch (error) {
@@ -292,28 +281,25 @@ class DashboardController {
     }
   }
 
-  calculatePerformanceMetrics(jobs) {
-    const completedJobs = jobs.filter(j => j.status === 'COMPLETED');
-    const errorJobs = jobs.filter(j => j.status === 'ERROR');
+  calculatePerformanceMetrics({ total, byStatus, totalShots }) {
+    const completedJobs = byStatus.COMPLETED || 0;
+    const errorJobs = byStatus.ERROR || 0;
     
     return {
-      successRate: jobs.length > 0 ? Math.round((completedJobs.length / jobs.length) * 100) : 0,
-      errorRate: jobs.length > 0 ? Math.round((errorJobs.length / jobs.length) * 100) : 0,
-      totalShots: jobs.reduce((sum, job) => sum + (job.shots || 0), 0),
-      avgShotsPerJob: jobs.length > 0 ? Math.round(jobs.reduce((sum, job) => sum + (job.shots || 0), 0) / jobs.length) : 0
+      successRate: total > 0 ? Math.round((completedJobs / total) * 100) : 0,
+      errorRate: total > 0 ? Math.round((errorJobs / total) * 100) : 0,
+      totalShots,
+      avgShotsPerJob: total > 0 ? Math.round(totalShots / total) : 0
     };
   }
 
-  generateInsights(allJobs, recentJobs) {
+  // history and recent are job summaries (see summarizeJobs) of all jobs and
+  // of the jobs in the selected range
+  generateInsights(history, recent) {
     const insights = [];
     
     // Most active backend
-    const backendUsage = allJobs.reduce((acc, job) => {
-      acc[job.backend] = (acc[job.backend] || 0) + 1;
-      return acc;
-    }, {});
-    
-    const mostActiveBackend = Object.entries(backendUsage)
+    const mostActiveBackend = Object.entries(history.byBackend)
       .sort(([,a], [,b]) => b - a)[0];
     
     if (mostActiveBackend) {
@@ -325,21 +311,21 @@ class DashboardController {
     }
 
     // Recent activity trend
-    if (recentJobs.length > 0) {
+    if (recent.total > 0) {
       insights.push({
         type: 'success',
         title: 'Recent Activity',
-        message: `${recentJobs.length} jobs submitted recently`
+        message: `${recent.total} jobs submitted recently`
       });
     }
 
     // System health
-    const errorJobs = allJobs.filter(j => j.status === 'ERROR');
-    if (errorJobs.length > allJobs.length * 0.1) {
+    const errorJobs = history.byStatus.ERROR || 0;
+    if (errorJobs > history.total * 0.1) {
       insights.push({
         type: 'warning',
         title: 'High Error Rate',
-        message: `${errorJobs.length} jobs failed (${Math.round((errorJobs.length / allJobs.length) * 100)}%)`
+        message: `${errorJobs} jobs failed (${Math.round((errorJobs / history.total) * 100)}%)`
       });
     }
 
@@ -1,8 +1,56 @@
-import ibmQuantumService from '../services/ibmQuantumService.js';
-import { getJobCache, getLastUpdate, triggerManualUpdate, getMonitoringStatus } from '../services/jobMonitor.js';
+import providerRegistry from '../services/providerRegistry.js';
+import MockQuantumService from '../services/mockQuantumService.js';
+import predictionService, { DEFAULT_SHOTS } from '../services/predictionService.js';
+import recommendationService from '../services/recommendationService.js';
+import { jobHistoryStore, queueHistoryStore, calibrationStore } from '../stores/index.js';
+import {
+  getJobCache,
+  getLastUpdate,
+  getJobCacheSource,
+  triggerManualUpdate,
+  getMonitoringStatus,
+  getMonitoringDetails,
+  startJobMonitoring,
+  stopJobMonitoring,
+  submitTrackedJob,
+  registerJobCancellation,
+  updateMonitoringConfig
+} from '../services/jobMonitor.js';
 import { logger } from '../utils/logger.js';
+import { ServiceUnavailableError } from '../middleware/errorHandler.js';
+import { parseQasm, QasmSyntaxError } from '../utils/qasmParser.js';
+import { analyzeCircuit, checkBackendCompatibility, circuitLayout } from '../utils/circuitAnalysis.js';
+import { getSourceInfo, combineSources, describeSource } from '../utils/dataSource.js';
 import { validationResult } from 'express-validator';
 
+const CANCELLABLE_STATUSES = ['QUEUED', 'RUNNING'];
+
+const unknownProvider = (res, provider) => res.status(400).json({
+  success: false,
+  error: 'Unknown provider',
+  message: `Provider "${provider}" is not registered`,
+  availableProviders: providerRegistry.list()
+});
+
+// 400 for a program in the request; 422 for a recorded one that no longer
+// parses, since the request itself is fine
+const invalidProgram = (res, parseError, status = 400) => res.status(status).json({
+  success: false,
+  error: 'Invalid OpenQASM program',
+  message: parseError.message,
+  line: parseError.line
+});
+
+// Jobs may be cancelled by whoever submitted them, their team and admins.
+// Jobs submitted outside Quantumania have no recorded owner and are left to
+// admins.
+const cancelRefusal = (user, owner) => {
+  if (user.role === 'admin') return null;
+  if (!owner) return 'it was not submitted through Quantumania';
+  if (owner.userId === user.id || (owner.team && owner.team === user.team)) return null;
+  return owner.team ? `it belongs to team ${owner.team}` : `it belongs to ${owner.userId}`;
+};
+
 class QuantumController {
   
   async getJobs(req, res) {
@@ -20,34 +68,37 @@ class QuantumController {
         offset = 0, 
         status, 
         backend,
+        provider,
+        since,
+        until,
         cached = false 
       } = req.query;
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
+      }
       
       let jobs;
+      let total;
+      let source;
       
       if (cached === 'true') {
-        // Return cached jobs from monitoring service
-        jobs = getJobCache();
-        
-        // Apply filters to cached data
-        if (status) {
-          jobs = jobs.filter(job => job.status === status.toUpperCase());
-        }
-        if (backend) {
-          jobs = jobs.filter(job => job.backend === backend);
-        }
-        
-        // Apply pagination
-        const start = parseInt(offset);
-        const end = start + parseInt(limit);
-        jobs = jobs.slice(start, end);
+        // Serve from the job history recorded by the monitoring service
+        const filters = { status: status?.toUpperCase(), backend, provider, since, until };
+        [jobs, total] = await Promise.all([
+          jobHistoryStore.getJobs({ ...filters, limit: parseInt(limit), offset: parseInt(offset) }),
+          jobHistoryStore.countJobs(filters)
+        ]);
+        source = getJobCacheSource();
       } else {
         // Fetch fresh data from IBM Quantum
-        jobs = await ibmQuantumService.getJobs(parseInt(limit), parseInt(offset), status);
+        jobs = await providerRegistry.getJobs(parseInt(limit), parseInt(offset), status, { provider });
+        source = getSourceInfo(jobs);
         
         if (backend) {
           jobs = jobs.filter(job => job.backend === backend);
         }
+        total = jobs.length;
       }
 
       res.json({
@@ -56,11 +107,13 @@ class QuantumController {
         meta: {
           limit: parseInt(limit),
           offset: parseInt(offset),
-          total: jobs.length,
+          total,
           cached: cached === 'true',
+          provider: provider || null,
           lastUpdate: getLastUpdate(),
           timestamp: new Date().toISOString()
-        }
+        },
+        ...describeSource(source)
       });
     } catch (error) {
       logger.error('Error in getJobs:', error.message);
@@ -75,27 +128,30 @@ class QuantumController {
   async getJobById(req, res) {
     try {
       const { jobId } = req.params;
+      const { provider } = req.query;
       
       // First check cache
       const cachedJobs = getJobCache();
-      const cachedJob = cachedJobs.find(job => job.id === jobId);
+      const cachedJob = cachedJobs.find(job => job.id === jobId && (!provider || job.provider === provider));
       
       if (cachedJob) {
         return res.json({
           success: true,
           data: cachedJob,
           source: 'cache',
+          ...describeSource(getJobCacheSource()),
           timestamp: new Date().toISOString()
         });
       }
       
       // If not in cache, fetch from API
-      const job = await ibmQuantumService.getJobById(jobId);
+      const job = await providerRegistry.getJobById(jobId, { provider });
       
       res.json({
         success: true,
         data: job,
         source: 'api',
+        ...describeSource(getSourceInfo(job)),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -108,196 +164,934 @@ class QuantumController {
     }
   }
 
-  async getBackends(req, res) {
+  async getJobHistory(req, res) {
     try {
-      const { includeSimulators = true, onlyOperational = false } = req.query;
-      
-      let backends = await ibmQuantumService.getBackends();
-      
-      // Apply filters
-      if (includeSimulators === 'false') {
-        backends = backends.filter(backend => !backend.simulator);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
       }
-      
-      if (onlyOperational === 'true') {
-        backends = backends.filter(backend => backend.status?.operational === true);
+
+      const { jobId } = req.params;
+      const timeline = await jobHistoryStore.getTimeline(jobId);
+
+      if (!timeline) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job history not found',
+          message: `Job ${jobId} has not been observed by the job monitor`
+        });
+      }
+
+      // How the backend's queue evolved while the job was waiting in it
+      let backendQueue = [];
+      const queued = timeline.phases.find(phase => phase.status === 'QUEUED');
+      if (queued && timeline.job.backend) {
+        const from = Date.parse(queued.enteredAt);
+        const to = Math.max(queued.leftAt ? Date.parse(queued.leftAt) : Date.now(), from + 60 * 1000);
+        backendQueue = await queueHistoryStore.getSeries(timeline.job.backend, {
+          provider: timeline.job.provider,
+          from,
+          to,
+          resolution: queueHistoryStore.resolveResolution('auto', from, to)
+        });
       }
 
       res.json({
         success: true,
-        data: backends,
-        meta: {
-          total: backends.length,
-          filters: {
-            includeSimulators: includeSimulators !== 'false',
-            onlyOperational: onlyOperational === 'true'
-          },
-          timestamp: new Date().toISOString()
-        }
+        data: { ...timeline, backendQueue },
+        ...describeSource(getJobCacheSource()),
+        timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Error in getBackends:', error.message);
+      logger.error(`Error in getJobHistory for ${req.params.jobId}:`, error.message);
       res.status(500).json({
         success: false,
-        error: 'Failed to fetch backends',
+        error: 'Failed to fetch job history',
         message: error.message
       });
     }
   }
 
-  async getBackendDetails(req, res) {
+  async getJobResults(req, res) {
     try {
-      const { backendName } = req.params;
-      const backends = await ibmQuantumService.getBackends();
-      const backend = backends.find(b => b.name === backendName);
-      
-      if (!backend) {
-        return res.status(404).json({
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          error: 'Backend not found'
+          errors: errors.array()
         });
       }
 
-      // Get queue status for this backend
-      try {
-        const queueStatus = await ibmQuantumService.getQueueStatus(backendName);
-        backend.queueStatus = queueStatus;
-      } catch (queueError) {
-        logger.warn(`Could not fetch queue status for ${backendName}:`, queueError.message);
-        backend.queueStatus = { length: 0, status: 'unknown' };
+      const { jobId } = req.params;
+      const { provider } = req.query;
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
       }
 
+      const results = await providerRegistry.getJobResults(jobId, { provider });
+
       res.json({
         success: true,
-        data: backend,
+        data: results,
+        ...describeSource(getSourceInfo(results)),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error(`Error in getBackendDetails for ${req.params.backendName}:`, error.message);
-      res.status(500).json({
+      logger.error(`Error in getJobResults for ${req.params.jobId}:`, error.message);
+      // Only completed jobs have results
+      const status = error.response?.status;
+      const notFound = status === 404 || /not found/i.test(error.message);
+      const notReady = status === 400 || status === 409 || /not completed|no results/i.test(error.message);
+      res.status(notFound ? 404 : notReady ? 409 : 500).json({
         success: false,
-        error: 'Failed to fetch backend details',
+        error: notFound ? 'Job not found' : notReady ? 'Job results not available' : 'Failed to fetch job results',
         message: error.message
       });
     }
   }
 
-  async getQueueStatus(req, res) {
+  async getJobCircuit(req, res) {
     try {
-      const { backendName } = req.params;
-      const queueStatus = await ibmQuantumService.getQueueStatus(backendName);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { jobId } = req.params;
+      const program = await jobHistoryStore.getProgram(jobId);
+
+      if (!program) {
+        return res.status(404).json({
+          success: false,
+          error: 'Circuit not available',
+          message: `No program was recorded for job ${jobId}; only jobs submitted through Quantumania have one`
+        });
+      }
+
+      let circuit;
+      try {
+        circuit = parseQasm(program);
+      } catch (parseError) {
+        if (!(parseError instanceof QasmSyntaxError)) throw parseError;
+        return invalidProgram(res, parseError, 422);
+      }
 
       res.json({
         success: true,
-        data: queueStatus,
-        backend: backendName,
+        data: {
+          jobId,
+          program,
+          ...analyzeCircuit(circuit),
+          circuit: circuitLayout(circuit)
+        },
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error(`Error in getQueueStatus for ${req.params.backendName}:`, error.message);
+      logger.error(`Error in getJobCircuit for ${req.params.jobId}:`, error.message);
       res.status(500).json({
         success: false,
-        error: 'Failed to fetch queue status',
+        error: 'Failed to fetch job circuit',
         message: error.message
       });
     }
   }
 
-  async getSystemStats(req, res) {
+  async submitJob(req, res) {
     try {
-      const stats = await ibmQuantumService.getSystemStats();
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
 
-      res.json({
+      const { program, backend: backendName, shots = DEFAULT_SHOTS, provider, name } = req.body;
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
+      }
+
+      let circuit;
+      try {
+        circuit = parseQasm(program);
+      } catch (parseError) {
+        if (!(parseError instanceof QasmSyntaxError)) throw parseError;
+        return invalidProgram(res, parseError);
+      }
+
+      if (!circuit.operations.some(operation => operation.name === 'measure')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid OpenQASM program',
+          message: 'The circuit has no measurements, so the job would return no counts'
+        });
+      }
+
+      const backends = await providerRegistry.getBackends({ provider });
+      const backend = backends.find(b => b.name === backendName);
+
+      if (!backend) {
+        return res.status(404).json({
+          success: false,
+          error: 'Backend not found'
+        });
+      }
+
+      const compatibility = checkBackendCompatibility(circuit, backend, { shots });
+      if (!compatibility.compatible) {
+        return res.status(400).json({
+          success: false,
+          error: 'Circuit is not compatible with the backend',
+          message: compatibility.issues.join('; '),
+          compatibility
+        });
+      }
+
+      const job = await submitTrackedJob(
+        () => providerRegistry.submitJob(
+          { backend: backend.name, program, circuit, shots, name },
+          { provider: backend.provider }
+        ),
+        { program, submittedBy: req.user }
+      );
+
+      res.status(201).json({
         success: true,
-        data: stats,
+        data: job,
+        circuit: {
+          version: circuit.version,
+          qubits: circuit.qubits,
+          clbits: circuit.clbits,
+          gateCounts: circuit.gateCounts
+        },
+        ...describeSource(getSourceInfo(job)),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Error in getSystemStats:', error.message);
+      logger.error('Error in submitJob:', error.message);
+      // The provider can't take more jobs right now
+      if (error instanceof ServiceUnavailableError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(503).json({
+          success: false,
+          error: 'Backend queue is full',
+          message: error.message
+        });
+      }
       res.status(500).json({
         success: false,
-        error: 'Failed to fetch system statistics',
+        error: 'Failed to submit job',
         message: error.message
       });
     }
   }
 
-  async getLiveStats(req, res) {
+  async analyzeCircuit(req, res) {
     try {
-      const [systemStats, monitoringStatus] = await Promise.all([
-        ibmQuantumService.getSystemStats(),
-        Promise.resolve(getMonitoringStatus())
-      ]);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
 
-      const cachedJobs = getJobCache();
-      
-      const liveStats = {
-        ...systemStats,
-        monitoring: monitoringStatus,
-        realTimeData: {
-          cachedJobs: cachedJobs.length,
-          lastJobUpdate: getLastUpdate(),
-          activeConnections: req.io ? req.io.engine.clientsCount : 0
-        }
-      };
+      const { program, backend: backendName, shots, provider } = req.body;
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
+      }
+
+      let circuit;
+      try {
+        circuit = parseQasm(program);
+      } catch (parseError) {
+        if (!(parseError instanceof QasmSyntaxError)) throw parseError;
+        return invalidProgram(res, parseError);
+      }
+
+      const analysis = { ...analyzeCircuit(circuit), circuit: circuitLayout(circuit) };
+
+      if (!backendName) {
+        return res.json({
+          success: true,
+          data: analysis,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const backends = await providerRegistry.getBackends({ provider });
+      const backend = backends.find(b => b.name === backendName);
+
+      if (!backend) {
+        return res.status(404).json({
+          success: false,
+          error: 'Backend not found'
+        });
+      }
 
       res.json({
         success: true,
-        data: liveStats,
+        data: {
+          ...analysis,
+          compatibility: checkBackendCompatibility(circuit, backend, { shots })
+        },
+        ...describeSource(getSourceInfo(backends)),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Error in getLiveStats:', error.message);
+      logger.error('Error in analyzeCircuit:', error.message);
       res.status(500).json({
         success: false,
-        error: 'Failed to fetch live statistics',
+        error: 'Failed to analyze circuit',
         message: error.message
       });
     }
   }
 
-  async triggerUpdate(req, res) {
+  async cancelJob(req, res) {
     try {
-      const result = await triggerManualUpdate();
-      
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { jobId } = req.params;
+      const { provider } = req.query;
+      const { reason = null } = req.body || {};
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
+      }
+
+      const refusal = cancelRefusal(req.user, await jobHistoryStore.getOwner(jobId));
+      if (refusal) {
+        return res.status(403).json({
+          success: false,
+          error: 'Job cannot be cancelled',
+          message: `Job ${jobId} cannot be cancelled by ${req.user.id}: ${refusal}`
+        });
+      }
+
+      let job;
+      try {
+        job = await providerRegistry.getJobById(jobId, { provider });
+      } catch (lookupError) {
+        if (!/not found/i.test(lookupError.message) && lookupError.response?.status !== 404) throw lookupError;
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found',
+          message: lookupError.message
+        });
+      }
+
+      if (!CANCELLABLE_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Job cannot be cancelled',
+          message: `Job ${jobId} is ${job.status}; only ${CANCELLABLE_STATUSES.join(' and ')} jobs can be cancelled`
+        });
+      }
+
+      const cancelled = await providerRegistry.cancelJob(jobId, { provider: job.provider, requestedBy: req.user.id });
+
+      try {
+        await registerJobCancellation(cancelled, { fromStatus: job.status, requestedBy: req.user.id, reason });
+      } catch (registerError) {
+        logger.warn(`Could not record cancellation of job ${jobId}:`, registerError.message);
+      }
+
       res.json({
         success: true,
-        data: result,
+        data: cancelled,
+        cancellation: {
+          requestedBy: req.user.id,
+          reason
+        },
+        ...describeSource(getSourceInfo(cancelled)),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Error in triggerUpdate:', error.message);
-      res.status(500).json({
+      logger.error(`Error in cancelJob for ${req.params.jobId}:`, error.message);
+      // The job may have finished between the lookup and the cancel call
+      const conflict = error.response?.status === 409 || /cannot be cancelled/i.test(error.message);
+      res.status(conflict ? 409 : 500).json({
         success: false,
-        error: 'Failed to trigger manual update',
+        error: conflict ? 'Job cannot be cancelled' : 'Failed to cancel job',
         message: error.message
       });
     }
   }
 
-  async clearCache(req, res) {
+  async getBackends(req, res) {
     try {
-      ibmQuantumService.clearCache();
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { includeSimulators = true, onlyOperational = false, provider } = req.query;
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
+      }
+      
+      let backends = await providerRegistry.getBackends({ provider });
+      const source = getSourceInfo(backends);
+      
+      // Apply filters
+      if (includeSimulators === 'false') {
+        backends = backends.filter(backend => !backend.simulator);
+      }
       
+      if (onlyOperational === 'true') {
+        backends = backends.filter(backend => backend.status?.operational === true);
+      }
+
       res.json({
         success: true,
-        message: 'Service cache cleared successfully',
-        timestamp: new Date().toISOString()
+        data: backends,
+        meta: {
+          total: backends.length,
+          filters: {
+            includeSimulators: includeSimulators !== 'false',
+            onlyOperational: onlyOperational === 'true',
+            provider: provider || null
+          },
+          timestamp: new Date().toISOString()
+        },
+        ...describeSource(source)
       });
     } catch (error) {
-      logger.error('Error in clearCache:', error.message);
+      logger.error('Error in getBackends:', error.message);
       res.status(500).json({
         success: false,
-        error: 'Failed to clear cache',
+        error: 'Failed to fetch backends',
         message: error.message
       });
     }
   }
 
-  async getJobsByStatus(req, res) {
+  async getBackendDetails(req, res) {
     try {
-      const { status } = req.params;
-      const validStatuses = ['RUNNING', 'QUEUED', 'COMPLETED', 'ERROR', 'CANCELLED'];
+      const { backendName } = req.params;
+      const { provider } = req.query;
+      const backends = await providerRegistry.getBackends({ provider });
+      const backend = backends.find(b => b.name === backendName);
+      
+      if (!backend) {
+        return res.status(404).json({
+          success: false,
+          error: 'Backend not found'
+        });
+      }
+
+      // Get queue status for this backend
+      let queueStatus;
+      try {
+        queueStatus = await providerRegistry.getQueueStatus(backendName, { provider: backend.provider });
+      } catch (queueError) {
+        logger.warn(`Could not fetch queue status for ${backendName}:`, queueError.message);
+        queueStatus = { length: null, status: 'unknown' };
+      }
+
+      // Qubit connectivity for the topology view
+      let couplingMap;
+      try {
+        couplingMap = await providerRegistry.getCouplingMap(backendName, { provider: backend.provider });
+      } catch (mapError) {
+        logger.warn(`Could not fetch coupling map for ${backendName}:`, mapError.message);
+        couplingMap = null;
+      }
+
+      res.json({
+        success: true,
+        data: { ...backend, coupling_map: couplingMap, queueStatus },
+        ...describeSource(combineSources(getSourceInfo(backends), getSourceInfo(queueStatus))),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error in getBackendDetails for ${req.params.backendName}:`, error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch backend details',
+        message: error.message
+      });
+    }
+  }
+
+  async getQueueStatus(req, res) {
+    try {
+      const { backendName } = req.params;
+      const { provider } = req.query;
+      const queueStatus = await providerRegistry.getQueueStatus(backendName, { provider });
+
+      res.json({
+        success: true,
+        data: queueStatus,
+        backend: backendName,
+        provider: queueStatus.provider,
+        ...describeSource(getSourceInfo(queueStatus)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error in getQueueStatus for ${req.params.backendName}:`, error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch queue status',
+        message: error.message
+      });
+    }
+  }
+
+  async getQueueHistory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { backendName } = req.params;
+      const { provider, resolution = 'auto' } = req.query;
+
+      // Default to the last 24 hours
+      const to = req.query.to ? new Date(req.query.to).getTime() : Date.now();
+      const from = req.query.from ? new Date(req.query.from).getTime() : to - 24 * 60 * 60 * 1000;
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          message: '"from" must be before "to"'
+        });
+      }
+
+      const effectiveResolution = queueHistoryStore.resolveResolution(resolution, from, to);
+      const points = await queueHistoryStore.getSeries(backendName, {
+        provider,
+        from,
+        to,
+        resolution: effectiveResolution
+      });
+
+      res.json({
+        success: true,
+        data: {
+          backend: backendName,
+          provider: provider || null,
+          resolution: effectiveResolution,
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString(),
+          points
+        },
+        ...describeSource(getJobCacheSource()),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error in getQueueHistory for ${req.params.backendName}:`, error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch queue history',
+        message: error.message
+      });
+    }
+  }
+
+  async getBackendProperties(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { backendName } = req.params;
+      const { provider } = req.query;
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
+      }
+
+      const properties = await providerRegistry.getBackendProperties(backendName, { provider });
+
+      res.json({
+        success: true,
+        data: properties,
+        ...describeSource(getSourceInfo(properties)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error in getBackendProperties for ${req.params.backendName}:`, error.message);
+      // Simulators and unknown devices have no calibration data
+      const notFound = error.response?.status === 404 || /not found|no calibration/i.test(error.message);
+      res.status(notFound ? 404 : 500).json({
+        success: false,
+        error: notFound ? 'Backend properties not found' : 'Failed to fetch backend properties',
+        message: error.message
+      });
+    }
+  }
+
+  async getCalibrationHistory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { backendName } = req.params;
+      const { provider } = req.query;
+      const qubit = req.query.qubit !== undefined ? parseInt(req.query.qubit) : null;
+
+      // Default to the last 30 days
+      const to = req.query.to ? new Date(req.query.to).getTime() : Date.now();
+      const from = req.query.from ? new Date(req.query.from).getTime() : to - 30 * 24 * 60 * 60 * 1000;
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          message: '"from" must be before "to"'
+        });
+      }
+
+      const snapshots = await calibrationStore.getSnapshots(backendName, { provider, from, to });
+
+      // Per-qubit drift when a qubit is requested, device medians otherwise
+      const series = snapshots.map(({ properties, ...snapshot }) => {
+        if (qubit === null) {
+          return snapshot;
+        }
+        return {
+          ...snapshot,
+          qubit: properties.qubits?.[qubit] || null,
+          gates: (properties.gates || []).filter(gate => gate.qubits.includes(qubit))
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          backend: backendName,
+          provider: provider || null,
+          qubit,
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString(),
+          snapshots: series
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error in getCalibrationHistory for ${req.params.backendName}:`, error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch calibration history',
+        message: error.message
+      });
+    }
+  }
+
+  async getPrediction(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { backendName } = req.params;
+      const { provider } = req.query;
+      const shots = req.query.shots ? parseInt(req.query.shots) : DEFAULT_SHOTS;
+
+      // Prefer the live queue length; the prediction falls back to recorded samples
+      let queueStatus = null;
+      try {
+        queueStatus = await providerRegistry.getQueueStatus(backendName, { provider });
+      } catch (queueError) {
+        logger.warn(`Could not fetch queue status for ${backendName}:`, queueError.message);
+      }
+
+      const prediction = await predictionService.predict(backendName, {
+        provider: provider || queueStatus?.provider || null,
+        shots,
+        queueLength: queueStatus ? queueStatus.length || 0 : null
+      });
+
+      res.json({
+        success: true,
+        data: prediction,
+        ...describeSource(combineSources(getSourceInfo(queueStatus), getJobCacheSource())),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error in getPrediction for ${req.params.backendName}:`, error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to predict queue times',
+        message: error.message
+      });
+    }
+  }
+
+  async getSystemStats(req, res) {
+    try {
+      const { provider } = req.query;
+      const stats = await providerRegistry.getSystemStats({ provider });
+
+      res.json({
+        success: true,
+        data: stats,
+        ...describeSource(getSourceInfo(stats)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in getSystemStats:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch system statistics',
+        message: error.message
+      });
+    }
+  }
+
+  async getLiveStats(req, res) {
+    try {
+      const [systemStats, monitoringStatus] = await Promise.all([
+        providerRegistry.getSystemStats(),
+        Promise.resolve(getMonitoringStatus())
+      ]);
+
+      const cachedJobs = getJobCache();
+      
+      const liveStats = {
+        ...systemStats,
+        monitoring: monitoringStatus,
+        realTimeData: {
+          cachedJobs: cachedJobs.length,
+          lastJobUpdate: getLastUpdate(),
+          activeConnections: req.io ? req.io.engine.clientsCount : 0
+        }
+      };
+
+      res.json({
+        success: true,
+        data: liveStats,
+        ...describeSource(getSourceInfo(systemStats)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in getLiveStats:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch live statistics',
+        message: error.message
+      });
+    }
+  }
+
+  async triggerUpdate(req, res) {
+    try {
+      const result = await triggerManualUpdate();
+      
+      res.json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in triggerUpdate:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to trigger manual update',
+        message: error.message
+      });
+    }
+  }
+
+  async getMonitoring(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+
+      res.json({
+        success: true,
+        data: getMonitoringDetails(limit),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in getMonitoring:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch monitoring status',
+        message: error.message
+      });
+    }
+  }
+
+  async startMonitoring(req, res) {
+    try {
+      if (getMonitoringStatus().isActive) {
+        return res.status(409).json({
+          success: false,
+          error: 'Monitoring is already active',
+          data: getMonitoringStatus()
+        });
+      }
+
+      // With several instances only the elected one may poll the providers
+      const { cluster } = getMonitoringStatus();
+      if (!cluster.isLeader) {
+        return res.status(409).json({
+          success: false,
+          error: 'Monitoring runs on another instance',
+          message: `Instance ${cluster.leader || 'unknown'} is the monitoring leader`,
+          data: getMonitoringStatus()
+        });
+      }
+
+      startJobMonitoring(req.io);
+      logger.info(`Job monitoring started by ${req.user.id}`);
+
+      res.json({
+        success: true,
+        data: getMonitoringStatus(),
+        message: 'Job monitoring started',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in startMonitoring:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start monitoring',
+        message: error.message
+      });
+    }
+  }
+
+  async stopMonitoring(req, res) {
+    try {
+      if (!getMonitoringStatus().isActive) {
+        return res.status(409).json({
+          success: false,
+          error: 'Monitoring is not active',
+          data: getMonitoringStatus()
+        });
+      }
+
+      stopJobMonitoring();
+      logger.info(`Job monitoring stopped by ${req.user.id}`);
+
+      res.json({
+        success: true,
+        data: getMonitoringStatus(),
+        message: 'Job monitoring stopped',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in stopMonitoring:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stop monitoring',
+        message: error.message
+      });
+    }
+  }
+
+  async updateMonitoringConfig(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const fields = ['interval', 'minInterval', 'maxInterval', 'deepScanInterval', 'adaptive'];
+      const changes = Object.fromEntries(fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+      const config = updateMonitoringConfig(changes);
+      logger.info(`Monitoring configuration changed by ${req.user.id}`);
+
+      res.json({
+        success: true,
+        data: {
+          config,
+          monitoring: getMonitoringStatus()
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in updateMonitoringConfig:', error.message);
+      res.status(400).json({
+        success: false,
+        error: 'Invalid monitoring configuration',
+        message: error.message
+      });
+    }
+  }
+
+  async clearCache(req, res) {
+    try {
+      providerRegistry.clearCache();
+      
+      res.json({
+        success: true,
+        message: 'Service cache cleared successfully',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in clearCache:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to clear cache',
+        message: error.message
+      });
+    }
+  }
+
+  async getJobsByStatus(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { status } = req.params;
+      const validStatuses = ['RUNNING', 'QUEUED', 'COMPLETED', 'ERROR', 'CANCELLED'];
       
       if (!validStatuses.includes(status.toUpperCase())) {
         return res.status(400).json({
@@ -307,8 +1101,12 @@ class QuantumController {
         });
       }
 
-      const cachedJobs = getJobCache();
-      const filteredJobs = cachedJobs.filter(job => job.status === status.toUpperCase());
+      const { limit = 100, offset = 0, since, until } = req.query;
+      const filters = { status: status.toUpperCase(), since, until };
+      const [filteredJobs, total] = await Promise.all([
+        jobHistoryStore.getJobs({ ...filters, limit: parseInt(limit), offset: parseInt(offset) }),
+        jobHistoryStore.countJobs(filters)
+      ]);
 
       res.json({
         success: true,
@@ -316,9 +1114,13 @@ class QuantumController {
         meta: {
           status: status.toUpperCase(),
           count: filteredJobs.length,
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
           lastUpdate: getLastUpdate(),
           timestamp: new Date().toISOString()
-        }
+        },
+        ...describeSource(getJobCacheSource())
       });
     } catch (error) {
       logger.error(`Error in getJobsByStatus for ${req.params.status}:`, error.message);
@@ -329,6 +1131,136 @@ class QuantumController {
       });
     }
   }
+
+  async getProviders(req, res) {
+    try {
+      const providers = providerRegistry.list();
+
+      res.json({
+        success: true,
+        data: providers,
+        meta: {
+          total: providers.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getProviders:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch providers',
+        message: error.message
+      });
+    }
+  }
+
+  async recommendBackends(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { qubits, basisGates, allowSimulator, priority, shots, provider, limit } = req.body;
+
+      if (provider && !providerRegistry.has(provider)) {
+        return unknownProvider(res, provider);
+      }
+
+      const { source, ...result } = await recommendationService.recommend({
+        qubits,
+        basisGates,
+        allowSimulator,
+        priority,
+        shots,
+        provider,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        ...describeSource(source),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in recommendBackends:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to recommend backends',
+        message: error.message
+      });
+    }
+  }
+
+  async getMockScenarios(req, res) {
+    try {
+      const simulations = providerRegistry.getMockSimulations();
+
+      res.json({
+        success: true,
+        data: {
+          available: MockQuantumService.listScenarios(),
+          active: simulations.map(simulation => ({
+            provider: simulation.name,
+            scenario: simulation.getScenario()
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in getMockScenarios:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch mock scenarios',
+        message: error.message
+      });
+    }
+  }
+
+  async loadMockScenario(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { scenario, seed } = req.body;
+      const simulations = providerRegistry.getMockSimulations();
+
+      if (simulations.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Mock data is not enabled',
+          message: 'Set DATA_SOURCE_MODE=mock or add "mock" to QUANTUM_PROVIDERS to use scenarios'
+        });
+      }
+
+      const loaded = simulations.map(simulation => ({
+        provider: simulation.name,
+        scenario: simulation.loadScenario(scenario, { seed })
+      }));
+
+      res.json({
+        success: true,
+        data: loaded,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in loadMockScenario:', error.message);
+      res.status(400).json({
+        success: false,
+        error: 'Failed to load mock scenario',
+        message: error.message
+      });
+    }
+  }
 }
 
 export default new QuantumController();
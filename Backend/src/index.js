@@ -8,11 +8,20 @@ import { Server } from 'socket.io';
 import dotenv from 'dotenv';
 
 // Import routes and services
-import quantumRoutes from './routers/quantumRoutes.js';
+import quantumRoutes, { PROGRAM_ROUTES, PROGRAM_BODY_LIMIT } from './routers/quantumRoutes.js';
 import dashboardRoutes from './routers/dashboardRoutes.js';
+import authRoutes from './routers/authRoutes.js';
 import { logger } from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
-import { startJobMonitoring } from './services/jobMonitor.js';
+import { authenticate } from './middleware/auth.js';
+import { authenticateSocket, checkTopicAccess } from './middleware/socketAuth.js';
+import { startJobMonitoring, stopJobMonitoring, joinJobMonitorCluster, getTeamDashboard } from './services/jobMonitor.js';
+import dashboardState from './services/dashboardState.js';
+import eventLog from './services/eventLog.js';
+import socketConnections from './services/socketConnections.js';
+import { isValidTopic, userTopic, teamTopic, MAX_TOPICS_PER_SOCKET } from './utils/socketTopics.js';
+import { closeDatabases } from './stores/sqliteDatabase.js';
+import { clusterBackend, monitorElection, createClusterAdapter } from './cluster/index.js';
 
 dotenv.config();
 
@@ -32,11 +41,21 @@ const corsOptions = {
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept']
 };
 
+try {
+  await clusterBackend.connect();
+} catch (error) {
+  logger.error('Failed to connect to the cluster backend:', error.message);
+  process.exit(1);
+}
+
+// Broadcasts go through the cluster backend, so sockets connected to any
+// instance receive them
 const io = new Server(server, {
   cors: corsOptions,
   transports: ['websocket', 'polling'],
   pingTimeout: 60000,
-  pingInterval: 25000
+  pingInterval: 25000,
+  adapter: createClusterAdapter(clusterBackend)
 });
 
 // Rate limiting configuration
@@ -86,6 +105,7 @@ app.use(compression({
 }));
 
 app.use(cors(corsOptions));
+app.use(PROGRAM_ROUTES, express.json({ limit: PROGRAM_BODY_LIMIT }));
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf) => {
@@ -110,6 +130,9 @@ app.use((req, res, next) => {
 // Apply rate limiting to API routes
 app.use('/api', limiter);
 
+// Identify the caller; routes that change anything check its permissions
+app.use('/api', authenticate);
+
 // Make io accessible to routes
 app.use((req, res, next) => {
   req.io = io;
@@ -139,6 +162,7 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/api/quantum', quantumRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/auth', authRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -149,6 +173,7 @@ app.get('/', (req, res) => {
     endpoints: {
       quantum: '/api/quantum',
       dashboard: '/api/dashboard',
+      auth: '/api/auth',
       health: '/health',
       docs: '/api-docs'
     },
@@ -206,52 +231,153 @@ app.use((req, res) => {
   res.status(404).json({
     success: false,
     error: 'Endpoint not found',
-    available_endpoints: ['/api/quantum', '/api/dashboard', '/health', '/api-docs'],
+    available_endpoints: ['/api/quantum', '/api/dashboard', '/api/auth', '/health', '/api-docs'],
     requested: req.originalUrl
   });
 });
 
 // Socket.io connection handling
+// Handshakes carry the REST API's tokens; the user is kept in socket.data
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id} from ${socket.handshake.address}`);
-  
-  socket.on('join-room', (room) => {
-    if (typeof room === 'string' && room.length < 50) {
-      socket.join(room);
-      logger.info(`Client ${socket.id} joined room: ${room}`);
-    } else {
-      logger.warn(`Invalid room name from ${socket.id}: ${room}`);
+  const { user } = socket.data;
+  logger.info(`Client connected: ${socket.id} from ${socket.handshake.address} as ${user ? `${user.id} (${user.role})` : 'anonymous'}`);
+  socketConnections.add(socket);
+
+  // Notifications meant for this user, such as changes to their jobs, and
+  // the events of their team's jobs
+  const ownRooms = [socket.id];
+  if (user) {
+    ownRooms.push(userTopic(user.id));
+  }
+  if (user?.team) {
+    ownRooms.push(teamTopic(user.team));
+  }
+  ownRooms.slice(1).forEach(room => socket.join(room));
+
+  // Access checks are asynchronous: handle commands in the order they
+  // arrive, so `resume` replays the topics subscribed just before it
+  let pending = Promise.resolve();
+  const inOrder = (handler) => (...args) => {
+    pending = pending
+      .then(() => handler(...args))
+      .catch(error => logger.error(`Error handling a command from ${socket.id}:`, error.message));
+  };
+
+  // Clients receive only the events of the topics they subscribe to (see
+  // utils/socketTopics.js). Both take a topic or an array of topics and
+  // acknowledge with the topics accepted and rejected.
+  const subscribe = async (topics, ack) => {
+    const subscribed = [];
+    const rejected = [];
+    const reasons = [];
+
+    for (const topic of [].concat(topics)) {
+      const reason = !isValidTopic(topic)
+        ? 'invalid topic'
+        : !socket.rooms.has(topic) && socket.rooms.size - ownRooms.length >= MAX_TOPICS_PER_SOCKET
+          ? 'too many topics'
+          : await checkTopicAccess(user, topic);
+
+      if (reason) {
+        rejected.push(topic);
+        reasons.push(`${topic} (${reason})`);
+        continue;
+      }
+      socket.join(topic);
+      subscribed.push(topic);
     }
-  });
 
-  socket.on('leave-room', (room) => {
-    if (typeof room === 'string') {
-      socket.leave(room);
-      logger.info(`Client ${socket.id} left room: ${room}`);
+    if (rejected.length > 0) {
+      logger.warn(`Client ${socket.id} could not subscribe to: ${reasons.join(', ')}`);
+    }
+    logger.info(`Client ${socket.id} subscribed to: ${subscribed.join(', ') || 'nothing'}`);
+    if (typeof ack === 'function') ack({ subscribed, rejected });
+
+    // Dashboard deltas apply on top of a snapshot
+    if (subscribed.includes('dashboard')) {
+      sendDashboardSnapshot();
+    } else if (socket.rooms.has('dashboard')) {
+      sendTeamDashboards(subscribed);
+    }
+  };
+
+  const sendDashboardSnapshot = () => {
+    const snapshot = dashboardState.getSnapshot();
+    if (snapshot) {
+      socket.emit('dashboard-snapshot', snapshot);
     }
+    sendTeamDashboards([...socket.rooms]);
+  };
+
+  // Team jobs stay off the public dashboard: the socket's teams send theirs
+  const sendTeamDashboards = (topics) => {
+    topics
+      .filter(topic => topic.startsWith('team:'))
+      .forEach(topic => socket.emit('team-dashboard', getTeamDashboard(topic.slice('team:'.length))));
+  };
+
+  const unsubscribe = (topics, ack) => {
+    const unsubscribed = [].concat(topics).filter(topic => typeof topic === 'string' && !ownRooms.includes(topic));
+    unsubscribed.forEach(topic => socket.leave(topic));
+
+    logger.info(`Client ${socket.id} unsubscribed from: ${unsubscribed.join(', ') || 'nothing'}`);
+    if (typeof ack === 'function') ack({ unsubscribed });
+  };
+
+  socket.on('subscribe', inOrder(subscribe));
+  socket.on('unsubscribe', inOrder(unsubscribe));
+
+  // Sent after (re)subscribing with the last job event the client saw; the
+  // missed events are replayed before the acknowledgement
+  socket.on('resume', inOrder((position, ack) => {
+    const result = eventLog.resume(socket, position || {});
+    if (typeof ack === 'function') ack(result);
+  }));
+
+  // Sent by clients that missed a dashboard version
+  socket.on('dashboard-resync', () => {
+    logger.info(`Client ${socket.id} requested a dashboard resync`);
+    sendDashboardSnapshot();
   });
 
+  // Older clients join rooms one at a time
+  socket.on('join-room', inOrder(subscribe));
+  socket.on('leave-room', inOrder(unsubscribe));
+
   socket.on('error', (error) => {
     logger.error(`Socket error from ${socket.id}:`, error);
   });
   
   socket.on('disconnect', (reason) => {
+    socketConnections.remove(socket);
     logger.info(`Client disconnected: ${socket.id} - Reason: ${reason}`);
   });
 });
 
-// Start job monitoring
+// Start job monitoring on the elected instance only; another instance takes
+// over when it stops
 (async () => {
   try {
-    logger.info('Starting job monitoring...');
-    startJobMonitoring(io);
-    logger.info('Job monitoring started successfully');
+    await joinJobMonitorCluster(io);
+    await monitorElection.start({
+      onElected: () => {
+        logger.info('Starting job monitoring...');
+        startJobMonitoring(io);
+        logger.info('Job monitoring started successfully');
+      },
+      onDemoted: () => stopJobMonitoring()
+    });
   } catch (error) {
     logger.error('Failed to start job monitoring:', error.message);
     logger.error('Stack trace:', error.stack);
   }
 })();
 
+// Accept connections once broadcasts from the other instances arrive
+await io.of('/').adapter.ready;
+
 // Start server
 server.listen(PORT, '0.0.0.0', (err) => {
   if (err) {
@@ -264,11 +390,16 @@ server.listen(PORT, '0.0.0.0', (err) => {
   logger.info(`⚛️ Quantum API: http://localhost:${PORT}/api/quantum`);
   logger.info(`💓 Health Check: http://localhost:${PORT}/health`);
   logger.info(`📚 API Docs: http://localhost:${PORT}/api-docs`);
+
+  // Tell PM2 (wait_ready) the instance accepts connections
+  process.send?.('ready');
 });
 
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
+  // Stops monitoring and hands the lease to the next instance
+  const leaseReleased = monitorElection.stop();
   
   server.close(() => {
     logger.info('HTTP server closed');
@@ -276,10 +407,18 @@ const gracefulShutdown = (signal) => {
     // Close Socket.IO server
     io.close(() => {
       logger.info('Socket.IO server closed');
-      
-      // Exit process
-      logger.info('Graceful shutdown completed');
-      process.exit(0);
+
+      // Flush and close the job history database
+      closeDatabases();
+
+      leaseReleased
+        .then(() => clusterBackend.close())
+        .catch(error => logger.warn('Failed to close the cluster backend:', error.message))
+        .finally(() => {
+          // Exit process
+          logger.info('Graceful shutdown completed');
+          process.exit(0);
+        });
     });
   });
 
@@ -292,6 +431,10 @@ const gracefulShutdown = (signal) => {
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+// PM2 sends a message instead of a signal with shutdown_with_message
+process.on('message', (message) => {
+  if (message === 'shutdown') gracefulShutdown('shutdown message');
+});
 
 process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
@@ -0,0 +1,108 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { UnauthorizedError, ForbiddenError } from './errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+// What each role may do on top of reading data, which needs no token
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  operator: ['jobs:submit', 'jobs:cancel'],
+  admin: ['jobs:submit', 'jobs:cancel', 'monitoring:manage']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const secret = process.env.JWT_SECRET || null;
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+// Without a secret, development servers treat every request as a local admin
+// so the tool stays usable; anywhere else protected routes are closed
+const LOCAL_USER = { id: 'local', name: 'Local developer', role: 'admin', team: null };
+
+if (!secret) {
+  if (isDevelopment) {
+    logger.warn('JWT_SECRET is not set: every request is treated as a local admin');
+  } else {
+    logger.error('JWT_SECRET is not set: job submission, cancellation and monitoring control are disabled');
+  }
+}
+
+const withPermissions = (user) => ({ ...user, permissions: ROLE_PERMISSIONS[user.role] || [] });
+
+export const isAuthEnabled = () => Boolean(secret);
+
+// Tokens are HS256 JWTs signed with JWT_SECRET: `sub` identifies the user and
+// `role` is one of ROLES; `name` and `team` are optional
+export const verifyToken = (token) => {
+  const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  if (!claims.sub || !ROLES.includes(claims.role)) {
+    throw new UnauthorizedError('Token must carry a subject and a known role');
+  }
+
+  return withPermissions({
+    id: String(claims.sub),
+    name: claims.name || String(claims.sub),
+    role: claims.role,
+    team: claims.team || null
+  });
+};
+
+export const issueToken = ({ id, name, role, team }, { expiresIn = '30d' } = {}) => {
+  if (!secret) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}", expected one of: ${ROLES.join(', ')}`);
+  }
+
+  return jwt.sign({ sub: id, name, role, team }, secret, { algorithm: 'HS256', expiresIn });
+};
+
+export const bearerToken = (header = '') => (header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+
+// The caller presenting `token` (null when anonymous), for HTTP requests and
+// socket handshakes alike. A token that fails verification is rejected
+// rather than treated as anonymous.
+export const resolveUser = (token) => {
+  if (!secret) {
+    return isDevelopment ? withPermissions(LOCAL_USER) : null;
+  }
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return verifyToken(token);
+  } catch (error) {
+    throw error instanceof UnauthorizedError ? error : new UnauthorizedError('Invalid or expired token');
+  }
+};
+
+// Attach the caller to req.user
+export const authenticate = (req, res, next) => {
+  try {
+    req.user = resolveUser(bearerToken(req.get('Authorization')));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Jobs submitted for a team (`owner` as recorded by the job history) are
+// visible to that team and to admins only
+export const canSeeJob = (user, owner) => !owner?.team || user?.role === 'admin' || user?.team === owner.team;
+
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+  if (!req.user.permissions.includes(permission)) {
+    return next(new ForbiddenError(`The ${req.user.role} role cannot perform "${permission}"`));
+  }
+  next();
+};
+
+export { ROLES, ROLE_PERMISSIONS };
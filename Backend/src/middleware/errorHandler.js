@@ -53,6 +53,17 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Request bodies over the JSON parser's limit
+  if (err.type === 'entity.too.large') {
+    statusCode = 413;
+    error = {
+      success: false,
+      error: 'Payload Too Large',
+      message: `Request bodies are limited to ${err.limit} bytes`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   // Rate limiting errors
   if (err.type === 'rate-limit') {
     statusCode = 429;
@@ -153,6 +164,13 @@ class RateLimitError extends AppError {
   }
 }
 
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service unavailable', retryAfter = 60) {
+    super(message, 503);
+    this.retryAfter = retryAfter;
+  }
+}
+
 // Async error wrapper
 const asyncHandler = (fn) => {
   return (req, res, next) => {
@@ -169,5 +187,6 @@ export {
   ForbiddenError,
   ConflictError,
   RateLimitError,
+  ServiceUnavailableError,
   asyncHandler
 };
@@ -0,0 +1,43 @@
+import { resolveUser, bearerToken } from './auth.js';
+import { jobHistoryStore } from '../stores/index.js';
+
+// Socket.IO handshakes carry the same tokens as the REST API, either as
+// `auth.token` (the socket.io-client `auth` option) or as an Authorization
+// header. Anonymous sockets are allowed and only see public topics; a token
+// that fails verification refuses the connection.
+export const authenticateSocket = (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  try {
+    socket.data.user = resolveUser(auth.token || bearerToken(headers.authorization));
+    socket.data.connectedAt = new Date().toISOString();
+    next();
+  } catch (error) {
+    const refusal = new Error(error.message);
+    refusal.data = { status: error.statusCode || 401 };
+    next(refusal);
+  }
+};
+
+// Team channels and the rooms of jobs submitted for a team are open to that
+// team and to admins; every other topic is public. Job IDs can be guessed,
+// so the room of a job the history doesn't know yet is closed to everyone
+// but admins: it might turn out to be a team's. Returns why `user` may not
+// subscribe to `topic`, or null when it may.
+export const checkTopicAccess = async (user, topic) => {
+  if (topic.startsWith('team:')) {
+    const team = topic.slice('team:'.length);
+    return user?.role === 'admin' || user?.team === team ? null : `not a member of team ${team}`;
+  }
+  if (!topic.startsWith('job:') || user?.role === 'admin') return null;
+
+  const jobId = topic.slice('job:'.length);
+  const owner = await jobHistoryStore.getOwner(jobId);
+  if (owner?.team) {
+    return user?.team === owner.team ? null : `job belongs to team ${owner.team}`;
+  }
+  if (!owner && !(await jobHistoryStore.getJob(jobId))) {
+    return 'unknown job';
+  }
+  return null;
+};
@@ -0,0 +1,20 @@
+import express from 'express';
+import { isAuthEnabled, ROLE_PERMISSIONS } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// The caller as identified by its bearer token, so clients know which
+// actions to offer
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      authEnabled: isAuthEnabled(),
+      user: req.user,
+      roles: ROLE_PERMISSIONS
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+export default router;
@@ -14,7 +14,8 @@ const validateTimeRange = [
 
 // Dashboard routes
 router.get('/overview', dashboardController.getOverview);
-router.get('/analytics', validateTimeRange, dashboardController.getAnalytics);
+// Analytics relies on the controller's helper methods, so keep `this` bound
+router.get('/analytics', validateTimeRange, dashboardController.getAnalytics.bind(dashboardController));
 router.get('/realtime', dashboardController.getRealtimeData);
 
 export default router;
@@ -1,9 +1,18 @@
 import express from 'express';
-import { query, param } from 'express-validator';
+import { query, param, body } from 'express-validator';
 import quantumController from '../controllers/quantumController.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PRIORITIES } from '../services/recommendationService.js';
+import { INTERVAL_LIMITS, TICK_HISTORY_SIZE } from '../services/jobMonitor.js';
 
 const router = express.Router();
 
+// Largest JSON body of the routes that take a program: a 200000 character
+// program with room for escaping. Mounted ahead of the app-wide parser (see
+// src/index.js), which would otherwise read up to 10mb.
+export const PROGRAM_ROUTES = ['/api/quantum/jobs', '/api/quantum/circuits'];
+export const PROGRAM_BODY_LIMIT = '1mb';
+
 // Validation middleware
 const validateJobsQuery = [
   query('limit')
@@ -21,7 +30,26 @@ const validateJobsQuery = [
   query('cached')
     .optional()
     .isBoolean()
-    .withMessage('Cached must be a boolean')
+    .withMessage('Cached must be a boolean'),
+  query('provider')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid provider name format'),
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('Since must be an ISO 8601 date'),
+  query('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Until must be an ISO 8601 date')
+];
+
+const validateProviderQuery = [
+  query('provider')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid provider name format')
 ];
 
 const validateJobId = [
@@ -40,10 +68,205 @@ const validateBackendName = [
     .withMessage('Invalid backend name format')
 ];
 
+const validateQueueHistory = [
+  ...validateBackendName,
+  ...validateProviderQuery,
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('resolution')
+    .optional()
+    .isIn(['auto', 'raw', '5m', '1h'])
+    .withMessage('Resolution must be one of: auto, raw, 5m, 1h')
+];
+
+const validateCalibrationHistory = [
+  ...validateBackendName,
+  ...validateProviderQuery,
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('qubit')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Qubit must be a non-negative integer')
+];
+
+const validatePrediction = [
+  ...validateBackendName,
+  ...validateProviderQuery,
+  query('shots')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Shots must be between 1 and 100000')
+];
+
 const validateStatus = [
   param('status')
+    .toUpperCase()
     .isIn(['RUNNING', 'QUEUED', 'COMPLETED', 'ERROR', 'CANCELLED'])
-    .withMessage('Invalid status')
+    .withMessage('Invalid status'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be non-negative'),
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('Since must be an ISO 8601 date'),
+  query('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Until must be an ISO 8601 date')
+];
+
+const validateJobSubmission = [
+  body('program')
+    .isString()
+    .withMessage('Program must be an OpenQASM 2 or 3 string')
+    .bail()
+    .isLength({ min: 1, max: 200000 })
+    .withMessage('Program must be between 1 and 200000 characters'),
+  body('backend')
+    .isString()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid backend name format'),
+  body('shots')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Shots must be between 1 and 100000')
+    .toInt(),
+  body('provider')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid provider name format'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters')
+];
+
+const validateCircuitAnalysis = [
+  body('program')
+    .isString()
+    .withMessage('Program must be an OpenQASM 2 or 3 string')
+    .bail()
+    .isLength({ min: 1, max: 200000 })
+    .withMessage('Program must be between 1 and 200000 characters'),
+  body('backend')
+    .optional()
+    .isString()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid backend name format'),
+  body('shots')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Shots must be between 1 and 100000')
+    .toInt(),
+  body('provider')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid provider name format')
+];
+
+const validateCancellation = [
+  ...validateJobId,
+  query('provider')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid provider name format'),
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters')
+];
+
+const validateMonitoringQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: TICK_HISTORY_SIZE })
+    .withMessage(`Limit must be between 1 and ${TICK_HISTORY_SIZE}`)
+];
+
+const validateMonitoringConfig = [
+  body(['interval', 'minInterval', 'maxInterval', 'deepScanInterval'])
+    .optional()
+    .isInt(INTERVAL_LIMITS)
+    .withMessage(`Intervals must be between ${INTERVAL_LIMITS.min} and ${INTERVAL_LIMITS.max} ms`)
+    .toInt(),
+  body('adaptive')
+    .optional()
+    .isBoolean()
+    .withMessage('Adaptive must be a boolean')
+    .toBoolean()
+];
+
+const validateMockScenario = [
+  body('scenario')
+    .isString()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Scenario must be the name of a scenario file'),
+  body('seed')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Seed must be a non-negative integer')
+];
+
+const validateRecommendation = [
+  body('qubits')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Qubits must be an integer between 1 and 1000')
+    .toInt(),
+  body('basisGates')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Basis gates must be an array of gate names'),
+  body('basisGates.*')
+    .isString()
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Invalid basis gate name')
+    .toLowerCase(),
+  body('allowSimulator')
+    .optional()
+    .isBoolean()
+    .withMessage('allowSimulator must be a boolean')
+    .toBoolean(),
+  body('priority')
+    .optional()
+    .isIn(PRIORITIES)
+    .withMessage(`Priority must be one of: ${PRIORITIES.join(', ')}`),
+  body('shots')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Shots must be between 1 and 100000')
+    .toInt(),
+  body('provider')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Invalid provider name format'),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+    .toInt()
 ];
 
 // Root route - API information
@@ -54,13 +277,28 @@ router.get('/', (req, res) => {
     endpoints: {
       jobs: {
         'GET /jobs': 'Get all quantum jobs',
+        'POST /jobs': 'Submit an OpenQASM 2/3 circuit to a backend',
         'GET /jobs/:jobId': 'Get specific job details',
+        'DELETE /jobs/:jobId': 'Cancel a queued or running job',
+        'GET /jobs/:jobId/history': 'Get status timeline and queue positions of a job',
+        'GET /jobs/:jobId/results': 'Get measurement counts of a completed job',
+        'GET /jobs/:jobId/circuit': 'Get the program, circuit and metrics of a job submitted through Quantumania',
         'GET /jobs/status/:status': 'Get jobs by status'
       },
       backends: {
         'GET /backends': 'Get all quantum backends',
-        'GET /backends/:backendName': 'Get specific backend details',
-        'GET /backends/:backendName/queue': 'Get backend queue status'
+        'GET /backends/:backendName': 'Get specific backend details and coupling map',
+        'GET /backends/:backendName/queue': 'Get backend queue status',
+        'GET /backends/:backendName/queue/history': 'Get backend queue length history',
+        'GET /backends/:backendName/prediction': 'Predict queue wait and completion time',
+        'GET /backends/:backendName/properties': 'Get backend calibration and properties',
+        'GET /backends/:backendName/properties/history': 'Get daily calibration snapshots'
+      },
+      circuits: {
+        'POST /circuits/analyze': 'Depth, width and gate counts of an OpenQASM circuit, and its compatibility with a backend'
+      },
+      providers: {
+        'GET /providers': 'Get registered quantum providers'
       },
       statistics: {
         'GET /stats': 'Get system statistics',
@@ -69,6 +307,19 @@ router.get('/', (req, res) => {
       management: {
         'POST /update': 'Trigger manual update',
         'POST /cache/clear': 'Clear cache'
+      },
+      monitoring: {
+        'GET /monitoring': 'Get monitoring status, recent ticks and the last error',
+        'POST /monitoring/start': 'Start job monitoring',
+        'POST /monitoring/stop': 'Stop job monitoring',
+        'PUT /monitoring/config': 'Change monitoring intervals and adaptive polling'
+      },
+      recommendations: {
+        'POST /recommend': 'Rank backends for a job\'s requirements'
+      },
+      mock: {
+        'GET /mock/scenarios': 'List mock scenarios and the active one',
+        'POST /mock/scenario': 'Load a mock scenario'
       }
     },
     examples: [
@@ -81,20 +332,48 @@ router.get('/', (req, res) => {
 
 // Job routes
 router.get('/jobs', validateJobsQuery, quantumController.getJobs);
+router.post('/jobs', requirePermission('jobs:submit'), validateJobSubmission, quantumController.submitJob);
 router.get('/jobs/status/:status', validateStatus, quantumController.getJobsByStatus);
 router.get('/jobs/:jobId', validateJobId, quantumController.getJobById);
+router.delete('/jobs/:jobId', requirePermission('jobs:cancel'), validateCancellation, quantumController.cancelJob);
+router.get('/jobs/:jobId/history', validateJobId, quantumController.getJobHistory);
+router.get('/jobs/:jobId/results', validateJobId, quantumController.getJobResults);
+router.get('/jobs/:jobId/circuit', validateJobId, quantumController.getJobCircuit);
 
 // Backend routes
-router.get('/backends', quantumController.getBackends);
+router.get('/backends', validateProviderQuery, quantumController.getBackends);
 router.get('/backends/:backendName', validateBackendName, quantumController.getBackendDetails);
 router.get('/backends/:backendName/queue', validateBackendName, quantumController.getQueueStatus);
+router.get('/backends/:backendName/queue/history', validateQueueHistory, quantumController.getQueueHistory);
+router.get('/backends/:backendName/prediction', validatePrediction, quantumController.getPrediction);
+router.get('/backends/:backendName/properties', [...validateBackendName, ...validateProviderQuery], quantumController.getBackendProperties);
+router.get('/backends/:backendName/properties/history', validateCalibrationHistory, quantumController.getCalibrationHistory);
+
+// Circuit routes
+router.post('/circuits/analyze', requirePermission('jobs:submit'), validateCircuitAnalysis, quantumController.analyzeCircuit);
+
+// Provider routes
+router.get('/providers', quantumController.getProviders);
 
 // Statistics routes
 router.get('/stats', quantumController.getSystemStats);
 router.get('/stats/live', quantumController.getLiveStats);
 
 // Management routes
-router.post('/update', quantumController.triggerUpdate);
-router.post('/cache/clear', quantumController.clearCache);
+router.post('/update', requirePermission('monitoring:manage'), quantumController.triggerUpdate);
+router.post('/cache/clear', requirePermission('monitoring:manage'), quantumController.clearCache);
+
+// Monitoring routes
+router.get('/monitoring', requirePermission('monitoring:manage'), validateMonitoringQuery, quantumController.getMonitoring);
+router.post('/monitoring/start', requirePermission('monitoring:manage'), quantumController.startMonitoring);
+router.post('/monitoring/stop', requirePermission('monitoring:manage'), quantumController.stopMonitoring);
+router.put('/monitoring/config', requirePermission('monitoring:manage'), validateMonitoringConfig, quantumController.updateMonitoringConfig);
+
+// Recommendation routes
+router.post('/recommend', validateRecommendation, quantumController.recommendBackends);
+
+// Mock simulation routes
+router.get('/mock/scenarios', quantumController.getMockScenarios);
+router.post('/mock/scenario', requirePermission('monitoring:manage'), validateMockScenario, quantumController.loadMockScenario);
 
 export default router;
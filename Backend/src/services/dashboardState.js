@@ -0,0 +1,62 @@
+import { diff } from '../utils/jsonPatch.js';
+
+// Fields that change on every tick (times and data age). A tick that only
+// changes these sends no delta; otherwise they ride along with the rest.
+const VOLATILE_PATHS = new Set([
+  '/timestamp',
+  '/dataAge',
+  '/fetchedAt',
+  '/summary/lastUpdate',
+  '/monitoring/lastUpdate'
+]);
+
+// The dashboard as a versioned state. Clients get a full snapshot when they
+// subscribe to `dashboard` and then only the changes of every monitoring
+// tick, as JSON Patch operations numbered by version. A client that misses a
+// version asks for a new snapshot.
+class DashboardState {
+  constructor() {
+    this.version = 0;
+    this.state = null;
+  }
+
+  // Store the next state; returns the delta against the previous one, or
+  // null when nothing but the volatile fields changed
+  update(next) {
+    // A JSON round trip drops undefined fields, as the socket would
+    const state = JSON.parse(JSON.stringify(next));
+    const ops = this.state ? diff(this.state, state) : [{ op: 'replace', path: '', value: state }];
+
+    if (ops.every(op => VOLATILE_PATHS.has(op.path))) return null;
+
+    this.state = state;
+    this.version += 1;
+    return {
+      version: this.version,
+      ops,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Take over a snapshot from the instance running the monitor
+  restore(snapshot) {
+    if (!snapshot) return;
+
+    this.version = snapshot.version;
+    this.state = snapshot.state;
+  }
+
+  getSnapshot() {
+    if (!this.state) return null;
+
+    return {
+      version: this.version,
+      state: this.state,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+const dashboardState = new DashboardState();
+
+export default dashboardState;
@@ -0,0 +1,101 @@
+import { logger } from '../utils/logger.js';
+import { emitToTopics, groupByTopics } from '../utils/socketTopics.js';
+
+// Entries kept for replay; older ones are dropped
+const EVENT_LOG_SIZE = parseInt(process.env.EVENT_LOG_SIZE, 10) || 1000;
+
+// Events replayed to one client at most; a longer gap needs a resync
+const MAX_REPLAY = 500;
+
+// Job events in the order they were emitted, so a client that reconnects
+// can catch up on what it missed. Every emit is one entry with an increasing
+// ID, copied into its items as `eventId`. IDs restart with the server, which
+// clients tell apart by the log's `epoch`.
+class EventLog {
+  constructor(size = EVENT_LOG_SIZE) {
+    this.size = size;
+    this.entries = [];
+    this.lastId = 0;
+    this.epoch = Date.now().toString(36);
+  }
+
+  // Emit an array event to the rooms of its items and record it; returns
+  // the new entries
+  publish(io, event, items, topicsOf) {
+    return groupByTopics(items, topicsOf).map(({ topics, items: groupItems }) => {
+      const id = this.lastId + 1;
+      const entry = { id, event, topics, payload: groupItems.map(item => ({ ...item, eventId: id })) };
+
+      this.record(entry);
+      emitToTopics(io, event, entry.payload, topics);
+      return entry;
+    });
+  }
+
+  // Record entries published by the instance running the monitor, so any
+  // instance can replay them and IDs carry on if this one takes over
+  mirror({ epoch, entries }) {
+    if (epoch !== this.epoch) {
+      this.epoch = epoch;
+      this.entries = [];
+      this.lastId = 0;
+    }
+
+    entries
+      .filter(entry => entry.id > this.lastId)
+      .forEach(entry => this.record(entry));
+  }
+
+  record(entry) {
+    this.entries.push(entry);
+    this.lastId = entry.id;
+    if (this.entries.length > this.size) {
+      this.entries.shift();
+    }
+  }
+
+  // Entries after `lastEventId` for a socket in `rooms`, or `resync` with the
+  // reason when they can't be replayed
+  since(epoch, lastEventId, rooms) {
+    if (epoch !== this.epoch) {
+      return { resync: 'server-restarted' };
+    }
+
+    const oldestId = this.entries.length > 0 ? this.entries[0].id : this.lastId + 1;
+    if (lastEventId < oldestId - 1) {
+      return { resync: 'gap-too-large' };
+    }
+
+    const missed = this.entries.filter(entry => entry.id > lastEventId && entry.topics.some(topic => rooms.has(topic)));
+    if (missed.length > MAX_REPLAY) {
+      return { resync: 'gap-too-large' };
+    }
+
+    return { entries: missed };
+  }
+
+  // Replay what a reconnecting socket missed. Clients without an epoch are
+  // new and only learn where the log stands.
+  resume(socket, { epoch = null, lastEventId = 0 } = {}) {
+    const position = { epoch: this.epoch, lastEventId: this.lastId };
+    if (!epoch) return { ...position, replayed: 0 };
+
+    const { entries, resync } = this.since(epoch, Number(lastEventId) || 0, socket.rooms);
+    if (resync) {
+      logger.info(`Client ${socket.id} needs a resync: ${resync}`);
+      return { ...position, resync };
+    }
+
+    entries.forEach(entry => {
+      socket.emit(entry.event, entry.payload.map(item => ({ ...item, replayed: true })));
+    });
+    if (entries.length > 0) {
+      logger.info(`Replayed ${entries.length} events to client ${socket.id}`);
+    }
+    return { ...position, replayed: entries.length };
+  }
+}
+
+const eventLog = new EventLog();
+
+export default eventLog;
@@ -0,0 +1,93 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+
+const IAM_GRANT_TYPE = 'urn:ibm:params:oauth:grant-type:apikey';
+
+// Exchanges an IBM Cloud API key for short-lived IAM access tokens and
+// refreshes them shortly before they expire.
+class IAMTokenManager {
+  constructor({
+    apiKey,
+    iamURL = 'https://iam.cloud.ibm.com',
+    refreshMargin = 5 * 60 * 1000, // Refresh 5 minutes before expiry
+    timeout = 15000
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('IAM token exchange requires an API key');
+    }
+
+    this.apiKey = apiKey;
+    this.refreshMargin = refreshMargin;
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pendingRefresh = null;
+
+    this.client = axios.create({
+      baseURL: iamURL,
+      timeout,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  isTokenValid() {
+    return Boolean(this.accessToken) && Date.now() < this.expiresAt - this.refreshMargin;
+  }
+
+  async getToken() {
+    if (this.isTokenValid()) {
+      return this.accessToken;
+    }
+    return this.refresh();
+  }
+
+  // Concurrent callers share a single in-flight exchange
+  async refresh() {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.exchangeApiKey().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
+
+  async exchangeApiKey() {
+    const body = new URLSearchParams({
+      grant_type: IAM_GRANT_TYPE,
+      apikey: this.apiKey
+    });
+
+    try {
+      const response = await this.client.post('/identity/token', body.toString());
+      const { access_token: accessToken, expires_in: expiresIn, expiration } = response.data;
+
+      this.accessToken = accessToken;
+      // IAM returns both an absolute expiration (seconds) and a relative lifetime
+      this.expiresAt = expiration ? expiration * 1000 : Date.now() + (expiresIn || 3600) * 1000;
+
+      logger.info(`IAM access token refreshed, valid until ${new Date(this.expiresAt).toISOString()}`);
+      return this.accessToken;
+    } catch (error) {
+      this.invalidate();
+      const reason = error.response?.data?.errorMessage || error.message;
+      logger.error('IAM token exchange failed:', reason);
+      throw new Error(`IAM token exchange failed: ${reason}`);
+    }
+  }
+
+  invalidate() {
+    this.accessToken = null;
+    this.expiresAt = 0;
+  }
+
+  getStatus() {
+    return {
+      hasToken: Boolean(this.accessToken),
+      expiresAt: this.expiresAt ? new Date(this.expiresAt).toISOString() : null
+    };
+  }
+}
+
+export default IAMTokenManager;
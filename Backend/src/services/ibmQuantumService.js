@@ -1,35 +1,92 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { logger } from '../utils/logger.js';
+import QuantumProvider from './quantumProvider.js';
+import IAMTokenManager from './iamTokenManager.js';
+import IBMRuntimeClient from './ibmRuntimeClient.js';
+import MockQuantumService from './mockQuantumService.js';
+import { normalizeProperties } from '../utils/backendProperties.js';
+import { normalizeResults } from '../utils/jobResults.js';
+import { toQasm3 } from '../utils/qasmParser.js';
+import {
+  DATA_SOURCES,
+  DATA_SOURCE_MODES,
+  tagSource,
+  copySource,
+  resolveDataSourceMode
+} from '../utils/dataSource.js';
 
 // Load environment variables
 dotenv.config();
 
-class IBMQuantumService {
+// Runtime job states mapped onto the statuses used across Quantumania
+const RUNTIME_JOB_STATUS = {
+  queued: 'QUEUED',
+  running: 'RUNNING',
+  completed: 'COMPLETED',
+  done: 'COMPLETED',
+  failed: 'ERROR',
+  error: 'ERROR',
+  cancelled: 'CANCELLED'
+};
+
+// Rate limited requests are retried up to RATE_LIMIT_RETRIES times, after the
+// Retry-After header or else a backoff doubling from RATE_LIMIT_DELAY, and
+// never waiting more than MAX_RATE_LIMIT_DELAY
+const RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_DELAY = 2000;
+const MAX_RATE_LIMIT_DELAY = 60000;
+
+// Retry-After in ms, given as seconds or as an HTTP date; null when absent
+const retryAfterMs = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+class IBMQuantumService extends QuantumProvider {
   constructor() {
-    this.baseURL = 'https://api.quantum-computing.ibm.com/api';
+    super('ibm');
+    this.baseURL = process.env.IBM_QUANTUM_RUNTIME_URL || 'https://quantum.cloud.ibm.com/api/v1';
     this.apiKey = process.env.IBM_QUANTUM_API;
     this.isDevelopment = process.env.NODE_ENV === 'development';
-    
-    if (!this.apiKey || this.isDevelopment) {
-      logger.warn('Running in development mode with mock data');
-      this.mockMode = true;
-    } else {
-      this.mockMode = false;
-      this.authErrorCount = 0;
-      this.maxAuthErrors = 3; // Switch to mock mode after 3 consecutive auth errors
+    this.authErrorCount = 0;
+
+    // Without an explicit mode, use mock data only when live data is impossible
+    // or unwanted (no API key, development)
+    const defaultMode = !this.apiKey || this.isDevelopment
+      ? DATA_SOURCE_MODES.MOCK
+      : DATA_SOURCE_MODES.LIVE_WITH_STALE_CACHE;
+    this.mode = resolveDataSourceMode(process.env.DATA_SOURCE_MODE, defaultMode);
+
+    if (this.mode !== DATA_SOURCE_MODES.MOCK && !this.apiKey) {
+      logger.error(`DATA_SOURCE_MODE is "${this.mode}" but IBM_QUANTUM_API is not set; IBM requests will fail`);
+    }
+    logger.info(`IBM Quantum data source mode: ${this.mode}`);
+
+    // In mock mode the IBM fleet is simulated deterministically
+    if (this.mode === DATA_SOURCE_MODES.MOCK) {
+      this.mock = new MockQuantumService({
+        name: this.name,
+        seed: process.env.MOCK_SEED,
+        scenario: process.env.MOCK_SCENARIO || undefined
+      });
     }
 
-    if (!this.mockMode) {
-      this.client = axios.create({
+    if (this.mode !== DATA_SOURCE_MODES.MOCK && this.apiKey) {
+      this.tokenManager = new IAMTokenManager({
+        apiKey: this.apiKey,
+        iamURL: process.env.IBM_IAM_URL || 'https://iam.cloud.ibm.com'
+      });
+
+      this.runtime = new IBMRuntimeClient({
+        tokenManager: this.tokenManager,
         baseURL: this.baseURL,
-        timeout: 30000,
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
+        serviceCRN: process.env.IBM_QUANTUM_INSTANCE,
+        apiVersion: process.env.IBM_QUANTUM_API_VERSION || '2025-05-01'
       });
+      this.client = this.runtime.http;
 
       this.setupInterceptors();
     }
@@ -58,21 +115,34 @@ class IBMQuantumService {
       },
       async (error) => {
         if (error.response?.status === 401) {
-          this.authErrorCount = (this.authErrorCount || 0) + 1;
-          
-          if (this.authErrorCount === 1) {
-            logger.error('Unauthorized - IBM Quantum API key may be invalid or expired');
-            logger.info('Switching to mock data mode due to authentication errors');
+          // The IAM token may have been revoked or expired early: refresh it and retry once
+          if (error.config && !error.config._authRetried) {
+            error.config._authRetried = true;
+            logger.warn('Unauthorized - refreshing IAM token and retrying request');
+            this.tokenManager.invalidate();
+            return this.client.request(error.config);
           }
+
+          this.authErrorCount += 1;
           
-          if (this.authErrorCount >= this.maxAuthErrors) {
-            logger.warn(`Too many auth errors (${this.authErrorCount}). Enabling mock mode.`);
-            this.mockMode = true;
+          // Log once per streak of auth failures instead of on every request
+          if (this.authErrorCount === 1) {
+            logger.error('Unauthorized after token refresh - IBM Quantum API key may be invalid or expired');
           }
         } else if (error.response?.status === 429) {
-          logger.warn('Rate limit hit, waiting before retry...');
-          await this.sleep(2000);
-          return this.client.request(error.config);
+          const retries = error.config?._rateLimitRetries || 0;
+          if (error.config && retries < RATE_LIMIT_RETRIES) {
+            error.config._rateLimitRetries = retries + 1;
+            const delay = Math.min(
+              retryAfterMs(error.response.headers?.['retry-after']) ?? RATE_LIMIT_DELAY * 2 ** retries,
+              MAX_RATE_LIMIT_DELAY
+            );
+            logger.warn(`Rate limit hit, retrying in ${delay}ms (${retries + 1} of ${RATE_LIMIT_RETRIES})`);
+            await this.sleep(delay);
+            return this.client.request(error.config);
+          }
+
+          logger.error(`Rate limit hit, giving up after ${RATE_LIMIT_RETRIES} retries`);
         } else {
           logger.error('Response interceptor error:', error.message);
         }
@@ -103,206 +173,350 @@ class IBMQuantumService {
     if (cached && (Date.now() - cached.timestamp) < cached.ttl) {
       return cached.data;
     }
-    this.cache.delete(key);
+    // Expired entries are kept around so they can be served as stale data
     return null;
   }
 
-  async getBackends() {
+  isMock() {
+    return this.mode === DATA_SOURCE_MODES.MOCK;
+  }
+
+  // Serve fresh cache entries, otherwise fetch live data. When the live request
+  // fails, the last good value is served as stale data only if the mode allows
+  // it; otherwise the error is surfaced to the caller.
+  async fetchCached(cacheKey, ttl, label, fetcher) {
+    const cached = this.cache.get(cacheKey);
+    if (cached && (Date.now() - cached.timestamp) < cached.ttl) {
+      return tagSource(cached.data, DATA_SOURCES.CACHE, cached.timestamp);
+    }
+
+    if (!this.runtime) {
+      throw new Error('IBM Quantum API key is not configured');
+    }
+
     try {
-      if (this.mockMode) {
-        return this.getMockBackends();
+      const data = await fetcher();
+      this.setCache(cacheKey, data, ttl);
+      return tagSource(data, DATA_SOURCES.LIVE);
+    } catch (error) {
+      if (this.mode === DATA_SOURCE_MODES.LIVE_WITH_STALE_CACHE && cached) {
+        const age = Math.round((Date.now() - cached.timestamp) / 1000);
+        logger.warn(`Serving stale ${label} (${age}s old): ${error.message}`);
+        return tagSource(cached.data, DATA_SOURCES.STALE, cached.timestamp);
       }
+      throw error;
+    }
+  }
 
-      const cacheKey = this.getCacheKey('backends');
-      const cached = this.getCache(cacheKey);
-      if (cached) return cached;
-
-      const response = await this.client.get('/Network/devices/v/1');
-      const backends = response.data;
-      
-      this.setCache(cacheKey, backends, 60000); // Cache for 1 minute
-      logger.info(`Fetched ${backends.length} backends from IBM Quantum`);
-      
-      return backends;
+  async getBackends() {
+    if (this.isMock()) {
+      return this.mock.getBackends();
+    }
+
+    try {
+      return await this.fetchCached(this.getCacheKey('backends'), 60000, 'backends', async () => {
+        const { devices = [] } = await this.runtime.listBackends();
+        const names = devices.map(device => (typeof device === 'string' ? device : device.name));
+        // A device whose status or configuration can't be read is left out
+        // rather than failing the whole list
+        const results = await Promise.allSettled(names.map(name => this.fetchBackend(name)));
+        results.forEach((result, index) => {
+          if (result.status === 'rejected') {
+            logger.warn(`Skipping backend ${names[index]}:`, result.reason.message);
+          }
+        });
+
+        const fetched = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (fetched.length === 0 && names.length > 0) {
+          throw results[0].reason;
+        }
+
+        const backends = this.withProviderAll(fetched);
+        logger.info(`Fetched ${backends.length} backends from IBM Quantum`);
+        return backends;
+      });
     } catch (error) {
-      if (error.response?.status === 401) {
-        // Don't log individual auth errors, already handled in interceptor
-        return this.getMockBackends();
+      // Auth errors are already logged by the interceptor
+      if (error.response?.status !== 401) {
+        logger.error('Error fetching backends:', error.message);
       }
-      logger.error('Error fetching backends:', error.message);
-      return this.getMockBackends();
+      throw error;
     }
   }
 
   async getJobs(limit = 50, offset = 0, status = null) {
+    if (this.isMock()) {
+      return this.mock.getJobs(limit, offset, status);
+    }
+
+    const params = { limit, offset };
+    if (status) params.status = status;
+
     try {
-      if (this.mockMode) {
-        return this.getMockJobs();
-      }
+      return await this.fetchCached(this.getCacheKey('jobs', params), 15000, 'jobs', async () => {
+        const response = await this.runtime.listJobs({ limit, offset, exclude_params: true });
+        let jobs = this.withProviderAll((response.jobs || []).map(job => this.normalizeJob(job)));
+        if (status) {
+          jobs = jobs.filter(job => job.status === status);
+        }
 
-      const params = { limit, offset };
-      if (status) params.status = status;
-      
-      const cacheKey = this.getCacheKey('jobs', params);
-      const cached = this.getCache(cacheKey);
-      if (cached) return cached;
-
-      const response = await this.client.get('/Network/jobs', { params });
-      const jobs = response.data;
-      
-      this.setCache(cacheKey, jobs, 15000); // Cache for 15 seconds
-      logger.info(`Fetched ${jobs.length} jobs from IBM Quantum`);
-      
-      return jobs;
+        logger.info(`Fetched ${jobs.length} jobs from IBM Quantum`);
+        return jobs;
+      });
     } catch (error) {
-      if (error.response?.status === 401) {
-        // Don't log individual auth errors, already handled in interceptor
-        return this.getMockJobs();
+      if (error.response?.status !== 401) {
+        logger.error('Error fetching jobs:', error.message);
       }
-      logger.error('Error fetching jobs:', error.message);
-      return this.getMockJobs();
+      throw error;
     }
   }
 
   async getJobById(jobId) {
+    if (this.isMock()) {
+      return this.mock.getJobById(jobId);
+    }
+
     try {
-      const cacheKey = this.getCacheKey('job', { jobId });
-      const cached = this.getCache(cacheKey);
-      if (cached) return cached;
-
-      const response = await this.client.get(`/Network/jobs/${jobId}`);
-      const job = response.data;
-      
-      this.setCache(cacheKey, job, 10000); // Cache for 10 seconds
-      return job;
+      return await this.fetchCached(this.getCacheKey('job', { jobId }), 10000, `job ${jobId}`, async () => {
+        return this.withProvider(this.normalizeJob(await this.runtime.getJob(jobId)));
+      });
     } catch (error) {
       logger.error(`Error fetching job ${jobId}:`, error.message);
       throw new Error(`Failed to fetch job: ${error.response?.data?.message || error.message}`);
     }
   }
 
-  async getQueueStatus(backendName) {
+  // Results of a finished job never change, so keep them for a day
+  async getJobResults(jobId) {
+    if (this.isMock()) {
+      return this.mock.getJobResults(jobId);
+    }
+
+    try {
+      return await this.fetchCached(this.getCacheKey('results', { jobId }), 24 * 60 * 60 * 1000, `results for job ${jobId}`, async () => {
+        return normalizeResults(await this.runtime.getJobResults(jobId), jobId);
+      });
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        logger.error(`Error fetching results for job ${jobId}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Circuits run through the Sampler V2 primitive, which only reads
+  // OpenQASM 3, so OpenQASM 2 programs are converted first
+  async submitJob({ backend, program, circuit, shots, name = null }) {
+    if (this.isMock()) {
+      return this.mock.submitJob({ backend, program, circuit, shots, name });
+    }
+
+    if (!this.runtime) {
+      throw new Error('IBM Quantum API key is not configured');
+    }
+
     try {
-      if (this.mockMode) {
-        return { length: Math.floor(Math.random() * 50), status: 'online' };
+      const { id } = await this.runtime.createJob({
+        program_id: 'sampler',
+        backend,
+        tags: name ? [name] : [],
+        params: {
+          pubs: [[circuit.version.startsWith('3') ? program : toQasm3(circuit)]],
+          shots,
+          version: 2
+        }
+      });
+      logger.info(`Submitted job ${id} to ${backend}`);
+
+      this.invalidateJobCache();
+
+      try {
+        return await this.getJobById(id);
+      } catch (error) {
+        // Freshly created jobs are not always visible right away
+        logger.warn(`Job ${id} is not available yet:`, error.message);
+        return tagSource(this.withProvider({
+          id,
+          name,
+          status: 'QUEUED',
+          status_reason: null,
+          backend,
+          program_id: 'sampler',
+          session_id: null,
+          creation_date: new Date().toISOString(),
+          usage_seconds: null
+        }), DATA_SOURCES.LIVE);
       }
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        logger.error(`Error submitting job to ${backend}:`, error.message);
+      }
+      throw new Error(`Failed to submit job: ${error.response?.data?.errors?.[0]?.message || error.response?.data?.message || error.message}`);
+    }
+  }
+
+  async cancelJob(jobId, { requestedBy } = {}) {
+    if (this.isMock()) {
+      return this.mock.cancelJob(jobId, { requestedBy });
+    }
 
-      const cacheKey = this.getCacheKey('queue', { backendName });
-      const cached = this.getCache(cacheKey);
-      if (cached) return cached;
+    if (!this.runtime) {
+      throw new Error('IBM Quantum API key is not configured');
+    }
+
+    try {
+      await this.runtime.cancelJob(jobId);
+      logger.info(`Cancelled job ${jobId}${requestedBy ? ` for ${requestedBy}` : ''}`);
+      this.invalidateJobCache(jobId);
 
-      const response = await this.client.get(`/Network/devices/v/1/${backendName}/queue/status`);
-      const queueStatus = response.data;
-      
-      this.setCache(cacheKey, queueStatus, 5000); // Cache for 5 seconds
-      return queueStatus;
+      // The Runtime API acknowledges a cancellation before the job's state
+      // catches up
+      const job = await this.getJobById(jobId);
+      return job.status === 'CANCELLED'
+        ? job
+        : copySource(job, { ...job, status: 'CANCELLED', status_reason: 'Cancelled by user' });
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        logger.error(`Error cancelling job ${jobId}:`, error.message);
+      }
+      throw new Error(`Failed to cancel job: ${error.response?.data?.errors?.[0]?.message || error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Drop cached job lists (and a job's own entry) so changes we made show up
+  // before the cache expires
+  invalidateJobCache(jobId = null) {
+    Array.from(this.cache.keys())
+      .filter(key => key.startsWith('jobs_'))
+      .forEach(key => this.cache.delete(key));
+    if (jobId) {
+      this.cache.delete(this.getCacheKey('job', { jobId }));
+    }
+  }
+
+  async getQueueStatus(backendName) {
+    if (this.isMock()) {
+      return this.mock.getQueueStatus(backendName);
+    }
+
+    try {
+      return await this.fetchCached(this.getCacheKey('queue', { backendName }), 5000, `queue status for ${backendName}`, async () => {
+        const backendStatus = await this.runtime.getBackendStatus(backendName);
+        return {
+          length: backendStatus.length_queue || 0,
+          status: backendStatus.state ? 'online' : 'offline',
+          message: backendStatus.message || backendStatus.status
+        };
+      });
     } catch (error) {
       if (error.response?.status !== 401) {
         logger.error(`Error fetching queue status for ${backendName}:`, error.message);
       }
-      return { length: Math.floor(Math.random() * 20), status: 'unknown' };
+      throw error;
     }
   }
 
-  async getSystemStats() {
+  // Calibration data changes about once a day, so cache it generously
+  async getBackendProperties(backendName) {
+    if (this.isMock()) {
+      return this.mock.getBackendProperties(backendName);
+    }
+
     try {
-      const backends = await this.getBackends();
-      const jobs = await this.getJobs(100);
-      
-      const stats = {
-        totalBackends: backends.length,
-        onlineBackends: backends.filter(b => b.status?.operational === true).length,
-        simulators: backends.filter(b => b.simulator === true).length,
-        realDevices: backends.filter(b => b.simulator === false).length,
-        totalJobs: jobs.length,
-        runningJobs: jobs.filter(j => j.status === 'RUNNING').length,
-        queuedJobs: jobs.filter(j => j.status === 'QUEUED').length,
-        completedJobs: jobs.filter(j => j.status === 'COMPLETED').length,
-        errorJobs: jobs.filter(j => j.status === 'ERROR').length,
-        lastUpdate: new Date().toISOString()
-      };
-      
-      return stats;
+      return await this.fetchCached(this.getCacheKey('properties', { backendName }), 15 * 60 * 1000, `properties for ${backendName}`, async () => {
+        const properties = await this.runtime.getBackendProperties(backendName);
+        return normalizeProperties(properties, backendName);
+      });
     } catch (error) {
-      logger.error('Error fetching system stats:', error.message);
-      return this.getMockStats();
+      if (error.response?.status !== 401) {
+        logger.error(`Error fetching properties for ${backendName}:`, error.message);
+      }
+      throw error;
     }
   }
 
-  // Mock data for development/fallback
-  getMockBackends() {
-    return [
-      {
-        name: 'ibm_brisbane',
-        status: { operational: true },
-        n_qubits: 127,
-        simulator: false,
-        pending_jobs: 15,
-        basis_gates: ['cx', 'id', 'rz', 'sx', 'x']
-      },
-      {
-        name: 'ibm_kyoto',
-        status: { operational: true },
-        n_qubits: 127,
-        simulator: false,
-        pending_jobs: 23,
-        basis_gates: ['cx', 'id', 'rz', 'sx', 'x']
-      },
-      {
-        name: 'ibm_sherbrooke',
-        status: { operational: false },
-        n_qubits: 127,
-        simulator: false,
-        pending_jobs: 0,
-        basis_gates: ['cx', 'id', 'rz', 'sx', 'x']
-      },
-      {
-        name: 'ibmq_qasm_simulator',
-        status: { operational: true },
-        n_qubits: 32,
-        simulator: true,
-        pending_jobs: 5,
-        basis_gates: ['u1', 'u2', 'u3', 'cx', 'id']
+  async getCouplingMap(backendName) {
+    if (this.isMock()) {
+      return this.mock.getCouplingMap(backendName);
+    }
+
+    if (!this.runtime) {
+      throw new Error('IBM Quantum API key is not configured');
+    }
+
+    try {
+      const configuration = await this.fetchConfiguration(backendName);
+      return configuration.coupling_map?.length ? configuration.coupling_map : null;
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        logger.error(`Error fetching coupling map for ${backendName}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Backend configuration (qubit count, gates, coupling map) rarely changes
+  async fetchConfiguration(backendName) {
+    const configKey = this.getCacheKey('configuration', { backendName });
+    let configuration = this.getCache(configKey);
+
+    if (!configuration) {
+      if (!this.runtime) {
+        throw new Error('IBM Quantum API key is not configured');
       }
-    ];
+      configuration = await this.runtime.getBackendConfiguration(backendName);
+      this.setCache(configKey, configuration, 60 * 60 * 1000); // Cache for 1 hour
+    }
+
+    return configuration;
   }
 
-  getMockJobs() {
-    const statuses = ['RUNNING', 'QUEUED', 'COMPLETED', 'ERROR', 'CANCELLED'];
-    const backends = ['ibmq_qasm_simulator', 'ibm_brisbane', 'ibm_kyoto', 'ibm_sherbrooke'];
-    
-    return Array.from({ length: 20 }, (_, i) => ({
-      id: `mock_job_${Date.now()}_${i}`,
-      name: `Quantum Job ${i + 1}`,
-      status: statuses[Math.floor(Math.random() * statuses.length)],
-      backend: backends[Math.floor(Math.random() * backends.length)],
-      shots: Math.floor(Math.random() * 8192) + 1,
-      qubits: Math.floor(Math.random() * 127) + 1,
-      creation_date: new Date(Date.now() - Math.random() * 86400000).toISOString(),
-      queue_position: statuses.includes('QUEUED') ? Math.floor(Math.random() * 100) : null,
-      estimated_completion_time: new Date(Date.now() + Math.random() * 3600000).toISOString()
-    }));
+  // Combine a backend's live status with its (slow-changing) configuration
+  async fetchBackend(backendName) {
+    const [status, configuration] = await Promise.all([
+      this.runtime.getBackendStatus(backendName),
+      this.fetchConfiguration(backendName)
+    ]);
+
+    return {
+      name: backendName,
+      status: {
+        operational: status.state === true,
+        status_msg: status.message || status.status
+      },
+      n_qubits: configuration.n_qubits,
+      simulator: configuration.simulator === true,
+      pending_jobs: status.length_queue || 0,
+      basis_gates: configuration.basis_gates || [],
+      max_shots: configuration.max_shots ?? null,
+      backend_version: configuration.backend_version || status.backend_version,
+      processor_type: configuration.processor_type
+    };
   }
 
-  getMockStats() {
+  // Map a Runtime API job onto the job shape used by the dashboard
+  normalizeJob(job) {
+    const rawStatus = (job.state?.status || job.status || '').toLowerCase();
+
     return {
-      totalBackends: 12,
-      onlineBackends: 8,
-      simulators: 4,
-      realDevices: 8,
-      totalJobs: 150,
-      runningJobs: 12,
-      queuedJobs: 45,
-      completedJobs: 88,
-      errorJobs: 5,
-      lastUpdate: new Date().toISOString()
+      id: job.id,
+      name: job.tags?.[0] || null,
+      status: RUNTIME_JOB_STATUS[rawStatus.split(' ')[0]] || rawStatus.toUpperCase(),
+      status_reason: job.state?.reason || null,
+      backend: job.backend,
+      program_id: job.program?.id,
+      session_id: job.session_id || null,
+      creation_date: job.created,
+      usage_seconds: job.usage?.seconds ?? null
     };
   }
 
   clearCache() {
     this.cache.clear();
+    this.mock?.clearCache();
     logger.info('Service cache cleared');
   }
 }
 
+export { IBMQuantumService };
 export default new IBMQuantumService();
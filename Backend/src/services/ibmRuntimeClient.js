@@ -0,0 +1,101 @@
+import axios from 'axios';
+
+// Thin client for the IBM Quantum Platform (Qiskit Runtime) REST API.
+// Every request carries a fresh IAM bearer token from the token manager.
+class IBMRuntimeClient {
+  constructor({
+    tokenManager,
+    baseURL = 'https://quantum.cloud.ibm.com/api/v1',
+    serviceCRN = null,
+    apiVersion = '2025-05-01',
+    timeout = 30000
+  } = {}) {
+    if (!tokenManager) {
+      throw new Error('IBM Runtime client requires an IAM token manager');
+    }
+
+    this.tokenManager = tokenManager;
+
+    this.http = axios.create({
+      baseURL,
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'IBM-API-Version': apiVersion,
+        ...(serviceCRN ? { 'Service-CRN': serviceCRN } : {})
+      }
+    });
+
+    this.http.interceptors.request.use(async (config) => {
+      const token = await this.tokenManager.getToken();
+      config.headers.Authorization = `Bearer ${token}`;
+      return config;
+    });
+  }
+
+  // Backends
+  async listBackends() {
+    const response = await this.http.get('/backends');
+    return response.data;
+  }
+
+  async getBackendStatus(backendName) {
+    const response = await this.http.get(`/backends/${encodeURIComponent(backendName)}/status`);
+    return response.data;
+  }
+
+  async getBackendConfiguration(backendName) {
+    const response = await this.http.get(`/backends/${encodeURIComponent(backendName)}/configuration`);
+    return response.data;
+  }
+
+  async getBackendProperties(backendName, params = {}) {
+    const response = await this.http.get(`/backends/${encodeURIComponent(backendName)}/properties`, { params });
+    return response.data;
+  }
+
+  // Jobs
+  async listJobs(params = {}) {
+    const response = await this.http.get('/jobs', { params });
+    return response.data;
+  }
+
+  async getJob(jobId) {
+    const response = await this.http.get(`/jobs/${encodeURIComponent(jobId)}`);
+    return response.data;
+  }
+
+  async getJobResults(jobId) {
+    const response = await this.http.get(`/jobs/${encodeURIComponent(jobId)}/results`);
+    return response.data;
+  }
+
+  async createJob(payload) {
+    const response = await this.http.post('/jobs', payload);
+    return response.data;
+  }
+
+  async cancelJob(jobId) {
+    const response = await this.http.post(`/jobs/${encodeURIComponent(jobId)}/cancel`);
+    return response.data;
+  }
+
+  // Sessions
+  async createSession(payload) {
+    const response = await this.http.post('/sessions', payload);
+    return response.data;
+  }
+
+  async getSession(sessionId) {
+    const response = await this.http.get(`/sessions/${encodeURIComponent(sessionId)}`);
+    return response.data;
+  }
+
+  async closeSession(sessionId) {
+    const response = await this.http.delete(`/sessions/${encodeURIComponent(sessionId)}/close`);
+    return response.data;
+  }
+}
+
+export default IBMRuntimeClient;
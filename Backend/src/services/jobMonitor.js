@@ -1,61 +1,192 @@
-import cron from 'node-cron';
-import ibmQuantumService from './ibmQuantumService.js';
+import providerRegistry from './providerRegistry.js';
+import predictionService from './predictionService.js';
+import dashboardState from './dashboardState.js';
+import eventLog from './eventLog.js';
+import socketConnections from './socketConnections.js';
+import { jobHistoryStore, queueHistoryStore, calibrationStore } from '../stores/index.js';
+import { clusterBackend, monitorElection, instanceId } from '../cluster/index.js';
+import { TERMINAL_STATUSES } from '../stores/jobHistoryStore.js';
 import { logger } from '../utils/logger.js';
+import {
+  emitToTopics,
+  emitByTopics,
+  jobTopics,
+  statusChangeTopics,
+  queueTopics,
+  userTopic,
+  teamTopic
+} from '../utils/socketTopics.js';
+import {
+  DATA_SOURCES,
+  getSourceInfo,
+  combineSources,
+  describeSource
+} from '../utils/dataSource.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bounds of every configurable interval
+export const INTERVAL_LIMITS = { min: 5000, max: DAY_MS };
+
+// Delay before the first tick after monitoring starts
+const INITIAL_DELAY_MS = 5000;
+
+// Ticks kept for the monitoring status
+export const TICK_HISTORY_SIZE = 50;
+
+const envInterval = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Intervals in milliseconds. `interval` is the pace while clients are
+// watching; adaptive polling drops to `minInterval` while jobs are running
+// and rises to `maxInterval` when idle or backing off.
+const defaultConfig = () => {
+  const interval = envInterval('MONITORING_INTERVAL', 60000);
+  return {
+    interval,
+    minInterval: Math.min(envInterval('MONITORING_MIN_INTERVAL', 15000), interval),
+    maxInterval: Math.max(envInterval('MONITORING_MAX_INTERVAL', 300000), interval),
+    deepScanInterval: envInterval('DEEP_SCAN_INTERVAL', 600000),
+    adaptive: process.env.MONITORING_ADAPTIVE !== 'false'
+  };
+};
+
+const validateConfig = (config) => {
+  const intervals = ['interval', 'minInterval', 'maxInterval', 'deepScanInterval'];
+  for (const key of intervals) {
+    if (!Number.isInteger(config[key]) || config[key] < INTERVAL_LIMITS.min || config[key] > INTERVAL_LIMITS.max) {
+      throw new Error(`${key} must be an integer between ${INTERVAL_LIMITS.min} and ${INTERVAL_LIMITS.max} ms`);
+    }
+  }
+  if (config.minInterval > config.interval || config.interval > config.maxInterval) {
+    throw new Error('Intervals must satisfy minInterval <= interval <= maxInterval');
+  }
+};
+
+// Channels the monitor shares with the other instances of a cluster
+const CLUSTER_CHANNELS = {
+  state: 'job-monitor:state',
+  events: 'job-monitor:events',
+  jobs: 'job-monitor:jobs',
+  clients: 'job-monitor:clients'
+};
+
+// Rooms of the items of each job event, given the job's recorded owner
+const JOB_EVENTS = {
+  'new-jobs': { topics: jobTopics, jobId: job => job.id },
+  'job-status-change': { topics: statusChangeTopics, jobId: change => change.jobId }
+};
+
+// Jobs on the dashboard, public or of a team
+const RECENT_JOBS = 10;
+
+const toDashboardJob = (job) => ({
+  id: job.id,
+  name: job.name || `Job ${job.id}`,
+  status: job.status,
+  backend: job.backend,
+  provider: job.provider,
+  creation_date: job.creation_date,
+  shots: job.shots,
+  qubits: job.qubits
+});
+
+// IBM answers 429 once its own retry is used up
+const isRateLimited = (error) => error.response?.status === 429 || /rate limit|\b429\b/i.test(error.message);
 
 class JobMonitor {
   constructor() {
+    // Jobs from the latest monitoring tick only; history lives in the store
     this.jobCache = new Map();
+    // Jobs submitted through Quantumania, followed until they finish: job ID -> provider
+    this.trackedJobs = new Map();
+    // Submissions waiting for the provider or for their registration
+    this.submissions = new Set();
+    // Recent jobs of each team, kept off the public dashboard: team -> jobs
+    this.teamDashboards = new Map();
+    this.historyStore = jobHistoryStore;
+    this.queueHistoryStore = queueHistoryStore;
+    this.calibrationStore = calibrationStore;
+    this.retentionDays = parseInt(process.env.JOB_HISTORY_RETENTION_DAYS, 10) || 30;
+    this.calibrationRetentionDays = parseInt(process.env.CALIBRATION_RETENTION_DAYS, 10) || 365;
     this.lastUpdate = null;
     this.isMonitoring = false;
     this.io = null;
-    this.monitoringInterval = null;
+    this.lastDataSource = null;
+    this.config = defaultConfig();
+    validateConfig(this.config);
+    // Every scheduled task, so stopping monitoring clears them all
+    this.timers = { tick: null, deepScan: null };
+    this.nextTickAt = null;
+    this.lastTickAt = null;
+    // Bumped on every start and stop; ticks of an earlier run don't reschedule
+    this.run = 0;
+    this.captureOnNextTick = false;
+    this.onConnection = null;
+    // Inputs of adaptive polling, updated by every tick
+    this.activeJobs = 0;
+    this.backoffLevel = 0;
+    // Socket clients of the other instances: instance ID -> count
+    this.remoteClients = new Map();
+    // Most recent ticks first, at most TICK_HISTORY_SIZE of them
+    this.tickHistory = [];
+    this.tickCounts = { total: 0, failed: 0 };
+    this.lastError = null;
   }
 
-  async monitorJobs() {
+  // `trigger` is `scheduled` or `manual`, as reported in the tick history
+  async monitorJobs(trigger = 'scheduled') {
     if (!this.io) {
       logger.warn('Socket.IO not initialized, skipping job monitoring');
       return;
     }
 
+    const startedAt = Date.now();
+    const tick = { trigger, startedAt: new Date(startedAt).toISOString(), success: false };
+
     try {
       logger.info('🔍 Monitoring quantum jobs...');
       
       // Fetch latest data
-      const [jobs, backends, systemStats] = await Promise.all([
-        ibmQuantumService.getJobs(50),
-        ibmQuantumService.getBackends(),
-        ibmQuantumService.getSystemStats()
+      const [recentJobs, backends, systemStats] = await Promise.all([
+        providerRegistry.getJobs(50),
+        providerRegistry.getBackends(),
+        providerRegistry.getSystemStats()
       ]);
-      
-      // Check for job status changes
-      const statusChanges = [];
-      const newJobs = [];
-      
-      jobs.forEach(job => {
-        const previousJob = this.jobCache.get(job.id);
-        
-        if (!previousJob) {
-          // New job detected
-          newJobs.push({
-            ...job,
-            isNew: true,
-            timestamp: new Date().toISOString()
-          });
-        } else if (previousJob.status !== job.status) {
-          // Status change detected
-          statusChanges.push({
-            jobId: job.id,
-            jobName: job.name || `Job ${job.id}`,
-            oldStatus: previousJob.status,
-            newStatus: job.status,
-            backend: job.backend,
-            timestamp: new Date().toISOString()
-          });
-        }
-        
-        // Update cache
-        this.jobCache.set(job.id, job);
-      });
+      const jobs = [...recentJobs, ...await this.fetchTrackedJobs(recentJobs)];
+
+      const source = combineSources(getSourceInfo(recentJobs), getSourceInfo(backends), getSourceInfo(systemStats));
+      this.lastDataSource = source;
+      // Stale data means the live request failed (rate limits included) and
+      // the cache covered for it, so back off as for a failed tick
+      this.backoffLevel = source?.dataSource === DATA_SOURCES.STALE ? this.backoffLevel + 1 : 0;
+      const { dataSource } = describeSource(source);
+
+      // A job submitted meanwhile may be in the list; once its submission
+      // settles its owner is recorded and decides where its events go
+      await Promise.allSettled(this.submissions);
+
+      // Detect new jobs and status changes against the persisted history so
+      // a restart doesn't report every job as new again
+      const observedAt = Date.now();
+      const observation = await this.historyStore.recordObservation(jobs, observedAt);
+      const timestamp = new Date(observedAt).toISOString();
+
+      const newJobs = observation.newJobs.map(job => ({
+        ...job,
+        isNew: true,
+        dataSource,
+        timestamp
+      }));
+
+      const statusChanges = observation.statusChanges.map(change => this.toStatusChange(change, dataSource, timestamp));
+
+      this.jobCache = new Map(jobs.map(job => [job.id, job]));
+      this.activeJobs = jobs.filter(job => job.status === 'RUNNING').length;
+
+      // Jobs submitted for a team stay off the public dashboard; each team
+      // gets its own in its channel
+      const owners = await this.getOwners(jobs.map(job => job.id));
+      const teamOf = job => owners.get(job.id)?.team || null;
 
       // Prepare dashboard data in the same format as the dashboard controller
       const summary = {
@@ -71,17 +202,10 @@ class JobMonitor {
 
       const dashboardData = {
         summary,
-        recentJobs: jobs.slice(0, 10).map(job => ({
-          id: job.id,
-          name: job.name || `Job ${job.id}`,
-          status: job.status,
-          backend: job.backend,
-          creation_date: job.creation_date,
-          shots: job.shots,
-          qubits: job.qubits
-        })),
+        recentJobs: jobs.filter(job => !teamOf(job)).slice(0, RECENT_JOBS).map(toDashboardJob),
         backends: backends.slice(0, 8).map(backend => ({
           name: backend.name,
+          provider: backend.provider,
           status: backend.status?.operational ? 'online' : 'offline',
           qubits: backend.n_qubits || backend.num_qubits,
           simulator: backend.simulator,
@@ -94,44 +218,345 @@ class JobMonitor {
           cachedJobs: this.jobCache.size,
           connectedClients: this.io.engine.clientsCount
         },
+        ...describeSource(source),
         timestamp: new Date().toISOString()
       };
 
-      // Emit updates to all connected clients
-      this.io.emit('dashboard-update', dashboardData);
+      // Emit each update only to the rooms subscribed to it; the dashboard
+      // only gets what changed since the last tick
+      const delta = dashboardState.update(dashboardData);
+      if (delta) {
+        emitToTopics(this.io, 'dashboard-delta', delta, ['dashboard']);
+      }
+      this.updateTeamDashboards(jobs, teamOf);
       
       // Emit specific events for real-time notifications
       if (statusChanges.length > 0) {
-        this.io.emit('job-status-change', statusChanges);
+        await this.publishEvent('job-status-change', statusChanges);
         logger.info(`📊 Job status changes detected: ${statusChanges.length}`);
       }
 
       if (newJobs.length > 0) {
-        this.io.emit('new-jobs', newJobs);
+        await this.publishEvent('new-jobs', newJobs);
         logger.info(`🆕 New jobs detected: ${newJobs.length}`);
       }
 
       // Emit queue updates for specific backends
       const queueUpdates = await this.getQueueUpdates(backends);
       if (queueUpdates.length > 0) {
-        this.io.emit('queue-update', queueUpdates);
+        emitByTopics(this.io, 'queue-update', queueUpdates, queueTopics);
       }
 
+      await this.recordQueueSamples(backends, queueUpdates, observedAt);
+
       this.lastUpdate = new Date().toISOString();
+      this.shareWithCluster(CLUSTER_CHANNELS.state, {
+        dashboard: dashboardState.getSnapshot(),
+        teamDashboards: Object.fromEntries(this.teamDashboards),
+        jobs,
+        lastUpdate: this.lastUpdate,
+        lastDataSource: this.lastDataSource
+      });
       logger.info(`✅ Job monitoring completed. Total jobs: ${jobs.length}, Changes: ${statusChanges.length}, New: ${newJobs.length}`);
+      Object.assign(tick, {
+        success: true,
+        jobs: jobs.length,
+        statusChanges: statusChanges.length,
+        newJobs: newJobs.length,
+        dataSource
+      });
       
     } catch (error) {
       logger.error('❌ Error during job monitoring:', error.message);
-      
+      tick.error = error.message;
+      this.lastError = { message: error.message, trigger, timestamp: new Date().toISOString() };
+      if (isRateLimited(error)) {
+        this.backoffLevel += 1;
+      }
+
       // Emit error to clients
-      this.io?.emit('monitor-error', { 
+      emitToTopics(this.io, 'monitor-error', {
         error: error.message, 
         timestamp: new Date().toISOString(),
         severity: 'warning'
-      });
+      }, ['dashboard']);
+    } finally {
+      this.recordTick({ ...tick, duration: Date.now() - startedAt });
     }
   }
 
+  // Send each team the recent jobs submitted for it when they changed; a
+  // team whose jobs all dropped out of the list gets an empty list once
+  updateTeamDashboards(jobs, teamOf) {
+    const views = new Map([...this.teamDashboards.keys()].map(team => [team, []]));
+    jobs.forEach(job => {
+      const team = teamOf(job);
+      if (!team) return;
+      if (!views.has(team)) views.set(team, []);
+      if (views.get(team).length < RECENT_JOBS) views.get(team).push(toDashboardJob(job));
+    });
+
+    views.forEach((recentJobs, team) => {
+      if (JSON.stringify(recentJobs) === JSON.stringify(this.teamDashboards.get(team) || [])) return;
+
+      if (recentJobs.length > 0) {
+        this.teamDashboards.set(team, recentJobs);
+      } else {
+        this.teamDashboards.delete(team);
+      }
+      emitToTopics(this.io, 'team-dashboard', this.getTeamDashboard(team), [teamTopic(team)]);
+    });
+  }
+
+  getTeamDashboard(team) {
+    return {
+      team,
+      recentJobs: this.teamDashboards.get(team) || [],
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Recorded owners of jobs: job ID -> { userId, team } or null
+  async getOwners(jobIds) {
+    return new Map(await Promise.all(jobIds.map(async jobId => [jobId, await this.historyStore.getOwner(jobId)])));
+  }
+
+  recordTick(tick) {
+    this.tickHistory = [tick, ...this.tickHistory].slice(0, TICK_HISTORY_SIZE);
+    this.tickCounts.total += 1;
+    if (!tick.success) {
+      this.tickCounts.failed += 1;
+    }
+  }
+
+  // Status with the recent ticks, their durations (ms) and the last error
+  getMonitoringDetails(limit = TICK_HISTORY_SIZE) {
+    const ticks = this.tickHistory.slice(0, limit);
+    const durations = ticks.map(tick => tick.duration);
+
+    return {
+      ...this.getMonitoringStatus(),
+      ticks,
+      tickCounts: { ...this.tickCounts },
+      durations: {
+        recent: durations,
+        average: durations.length ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length) : null,
+        max: durations.length ? Math.max(...durations) : null
+      },
+      lastError: this.lastError,
+      connections: socketConnections.getConnections()
+    };
+  }
+
+  // Payload of a `job-status-change` event
+  toStatusChange({ job, fromStatus, toStatus }, dataSource, timestamp) {
+    return {
+      jobId: job.id,
+      jobName: job.name || `Job ${job.id}`,
+      oldStatus: fromStatus,
+      newStatus: toStatus,
+      backend: job.backend,
+      provider: job.provider,
+      dataSource,
+      timestamp
+    };
+  }
+
+  // Submitted jobs that dropped out of the recent job list are fetched one by
+  // one until they reach a final status
+  async fetchTrackedJobs(recentJobs) {
+    const listed = new Set(recentJobs.map(job => job.id));
+    const tracked = [];
+
+    for (const [jobId, provider] of this.trackedJobs) {
+      if (listed.has(jobId)) continue;
+      try {
+        tracked.push(await providerRegistry.getJobById(jobId, { provider }));
+      } catch (error) {
+        logger.warn(`Failed to refresh submitted job ${jobId}:`, error.message);
+        if (/not found/i.test(error.message)) {
+          this.trackedJobs.delete(jobId);
+        }
+      }
+    }
+
+    [...recentJobs, ...tracked]
+      .filter(job => this.trackedJobs.has(job.id) && TERMINAL_STATUSES.includes(job.status))
+      .forEach(job => this.trackedJobs.delete(job.id));
+
+    return tracked;
+  }
+
+  // Submit a job through `submit` and register what it returns. Ticks wait
+  // for submissions in flight, so they can't announce a job they fetched
+  // before its owner is recorded. Failing to register the job is logged and
+  // doesn't hide that it was submitted.
+  async submitJob(submit, details) {
+    const submission = submit().then(async job => {
+      try {
+        await this.registerJob(job, details);
+      } catch (error) {
+        logger.warn(`Could not register submitted job ${job.id}:`, error.message);
+      }
+      return job;
+    });
+
+    this.submissions.add(submission);
+    try {
+      return await submission;
+    } finally {
+      this.submissions.delete(submission);
+    }
+  }
+
+  // Record a job submitted through the API right away instead of waiting for
+  // the next tick, and announce it in the live feed. `submittedBy` (the
+  // user) owns the job and gets notified of its status changes; the owner
+  // is recorded before the job, so the job is never seen without it.
+  async registerJob(job, { program = null, submittedBy = null } = {}) {
+    if (submittedBy) {
+      await this.historyStore.recordOwner(job.id, { userId: submittedBy.id, team: submittedBy.team });
+    }
+    const observedAt = Date.now();
+    const { newJobs } = await this.historyStore.recordObservation([job], observedAt);
+    if (program) {
+      await this.historyStore.recordProgram(job.id, program);
+    }
+
+    const dataSource = describeSource(getSourceInfo(job)).dataSource;
+    this.followJob({
+      event: 'new-jobs',
+      job,
+      items: newJobs.map(newJob => ({
+        ...newJob,
+        isNew: true,
+        submitted: true,
+        dataSource,
+        timestamp: new Date(observedAt).toISOString()
+      }))
+    });
+
+    logger.info(`📨 Registered submitted job ${job.id} on ${job.backend}`);
+    return job;
+  }
+
+  // Record who cancelled a job and announce its new status right away.
+  // `fromStatus` covers jobs the monitor had not observed yet.
+  async registerCancellation(job, { fromStatus, requestedBy, reason = null }) {
+    const observedAt = Date.now();
+    const timestamp = new Date(observedAt).toISOString();
+
+    await this.historyStore.recordCancellation(job.id, { requestedBy, requestedAt: observedAt, reason });
+    const { statusChanges } = await this.historyStore.recordObservation([job], observedAt);
+
+    const change = statusChanges[0] || (fromStatus !== job.status ? { job, fromStatus, toStatus: job.status } : null);
+    const dataSource = describeSource(getSourceInfo(job)).dataSource;
+    this.followJob({
+      event: 'job-status-change',
+      job,
+      items: change ? [{ ...this.toStatusChange(change, dataSource, timestamp), cancelledBy: requestedBy }] : []
+    });
+
+    logger.info(`🛑 Job ${job.id} cancelled by ${requestedBy}`);
+    return job;
+  }
+
+  // Jobs submitted or cancelled through any instance are followed by all of
+  // them, so a new leader keeps polling them; only the leader announces them
+  followJob(update) {
+    this.applyJobUpdate(update);
+    this.shareWithCluster(CLUSTER_CHANNELS.jobs, update);
+  }
+
+  applyJobUpdate({ event, job, items }) {
+    this.jobCache.set(job.id, job);
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      this.trackedJobs.delete(job.id);
+    } else if (event === 'new-jobs') {
+      this.trackedJobs.set(job.id, job.provider);
+      // Poll fast until the next tick sees whether the job started
+      this.activeJobs += 1;
+      this.speedUp();
+    }
+
+    if (items.length > 0 && monitorElection.isLeader) {
+      this.publishEvent(event, items)
+        .catch(error => logger.error(`Failed to publish ${event}:`, error.message));
+    }
+  }
+
+  // Emit a job event through the event log and hand its entries to the
+  // other instances, which keep a copy of the log. The owners of the jobs
+  // decide the rooms: team jobs only reach their team.
+  async publishEvent(event, items) {
+    const { topics, jobId } = JOB_EVENTS[event];
+    const owners = await this.getOwners(items.map(jobId));
+
+    const entries = eventLog.publish(this.io, event, items, item => topics(item, owners.get(jobId(item))));
+    this.shareWithCluster(CLUSTER_CHANNELS.events, { epoch: eventLog.epoch, entries });
+
+    if (event === 'job-status-change') {
+      this.notifyOwners(items, owners);
+    }
+  }
+
+  // Tell the users who submitted jobs through Quantumania about their jobs'
+  // status changes on their own channels
+  notifyOwners(statusChanges, owners) {
+    statusChanges.forEach(change => {
+      const owner = owners.get(change.jobId);
+      if (owner) {
+        emitToTopics(this.io, 'notification', { type: 'job-status-change', ...change }, [userTopic(owner.userId)]);
+      }
+    });
+  }
+
+  // The leader shares what it observes; the others mirror it, so REST
+  // responses, dashboard snapshots and replays match on every instance
+  async joinCluster(io) {
+    // Kept for good: any instance may publish events or become the leader
+    this.io = io;
+
+    const handlers = {
+      [CLUSTER_CHANNELS.state]: message => this.mirrorState(message),
+      [CLUSTER_CHANNELS.events]: message => eventLog.mirror(message),
+      [CLUSTER_CHANNELS.jobs]: message => this.applyJobUpdate(message),
+      [CLUSTER_CHANNELS.clients]: ({ from, clients }) => {
+        this.remoteClients.set(from, clients);
+        if (clients > 0) this.speedUp();
+      }
+    };
+
+    // Clients of every instance count for adaptive polling
+    const shareClients = () => this.shareWithCluster(CLUSTER_CHANNELS.clients, { clients: io.of('/').sockets.size });
+    io.on('connection', socket => {
+      shareClients();
+      socket.on('disconnect', shareClients);
+    });
+
+    await Promise.all(Object.entries(handlers).map(([channel, handler]) =>
+      clusterBackend.subscribe(channel, message => {
+        if (message.from !== instanceId) {
+          handler(message);
+        }
+      })));
+  }
+
+  shareWithCluster(channel, message) {
+    clusterBackend.publish(channel, { ...message, from: instanceId })
+      .catch(error => logger.warn(`Failed to share ${channel} with the cluster:`, error.message));
+  }
+
+  mirrorState({ dashboard, teamDashboards = {}, jobs, lastUpdate, lastDataSource }) {
+    if (this.isMonitoring) return;
+
+    dashboardState.restore(dashboard);
+    this.teamDashboards = new Map(Object.entries(teamDashboards));
+    this.jobCache = new Map(jobs.map(job => [job.id, job]));
+    this.lastUpdate = lastUpdate;
+    this.lastDataSource = lastDataSource;
+  }
+
   async getQueueUpdates(backends) {
     const queueUpdates = [];
     
@@ -142,11 +567,19 @@ class JobMonitor {
 
     for (const backend of activeBackends) {
       try {
-        const queueStatus = await ibmQuantumService.getQueueStatus(backend.name);
+        const queueStatus = await providerRegistry.getQueueStatus(backend.name, { provider: backend.provider });
+        const prediction = await predictionService.predict(backend.name, {
+          provider: backend.provider,
+          queueLength: queueStatus.length || 0
+        });
         queueUpdates.push({
           backend: backend.name,
+          provider: backend.provider,
           queueLength: queueStatus.length || 0,
-          estimatedWaitTime: queueStatus.estimated_wait_time,
+          // Providers rarely report a wait time; fall back to our own estimate
+          estimatedWaitTime: queueStatus.estimated_wait_time ?? prediction.estimatedWaitTime,
+          prediction,
+          ...describeSource(getSourceInfo(queueStatus)),
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -157,6 +590,132 @@ class JobMonitor {
     return queueUpdates;
   }
 
+  // Record every backend's queue into the time series. Backends without a
+  // queue status this tick fall back to the pending_jobs they report.
+  async recordQueueSamples(backends, queueUpdates, observedAt) {
+    try {
+      const samples = backends.map(backend => {
+        const update = queueUpdates.find(u => u.backend === backend.name && u.provider === backend.provider);
+        return {
+          backend: backend.name,
+          provider: backend.provider,
+          queueLength: update ? update.queueLength : backend.pending_jobs || 0,
+          pendingJobs: backend.pending_jobs || 0,
+          operational: Boolean(backend.status?.operational)
+        };
+      });
+      await this.queueHistoryStore.recordSamples(samples, observedAt);
+    } catch (error) {
+      logger.error('Error recording queue history:', error.message);
+    }
+  }
+
+  // Keep one calibration snapshot per device and day. A snapshot is replaced
+  // when the device has been recalibrated since it was taken.
+  async captureCalibrations() {
+    try {
+      const backends = await providerRegistry.getBackends();
+      const devices = backends.filter(backend => !backend.simulator);
+      const today = new Date().toISOString().slice(0, 10);
+      let captured = 0;
+
+      for (const backend of devices) {
+        try {
+          const properties = await providerRegistry.getBackendProperties(backend.name, { provider: backend.provider });
+          const latest = await this.calibrationStore.getLatestSnapshot(backend.name, backend.provider);
+
+          if (!latest || latest.day !== today || latest.lastCalibration !== properties.lastCalibration) {
+            await this.calibrationStore.saveSnapshot(properties);
+            captured++;
+          }
+        } catch (error) {
+          logger.warn(`Failed to capture calibration for ${backend.name}:`, error.message);
+        }
+      }
+
+      if (captured > 0) {
+        logger.info(`🎛️ Captured calibration snapshots for ${captured} backends`);
+      }
+    } catch (error) {
+      logger.error('Error capturing calibrations:', error.message);
+    }
+  }
+
+  // Adaptive polling: fast while jobs run, the base interval while clients
+  // are watching, slow when idle, and exponentially slower after rate limits
+  getPace() {
+    const { interval, minInterval, maxInterval, adaptive } = this.config;
+
+    if (!adaptive) return { reason: 'fixed', delay: interval };
+    if (this.backoffLevel > 0) {
+      return { reason: 'backoff', delay: Math.min(interval * 2 ** this.backoffLevel, maxInterval) };
+    }
+    if (this.activeJobs > 0) return { reason: 'active', delay: minInterval };
+    if (this.watchingClients() > 0) return { reason: 'watching', delay: interval };
+    return { reason: 'idle', delay: maxInterval };
+  }
+
+  scheduleTick(delay) {
+    clearTimeout(this.timers.tick);
+    this.nextTickAt = Date.now() + delay;
+    this.timers.tick = setTimeout(() => this.runScheduledTick(this.run), delay);
+  }
+
+  async runScheduledTick(run) {
+    this.timers.tick = null;
+    this.nextTickAt = null;
+
+    await this.monitorJobs();
+    if (this.captureOnNextTick) {
+      this.captureOnNextTick = false;
+      await this.captureCalibrations();
+    }
+
+    this.lastTickAt = Date.now();
+    if (this.isMonitoring && this.run === run) {
+      this.scheduleTick(this.getPace().delay);
+    }
+  }
+
+  // Bring the next tick forward when a client connects or a job is submitted
+  // during a slow phase
+  watchingClients() {
+    const remote = [...this.remoteClients.values()].reduce((sum, count) => sum + count, 0);
+    return (this.io?.engine.clientsCount || 0) + remote;
+  }
+
+  speedUp() {
+    if (!this.isMonitoring || !this.timers.tick) return;
+
+    const { delay } = this.getPace();
+    if (Date.now() + delay < this.nextTickAt) {
+      this.scheduleTick(delay);
+    }
+  }
+
+  scheduleDeepScan() {
+    clearInterval(this.timers.deepScan);
+    this.timers.deepScan = setInterval(() => this.deepScan(), this.config.deepScanInterval);
+  }
+
+  async deepScan() {
+    try {
+      logger.info('🔍 Running deep system scan...');
+      const stats = await providerRegistry.getSystemStats();
+      emitToTopics(this.io, 'system-stats-update', {
+        stats,
+        ...describeSource(getSourceInfo(stats)),
+        timestamp: new Date().toISOString(),
+        type: 'deep-scan'
+      }, ['dashboard']);
+    } catch (error) {
+      logger.error('Error during deep scan:', error.message);
+    }
+
+    await this.captureCalibrations();
+    await this.pruneHistory();
+  }
+
   startMonitoring(io) {
     if (this.isMonitoring) {
       logger.warn('Job monitoring is already running');
@@ -165,55 +724,105 @@ class JobMonitor {
 
     this.io = io;
     this.isMonitoring = true;
+    this.run += 1;
+    this.captureOnNextTick = true;
 
-    setTimeout(() => {
-      this.monitorJobs().catch(error => {
-        logger.error('Error in initial monitoring:', error);
-      });
-    }, 5000); // Increased delay
-
-    // Schedule monitoring every 60 seconds
-    this.monitoringInterval = cron.schedule('*/60 * * * * *', () => {
-      this.monitorJobs();
-    }, {
-      scheduled: true,
-      timezone: "UTC"
-    });
+    this.onConnection = () => this.speedUp();
+    io.on('connection', this.onConnection);
 
-    // Also run a deeper scan every 10 minutes instead of 5
-    cron.schedule('*/10 * * * *', async () => {
-      try {
-        logger.info('🔍 Running deep system scan...');
-        const stats = await ibmQuantumService.getSystemStats();
-        this.io?.emit('system-stats-update', {
-          stats,
-          timestamp: new Date().toISOString(),
-          type: 'deep-scan'
-        });
-      } catch (error) {
-        logger.error('Error during deep scan:', error.message);
+    this.scheduleTick(INITIAL_DELAY_MS);
+    this.scheduleDeepScan();
+
+    const { interval, minInterval, maxInterval, deepScanInterval, adaptive } = this.config;
+    logger.info(adaptive
+      ? `🚀 Job monitoring started - updating every ${minInterval / 1000}-${maxInterval / 1000} seconds (${interval / 1000}s while clients are watching)`
+      : `🚀 Job monitoring started - updating every ${interval / 1000} seconds`);
+    logger.info(`🔍 Deep system scans every ${deepScanInterval / 1000} seconds`);
+  }
+
+  // Change intervals at runtime; running timers pick them up right away
+  updateConfig(changes) {
+    const config = { ...this.config, ...changes };
+    validateConfig(config);
+
+    const deepScanChanged = config.deepScanInterval !== this.config.deepScanInterval;
+    this.config = config;
+
+    // The next tick moves to the new pace counted from the last one; the
+    // first tick after a start keeps its delay
+    if (this.isMonitoring) {
+      if (this.timers.tick && this.lastTickAt) {
+        this.scheduleTick(Math.max(0, this.lastTickAt + this.getPace().delay - Date.now()));
       }
-    }, {
-      scheduled: true,
-      timezone: "UTC"
-    });
+      if (deepScanChanged) {
+        this.scheduleDeepScan();
+      }
+    }
+
+    logger.info(`⚙️ Monitoring configuration updated: ${JSON.stringify(config)}`);
+    return this.getConfig();
+  }
 
-    logger.info('🚀 Job monitoring started - updating every 60 seconds');
-    logger.info('🔍 Deep system scans every 10 minutes');
+  getConfig() {
+    return { ...this.config };
+  }
+
+  // Drop job history older than JOB_HISTORY_RETENTION_DAYS, queue samples
+  // past their resolution's retention and calibration snapshots older than
+  // CALIBRATION_RETENTION_DAYS
+  async pruneHistory() {
+    try {
+      const removed = await this.historyStore.prune(Date.now() - this.retentionDays * DAY_MS);
+      if (removed > 0) {
+        logger.info(`🧹 Pruned ${removed} jobs from job history`);
+      }
+    } catch (error) {
+      logger.error('Error pruning job history:', error.message);
+    }
+
+    try {
+      const removed = await this.queueHistoryStore.prune(Date.now());
+      if (removed > 0) {
+        logger.info(`🧹 Pruned ${removed} rows from queue history`);
+      }
+    } catch (error) {
+      logger.error('Error pruning queue history:', error.message);
+    }
+
+    try {
+      const removed = await this.calibrationStore.prune(Date.now() - this.calibrationRetentionDays * DAY_MS);
+      if (removed > 0) {
+        logger.info(`🧹 Pruned ${removed} calibration snapshots`);
+      }
+    } catch (error) {
+      logger.error('Error pruning calibration snapshots:', error.message);
+    }
   }
 
   stopMonitoring() {
-    if (this.monitoringInterval) {
-      this.monitoringInterval.destroy();
-      this.monitoringInterval = null;
+    clearTimeout(this.timers.tick);
+    clearInterval(this.timers.deepScan);
+    this.timers = { tick: null, deepScan: null };
+    this.nextTickAt = null;
+    this.lastTickAt = null;
+    this.run += 1;
+
+    if (this.onConnection) {
+      this.io?.off('connection', this.onConnection);
+      this.onConnection = null;
     }
-    
+
+    // Only the timers stop; events still go out through the same server
     this.isMonitoring = false;
-    this.io = null;
     
     logger.info('⏹️ Job monitoring stopped');
   }
 
+  restartMonitoring(io = this.io) {
+    this.stopMonitoring();
+    this.startMonitoring(io);
+  }
+
   getJobCache() {
     return Array.from(this.jobCache.values());
   }
@@ -222,22 +831,43 @@ class JobMonitor {
     return this.lastUpdate;
   }
 
+  // Cached jobs are at best "cache" data, and never better than the data
+  // the last monitoring tick received
+  getCacheSource() {
+    const cacheSource = this.lastUpdate
+      ? { dataSource: DATA_SOURCES.CACHE, fetchedAt: new Date(this.lastUpdate).getTime() }
+      : null;
+    return combineSources(cacheSource, this.lastDataSource);
+  }
+
   getMonitoringStatus() {
+    const pace = this.getPace();
     return {
       isActive: this.isMonitoring,
       lastUpdate: this.lastUpdate,
+      nextUpdate: this.nextTickAt ? new Date(this.nextTickAt).toISOString() : null,
+      pace: pace.reason,
+      currentInterval: pace.delay,
+      config: this.getConfig(),
       cachedJobs: this.jobCache.size,
-      connectedClients: this.io ? this.io.engine.clientsCount : 0
+      connectedClients: this.io ? this.io.engine.clientsCount : 0,
+      dataSource: this.lastDataSource?.dataSource || null,
+      // Sockets of this instance, by who connected them
+      connections: socketConnections.getSummary(),
+      cluster: {
+        backend: clusterBackend.name,
+        ...monitorElection.getStatus()
+      }
     };
   }
 
   // Manual trigger for monitoring (useful for API endpoints)
   async triggerManualUpdate() {
     if (!this.isMonitoring) {
-      throw new Error('Monitoring is not active');
+      throw new Error('Monitoring is not active; start it with POST /api/quantum/monitoring/start');
     }
     
-    await this.monitorJobs();
+    await this.monitorJobs('manual');
     return {
       success: true,
       timestamp: new Date().toISOString(),
@@ -255,10 +885,19 @@ const jobMonitor = new JobMonitor();
 
 export const startJobMonitoring = (io) => jobMonitor.startMonitoring(io);
 export const stopJobMonitoring = () => jobMonitor.stopMonitoring();
+export const joinJobMonitorCluster = (io) => jobMonitor.joinCluster(io);
+export const restartJobMonitoring = (io) => jobMonitor.restartMonitoring(io);
+export const getMonitoringConfig = () => jobMonitor.getConfig();
+export const updateMonitoringConfig = (changes) => jobMonitor.updateConfig(changes);
 export const getJobCache = () => jobMonitor.getJobCache();
 export const getLastUpdate = () => jobMonitor.getLastUpdate();
+export const getJobCacheSource = () => jobMonitor.getCacheSource();
 export const getMonitoringStatus = () => jobMonitor.getMonitoringStatus();
+export const getTeamDashboard = (team) => jobMonitor.getTeamDashboard(team);
+export const getMonitoringDetails = (limit) => jobMonitor.getMonitoringDetails(limit);
 export const triggerManualUpdate = () => jobMonitor.triggerManualUpdate();
 export const clearJobCache = () => jobMonitor.clearCache();
+export const submitTrackedJob = (submit, details) => jobMonitor.submitJob(submit, details);
+export const registerJobCancellation = (job, details) => jobMonitor.registerCancellation(job, details);
 
 export default jobMonitor;
@@ -0,0 +1,251 @@
+import { Worker } from 'worker_threads';
+import QuantumProvider from './quantumProvider.js';
+import { logger } from '../utils/logger.js';
+import { ServiceUnavailableError } from '../middleware/errorHandler.js';
+import { hashString } from '../utils/random.js';
+import { normalizeResults } from '../utils/jobResults.js';
+import { SIMULATOR_GATES } from '../utils/statevectorSimulator.js';
+import { tagSource, DATA_SOURCES } from '../utils/dataSource.js';
+
+const BACKEND_NAME = 'quantumania_local_simulator';
+
+// 2^20 amplitudes take 16 MB; every extra qubit doubles memory and run time
+const MAX_QUBITS = 20;
+const MAX_SHOTS = 100000;
+
+// A job's worker is stopped, and the job failed, when its heap outgrows
+// MAX_MEMORY_MB or it runs for longer than TIMEOUT
+const MAX_MEMORY_MB = 512;
+const TIMEOUT = 5 * 60 * 1000;
+
+// Submissions are refused while MAX_QUEUED jobs are waiting
+const MAX_QUEUED = 100;
+
+// Finished jobs are kept in memory; the oldest are dropped
+const MAX_JOBS = 1000;
+
+const toISO = (time) => (time ? new Date(time).toISOString() : null);
+
+// Statevector simulator running submitted circuits in a worker thread, one
+// job at a time, so the whole pipeline works without a quantum cloud
+class LocalSimulatorService extends QuantumProvider {
+  constructor({
+    name = 'local',
+    maxQubits = MAX_QUBITS,
+    maxMemoryMb = MAX_MEMORY_MB,
+    timeout = TIMEOUT,
+    maxQueued = MAX_QUEUED
+  } = {}) {
+    super(name);
+    this.maxQubits = maxQubits;
+    this.maxMemoryMb = maxMemoryMb;
+    this.timeout = timeout;
+    this.maxQueued = maxQueued;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = null;
+    this.submitted = 0;
+  }
+
+  backend() {
+    return this.withProvider({
+      name: BACKEND_NAME,
+      status: { operational: true, status_msg: 'active' },
+      n_qubits: this.maxQubits,
+      simulator: true,
+      pending_jobs: this.queue.length + (this.running ? 1 : 0),
+      basis_gates: SIMULATOR_GATES,
+      max_shots: MAX_SHOTS
+    });
+  }
+
+  toJob(job) {
+    const queueIndex = this.queue.indexOf(job.id);
+
+    return this.withProvider({
+      id: job.id,
+      name: job.name,
+      status: job.status,
+      status_reason: job.statusReason,
+      backend: BACKEND_NAME,
+      shots: job.shots,
+      qubits: job.circuit.qubits,
+      creation_date: toISO(job.createdAt),
+      start_date: toISO(job.startedAt),
+      end_date: toISO(job.endedAt),
+      queue_position: queueIndex === -1 ? null : queueIndex + 1
+    });
+  }
+
+  findJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Failed to fetch job: Job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  async getBackends() {
+    return tagSource([this.backend()], DATA_SOURCES.LIVE);
+  }
+
+  async getJobs(limit = 50, offset = 0, status = null) {
+    const page = Array.from(this.jobs.values())
+      .reverse()
+      .filter(job => !status || job.status === status)
+      .slice(offset, offset + limit)
+      .map(job => this.toJob(job));
+
+    return tagSource(page, DATA_SOURCES.LIVE);
+  }
+
+  async getJobById(jobId) {
+    return tagSource(this.toJob(this.findJob(jobId)), DATA_SOURCES.LIVE);
+  }
+
+  async submitJob({ backend: backendName, circuit, shots, name = null }) {
+    if (backendName !== BACKEND_NAME) {
+      throw new Error(`Backend ${backendName} not found`);
+    }
+    if (circuit.qubits > this.maxQubits) {
+      throw new Error(`${BACKEND_NAME} simulates at most ${this.maxQubits} qubits`);
+    }
+    if (this.queue.length >= this.maxQueued) {
+      throw new ServiceUnavailableError(`${BACKEND_NAME} already has ${this.queue.length} queued jobs`);
+    }
+
+    const id = `local_${Date.now()}_${this.submitted++}`;
+    this.jobs.set(id, {
+      id,
+      name,
+      circuit,
+      shots,
+      status: 'QUEUED',
+      statusReason: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      endedAt: null,
+      results: null
+    });
+    this.queue.push(id);
+    this.prune();
+
+    logger.info(`Local simulator accepted job ${id}`);
+    this.runNext();
+    return this.getJobById(id);
+  }
+
+  async cancelJob(jobId, { requestedBy = 'user' } = {}) {
+    const job = this.findJob(jobId);
+    if (job.status !== 'QUEUED' && job.status !== 'RUNNING') {
+      throw new Error(`Job ${jobId} cannot be cancelled (status ${job.status})`);
+    }
+
+    if (job.status === 'RUNNING') {
+      clearTimeout(this.running.timer);
+      this.running.worker.terminate();
+      this.running = null;
+    } else {
+      this.queue = this.queue.filter(id => id !== jobId);
+    }
+
+    this.finish(job, 'CANCELLED', `Cancelled by ${requestedBy}`);
+    logger.info(`Local simulator cancelled job ${jobId}`);
+    this.runNext();
+    return this.getJobById(jobId);
+  }
+
+  runNext() {
+    if (this.running || this.queue.length === 0) return;
+
+    const job = this.jobs.get(this.queue.shift());
+    job.status = 'RUNNING';
+    job.startedAt = Date.now();
+
+    const worker = new Worker(new URL('./localSimulatorWorker.js', import.meta.url), {
+      workerData: { circuit: job.circuit, shots: job.shots, seed: hashString(job.id) },
+      resourceLimits: { maxOldGenerationSizeMb: this.maxMemoryMb }
+    });
+    const timer = setTimeout(() => {
+      settle('ERROR', `Simulation took longer than ${Math.round(this.timeout / 1000)}s`);
+      worker.terminate();
+    }, this.timeout);
+    this.running = { id: job.id, worker, timer };
+
+    // A job settles once, whichever of message, error, exit or the timeout
+    // comes first
+    const settle = (status, reason = null, results = null) => {
+      if (this.running?.id !== job.id) return;
+      clearTimeout(timer);
+      this.running = null;
+      job.results = results;
+      this.finish(job, status, reason);
+      this.runNext();
+    };
+
+    worker.on('message', ({ result, error }) => {
+      if (error) {
+        settle('ERROR', error);
+      } else {
+        settle('COMPLETED', null, result);
+      }
+    });
+    worker.on('error', error => settle('ERROR', error.message));
+    worker.on('exit', code => settle('ERROR', `Simulator exited with code ${code}`));
+  }
+
+  finish(job, status, reason) {
+    job.status = status;
+    job.statusReason = reason;
+    job.endedAt = Date.now();
+    if (status === 'ERROR') {
+      logger.warn(`Local simulator job ${job.id} failed: ${reason}`);
+    }
+  }
+
+  // Drop the oldest finished jobs beyond MAX_JOBS
+  prune() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= MAX_JOBS) break;
+      if (job.status !== 'QUEUED' && job.status !== 'RUNNING') {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  async getQueueStatus(backendName) {
+    if (backendName !== BACKEND_NAME) {
+      throw new Error(`Backend ${backendName} not found`);
+    }
+
+    return tagSource({
+      length: this.queue.length + (this.running ? 1 : 0),
+      status: 'online'
+    }, DATA_SOURCES.LIVE);
+  }
+
+  async getBackendProperties(backendName) {
+    throw new Error(`Backend ${backendName} is a simulator and has no calibration data`);
+  }
+
+  // Counts in the shape of a Qiskit Result, so they normalize like IBM's
+  async getJobResults(jobId) {
+    const job = this.findJob(jobId);
+    if (job.status !== 'COMPLETED') {
+      throw new Error(`Job ${jobId} has not completed (status ${job.status})`);
+    }
+
+    const { counts, shots, numBits, executionTime } = job.results;
+    return tagSource(normalizeResults({
+      results: [{
+        shots,
+        header: { name: job.name, memory_slots: numBits },
+        data: { counts }
+      }],
+      time_taken: executionTime
+    }, jobId), DATA_SOURCES.LIVE, job.endedAt);
+  }
+}
+
+export { LocalSimulatorService, BACKEND_NAME as LOCAL_SIMULATOR_BACKEND };
+export default LocalSimulatorService;
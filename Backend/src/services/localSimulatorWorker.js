@@ -0,0 +1,11 @@
+import { parentPort, workerData } from 'worker_threads';
+import { simulateCircuit } from '../utils/statevectorSimulator.js';
+
+// Runs one job of the local simulator off the main thread
+const { circuit, shots, seed } = workerData;
+
+try {
+  parentPort.postMessage({ result: simulateCircuit(circuit, { shots, seed }) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,717 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import QuantumProvider from './quantumProvider.js';
+import { logger } from '../utils/logger.js';
+import { hashString, seededRandom } from '../utils/random.js';
+import { DATA_SOURCES, tagSource } from '../utils/dataSource.js';
+import { normalizeProperties } from '../utils/backendProperties.js';
+import { normalizeResults } from '../utils/jobResults.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCENARIOS_DIR = path.join(__dirname, '../../scenarios');
+
+// Jobs arrive in fixed wall-clock slots, so the same seed always produces the
+// same jobs with the same IDs, across restarts
+const SLOT_MS = 30 * 1000;
+const LOOKBACK_MS = 6 * 60 * 60 * 1000;
+
+const DEFAULT_SEED = 42;
+const DEFAULT_SCENARIO = 'steady';
+const DEFAULT_ARRIVALS_PER_SLOT = 0.6;
+const DEFAULT_ERROR_RATE = 0.05;
+const DEFAULT_CANCEL_RATE = 0.03;
+
+const DEFAULT_FLEET = [
+  {
+    name: 'ibm_brisbane',
+    n_qubits: 127,
+    simulator: false,
+    basis_gates: ['cx', 'id', 'rz', 'sx', 'x'],
+    queueMinutes: 12,
+    weight: 3
+  },
+  {
+    name: 'ibm_kyoto',
+    n_qubits: 127,
+    simulator: false,
+    basis_gates: ['cx', 'id', 'rz', 'sx', 'x'],
+    queueMinutes: 18,
+    weight: 3
+  },
+  {
+    name: 'ibm_sherbrooke',
+    n_qubits: 127,
+    simulator: false,
+    basis_gates: ['cx', 'id', 'rz', 'sx', 'x'],
+    queueMinutes: 8,
+    weight: 2
+  },
+  {
+    name: 'ibmq_qasm_simulator',
+    n_qubits: 32,
+    simulator: true,
+    basis_gates: ['u1', 'u2', 'u3', 'cx', 'id'],
+    queueMinutes: 0.5,
+    weight: 2
+  }
+];
+
+const JOB_NAMES = [
+  'Bell State',
+  'GHZ State',
+  'Grover Search',
+  'QAOA MaxCut',
+  'VQE H2',
+  'Quantum Fourier Transform',
+  'Randomized Benchmarking',
+  'Quantum Volume'
+];
+
+const SHOT_COUNTS = [1024, 2048, 4000, 4096, 8192];
+
+// Jobs submitted through the API are kept in memory; the oldest are dropped
+const MAX_SUBMISSIONS = 1000;
+
+// Devices are recalibrated once a day, at a backend-specific hour
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEAVY_HEX_ROW = 15;
+
+const toISO = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+
+const normalizeSeed = (seed) => {
+  const numeric = Number(seed);
+  return Number.isInteger(numeric) && numeric >= 0 ? numeric : hashString(seed);
+};
+
+// Heavy-hex style lattice like IBM's Eagle devices: rows of qubits joined by
+// bridge qubits every fourth column, alternating offset between rows
+const heavyHexCouplingMap = (numQubits) => {
+  const edges = [];
+  let next = 0;
+  let previousRow = null;
+  let pendingBridges = [];
+
+  for (let rowIndex = 0; next < numQubits; rowIndex++) {
+    const row = [];
+    for (let column = 0; column < HEAVY_HEX_ROW && next < numQubits; column++) {
+      row.push(next++);
+      if (column > 0) edges.push([row[column - 1], row[column]]);
+    }
+
+    pendingBridges.forEach(({ bridge, column }) => {
+      if (row[column] !== undefined) edges.push([bridge, row[column]]);
+    });
+    pendingBridges = [];
+    previousRow = row;
+
+    const offset = rowIndex % 2 === 0 ? 0 : 2;
+    for (let column = offset; column < previousRow.length && next < numQubits; column += 4) {
+      const bridge = next++;
+      edges.push([previousRow[column], bridge]);
+      pendingBridges.push({ bridge, column });
+    }
+  }
+
+  return edges;
+};
+
+// Per-bit readout error applied to mock measurement results
+const MEASUREMENT_NOISE = 0.015;
+
+// Ideal outcomes of each mock workload as { bits, weight }, where `bits`
+// builds the bitstring from the circuit width and the job's own generator
+const IDEAL_OUTCOMES = {
+  'Bell State': [
+    { bits: (n) => '0'.repeat(n), weight: 1 },
+    { bits: (n) => '0'.repeat(n - 2) + '11', weight: 1 }
+  ],
+  'GHZ State': [
+    { bits: (n) => '0'.repeat(n), weight: 1 },
+    { bits: (n) => '1'.repeat(n), weight: 1 }
+  ],
+  'Randomized Benchmarking': [
+    { bits: (n) => '0'.repeat(n), weight: 1 }
+  ]
+};
+
+const randomBits = (n, random) => Array.from({ length: n }, () => (random.chance(0.5) ? '1' : '0')).join('');
+
+const idealOutcomes = (workload, numBits, random) => {
+  if (IDEAL_OUTCOMES[workload]) {
+    return IDEAL_OUTCOMES[workload].map(({ bits, weight }) => ({ bits: bits(numBits), weight }));
+  }
+
+  // Search-like workloads peak on one answer, variational ones spread over a
+  // few candidate solutions
+  const peaks = workload === 'Grover Search' || workload === 'Quantum Fourier Transform' ? 1 : random.int(2, 8);
+  return Array.from({ length: peaks }, () => ({ bits: randomBits(numBits, random), weight: random.float(0.2, 1) }));
+};
+
+// RuntimeEncoder form of a uint8 numpy array: base64 of a zlib-compressed .npy
+const encodeNdarray = (bytes, shape) => {
+  let header = `{'descr': '|u1', 'fortran_order': False, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+  header = header.padEnd(Math.ceil((header.length + 11) / 64) * 64 - 11) + '\n';
+
+  const preamble = Buffer.alloc(10);
+  preamble.write('\x93NUMPY', 0, 'latin1');
+  preamble[6] = 1;
+  preamble[7] = 0;
+  preamble.writeUInt16LE(header.length, 8);
+
+  return zlib.deflateSync(Buffer.concat([preamble, Buffer.from(header, 'latin1'), Buffer.from(bytes)])).toString('base64');
+};
+
+// Deterministic, scenario-driven simulation of a quantum fleet. Jobs move
+// through QUEUED -> RUNNING -> COMPLETED/ERROR/CANCELLED as wall-clock time
+// passes; the state at any instant is a pure function of seed, scenario and time.
+class MockQuantumService extends QuantumProvider {
+  constructor({ name = 'mock', seed, scenario = DEFAULT_SCENARIO, clock = () => Date.now() } = {}) {
+    super(name);
+    this.clock = clock;
+    this.submissions = [];
+    // Jobs cancelled through the API: job ID -> { at, by }
+    this.cancellations = new Map();
+    this.loadScenario(scenario, { seed });
+  }
+
+  static listScenarios() {
+    if (!fs.existsSync(SCENARIOS_DIR)) return [];
+
+    return fs.readdirSync(SCENARIOS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const scenario = JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, file), 'utf8'));
+        return {
+          name: scenario.name || path.basename(file, '.json'),
+          description: scenario.description || '',
+          events: (scenario.events || []).length
+        };
+      });
+  }
+
+  static readScenario(scenario) {
+    if (scenario && typeof scenario === 'object') {
+      return scenario;
+    }
+
+    if (!/^[a-zA-Z0-9_-]+$/.test(scenario || '')) {
+      throw new Error(`Invalid mock scenario name: ${scenario}`);
+    }
+
+    const file = path.join(SCENARIOS_DIR, `${scenario}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Unknown mock scenario "${scenario}"`);
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Scenario event times are relative to the moment the scenario is loaded,
+  // unless the scenario pins an absolute startTime
+  loadScenario(scenario, { seed } = {}) {
+    const definition = MockQuantumService.readScenario(scenario);
+    const startedAt = definition.startTime ? Date.parse(definition.startTime) : this.clock();
+
+    this.scenario = {
+      name: definition.name || 'custom',
+      description: definition.description || '',
+      arrivalRate: definition.arrivalRate ?? DEFAULT_ARRIVALS_PER_SLOT,
+      errorRate: definition.errorRate ?? DEFAULT_ERROR_RATE,
+      cancelRate: definition.cancelRate ?? DEFAULT_CANCEL_RATE
+    };
+    this.fleet = definition.backends || DEFAULT_FLEET;
+    this.seed = normalizeSeed(seed ?? definition.seed ?? DEFAULT_SEED);
+    this.startedAt = startedAt;
+    this.events = (definition.events || []).map(event => {
+      const start = startedAt + (event.at || 0) * 1000;
+      return {
+        ...event,
+        start,
+        end: event.duration === undefined ? Infinity : start + event.duration * 1000
+      };
+    });
+    this.snapshot = null;
+
+    logger.info(`Mock provider "${this.name}" loaded scenario "${this.scenario.name}" (seed ${this.seed})`);
+    return this.getScenario();
+  }
+
+  getScenario() {
+    return {
+      ...this.scenario,
+      seed: this.seed,
+      startedAt: toISO(this.startedAt),
+      events: this.events.map(({ start, end, ...event }) => ({
+        ...event,
+        startsAt: toISO(start),
+        endsAt: toISO(end)
+      }))
+    };
+  }
+
+  activeEvents(type, time, backendName = null) {
+    return this.events.filter(event =>
+      event.type === type &&
+      time >= event.start &&
+      time < event.end &&
+      (!event.backend || !backendName || event.backend === backendName)
+    );
+  }
+
+  eventFactor(type, field, time, backendName) {
+    return this.activeEvents(type, time, backendName)
+      .reduce((factor, event) => Math.max(factor, event[field] || 1), 1);
+  }
+
+  planSlot(slot) {
+    const random = seededRandom(this.seed, 'slot', slot);
+    const expected = this.scenario.arrivalRate * this.eventFactor('queue-surge', 'arrivalFactor', slot * SLOT_MS);
+    const count = Math.floor(expected) + (random.chance(expected % 1) ? 1 : 0);
+
+    return Array.from({ length: count }, (_, index) => this.planJob(slot, index));
+  }
+
+  planJob(slot, index) {
+    const random = seededRandom(this.seed, 'job', slot, index);
+    const backend = random.weighted(this.fleet, item => item.weight ?? 1);
+    const submittedAt = slot * SLOT_MS + Math.floor(random.next() * SLOT_MS);
+    const outcomeRoll = random.next();
+
+    return {
+      id: `mock_${this.name}_${this.seed}_${slot}_${index}`,
+      name: `${random.pick(JOB_NAMES)} #${(slot * 10 + index) % 100000}`,
+      backend: backend.name,
+      shots: random.pick(SHOT_COUNTS),
+      qubits: random.int(2, Math.min(backend.n_qubits, 27)),
+      submittedAt,
+      ...this.planDurations(backend, submittedAt, random),
+      cancelled: outcomeRoll < this.scenario.cancelRate,
+      failed: outcomeRoll >= this.scenario.cancelRate && outcomeRoll < this.scenario.cancelRate + this.scenario.errorRate,
+      failureRoll: random.next()
+    };
+  }
+
+  // How long a job waits in the queue and runs, stretched by queue surges
+  planDurations(backend, submittedAt, random) {
+    const waitFactor = this.eventFactor('queue-surge', 'waitFactor', submittedAt, backend.name);
+    return {
+      queueMs: (backend.queueMinutes ?? 5) * 60 * 1000 * random.float(0.5, 1.5) * waitFactor,
+      runMs: (backend.simulator ? random.float(5, 30) : random.float(30, 300)) * 1000
+    };
+  }
+
+  // A cancellation request ends the job unless it already finished
+  resolveTimeline(plan) {
+    const timeline = this.plannedTimeline(plan);
+    const cancellation = this.cancellations.get(plan.id);
+    if (!cancellation || cancellation.at >= timeline.endedAt) {
+      return timeline;
+    }
+
+    return {
+      startedAt: timeline.startedAt !== null && timeline.startedAt <= cancellation.at ? timeline.startedAt : null,
+      endedAt: cancellation.at,
+      outcome: 'CANCELLED',
+      reason: `Cancelled by ${cancellation.by}`
+    };
+  }
+
+  // When a planned job starts and ends, taking outages and failures into account
+  plannedTimeline(plan) {
+    if (plan.cancelled) {
+      return { startedAt: null, endedAt: plan.submittedAt + plan.queueMs / 2, outcome: 'CANCELLED', reason: 'Cancelled by user' };
+    }
+
+    const outages = this.events
+      .filter(event => event.type === 'backend-outage' && (!event.backend || event.backend === plan.backend))
+      .sort((a, b) => a.start - b.start);
+
+    // Jobs do not start while their backend is down
+    let startedAt = plan.submittedAt + plan.queueMs;
+    outages.forEach(outage => {
+      if (startedAt >= outage.start && startedAt < outage.end) {
+        startedAt = outage.end;
+      }
+    });
+
+    const endedAt = startedAt + plan.runMs;
+
+    // ...and running jobs are killed when it goes down
+    const interruption = outages.find(outage => outage.start > startedAt && outage.start < endedAt);
+    if (interruption) {
+      return { startedAt, endedAt: interruption.start, outcome: 'ERROR', reason: interruption.message || 'Backend outage' };
+    }
+
+    const massFailure = this.activeEvents('mass-failure', endedAt, plan.backend)
+      .find(event => plan.failureRoll < (event.errorRate ?? 0.5));
+    if (massFailure) {
+      return { startedAt, endedAt, outcome: 'ERROR', reason: massFailure.message || 'Job failed during execution' };
+    }
+
+    if (plan.failed) {
+      return { startedAt, endedAt, outcome: 'ERROR', reason: 'Job failed during execution' };
+    }
+
+    return { startedAt, endedAt, outcome: 'COMPLETED', reason: null };
+  }
+
+  jobAt(plan, now) {
+    if (plan.submittedAt > now) return null;
+
+    const timeline = this.resolveTimeline(plan);
+    let status = 'QUEUED';
+    if (now >= timeline.endedAt) {
+      status = timeline.outcome;
+    } else if (timeline.startedAt !== null && now >= timeline.startedAt) {
+      status = 'RUNNING';
+    }
+
+    const finished = status !== 'QUEUED' && status !== 'RUNNING';
+
+    return {
+      id: plan.id,
+      name: plan.name,
+      status,
+      status_reason: finished ? timeline.reason : null,
+      backend: plan.backend,
+      provider: this.name,
+      shots: plan.shots,
+      qubits: plan.qubits,
+      creation_date: toISO(plan.submittedAt),
+      start_date: status !== 'QUEUED' && timeline.startedAt !== null ? toISO(timeline.startedAt) : null,
+      end_date: finished ? toISO(timeline.endedAt) : null,
+      queue_position: null
+    };
+  }
+
+  // State of every recent job at the current clock time, memoized per second
+  simulate() {
+    const now = this.clock();
+    const key = Math.floor(now / 1000);
+    if (this.snapshot?.key === key) {
+      return this.snapshot;
+    }
+
+    const firstSlot = Math.floor((now - LOOKBACK_MS) / SLOT_MS);
+    const lastSlot = Math.floor(now / SLOT_MS);
+    const jobs = [];
+
+    const plans = [];
+    for (let slot = lastSlot; slot >= firstSlot; slot--) {
+      plans.push(...this.planSlot(slot));
+    }
+    plans.push(...this.submissions.filter(plan => plan.submittedAt >= now - LOOKBACK_MS));
+
+    plans.forEach(plan => {
+      const job = this.jobAt(plan, now);
+      if (job) jobs.push(job);
+    });
+
+    jobs.sort((a, b) => Date.parse(b.creation_date) - Date.parse(a.creation_date));
+
+    // Queue positions follow submission order per backend
+    const queues = new Map();
+    for (let i = jobs.length - 1; i >= 0; i--) {
+      const job = jobs[i];
+      if (job.status === 'QUEUED') {
+        const position = (queues.get(job.backend) || 0) + 1;
+        queues.set(job.backend, position);
+        job.queue_position = position;
+      }
+    }
+
+    this.snapshot = { key, now, jobs, queues };
+    return this.snapshot;
+  }
+
+  findBackend(backendName) {
+    return this.fleet.find(backend => backend.name === backendName);
+  }
+
+  async getBackends() {
+    const { now, queues } = this.simulate();
+
+    const backends = this.fleet.map(backend => {
+      const outage = this.activeEvents('backend-outage', now, backend.name)[0];
+      return this.withProvider({
+        name: backend.name,
+        status: {
+          operational: !outage,
+          status_msg: outage ? (outage.message || 'Backend outage') : 'active'
+        },
+        n_qubits: backend.n_qubits,
+        simulator: backend.simulator,
+        pending_jobs: queues.get(backend.name) || 0,
+        basis_gates: backend.basis_gates
+      });
+    });
+
+    return tagSource(backends, DATA_SOURCES.MOCK, now);
+  }
+
+  async getJobs(limit = 50, offset = 0, status = null) {
+    const { now, jobs } = this.simulate();
+
+    const page = jobs
+      .filter(job => !status || job.status === status)
+      .slice(offset, offset + limit)
+      .map(job => ({ ...job }));
+
+    return tagSource(page, DATA_SOURCES.MOCK, now);
+  }
+
+  async getJobById(jobId) {
+    const { now, jobs } = this.simulate();
+
+    const recent = jobs.find(job => job.id === jobId);
+    if (recent) {
+      return tagSource({ ...recent }, DATA_SOURCES.MOCK, now);
+    }
+
+    // Older jobs fall outside the simulated window but can still be replayed
+    const submitted = this.submissions.find(plan => plan.id === jobId);
+    if (submitted) {
+      return tagSource(this.jobAt(submitted, now), DATA_SOURCES.MOCK, now);
+    }
+
+    const match = new RegExp(`^mock_${this.name}_${this.seed}_(-?\\d+)_(\\d+)$`).exec(jobId);
+    if (match) {
+      const [slot, index] = [Number(match[1]), Number(match[2])];
+      const plan = index < this.planSlot(slot).length ? this.planJob(slot, index) : null;
+      const job = plan && this.jobAt(plan, now);
+      if (job) {
+        return tagSource(job, DATA_SOURCES.MOCK, now);
+      }
+    }
+
+    throw new Error(`Failed to fetch job: Job ${jobId} not found`);
+  }
+
+  // Submitted jobs join the back of their backend's queue and go through
+  // the same lifecycle as simulated ones
+  async submitJob({ backend: backendName, circuit, shots, name = null }) {
+    const backend = this.findBackend(backendName);
+    if (!backend) {
+      throw new Error(`Backend ${backendName} not found`);
+    }
+
+    const submittedAt = this.clock();
+    const id = `mock_${this.name}_${this.seed}_s${submittedAt}_${this.submissions.length}`;
+    const random = seededRandom(this.seed, 'submission', id);
+
+    this.submissions.push({
+      id,
+      name,
+      backend: backend.name,
+      shots,
+      qubits: circuit.qubits,
+      submittedAt,
+      ...this.planDurations(backend, submittedAt, random),
+      cancelled: false,
+      failed: random.chance(this.scenario.errorRate),
+      failureRoll: random.next()
+    });
+    if (this.submissions.length > MAX_SUBMISSIONS) {
+      this.submissions.shift();
+    }
+
+    logger.info(`Mock provider "${this.name}" accepted job ${id} for ${backend.name}`);
+    this.snapshot = null;
+    return this.getJobById(id);
+  }
+
+  async cancelJob(jobId, { requestedBy = 'user' } = {}) {
+    const job = await this.getJobById(jobId);
+    if (job.status !== 'QUEUED' && job.status !== 'RUNNING') {
+      throw new Error(`Job ${jobId} cannot be cancelled (status ${job.status})`);
+    }
+
+    this.cancellations.set(jobId, { at: this.clock(), by: requestedBy });
+    this.snapshot = null;
+    logger.info(`Mock provider "${this.name}" cancelled job ${jobId}`);
+    return this.getJobById(jobId);
+  }
+
+  async getQueueStatus(backendName) {
+    const backend = this.findBackend(backendName);
+    if (!backend) {
+      throw new Error(`Backend ${backendName} not found`);
+    }
+
+    const { now, queues } = this.simulate();
+    const outage = this.activeEvents('backend-outage', now, backendName)[0];
+
+    return tagSource({
+      length: queues.get(backendName) || 0,
+      status: outage ? 'offline' : 'online'
+    }, DATA_SOURCES.MOCK, now);
+  }
+
+  // Calibration drifts from day to day around a fixed per-qubit baseline, so
+  // some qubits are consistently better than others
+  buildProperties(backend, now) {
+    const calibrationHour = hashString(`${this.seed}:${backend.name}`) % 24;
+    let day = Math.floor(now / DAY_MS);
+    if (now < day * DAY_MS + calibrationHour * 60 * 60 * 1000) {
+      day -= 1;
+    }
+    const calibratedAt = day * DAY_MS + calibrationHour * 60 * 60 * 1000;
+    const date = toISO(calibratedAt);
+    const drift = (...parts) => seededRandom(this.seed, 'drift', backend.name, day, ...parts).float(0.8, 1.2);
+
+    const qubits = Array.from({ length: backend.n_qubits }, (_, qubit) => {
+      const baseline = seededRandom(this.seed, 'qubit', backend.name, qubit);
+      const t1 = baseline.float(80, 320) * drift(qubit, 't1');
+      const t2 = Math.min(2 * t1, baseline.float(40, 250) * drift(qubit, 't2'));
+      return [
+        { date, name: 'T1', unit: 'us', value: t1 },
+        { date, name: 'T2', unit: 'us', value: t2 },
+        { date, name: 'frequency', unit: 'GHz', value: baseline.float(4.6, 5.2) },
+        { date, name: 'readout_error', unit: '', value: Math.min(0.5, baseline.float(0.005, 0.04) * drift(qubit, 'readout')) },
+        { date, name: 'readout_length', unit: 'ns', value: 1244.444 }
+      ];
+    });
+
+    const gate = (name, gateQubits, error, length) => ({
+      gate: name,
+      qubits: gateQubits,
+      parameters: [
+        { date, name: 'gate_error', unit: '', value: error },
+        { date, name: 'gate_length', unit: 'ns', value: length }
+      ]
+    });
+
+    const gates = [];
+    qubits.forEach((_, qubit) => {
+      const baseline = seededRandom(this.seed, 'gate', backend.name, qubit);
+      const error = baseline.float(1.5e-4, 6e-4) * drift(qubit, 'sx');
+      gates.push(gate('id', [qubit], error, 60));
+      gates.push(gate('rz', [qubit], 0, 0));
+      gates.push(gate('sx', [qubit], error, 60));
+      gates.push(gate('x', [qubit], error, 60));
+    });
+    heavyHexCouplingMap(backend.n_qubits).forEach(([a, b]) => {
+      const baseline = seededRandom(this.seed, 'link', backend.name, a, b);
+      const error = Math.min(1, baseline.float(0.004, 0.02) * drift(a, b, 'cx'));
+      const length = baseline.float(400, 700);
+      gates.push(gate('cx', [a, b], error, length));
+      gates.push(gate('cx', [b, a], error, length));
+    });
+
+    return {
+      backend_name: backend.name,
+      backend_version: '1.0.0',
+      last_update_date: date,
+      qubits,
+      gates,
+      general: []
+    };
+  }
+
+  async getBackendProperties(backendName) {
+    const backend = this.findBackend(backendName);
+    if (!backend) {
+      throw new Error(`Backend ${backendName} not found`);
+    }
+    if (backend.simulator) {
+      throw new Error(`Backend ${backendName} is a simulator and has no calibration data`);
+    }
+
+    const now = this.clock();
+    return tagSource(normalizeProperties(this.buildProperties(backend, now), backendName), DATA_SOURCES.MOCK, now);
+  }
+
+  // Simulators connect every pair of qubits
+  async getCouplingMap(backendName) {
+    const backend = this.findBackend(backendName);
+    if (!backend) {
+      throw new Error(`Backend ${backendName} not found`);
+    }
+
+    return backend.simulator ? null : heavyHexCouplingMap(backend.n_qubits);
+  }
+
+  // Sampler V2 result with measurement outcomes drawn around the workload's
+  // ideal distribution, in the same encoding the Runtime API serves
+  buildResults(job) {
+    const random = seededRandom(this.seed, 'results', job.id);
+    const numBits = job.qubits;
+    const bytesPerShot = Math.ceil(numBits / 8);
+    const outcomes = idealOutcomes((job.name || '').split(' #')[0], numBits, random);
+
+    const bytes = new Uint8Array(job.shots * bytesPerShot);
+    for (let shot = 0; shot < job.shots; shot++) {
+      const ideal = random.weighted(outcomes, outcome => outcome.weight).bits;
+      const bits = Array.from(ideal, bit => (random.chance(MEASUREMENT_NOISE) ? (bit === '1' ? '0' : '1') : bit))
+        .join('')
+        .padStart(bytesPerShot * 8, '0');
+      for (let index = 0; index < bytesPerShot; index++) {
+        bytes[shot * bytesPerShot + index] = parseInt(bits.slice(index * 8, index * 8 + 8), 2);
+      }
+    }
+
+    const datetime = (value) => ({ __type__: 'datetime', __value__: value });
+
+    return {
+      __type__: 'PrimitiveResult',
+      __value__: {
+        pub_results: [{
+          __type__: 'SamplerPubResult',
+          __value__: {
+            data: {
+              __type__: 'DataBin',
+              __value__: {
+                field_names: ['meas'],
+                shape: [],
+                fields: {
+                  meas: {
+                    __type__: 'BitArray',
+                    __value__: {
+                      array: { __type__: 'ndarray', __value__: encodeNdarray(bytes, [job.shots, bytesPerShot]) },
+                      num_bits: numBits
+                    }
+                  }
+                }
+              }
+            },
+            metadata: { circuit_metadata: { name: job.name } }
+          }
+        }],
+        metadata: {
+          execution: {
+            execution_spans: {
+              __type__: 'ExecutionSpanCollection',
+              __value__: {
+                spans: [{
+                  __type__: 'SliceSpan',
+                  __value__: { start: datetime(job.start_date), stop: datetime(job.end_date) }
+                }]
+              }
+            }
+          },
+          version: 2
+        }
+      }
+    };
+  }
+
+  async getJobResults(jobId) {
+    const job = await this.getJobById(jobId);
+    if (job.status !== 'COMPLETED') {
+      throw new Error(`Job ${jobId} has not completed (status ${job.status})`);
+    }
+
+    return tagSource(normalizeResults(this.buildResults(job), jobId), DATA_SOURCES.MOCK, this.clock());
+  }
+
+  clearCache() {
+    this.snapshot = null;
+  }
+}
+
+export { MockQuantumService, DEFAULT_SCENARIO, heavyHexCouplingMap };
+export default MockQuantumService;
@@ -0,0 +1,135 @@
+import { jobHistoryStore, queueHistoryStore } from '../stores/index.js';
+import { median } from '../utils/stats.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Completed jobs considered when learning a backend's run and queue times
+const HISTORY_WINDOW_MS = 7 * 24 * HOUR_MS;
+const MAX_RUNS = 200;
+
+// Queue waits are only representative of the current load for a while
+const RECENT_WAIT_WINDOW_MS = 6 * HOUR_MS;
+
+// A queue sample older than this is not used as the current queue length
+const QUEUE_SAMPLE_MAX_AGE_MS = 15 * MINUTE_MS;
+
+const DEFAULT_SHOTS = 4096;
+
+const toSeconds = (ms) => (ms === null ? null : Math.round(ms / 1000));
+
+// Least-squares fit of run time against shots: runTime ≈ overhead + perShot * shots.
+// Falls back to the median run time when shots don't vary enough to fit a line.
+const fitRunTime = (runs) => {
+  const points = runs.filter(run => run.shots > 0);
+  const fallback = { overhead: median(runs.map(run => run.runTime)), perShot: 0 };
+
+  if (points.length < 5) {
+    return fallback;
+  }
+
+  const meanShots = points.reduce((sum, run) => sum + run.shots, 0) / points.length;
+  const meanTime = points.reduce((sum, run) => sum + run.runTime, 0) / points.length;
+  const covariance = points.reduce((sum, run) => sum + (run.shots - meanShots) * (run.runTime - meanTime), 0);
+  const variance = points.reduce((sum, run) => sum + (run.shots - meanShots) ** 2, 0);
+
+  if (variance === 0) {
+    return fallback;
+  }
+
+  const perShot = Math.max(0, covariance / variance);
+  const overhead = Math.max(0, meanTime - perShot * meanShots);
+  return { overhead, perShot };
+};
+
+const confidenceFor = (sampleSize) => {
+  if (sampleSize === 0) return 'none';
+  if (sampleSize < 5) return 'low';
+  if (sampleSize < 20) return 'medium';
+  return 'high';
+};
+
+// Estimates queue wait and completion times per backend from the job history
+// (observed QUEUED → RUNNING → COMPLETED durations) and the recorded queue
+// length time series.
+class PredictionService {
+  constructor({ jobHistory = jobHistoryStore, queueHistory = queueHistoryStore } = {}) {
+    this.jobHistory = jobHistory;
+    this.queueHistory = queueHistory;
+  }
+
+  // Latest recorded queue length, if the monitor sampled the backend recently
+  async getRecentQueueLength(backendName, provider, now) {
+    const points = await this.queueHistory.getSeries(backendName, {
+      provider,
+      from: now - QUEUE_SAMPLE_MAX_AGE_MS,
+      to: now + 1,
+      resolution: 'raw'
+    });
+    return points.length ? points[points.length - 1].queueLength : null;
+  }
+
+  // Prediction for a hypothetical new job of `shots` shots submitted now.
+  // Pass `queueLength` when the caller already has a live value.
+  async predict(backendName, { provider = null, shots = DEFAULT_SHOTS, queueLength = null } = {}) {
+    const now = Date.now();
+    const runs = await this.jobHistory.getCompletedRuns({
+      backend: backendName,
+      provider,
+      since: now - HISTORY_WINDOW_MS,
+      limit: MAX_RUNS
+    });
+
+    const currentQueueLength = queueLength ?? await this.getRecentQueueLength(backendName, provider, now);
+    const { overhead, perShot } = fitRunTime(runs);
+    const medianRunTime = median(runs.map(run => run.runTime));
+
+    // Wait implied by the jobs ahead of us, each taking a typical run time
+    const waitFromQueue = currentQueueLength !== null && medianRunTime !== null
+      ? currentQueueLength * medianRunTime
+      : null;
+
+    // Wait that recently started jobs actually experienced
+    const recentWaits = runs
+      .filter(run => run.queueTime !== null && run.completedAt >= now - RECENT_WAIT_WINDOW_MS)
+      .map(run => run.queueTime);
+    const observedWait = recentWaits.length >= 3 ? median(recentWaits) : null;
+
+    const waitEstimates = [waitFromQueue, observedWait].filter(value => value !== null);
+    const estimatedWait = waitEstimates.length
+      ? waitEstimates.reduce((sum, value) => sum + value, 0) / waitEstimates.length
+      : null;
+
+    const estimatedRun = overhead !== null ? overhead + perShot * shots : null;
+    const estimatedStart = estimatedWait !== null ? now + estimatedWait : null;
+    const estimatedCompletion = estimatedStart !== null && estimatedRun !== null
+      ? estimatedStart + estimatedRun
+      : null;
+
+    return {
+      backend: backendName,
+      provider,
+      shots,
+      queueLength: currentQueueLength,
+      estimatedWaitTime: toSeconds(estimatedWait),
+      estimatedRunTime: toSeconds(estimatedRun),
+      estimatedStartTime: estimatedStart !== null ? new Date(estimatedStart).toISOString() : null,
+      estimatedCompletionTime: estimatedCompletion !== null ? new Date(estimatedCompletion).toISOString() : null,
+      confidence: confidenceFor(runs.length),
+      basis: {
+        completedJobs: runs.length,
+        recentQueueWaits: recentWaits.length,
+        medianRunTime: toSeconds(medianRunTime),
+        medianQueueTime: toSeconds(median(recentWaits)),
+        runTimePerShotMs: Math.round(perShot * 1000) / 1000,
+        windowHours: HISTORY_WINDOW_MS / HOUR_MS
+      },
+      timestamp: new Date(now).toISOString()
+    };
+  }
+}
+
+const predictionService = new PredictionService();
+
+export { PredictionService, DEFAULT_SHOTS };
+export default predictionService;
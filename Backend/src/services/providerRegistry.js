@@ -0,0 +1,283 @@
+import dotenv from 'dotenv';
+import ibmQuantumService from './ibmQuantumService.js';
+import MockQuantumService from './mockQuantumService.js';
+import LocalSimulatorService from './localSimulatorService.js';
+import { logger } from '../utils/logger.js';
+import { tagSource, getSourceInfo, copySource, combineSources } from '../utils/dataSource.js';
+
+dotenv.config();
+
+// Providers that can be enabled through QUANTUM_PROVIDERS (comma separated)
+const providerFactories = {
+  ibm: () => ibmQuantumService,
+  mock: () => new MockQuantumService({
+    seed: process.env.MOCK_SEED,
+    scenario: process.env.MOCK_SCENARIO || undefined
+  }),
+  local: () => new LocalSimulatorService({
+    maxQubits: parseInt(process.env.LOCAL_SIMULATOR_MAX_QUBITS, 10) || undefined,
+    maxMemoryMb: parseInt(process.env.LOCAL_SIMULATOR_MAX_MEMORY_MB, 10) || undefined,
+    timeout: parseInt(process.env.LOCAL_SIMULATOR_TIMEOUT, 10) || undefined,
+    maxQueued: parseInt(process.env.LOCAL_SIMULATOR_MAX_QUEUED, 10) || undefined
+  })
+};
+
+const STAT_FIELDS = [
+  'totalBackends',
+  'onlineBackends',
+  'simulators',
+  'realDevices',
+  'totalJobs',
+  'runningJobs',
+  'queuedJobs',
+  'completedJobs',
+  'errorJobs'
+];
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      logger.warn(`Quantum provider "${provider.name}" is already registered, replacing it`);
+    }
+    this.providers.set(provider.name, provider);
+    logger.info(`Registered quantum provider: ${provider.name}`);
+    return provider;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  list() {
+    return Array.from(this.providers.keys());
+  }
+
+  // Resolve the providers a call should fan out to
+  resolve(providerName = null) {
+    if (!providerName) {
+      return Array.from(this.providers.values());
+    }
+
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown quantum provider: ${providerName}`);
+    }
+    return [provider];
+  }
+
+  // Run a call against several providers, keeping the results of those that
+  // succeed. Only when every provider fails is the error surfaced.
+  async collect(providers, label, call) {
+    const results = await Promise.allSettled(providers.map(provider => call(provider)));
+
+    const succeeded = results.flatMap((result, index) => {
+      if (result.status === 'fulfilled') {
+        return [{ provider: providers[index].name, value: result.value }];
+      }
+      logger.error(`Provider "${providers[index].name}" failed to ${label}:`, result.reason?.message);
+      return [];
+    });
+
+    if (succeeded.length === 0 && providers.length > 0) {
+      throw results[0].reason;
+    }
+
+    return succeeded;
+  }
+
+  // Tag merged results with the least trustworthy source among their parts
+  tagMerged(data, results) {
+    const source = combineSources(...results.map(result => getSourceInfo(result.value)));
+    return source ? tagSource(data, source.dataSource, source.fetchedAt) : data;
+  }
+
+  async getBackends({ provider = null } = {}) {
+    const providers = this.resolve(provider);
+    const results = await this.collect(providers, 'fetch backends', p => p.getBackends());
+    return this.tagMerged(results.flatMap(result => result.value || []), results);
+  }
+
+  async getJobs(limit = 50, offset = 0, status = null, { provider = null } = {}) {
+    const providers = this.resolve(provider);
+
+    if (providers.length === 1) {
+      return providers[0].getJobs(limit, offset, status);
+    }
+
+    // Each provider paginates on its own, so fetch enough from every one of them
+    // to cover the requested window and paginate the merged list
+    const results = await this.collect(providers, 'fetch jobs', p => p.getJobs(limit + offset, 0, status));
+    const jobs = results.flatMap(result => result.value || []);
+
+    jobs.sort((a, b) => new Date(b.creation_date || b.created_at || 0) - new Date(a.creation_date || a.created_at || 0));
+    return this.tagMerged(jobs.slice(offset, offset + limit), results);
+  }
+
+  async getJobById(jobId, { provider = null } = {}) {
+    const providers = this.resolve(provider);
+    let lastError = null;
+
+    for (const p of providers) {
+      try {
+        const job = await p.getJobById(jobId);
+        if (job) return job;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error(`Job ${jobId} not found`);
+  }
+
+  // The first provider that knows the job owns its results
+  async getJobResults(jobId, { provider = null } = {}) {
+    const providers = this.resolve(provider);
+    let lastError = null;
+
+    for (const p of providers) {
+      try {
+        const results = await p.getJobResults(jobId);
+        return copySource(results, { ...results, provider: p.name });
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error(`Job ${jobId} not found`);
+  }
+
+  // Find the provider that owns a backend, falling back to the first registered one
+  async findBackendProvider(backendName) {
+    const providers = this.resolve();
+
+    for (const provider of providers) {
+      try {
+        const backends = await provider.getBackends();
+        if (backends.some(backend => backend.name === backendName)) {
+          return provider;
+        }
+      } catch (error) {
+        logger.warn(`Provider "${provider.name}" failed to list backends:`, error.message);
+      }
+    }
+
+    return providers[0];
+  }
+
+  async getQueueStatus(backendName, { provider = null } = {}) {
+    const owner = provider ? this.resolve(provider)[0] : await this.findBackendProvider(backendName);
+    if (!owner) {
+      throw new Error('No quantum providers registered');
+    }
+
+    const queueStatus = await owner.getQueueStatus(backendName);
+    return copySource(queueStatus, { ...queueStatus, provider: owner.name });
+  }
+
+  async getBackendProperties(backendName, { provider = null } = {}) {
+    const owner = provider ? this.resolve(provider)[0] : await this.findBackendProvider(backendName);
+    if (!owner) {
+      throw new Error('No quantum providers registered');
+    }
+
+    const properties = await owner.getBackendProperties(backendName);
+    return copySource(properties, { ...properties, provider: owner.name });
+  }
+
+  async getCouplingMap(backendName, { provider = null } = {}) {
+    const owner = provider ? this.resolve(provider)[0] : await this.findBackendProvider(backendName);
+    if (!owner) {
+      throw new Error('No quantum providers registered');
+    }
+
+    return owner.getCouplingMap(backendName);
+  }
+
+  async submitJob(submission, { provider = null } = {}) {
+    const owner = provider ? this.resolve(provider)[0] : await this.findBackendProvider(submission.backend);
+    if (!owner) {
+      throw new Error('No quantum providers registered');
+    }
+
+    return owner.submitJob(submission);
+  }
+
+  // The first provider that knows the job cancels it
+  async cancelJob(jobId, { provider = null, requestedBy = null } = {}) {
+    const providers = this.resolve(provider);
+    let lastError = null;
+
+    for (const p of providers) {
+      try {
+        return await p.cancelJob(jobId, { requestedBy });
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error(`Job ${jobId} not found`);
+  }
+
+  async getSystemStats({ provider = null } = {}) {
+    const providers = this.resolve(provider);
+    const results = await this.collect(providers, 'fetch system stats', p => p.getSystemStats());
+
+    const stats = Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+    const byProvider = {};
+
+    results.forEach(({ provider: name, value }) => {
+      STAT_FIELDS.forEach(field => {
+        stats[field] += value?.[field] || 0;
+      });
+      byProvider[name] = value;
+    });
+
+    return this.tagMerged({
+      ...stats,
+      providers: byProvider,
+      lastUpdate: new Date().toISOString()
+    }, results);
+  }
+
+  // Mock simulations, either registered directly or backing a provider in mock mode
+  getMockSimulations() {
+    return Array.from(this.providers.values())
+      .map(provider => (provider instanceof MockQuantumService ? provider : provider.mock))
+      .filter(Boolean);
+  }
+
+  clearCache() {
+    this.providers.forEach(provider => provider.clearCache());
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+const enabledProviders = (process.env.QUANTUM_PROVIDERS || 'ibm,local')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+enabledProviders.forEach(name => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    logger.warn(`Unknown quantum provider "${name}" in QUANTUM_PROVIDERS, skipping`);
+    return;
+  }
+  providerRegistry.register(factory());
+});
+
+export { ProviderRegistry };
+export default providerRegistry;
@@ -0,0 +1,105 @@
+import { tagSource, getSourceInfo, combineSources } from '../utils/dataSource.js';
+
+// Base class for quantum cloud providers.
+// Every provider (IBM, mock, local simulators, ...) exposes the same read API
+// so the provider registry, controllers and job monitor never need to know
+// which cloud a backend or job comes from.
+class QuantumProvider {
+  constructor(name) {
+    if (!name) {
+      throw new Error('Quantum providers must have a name');
+    }
+    this.name = name;
+  }
+
+  async getBackends() {
+    throw new Error(`Provider "${this.name}" does not implement getBackends()`);
+  }
+
+  // getJobs(limit, offset, status)
+  async getJobs() {
+    throw new Error(`Provider "${this.name}" does not implement getJobs()`);
+  }
+
+  // getJobById(jobId)
+  async getJobById() {
+    throw new Error(`Provider "${this.name}" does not implement getJobById()`);
+  }
+
+  // Measurement results of a completed job in the shape of
+  // utils/jobResults.normalizeResults
+  // getJobResults(jobId)
+  async getJobResults() {
+    throw new Error(`Provider "${this.name}" does not implement getJobResults()`);
+  }
+
+  // Run a parsed circuit (utils/qasmParser.parseQasm) on one of the
+  // provider's backends; resolves to the created job
+  // submitJob({ backend, program, circuit, shots, name })
+  async submitJob() {
+    throw new Error(`Provider "${this.name}" does not implement submitJob()`);
+  }
+
+  // Ask the provider to stop a queued or running job; resolves to the job
+  // as it is after cancellation
+  // cancelJob(jobId, { requestedBy })
+  async cancelJob() {
+    throw new Error(`Provider "${this.name}" does not implement cancelJob()`);
+  }
+
+  // getQueueStatus(backendName)
+  async getQueueStatus() {
+    throw new Error(`Provider "${this.name}" does not implement getQueueStatus()`);
+  }
+
+  // Calibration data in the shape of utils/backendProperties.normalizeProperties
+  // getBackendProperties(backendName)
+  async getBackendProperties() {
+    throw new Error(`Provider "${this.name}" does not implement getBackendProperties()`);
+  }
+
+  // Qubit pairs a two-qubit gate can act on, as [control, target] pairs;
+  // null when every pair is connected (simulators) or the layout is unknown
+  // getCouplingMap(backendName)
+  async getCouplingMap() {
+    return null;
+  }
+
+  // Summary built from the provider's own backends and most recent jobs;
+  // providers with a dedicated stats endpoint can override it
+  async getSystemStats() {
+    const backends = await this.getBackends();
+    const jobs = await this.getJobs(100);
+
+    const stats = {
+      totalBackends: backends.length,
+      onlineBackends: backends.filter(b => b.status?.operational === true).length,
+      simulators: backends.filter(b => b.simulator === true).length,
+      realDevices: backends.filter(b => b.simulator === false).length,
+      totalJobs: jobs.length,
+      runningJobs: jobs.filter(j => j.status === 'RUNNING').length,
+      queuedJobs: jobs.filter(j => j.status === 'QUEUED').length,
+      completedJobs: jobs.filter(j => j.status === 'COMPLETED').length,
+      errorJobs: jobs.filter(j => j.status === 'ERROR').length,
+      lastUpdate: new Date().toISOString()
+    };
+
+    const source = combineSources(getSourceInfo(backends), getSourceInfo(jobs));
+    return source ? tagSource(stats, source.dataSource, source.fetchedAt) : stats;
+  }
+
+  clearCache() {
+    // Providers without a cache have nothing to clear
+  }
+
+  // Stamp backends and jobs with the provider they came from
+  withProvider(item) {
+    return item ? { ...item, provider: this.name } : item;
+  }
+
+  withProviderAll(items = []) {
+    return items.map(item => this.withProvider(item));
+  }
+}
+
+export default QuantumProvider;
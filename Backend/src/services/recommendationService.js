@@ -0,0 +1,156 @@
+import providerRegistry from './providerRegistry.js';
+import predictionService, { DEFAULT_SHOTS } from './predictionService.js';
+import { logger } from '../utils/logger.js';
+import { round } from '../utils/stats.js';
+import { getSourceInfo, combineSources } from '../utils/dataSource.js';
+
+export const PRIORITIES = ['wait', 'fidelity'];
+
+// How much each score counts for the requested priority
+const WEIGHTS = {
+  wait: { wait: 0.7, fidelity: 0.3 },
+  fidelity: { wait: 0.3, fidelity: 0.7 }
+};
+
+// A wait of this many seconds halves the wait score
+const WAIT_HALF_LIFE_SECONDS = 15 * 60;
+
+// Fidelity score used when a device has no calibration data
+const UNKNOWN_FIDELITY = 0.5;
+
+// Rough success probability of a circuit touching `qubits` qubits: one
+// two-qubit gate per neighbouring pair, plus measuring every qubit
+const expectedFidelity = (summary, qubits) => {
+  if (!summary || summary.medianReadoutError === null) return null;
+
+  const twoQubitError = summary.medianTwoQubitError ?? 0;
+  const readoutError = summary.medianReadoutError;
+  return (1 - twoQubitError) ** Math.max(0, qubits - 1) * (1 - readoutError) ** qubits;
+};
+
+// Ranks backends for a job's requirements using operational status, size,
+// basis gates, the current queue (through wait predictions) and calibration data
+class RecommendationService {
+  // Reasons a backend cannot run the job at all
+  checkRequirements(backend, { qubits, basisGates, allowSimulator }) {
+    const reasons = [];
+    const backendQubits = backend.n_qubits || backend.num_qubits || 0;
+
+    if (!backend.status?.operational) {
+      reasons.push('Backend is not operational');
+    }
+    if (backendQubits < qubits) {
+      reasons.push(`Needs ${qubits} qubits, backend has ${backendQubits}`);
+    }
+    if (backend.simulator && !allowSimulator) {
+      reasons.push('Simulators are not allowed');
+    }
+
+    const missingGates = basisGates.filter(gate => !(backend.basis_gates || []).includes(gate));
+    if (missingGates.length > 0) {
+      reasons.push(`Missing basis gates: ${missingGates.join(', ')}`);
+    }
+
+    return reasons;
+  }
+
+  async evaluate(backend, { qubits, shots, priority }) {
+    const [prediction, properties] = await Promise.all([
+      predictionService.predict(backend.name, {
+        provider: backend.provider,
+        shots,
+        queueLength: backend.pending_jobs || 0
+      }),
+      backend.simulator
+        ? Promise.resolve(null)
+        : providerRegistry.getBackendProperties(backend.name, { provider: backend.provider }).catch(error => {
+          logger.warn(`No calibration data for ${backend.name}:`, error.message);
+          return null;
+        })
+    ]);
+
+    const fidelity = backend.simulator ? 1 : expectedFidelity(properties?.summary, qubits);
+
+    // Without a prediction, fall back to assuming a few minutes per queued job
+    const waitSeconds = prediction.estimatedWaitTime ?? (backend.pending_jobs || 0) * 5 * 60;
+    const waitScore = WAIT_HALF_LIFE_SECONDS / (WAIT_HALF_LIFE_SECONDS + waitSeconds);
+    const fidelityScore = fidelity ?? UNKNOWN_FIDELITY;
+    const weights = WEIGHTS[priority];
+
+    const notes = [];
+    if (prediction.estimatedWaitTime === null) {
+      notes.push('No wait-time history yet; estimated from queue length');
+    }
+    if (!backend.simulator && fidelity === null) {
+      notes.push('No calibration data available');
+    }
+
+    const recommendation = {
+      backend: backend.name,
+      provider: backend.provider,
+      simulator: Boolean(backend.simulator),
+      n_qubits: backend.n_qubits || backend.num_qubits,
+      queueLength: backend.pending_jobs || 0,
+      estimatedWaitTime: waitSeconds,
+      estimatedCompletionTime: prediction.estimatedCompletionTime,
+      expectedFidelity: round(fidelity, 4),
+      calibration: properties
+        ? { lastCalibration: properties.lastCalibration, ...properties.summary }
+        : null,
+      scores: {
+        wait: round(waitScore, 3),
+        fidelity: round(fidelityScore, 3)
+      },
+      score: round(weights.wait * waitScore + weights.fidelity * fidelityScore, 3),
+      notes
+    };
+
+    return { recommendation, source: getSourceInfo(properties) };
+  }
+
+  async recommend({
+    qubits,
+    basisGates = [],
+    allowSimulator = true,
+    priority = 'wait',
+    shots = DEFAULT_SHOTS,
+    provider = null,
+    limit = 5
+  }) {
+    const backends = await providerRegistry.getBackends({ provider });
+    const requirements = { qubits, basisGates, allowSimulator, priority, shots };
+
+    const excluded = [];
+    const candidates = [];
+    backends.forEach(backend => {
+      const reasons = this.checkRequirements(backend, requirements);
+      if (reasons.length > 0) {
+        excluded.push({ backend: backend.name, provider: backend.provider, reasons });
+      } else {
+        candidates.push(backend);
+      }
+    });
+
+    const evaluated = await Promise.all(candidates.map(backend => this.evaluate(backend, requirements)));
+    const recommendations = evaluated
+      .map(({ recommendation }) => recommendation)
+      .sort((a, b) => b.score - a.score || a.estimatedWaitTime - b.estimatedWaitTime)
+      .slice(0, limit)
+      .map((recommendation, index) => ({ rank: index + 1, ...recommendation }));
+
+    const source = combineSources(getSourceInfo(backends), ...evaluated.map(({ source: calibrationSource }) => calibrationSource));
+
+    return {
+      requirements,
+      recommendations,
+      excluded,
+      considered: backends.length,
+      source
+    };
+  }
+}
+
+const recommendationService = new RecommendationService();
+
+export { RecommendationService };
+export default recommendationService;
@@ -0,0 +1,52 @@
+// Sockets connected to this instance, with who is behind them. The monitoring
+// status shows counts only; the per-connection list is for admins.
+class SocketConnections {
+  constructor() {
+    this.sockets = new Map();
+  }
+
+  add(socket) {
+    this.sockets.set(socket.id, socket);
+  }
+
+  remove(socket) {
+    this.sockets.delete(socket.id);
+  }
+
+  getSummary() {
+    const sockets = Array.from(this.sockets.values());
+    const users = sockets.map(socket => socket.data.user).filter(Boolean);
+
+    const byRole = {};
+    users.forEach(user => {
+      byRole[user.role] = (byRole[user.role] || 0) + 1;
+    });
+
+    return {
+      total: sockets.length,
+      authenticated: users.length,
+      anonymous: sockets.length - users.length,
+      users: new Set(users.map(user => user.id)).size,
+      byRole
+    };
+  }
+
+  // Topics exclude the room of the socket's own ID
+  getConnections() {
+    return Array.from(this.sockets.values()).map(socket => {
+      const user = socket.data.user;
+      return {
+        id: socket.id,
+        user: user ? { id: user.id, name: user.name, role: user.role, team: user.team } : null,
+        address: socket.handshake.address,
+        transport: socket.conn.transport.name,
+        connectedAt: socket.data.connectedAt,
+        topics: Array.from(socket.rooms).filter(room => room !== socket.id)
+      };
+    });
+  }
+}
+
+const socketConnections = new SocketConnections();
+
+export default socketConnections;
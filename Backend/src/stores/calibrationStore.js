@@ -0,0 +1,36 @@
+// Interface shared by calibration snapshot backends (SQLite, in-memory, ...).
+// One snapshot of a backend's normalized properties is kept per UTC day, so
+// calibration drift can be charted over time.
+class CalibrationStore {
+  // Store the properties as the snapshot for the day they were captured,
+  // replacing an earlier snapshot of the same day
+  // saveSnapshot(properties, capturedAt)
+  async saveSnapshot() {
+    throw new Error(`${this.constructor.name} does not implement saveSnapshot()`);
+  }
+
+  // getLatestSnapshot(backend, provider) -> snapshot or null
+  async getLatestSnapshot() {
+    throw new Error(`${this.constructor.name} does not implement getLatestSnapshot()`);
+  }
+
+  // getSnapshots(backend, { provider, from, to }) -> snapshots, oldest first,
+  // each { day, lastCalibration, capturedAt, summary, properties }
+  async getSnapshots() {
+    throw new Error(`${this.constructor.name} does not implement getSnapshots()`);
+  }
+
+  // prune(before) -> number of snapshots removed
+  async prune() {
+    throw new Error(`${this.constructor.name} does not implement prune()`);
+  }
+
+  async close() {}
+
+  dayOf(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+}
+
+export { CalibrationStore };
+export default CalibrationStore;
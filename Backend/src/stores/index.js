@@ -0,0 +1,56 @@
+import dotenv from 'dotenv';
+import SqliteJobHistoryStore from './sqliteJobHistoryStore.js';
+import MemoryJobHistoryStore from './memoryJobHistoryStore.js';
+import SqliteQueueHistoryStore from './sqliteQueueHistoryStore.js';
+import MemoryQueueHistoryStore from './memoryQueueHistoryStore.js';
+import SqliteCalibrationStore from './sqliteCalibrationStore.js';
+import MemoryCalibrationStore from './memoryCalibrationStore.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+// Store backends that can be selected through JOB_HISTORY_STORE,
+// QUEUE_HISTORY_STORE and CALIBRATION_STORE
+const jobHistoryStoreFactories = {
+  sqlite: () => new SqliteJobHistoryStore(),
+  memory: () => new MemoryJobHistoryStore()
+};
+
+const queueHistoryStoreFactories = {
+  sqlite: () => new SqliteQueueHistoryStore(),
+  memory: () => new MemoryQueueHistoryStore()
+};
+
+const calibrationStoreFactories = {
+  sqlite: () => new SqliteCalibrationStore(),
+  memory: () => new MemoryCalibrationStore()
+};
+
+const createStore = (label, factories, name) => {
+  const key = name.trim().toLowerCase();
+  const factory = factories[key];
+  if (!factory) {
+    throw new Error(`Unknown ${label} store "${name}". Available: ${Object.keys(factories).join(', ')}`);
+  }
+
+  const store = factory();
+  logger.info(`Using ${key} ${label} store`);
+  return store;
+};
+
+const createJobHistoryStore = (name = process.env.JOB_HISTORY_STORE || 'sqlite') =>
+  createStore('job history', jobHistoryStoreFactories, name);
+
+// Queue history and calibration snapshots follow the job history backend
+// unless configured separately
+const createQueueHistoryStore = (name = process.env.QUEUE_HISTORY_STORE || process.env.JOB_HISTORY_STORE || 'sqlite') =>
+  createStore('queue history', queueHistoryStoreFactories, name);
+
+const createCalibrationStore = (name = process.env.CALIBRATION_STORE || process.env.JOB_HISTORY_STORE || 'sqlite') =>
+  createStore('calibration', calibrationStoreFactories, name);
+
+export const jobHistoryStore = createJobHistoryStore();
+export const queueHistoryStore = createQueueHistoryStore();
+export const calibrationStore = createCalibrationStore();
+
+export { createJobHistoryStore, createQueueHistoryStore, createCalibrationStore };
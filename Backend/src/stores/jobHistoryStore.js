@@ -0,0 +1,199 @@
+const TERMINAL_STATUSES = ['COMPLETED', 'ERROR', 'CANCELLED'];
+
+const toMillis = (value) => {
+  const ms = value ? Date.parse(value) : NaN;
+  return Number.isNaN(ms) ? null : ms;
+};
+
+// Interface shared by job history backends (SQLite, in-memory, ...).
+// A store records what the job monitor observes: the latest version of every
+// job, a snapshot whenever its status or queue position changes, and every
+// status transition with the time it happened.
+class JobHistoryStore {
+  // Record one monitoring tick's worth of jobs. Returns the jobs seen for the
+  // first time and the status transitions detected, so change detection
+  // survives restarts.
+  // recordObservation(jobs, observedAt) -> { newJobs, statusChanges }
+  async recordObservation() {
+    throw new Error(`${this.constructor.name} does not implement recordObservation()`);
+  }
+
+  // getJob(jobId)
+  async getJob() {
+    throw new Error(`${this.constructor.name} does not implement getJob()`);
+  }
+
+  // getJobs({ status, backend, provider, since, until, limit, offset })
+  async getJobs() {
+    throw new Error(`${this.constructor.name} does not implement getJobs()`);
+  }
+
+  // countJobs({ status, backend, provider, since, until })
+  async countJobs() {
+    throw new Error(`${this.constructor.name} does not implement countJobs()`);
+  }
+
+  // Counts per status and per backend (jobs without one under `unknown`) and
+  // the total shots, without loading the jobs
+  // summarizeJobs({ status, backend, provider, since, until })
+  //   -> { total, byStatus, byBackend, totalShots }
+  async summarizeJobs() {
+    throw new Error(`${this.constructor.name} does not implement summarizeJobs()`);
+  }
+
+  // getTransitions(jobId)
+  async getTransitions() {
+    throw new Error(`${this.constructor.name} does not implement getTransitions()`);
+  }
+
+  // getSnapshots(jobId)
+  async getSnapshots() {
+    throw new Error(`${this.constructor.name} does not implement getSnapshots()`);
+  }
+
+  // Remember who asked for a job to be cancelled; the status change itself
+  // arrives through recordObservation
+  // recordCancellation(jobId, { requestedBy, requestedAt, reason })
+  async recordCancellation() {
+    throw new Error(`${this.constructor.name} does not implement recordCancellation()`);
+  }
+
+  // getCancellation(jobId) -> { requestedBy, requestedAt, reason } or null
+  async getCancellation() {
+    throw new Error(`${this.constructor.name} does not implement getCancellation()`);
+  }
+
+  // Keep the OpenQASM program of a job submitted through Quantumania, so its
+  // circuit can be shown later whichever provider ran it
+  // recordProgram(jobId, program)
+  async recordProgram() {
+    throw new Error(`${this.constructor.name} does not implement recordProgram()`);
+  }
+
+  // getProgram(jobId) -> OpenQASM source or null
+  async getProgram() {
+    throw new Error(`${this.constructor.name} does not implement getProgram()`);
+  }
+
+  // Remember who submitted a job through Quantumania and for which team, so
+  // its socket room can be limited to that team
+  // recordOwner(jobId, { userId, team })
+  async recordOwner() {
+    throw new Error(`${this.constructor.name} does not implement recordOwner()`);
+  }
+
+  // getOwner(jobId) -> { userId, team } or null
+  async getOwner() {
+    throw new Error(`${this.constructor.name} does not implement getOwner()`);
+  }
+
+  // Jobs on a backend that ran to completion, most recent first, with the
+  // time they spent queued and running (ms)
+  // getCompletedRuns({ backend, provider, since, limit }) -> [{ jobId, shots, queueTime, runTime, completedAt }]
+  async getCompletedRuns() {
+    throw new Error(`${this.constructor.name} does not implement getCompletedRuns()`);
+  }
+
+  // Drop jobs not seen since the given time, with their history. Owners are
+  // kept: a provider may list a job for longer, and it must stay its team's.
+  // prune(before) -> number of jobs removed
+  async prune() {
+    throw new Error(`${this.constructor.name} does not implement prune()`);
+  }
+
+  async close() {}
+
+  // Every status the job went through with how long it stayed there, plus
+  // its queue position at each observation while queued. The current
+  // phase of an unfinished job is measured up to `now`.
+  // getTimeline(jobId, now) -> { job, transitions, phases, queuePositions, cancellation } or null
+  async getTimeline(jobId, now = Date.now()) {
+    const job = await this.getJob(jobId);
+    if (!job) return null;
+
+    const [transitions, snapshots, cancellation] = await Promise.all([
+      this.getTransitions(jobId),
+      this.getSnapshots(jobId),
+      this.getCancellation(jobId)
+    ]);
+
+    const phases = transitions.map((transition, index) => {
+      const enteredAt = Date.parse(transition.occurredAt);
+      const next = transitions[index + 1];
+      const terminal = TERMINAL_STATUSES.includes(transition.toStatus);
+      const leftAt = next ? Date.parse(next.occurredAt) : null;
+
+      return {
+        status: transition.toStatus,
+        enteredAt: transition.occurredAt,
+        leftAt: next ? next.occurredAt : null,
+        durationMs: terminal && !next ? null : Math.max(0, (leftAt ?? now) - enteredAt),
+        ongoing: !next && !terminal
+      };
+    });
+
+    const queuePositions = snapshots
+      .filter(snapshot => snapshot.status === 'QUEUED' && snapshot.queuePosition !== null)
+      .map(snapshot => ({ observedAt: snapshot.observedAt, queuePosition: snapshot.queuePosition }));
+
+    return { job, transitions, phases, queuePositions, cancellation };
+  }
+
+  // When a status was reached: prefer the provider's own timestamps and fall
+  // back to the time the monitor noticed it
+  transitionTime(job, status, observedAt) {
+    if (status === 'QUEUED') {
+      return toMillis(job.creation_date || job.created_at) ?? observedAt;
+    }
+    if (status === 'RUNNING') {
+      return toMillis(job.start_date) ?? observedAt;
+    }
+    if (TERMINAL_STATUSES.includes(status)) {
+      return toMillis(job.end_date) ?? observedAt;
+    }
+    return observedAt;
+  }
+
+  // Transitions implied by a job moving from previousStatus to its current
+  // status. Phases the monitor missed (a job first seen already running, or
+  // RUNNING falling between two ticks) are filled in from the provider's
+  // creation and start times when it reports them.
+  transitionsFor(previousStatus, job, observedAt) {
+    const transitions = [];
+    let fromStatus = previousStatus || null;
+
+    if (!fromStatus && job.status !== 'QUEUED' && this.createdAt(job) !== null) {
+      transitions.push({ fromStatus, toStatus: 'QUEUED', occurredAt: this.createdAt(job) });
+      fromStatus = 'QUEUED';
+    }
+
+    if (
+      fromStatus !== 'RUNNING' &&
+      TERMINAL_STATUSES.includes(job.status) &&
+      job.start_date
+    ) {
+      transitions.push({ fromStatus, toStatus: 'RUNNING', occurredAt: this.transitionTime(job, 'RUNNING', observedAt) });
+      fromStatus = 'RUNNING';
+    }
+
+    transitions.push({ fromStatus, toStatus: job.status, occurredAt: this.transitionTime(job, job.status, observedAt) });
+    return transitions;
+  }
+
+  toRun({ jobId, shots, queuedAt, startedAt, completedAt }) {
+    return {
+      jobId,
+      shots: shots ?? null,
+      queueTime: queuedAt !== null && queuedAt !== undefined ? Math.max(0, startedAt - queuedAt) : null,
+      runTime: Math.max(0, completedAt - startedAt),
+      completedAt
+    };
+  }
+
+  createdAt(job) {
+    return toMillis(job.creation_date || job.created_at);
+  }
+}
+
+export { JobHistoryStore, TERMINAL_STATUSES };
+export default JobHistoryStore;
@@ -0,0 +1,67 @@
+import CalibrationStore from './calibrationStore.js';
+
+// Non-persistent calibration snapshots, one per backend and day
+class MemoryCalibrationStore extends CalibrationStore {
+  constructor() {
+    super();
+    this.snapshots = new Map();
+  }
+
+  async saveSnapshot(properties, capturedAt = Date.now()) {
+    const provider = properties.provider || '';
+    const day = this.dayOf(capturedAt);
+
+    this.snapshots.set(`${properties.backend}:${provider}:${day}`, {
+      backend: properties.backend,
+      provider,
+      day,
+      lastCalibration: properties.lastCalibration || null,
+      capturedAt,
+      summary: properties.summary || {},
+      properties
+    });
+  }
+
+  async getLatestSnapshot(backend, provider) {
+    const matches = Array.from(this.snapshots.values())
+      .filter(snapshot => snapshot.backend === backend && snapshot.provider === (provider || ''))
+      .sort((a, b) => b.day.localeCompare(a.day));
+    return matches.length ? this.toSnapshot(matches[0]) : null;
+  }
+
+  async getSnapshots(backend, { provider, from, to } = {}) {
+    return Array.from(this.snapshots.values())
+      .filter(snapshot =>
+        snapshot.backend === backend &&
+        (!provider || snapshot.provider === provider) &&
+        snapshot.capturedAt >= from &&
+        snapshot.capturedAt < to
+      )
+      .sort((a, b) => a.day.localeCompare(b.day) || a.provider.localeCompare(b.provider))
+      .map(snapshot => this.toSnapshot(snapshot));
+  }
+
+  async prune(before) {
+    let removed = 0;
+    this.snapshots.forEach((snapshot, key) => {
+      if (snapshot.capturedAt < before) {
+        this.snapshots.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  toSnapshot(snapshot) {
+    return {
+      day: snapshot.day,
+      provider: snapshot.provider || null,
+      lastCalibration: snapshot.lastCalibration,
+      capturedAt: new Date(snapshot.capturedAt).toISOString(),
+      summary: snapshot.summary,
+      properties: snapshot.properties
+    };
+  }
+}
+
+export default MemoryCalibrationStore;
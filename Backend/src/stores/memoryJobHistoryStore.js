@@ -0,0 +1,205 @@
+import JobHistoryStore from './jobHistoryStore.js';
+
+// Non-persistent store with the same behaviour as the SQLite one. Useful for
+// development and for deployments without a writable disk.
+class MemoryJobHistoryStore extends JobHistoryStore {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.snapshots = new Map();
+    this.transitions = new Map();
+    this.cancellations = new Map();
+    this.programs = new Map();
+    this.owners = new Map();
+  }
+
+  async recordObservation(jobs, observedAt = Date.now()) {
+    const newJobs = [];
+    const statusChanges = [];
+
+    jobs.forEach(job => {
+      const existing = this.jobs.get(job.id);
+      const queuePosition = job.queue_position ?? null;
+
+      this.jobs.set(job.id, {
+        job,
+        status: job.status,
+        queuePosition,
+        createdAt: this.createdAt(job),
+        firstSeen: existing ? existing.firstSeen : observedAt,
+        lastSeen: observedAt
+      });
+
+      if (!existing) {
+        newJobs.push(job);
+      }
+
+      const statusChanged = existing && existing.status !== job.status;
+      if (!existing || statusChanged) {
+        const transitions = this.transitions.get(job.id) || [];
+        this.transitionsFor(existing?.status, job, observedAt).forEach(transition => {
+          transitions.push({ ...transition, provider: job.provider || null, backend: job.backend || null });
+        });
+        this.transitions.set(job.id, transitions);
+      }
+      if (statusChanged) {
+        statusChanges.push({ job, fromStatus: existing.status, toStatus: job.status });
+      }
+
+      if (!existing || statusChanged || existing.queuePosition !== queuePosition) {
+        const snapshots = this.snapshots.get(job.id) || [];
+        snapshots.push({ status: job.status, queuePosition, observedAt });
+        this.snapshots.set(job.id, snapshots);
+      }
+    });
+
+    return { newJobs, statusChanges };
+  }
+
+  async getJob(jobId) {
+    const entry = this.jobs.get(jobId);
+    return entry ? this.toJob(entry) : null;
+  }
+
+  async getJobs({ limit = 50, offset = 0, ...filters } = {}) {
+    return this.filterEntries(filters)
+      .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0))
+      .slice(offset, offset + limit)
+      .map(entry => this.toJob(entry));
+  }
+
+  async countJobs(filters = {}) {
+    return this.filterEntries(filters).length;
+  }
+
+  async summarizeJobs(filters = {}) {
+    const summary = { total: 0, byStatus: {}, byBackend: {}, totalShots: 0 };
+    this.filterEntries(filters).forEach(entry => {
+      const backend = entry.job.backend || 'unknown';
+      summary.total++;
+      summary.byStatus[entry.status] = (summary.byStatus[entry.status] || 0) + 1;
+      summary.byBackend[backend] = (summary.byBackend[backend] || 0) + 1;
+      summary.totalShots += entry.job.shots || 0;
+    });
+    return summary;
+  }
+
+  async getTransitions(jobId) {
+    return (this.transitions.get(jobId) || [])
+      .slice()
+      .sort((a, b) => a.occurredAt - b.occurredAt)
+      .map(transition => ({
+        jobId,
+        provider: transition.provider,
+        backend: transition.backend,
+        fromStatus: transition.fromStatus,
+        toStatus: transition.toStatus,
+        occurredAt: new Date(transition.occurredAt).toISOString()
+      }));
+  }
+
+  async getSnapshots(jobId) {
+    return (this.snapshots.get(jobId) || []).map(snapshot => ({
+      jobId,
+      status: snapshot.status,
+      queuePosition: snapshot.queuePosition,
+      observedAt: new Date(snapshot.observedAt).toISOString()
+    }));
+  }
+
+  async recordCancellation(jobId, { requestedBy, requestedAt = Date.now(), reason = null }) {
+    this.cancellations.set(jobId, { requestedBy, requestedAt, reason });
+  }
+
+  async getCancellation(jobId) {
+    const cancellation = this.cancellations.get(jobId);
+    return cancellation
+      ? { ...cancellation, requestedAt: new Date(cancellation.requestedAt).toISOString() }
+      : null;
+  }
+
+  async recordProgram(jobId, program) {
+    this.programs.set(jobId, program);
+  }
+
+  async getProgram(jobId) {
+    return this.programs.get(jobId) ?? null;
+  }
+
+  async recordOwner(jobId, { userId, team = null }) {
+    this.owners.set(jobId, { userId, team });
+  }
+
+  async getOwner(jobId) {
+    const owner = this.owners.get(jobId);
+    return owner ? { ...owner } : null;
+  }
+
+  async getCompletedRuns({ backend, provider, since = 0, limit = 200 } = {}) {
+    const runs = [];
+    this.jobs.forEach((entry, jobId) => {
+      if (entry.job.backend !== backend || (provider && entry.job.provider !== provider)) {
+        return;
+      }
+
+      const transitions = this.transitions.get(jobId) || [];
+      const reached = (status) => transitions.find(transition => transition.toStatus === status)?.occurredAt;
+      const completedAt = reached('COMPLETED');
+      const startedAt = reached('RUNNING');
+
+      if (completedAt !== undefined && startedAt !== undefined && completedAt >= since) {
+        runs.push({
+          jobId,
+          shots: entry.job.shots,
+          queuedAt: reached('QUEUED') ?? entry.createdAt,
+          startedAt,
+          completedAt
+        });
+      }
+    });
+
+    return runs
+      .sort((a, b) => b.completedAt - a.completedAt)
+      .slice(0, limit)
+      .map(run => this.toRun(run));
+  }
+
+  async prune(before) {
+    let removed = 0;
+    this.jobs.forEach((entry, jobId) => {
+      if (entry.lastSeen < before) {
+        this.jobs.delete(jobId);
+        this.snapshots.delete(jobId);
+        this.transitions.delete(jobId);
+        this.cancellations.delete(jobId);
+        this.programs.delete(jobId);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  filterEntries({ status, backend, provider, since, until } = {}) {
+    const sinceMs = since ? new Date(since).getTime() : null;
+    const untilMs = until ? new Date(until).getTime() : null;
+
+    return Array.from(this.jobs.values()).filter(entry => {
+      if (status && entry.status !== status) return false;
+      if (backend && entry.job.backend !== backend) return false;
+      if (provider && entry.job.provider !== provider) return false;
+      if (sinceMs !== null && !(entry.createdAt >= sinceMs)) return false;
+      if (untilMs !== null && !(entry.createdAt < untilMs)) return false;
+      return true;
+    });
+  }
+
+  toJob(entry) {
+    return {
+      ...entry.job,
+      first_seen: new Date(entry.firstSeen).toISOString(),
+      last_seen: new Date(entry.lastSeen).toISOString()
+    };
+  }
+}
+
+export default MemoryJobHistoryStore;
@@ -0,0 +1,118 @@
+import QueueHistoryStore, { ROLLUP_RESOLUTIONS, RETENTION } from './queueHistoryStore.js';
+
+// Non-persistent queue time series, bucketed the same way as the SQLite store
+class MemoryQueueHistoryStore extends QueueHistoryStore {
+  constructor() {
+    super();
+    this.samples = [];
+    this.rollups = new Map(Object.keys(ROLLUP_RESOLUTIONS).map(resolution => [resolution, new Map()]));
+  }
+
+  async recordSamples(samples, observedAt = Date.now()) {
+    samples.forEach(sample => {
+      const point = {
+        backend: sample.backend,
+        provider: sample.provider || '',
+        timestamp: observedAt,
+        queueLength: sample.queueLength || 0,
+        pendingJobs: sample.pendingJobs || 0,
+        operational: sample.operational ? 1 : 0
+      };
+      this.samples.push(point);
+
+      this.rollups.forEach((buckets, resolution) => {
+        const bucketStart = this.bucketStart(observedAt, resolution);
+        const key = `${point.backend}:${point.provider}:${bucketStart}`;
+        const bucket = buckets.get(key) || {
+          backend: point.backend,
+          provider: point.provider,
+          timestamp: bucketStart,
+          samples: 0,
+          queueLengthSum: 0,
+          queueLengthMin: point.queueLength,
+          queueLengthMax: point.queueLength,
+          pendingJobsSum: 0,
+          pendingJobsMin: point.pendingJobs,
+          pendingJobsMax: point.pendingJobs,
+          operationalCount: 0
+        };
+
+        bucket.samples++;
+        bucket.queueLengthSum += point.queueLength;
+        bucket.queueLengthMin = Math.min(bucket.queueLengthMin, point.queueLength);
+        bucket.queueLengthMax = Math.max(bucket.queueLengthMax, point.queueLength);
+        bucket.pendingJobsSum += point.pendingJobs;
+        bucket.pendingJobsMin = Math.min(bucket.pendingJobsMin, point.pendingJobs);
+        bucket.pendingJobsMax = Math.max(bucket.pendingJobsMax, point.pendingJobs);
+        bucket.operationalCount += point.operational;
+        buckets.set(key, bucket);
+      });
+    });
+  }
+
+  async getSeries(backend, { provider, from, to, resolution } = {}) {
+    const isRaw = resolution === 'raw';
+    const start = isRaw ? from : this.bucketStart(from, resolution);
+    const entries = isRaw
+      ? this.samples.map(sample => ({
+        ...sample,
+        samples: 1,
+        queueLengthSum: sample.queueLength,
+        queueLengthMin: sample.queueLength,
+        queueLengthMax: sample.queueLength,
+        pendingJobsSum: sample.pendingJobs,
+        pendingJobsMin: sample.pendingJobs,
+        pendingJobsMax: sample.pendingJobs,
+        operationalCount: sample.operational
+      }))
+      : Array.from(this.rollups.get(resolution).values());
+
+    // Merge entries sharing a timestamp (same backend name on several providers)
+    const points = new Map();
+    entries
+      .filter(entry =>
+        entry.backend === backend &&
+        (!provider || entry.provider === provider) &&
+        entry.timestamp >= start &&
+        entry.timestamp < to
+      )
+      .forEach(entry => {
+        const point = points.get(entry.timestamp);
+        if (!point) {
+          points.set(entry.timestamp, { ...entry });
+          return;
+        }
+        point.samples += entry.samples;
+        point.queueLengthSum += entry.queueLengthSum;
+        point.queueLengthMin = Math.min(point.queueLengthMin, entry.queueLengthMin);
+        point.queueLengthMax = Math.max(point.queueLengthMax, entry.queueLengthMax);
+        point.pendingJobsSum += entry.pendingJobsSum;
+        point.pendingJobsMin = Math.min(point.pendingJobsMin, entry.pendingJobsMin);
+        point.pendingJobsMax = Math.max(point.pendingJobsMax, entry.pendingJobsMax);
+        point.operationalCount += entry.operationalCount;
+      });
+
+    return Array.from(points.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(point => this.toPoint(point));
+  }
+
+  async prune(now = Date.now()) {
+    const before = this.samples.length;
+    this.samples = this.samples.filter(sample => sample.timestamp >= now - RETENTION.raw);
+    let removed = before - this.samples.length;
+
+    this.rollups.forEach((buckets, resolution) => {
+      buckets.forEach((bucket, key) => {
+        if (bucket.timestamp < now - RETENTION[resolution]) {
+          buckets.delete(key);
+          removed++;
+        }
+      });
+    });
+
+    return removed;
+  }
+}
+
+export default MemoryQueueHistoryStore;
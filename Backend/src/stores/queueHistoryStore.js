@@ -0,0 +1,76 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rollup bucket sizes; raw samples are kept as recorded
+const ROLLUP_RESOLUTIONS = {
+  '5m': 5 * MINUTE_MS,
+  '1h': HOUR_MS
+};
+
+const RESOLUTIONS = ['raw', ...Object.keys(ROLLUP_RESOLUTIONS)];
+
+// How long each resolution is kept before the deep scan prunes it
+const RETENTION = {
+  raw: DAY_MS,
+  '5m': 7 * DAY_MS,
+  '1h': 90 * DAY_MS
+};
+
+// Interface shared by queue time-series backends (SQLite, in-memory, ...).
+// Every sample is stored raw and folded into 5-minute and hourly rollups
+// holding count, sum, min and max, so averages stay exact as samples arrive.
+class QueueHistoryStore {
+  // recordSamples([{ backend, provider, queueLength, pendingJobs, operational }], observedAt)
+  async recordSamples() {
+    throw new Error(`${this.constructor.name} does not implement recordSamples()`);
+  }
+
+  // getSeries(backend, { provider, from, to, resolution }) -> points, oldest first
+  async getSeries() {
+    throw new Error(`${this.constructor.name} does not implement getSeries()`);
+  }
+
+  // Drop samples and rollups older than their resolution's retention
+  // prune(now) -> number of rows removed
+  async prune() {
+    throw new Error(`${this.constructor.name} does not implement prune()`);
+  }
+
+  async close() {}
+
+  // Finest resolution whose retention still covers the requested range,
+  // keeping long ranges to a sensible number of points
+  resolveResolution(resolution, from, to) {
+    if (resolution && resolution !== 'auto') {
+      return resolution;
+    }
+
+    const range = to - from;
+    if (range <= 6 * HOUR_MS) return 'raw';
+    if (range <= 7 * DAY_MS) return '5m';
+    return '1h';
+  }
+
+  bucketStart(timestamp, resolution) {
+    const size = ROLLUP_RESOLUTIONS[resolution];
+    return Math.floor(timestamp / size) * size;
+  }
+
+  toPoint({ timestamp, samples, queueLengthSum, queueLengthMin, queueLengthMax, pendingJobsSum, pendingJobsMin, pendingJobsMax, operationalCount }) {
+    return {
+      timestamp: new Date(timestamp).toISOString(),
+      samples,
+      queueLength: Math.round((queueLengthSum / samples) * 10) / 10,
+      queueLengthMin,
+      queueLengthMax,
+      pendingJobs: Math.round((pendingJobsSum / samples) * 10) / 10,
+      pendingJobsMin,
+      pendingJobsMax,
+      uptime: Math.round((operationalCount / samples) * 1000) / 1000
+    };
+  }
+}
+
+export { QueueHistoryStore, ROLLUP_RESOLUTIONS, RESOLUTIONS, RETENTION };
+export default QueueHistoryStore;
@@ -0,0 +1,91 @@
+import CalibrationStore from './calibrationStore.js';
+import { openDatabase } from './sqliteDatabase.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS calibration_snapshots (
+    backend TEXT NOT NULL,
+    provider TEXT NOT NULL DEFAULT '',
+    day TEXT NOT NULL,
+    last_calibration INTEGER,
+    captured_at INTEGER NOT NULL,
+    summary TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (backend, provider, day)
+  );
+  CREATE INDEX IF NOT EXISTS idx_calibration_snapshots_time ON calibration_snapshots (captured_at);
+`;
+
+class SqliteCalibrationStore extends CalibrationStore {
+  constructor({ filename } = {}) {
+    super();
+    this.db = openDatabase(filename);
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO calibration_snapshots (backend, provider, day, last_calibration, captured_at, summary, data)
+        VALUES (@backend, @provider, @day, @last_calibration, @captured_at, @summary, @data)
+        ON CONFLICT (backend, provider, day) DO UPDATE SET
+          last_calibration = excluded.last_calibration,
+          captured_at = excluded.captured_at,
+          summary = excluded.summary,
+          data = excluded.data
+      `),
+      latest: this.db.prepare(`
+        SELECT * FROM calibration_snapshots
+        WHERE backend = ? AND provider = ?
+        ORDER BY day DESC LIMIT 1
+      `),
+      prune: this.db.prepare('DELETE FROM calibration_snapshots WHERE captured_at < ?')
+    };
+  }
+
+  async saveSnapshot(properties, capturedAt = Date.now()) {
+    this.statements.upsert.run({
+      backend: properties.backend,
+      provider: properties.provider || '',
+      day: this.dayOf(capturedAt),
+      last_calibration: properties.lastCalibration ? Date.parse(properties.lastCalibration) : null,
+      captured_at: capturedAt,
+      summary: JSON.stringify(properties.summary || {}),
+      data: JSON.stringify(properties)
+    });
+  }
+
+  async getLatestSnapshot(backend, provider) {
+    const row = this.statements.latest.get(backend, provider || '');
+    return row ? this.toSnapshot(row) : null;
+  }
+
+  async getSnapshots(backend, { provider, from, to } = {}) {
+    const conditions = ['backend = ?', 'captured_at >= ?', 'captured_at < ?'];
+    const params = [backend, from, to];
+
+    if (provider) {
+      conditions.push('provider = ?');
+      params.push(provider);
+    }
+
+    return this.db
+      .prepare(`SELECT * FROM calibration_snapshots WHERE ${conditions.join(' AND ')} ORDER BY day, provider`)
+      .all(...params)
+      .map(row => this.toSnapshot(row));
+  }
+
+  async prune(before) {
+    return this.statements.prune.run(before).changes;
+  }
+
+  toSnapshot(row) {
+    return {
+      day: row.day,
+      provider: row.provider || null,
+      lastCalibration: row.last_calibration !== null ? new Date(row.last_calibration).toISOString() : null,
+      capturedAt: new Date(row.captured_at).toISOString(),
+      summary: JSON.parse(row.summary),
+      properties: JSON.parse(row.data)
+    };
+  }
+}
+
+export default SqliteCalibrationStore;
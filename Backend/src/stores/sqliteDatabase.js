@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '../../data/quantumania.db');
+
+// Stores opened against the same file share a single connection
+const connections = new Map();
+
+export const openDatabase = (filename = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH) => {
+  const file = filename === ':memory:' ? filename : path.resolve(filename);
+
+  if (connections.has(file)) {
+    return connections.get(file);
+  }
+
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  connections.set(file, db);
+  logger.info(`Opened SQLite database: ${file}`);
+  return db;
+};
+
+export const closeDatabases = () => {
+  connections.forEach((db, file) => {
+    db.close();
+    logger.info(`Closed SQLite database: ${file}`);
+  });
+  connections.clear();
+};
@@ -0,0 +1,309 @@
+import JobHistoryStore from './jobHistoryStore.js';
+import { openDatabase } from './sqliteDatabase.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    provider TEXT,
+    backend TEXT,
+    status TEXT NOT NULL,
+    queue_position INTEGER,
+    created_at INTEGER,
+    first_seen INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs (created_at);
+  CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status);
+  CREATE INDEX IF NOT EXISTS idx_jobs_backend ON jobs (backend);
+
+  CREATE TABLE IF NOT EXISTS job_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    queue_position INTEGER,
+    observed_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_job_snapshots_job ON job_snapshots (job_id, observed_at);
+
+  CREATE TABLE IF NOT EXISTS job_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT NOT NULL,
+    provider TEXT,
+    backend TEXT,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    occurred_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_job_transitions_job ON job_transitions (job_id, occurred_at);
+  CREATE INDEX IF NOT EXISTS idx_job_transitions_time ON job_transitions (occurred_at);
+
+  CREATE TABLE IF NOT EXISTS job_cancellations (
+    job_id TEXT PRIMARY KEY,
+    requested_by TEXT NOT NULL,
+    requested_at INTEGER NOT NULL,
+    reason TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS job_programs (
+    job_id TEXT PRIMARY KEY,
+    program TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS job_owners (
+    job_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    team TEXT
+  );
+`;
+
+class SqliteJobHistoryStore extends JobHistoryStore {
+  constructor({ filename } = {}) {
+    super();
+    this.db = openDatabase(filename);
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      getJob: this.db.prepare('SELECT * FROM jobs WHERE id = ?'),
+      insertJob: this.db.prepare(`
+        INSERT INTO jobs (id, provider, backend, status, queue_position, created_at, first_seen, last_seen, data)
+        VALUES (@id, @provider, @backend, @status, @queue_position, @created_at, @observed_at, @observed_at, @data)
+      `),
+      updateJob: this.db.prepare(`
+        UPDATE jobs
+        SET provider = @provider, backend = @backend, status = @status, queue_position = @queue_position,
+            created_at = @created_at, last_seen = @observed_at, data = @data
+        WHERE id = @id
+      `),
+      insertSnapshot: this.db.prepare(`
+        INSERT INTO job_snapshots (job_id, status, queue_position, observed_at)
+        VALUES (?, ?, ?, ?)
+      `),
+      insertTransition: this.db.prepare(`
+        INSERT INTO job_transitions (job_id, provider, backend, from_status, to_status, occurred_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      getTransitions: this.db.prepare('SELECT * FROM job_transitions WHERE job_id = ? ORDER BY occurred_at, id'),
+      getSnapshots: this.db.prepare('SELECT * FROM job_snapshots WHERE job_id = ? ORDER BY observed_at, id'),
+      upsertCancellation: this.db.prepare(`
+        INSERT OR REPLACE INTO job_cancellations (job_id, requested_by, requested_at, reason)
+        VALUES (?, ?, ?, ?)
+      `),
+      getCancellation: this.db.prepare('SELECT * FROM job_cancellations WHERE job_id = ?'),
+      upsertProgram: this.db.prepare('INSERT OR REPLACE INTO job_programs (job_id, program) VALUES (?, ?)'),
+      getProgram: this.db.prepare('SELECT program FROM job_programs WHERE job_id = ?'),
+      upsertOwner: this.db.prepare('INSERT OR REPLACE INTO job_owners (job_id, user_id, team) VALUES (?, ?, ?)'),
+      getOwner: this.db.prepare('SELECT * FROM job_owners WHERE job_id = ?')
+    };
+
+    this.recordTransaction = this.db.transaction((jobs, observedAt) => this.applyObservation(jobs, observedAt));
+  }
+
+  applyObservation(jobs, observedAt) {
+    const newJobs = [];
+    const statusChanges = [];
+
+    jobs.forEach(job => {
+      const existing = this.statements.getJob.get(job.id);
+      const row = {
+        id: job.id,
+        provider: job.provider || null,
+        backend: job.backend || null,
+        status: job.status,
+        queue_position: job.queue_position ?? null,
+        created_at: this.createdAt(job),
+        observed_at: observedAt,
+        data: JSON.stringify(job)
+      };
+
+      if (!existing) {
+        this.statements.insertJob.run(row);
+        newJobs.push(job);
+      } else {
+        this.statements.updateJob.run(row);
+      }
+
+      const statusChanged = existing && existing.status !== job.status;
+      if (!existing || statusChanged) {
+        this.transitionsFor(existing?.status, job, observedAt).forEach(transition => {
+          this.statements.insertTransition.run(
+            job.id, row.provider, row.backend, transition.fromStatus, transition.toStatus, transition.occurredAt
+          );
+        });
+      }
+      if (statusChanged) {
+        statusChanges.push({ job, fromStatus: existing.status, toStatus: job.status });
+      }
+
+      if (!existing || statusChanged || existing.queue_position !== row.queue_position) {
+        this.statements.insertSnapshot.run(job.id, job.status, row.queue_position, observedAt);
+      }
+    });
+
+    return { newJobs, statusChanges };
+  }
+
+  async recordObservation(jobs, observedAt = Date.now()) {
+    return this.recordTransaction(jobs, observedAt);
+  }
+
+  async getJob(jobId) {
+    const row = this.statements.getJob.get(jobId);
+    return row ? this.toJob(row) : null;
+  }
+
+  async getJobs({ limit = 50, offset = 0, ...filters } = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const rows = this.db
+      .prepare(`SELECT * FROM jobs ${where} ORDER BY created_at DESC, id LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    return rows.map(row => this.toJob(row));
+  }
+
+  async countJobs(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM jobs ${where}`).get(...params).count;
+  }
+
+  async summarizeJobs(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const rows = this.db
+      .prepare(`
+        SELECT status, COALESCE(backend, 'unknown') AS backend, COUNT(*) AS count,
+          SUM(COALESCE(json_extract(data, '$.shots'), 0)) AS shots
+        FROM jobs ${where}
+        GROUP BY status, COALESCE(backend, 'unknown')
+      `)
+      .all(...params);
+
+    const summary = { total: 0, byStatus: {}, byBackend: {}, totalShots: 0 };
+    rows.forEach(row => {
+      summary.total += row.count;
+      summary.byStatus[row.status] = (summary.byStatus[row.status] || 0) + row.count;
+      summary.byBackend[row.backend] = (summary.byBackend[row.backend] || 0) + row.count;
+      summary.totalShots += row.shots || 0;
+    });
+    return summary;
+  }
+
+  async getTransitions(jobId) {
+    return this.statements.getTransitions.all(jobId).map(row => ({
+      jobId: row.job_id,
+      provider: row.provider,
+      backend: row.backend,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      occurredAt: new Date(row.occurred_at).toISOString()
+    }));
+  }
+
+  async getSnapshots(jobId) {
+    return this.statements.getSnapshots.all(jobId).map(row => ({
+      jobId: row.job_id,
+      status: row.status,
+      queuePosition: row.queue_position,
+      observedAt: new Date(row.observed_at).toISOString()
+    }));
+  }
+
+  async recordCancellation(jobId, { requestedBy, requestedAt = Date.now(), reason = null }) {
+    this.statements.upsertCancellation.run(jobId, requestedBy, requestedAt, reason);
+  }
+
+  async getCancellation(jobId) {
+    const row = this.statements.getCancellation.get(jobId);
+    return row
+      ? { requestedBy: row.requested_by, requestedAt: new Date(row.requested_at).toISOString(), reason: row.reason }
+      : null;
+  }
+
+  async recordProgram(jobId, program) {
+    this.statements.upsertProgram.run(jobId, program);
+  }
+
+  async getProgram(jobId) {
+    return this.statements.getProgram.get(jobId)?.program ?? null;
+  }
+
+  async recordOwner(jobId, { userId, team = null }) {
+    this.statements.upsertOwner.run(jobId, userId, team);
+  }
+
+  async getOwner(jobId) {
+    const row = this.statements.getOwner.get(jobId);
+    return row ? { userId: row.user_id, team: row.team } : null;
+  }
+
+  async getCompletedRuns({ backend, provider, since = 0, limit = 200 } = {}) {
+    const rows = this.db.prepare(`
+      SELECT
+        j.id AS jobId,
+        json_extract(j.data, '$.shots') AS shots,
+        COALESCE(q.occurred_at, j.created_at) AS queuedAt,
+        r.occurred_at AS startedAt,
+        c.occurred_at AS completedAt
+      FROM jobs j
+      JOIN job_transitions r ON r.job_id = j.id AND r.to_status = 'RUNNING'
+      JOIN job_transitions c ON c.job_id = j.id AND c.to_status = 'COMPLETED'
+      LEFT JOIN job_transitions q ON q.job_id = j.id AND q.to_status = 'QUEUED'
+      WHERE j.backend = ? AND (? IS NULL OR j.provider = ?) AND c.occurred_at >= ?
+      ORDER BY c.occurred_at DESC
+      LIMIT ?
+    `).all(backend, provider || null, provider || null, since, limit);
+
+    return rows.map(row => this.toRun(row));
+  }
+
+  async prune(before) {
+    const prune = this.db.transaction((cutoff) => {
+      const stale = 'SELECT id FROM jobs WHERE last_seen < ?';
+      this.db.prepare(`DELETE FROM job_snapshots WHERE job_id IN (${stale})`).run(cutoff);
+      this.db.prepare(`DELETE FROM job_transitions WHERE job_id IN (${stale})`).run(cutoff);
+      this.db.prepare(`DELETE FROM job_cancellations WHERE job_id IN (${stale})`).run(cutoff);
+      this.db.prepare(`DELETE FROM job_programs WHERE job_id IN (${stale})`).run(cutoff);
+      return this.db.prepare('DELETE FROM jobs WHERE last_seen < ?').run(cutoff).changes;
+    });
+    return prune(before);
+  }
+
+  buildFilters({ status, backend, provider, since, until } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (status) {
+      clauses.push('status = ?');
+      params.push(status);
+    }
+    if (backend) {
+      clauses.push('backend = ?');
+      params.push(backend);
+    }
+    if (provider) {
+      clauses.push('provider = ?');
+      params.push(provider);
+    }
+    if (since) {
+      clauses.push('created_at >= ?');
+      params.push(new Date(since).getTime());
+    }
+    if (until) {
+      clauses.push('created_at < ?');
+      params.push(new Date(until).getTime());
+    }
+
+    return {
+      where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  toJob(row) {
+    return {
+      ...JSON.parse(row.data),
+      first_seen: new Date(row.first_seen).toISOString(),
+      last_seen: new Date(row.last_seen).toISOString()
+    };
+  }
+}
+
+export default SqliteJobHistoryStore;
@@ -0,0 +1,167 @@
+import QueueHistoryStore, { ROLLUP_RESOLUTIONS, RETENTION } from './queueHistoryStore.js';
+import { openDatabase } from './sqliteDatabase.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS queue_samples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    backend TEXT NOT NULL,
+    provider TEXT NOT NULL DEFAULT '',
+    observed_at INTEGER NOT NULL,
+    queue_length INTEGER NOT NULL,
+    pending_jobs INTEGER NOT NULL,
+    operational INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_queue_samples_backend ON queue_samples (backend, observed_at);
+  CREATE INDEX IF NOT EXISTS idx_queue_samples_time ON queue_samples (observed_at);
+
+  CREATE TABLE IF NOT EXISTS queue_rollups (
+    backend TEXT NOT NULL,
+    provider TEXT NOT NULL DEFAULT '',
+    resolution TEXT NOT NULL,
+    bucket_start INTEGER NOT NULL,
+    samples INTEGER NOT NULL,
+    queue_length_sum INTEGER NOT NULL,
+    queue_length_min INTEGER NOT NULL,
+    queue_length_max INTEGER NOT NULL,
+    pending_jobs_sum INTEGER NOT NULL,
+    pending_jobs_min INTEGER NOT NULL,
+    pending_jobs_max INTEGER NOT NULL,
+    operational_count INTEGER NOT NULL,
+    PRIMARY KEY (backend, provider, resolution, bucket_start)
+  );
+  CREATE INDEX IF NOT EXISTS idx_queue_rollups_time ON queue_rollups (resolution, bucket_start);
+`;
+
+const POINT_COLUMNS = {
+  raw: `
+    observed_at AS timestamp,
+    COUNT(*) AS samples,
+    SUM(queue_length) AS queueLengthSum,
+    MIN(queue_length) AS queueLengthMin,
+    MAX(queue_length) AS queueLengthMax,
+    SUM(pending_jobs) AS pendingJobsSum,
+    MIN(pending_jobs) AS pendingJobsMin,
+    MAX(pending_jobs) AS pendingJobsMax,
+    SUM(operational) AS operationalCount
+  `,
+  rollup: `
+    bucket_start AS timestamp,
+    SUM(samples) AS samples,
+    SUM(queue_length_sum) AS queueLengthSum,
+    MIN(queue_length_min) AS queueLengthMin,
+    MAX(queue_length_max) AS queueLengthMax,
+    SUM(pending_jobs_sum) AS pendingJobsSum,
+    MIN(pending_jobs_min) AS pendingJobsMin,
+    MAX(pending_jobs_max) AS pendingJobsMax,
+    SUM(operational_count) AS operationalCount
+  `
+};
+
+class SqliteQueueHistoryStore extends QueueHistoryStore {
+  constructor({ filename } = {}) {
+    super();
+    this.db = openDatabase(filename);
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      insertSample: this.db.prepare(`
+        INSERT INTO queue_samples (backend, provider, observed_at, queue_length, pending_jobs, operational)
+        VALUES (@backend, @provider, @observed_at, @queue_length, @pending_jobs, @operational)
+      `),
+      upsertRollup: this.db.prepare(`
+        INSERT INTO queue_rollups (
+          backend, provider, resolution, bucket_start, samples,
+          queue_length_sum, queue_length_min, queue_length_max,
+          pending_jobs_sum, pending_jobs_min, pending_jobs_max, operational_count
+        )
+        VALUES (
+          @backend, @provider, @resolution, @bucket_start, 1,
+          @queue_length, @queue_length, @queue_length,
+          @pending_jobs, @pending_jobs, @pending_jobs, @operational
+        )
+        ON CONFLICT (backend, provider, resolution, bucket_start) DO UPDATE SET
+          samples = samples + 1,
+          queue_length_sum = queue_length_sum + excluded.queue_length_sum,
+          queue_length_min = MIN(queue_length_min, excluded.queue_length_min),
+          queue_length_max = MAX(queue_length_max, excluded.queue_length_max),
+          pending_jobs_sum = pending_jobs_sum + excluded.pending_jobs_sum,
+          pending_jobs_min = MIN(pending_jobs_min, excluded.pending_jobs_min),
+          pending_jobs_max = MAX(pending_jobs_max, excluded.pending_jobs_max),
+          operational_count = operational_count + excluded.operational_count
+      `),
+      pruneSamples: this.db.prepare('DELETE FROM queue_samples WHERE observed_at < ?'),
+      pruneRollups: this.db.prepare('DELETE FROM queue_rollups WHERE resolution = ? AND bucket_start < ?')
+    };
+
+    this.recordTransaction = this.db.transaction((samples, observedAt) => {
+      samples.forEach(sample => {
+        const row = {
+          backend: sample.backend,
+          provider: sample.provider || '',
+          observed_at: observedAt,
+          queue_length: sample.queueLength || 0,
+          pending_jobs: sample.pendingJobs || 0,
+          operational: sample.operational ? 1 : 0
+        };
+
+        this.statements.insertSample.run(row);
+        Object.keys(ROLLUP_RESOLUTIONS).forEach(resolution => {
+          this.statements.upsertRollup.run({
+            ...row,
+            resolution,
+            bucket_start: this.bucketStart(observedAt, resolution)
+          });
+        });
+      });
+    });
+  }
+
+  async recordSamples(samples, observedAt = Date.now()) {
+    this.recordTransaction(samples, observedAt);
+  }
+
+  async getSeries(backend, { provider, from, to, resolution } = {}) {
+    const conditions = ['backend = ?'];
+    const params = [backend];
+
+    if (provider) {
+      conditions.push('provider = ?');
+      params.push(provider);
+    }
+
+    let sql;
+    if (resolution === 'raw') {
+      conditions.push('observed_at >= ?', 'observed_at < ?');
+      sql = `
+        SELECT ${POINT_COLUMNS.raw} FROM queue_samples
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY observed_at ORDER BY observed_at
+      `;
+    } else {
+      conditions.push('resolution = ?', 'bucket_start >= ?', 'bucket_start < ?');
+      params.push(resolution);
+      sql = `
+        SELECT ${POINT_COLUMNS.rollup} FROM queue_rollups
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY bucket_start ORDER BY bucket_start
+      `;
+    }
+
+    // Rollup buckets are matched on their start, so include the bucket `from` falls in
+    const start = resolution === 'raw' ? from : this.bucketStart(from, resolution);
+    return this.db.prepare(sql).all(...params, start, to).map(row => this.toPoint(row));
+  }
+
+  async prune(now = Date.now()) {
+    const prune = this.db.transaction(() => {
+      let removed = this.statements.pruneSamples.run(now - RETENTION.raw).changes;
+      Object.keys(ROLLUP_RESOLUTIONS).forEach(resolution => {
+        removed += this.statements.pruneRollups.run(resolution, now - RETENTION[resolution]).changes;
+      });
+      return removed;
+    });
+    return prune();
+  }
+}
+
+export default SqliteQueueHistoryStore;
@@ -0,0 +1,75 @@
+import { median } from './stats.js';
+
+// Normalizes Qiskit BackendProperties payloads (as served by the Runtime
+// `/backends/{id}/properties` endpoint) into flat per-qubit and per-gate
+// records. Times are converted to microseconds (coherence) or nanoseconds
+// (gate and readout durations), frequencies to GHz.
+
+const TIME_IN_US = { s: 1e6, ms: 1e3, us: 1, 'µs': 1, ns: 1e-3 };
+const FREQUENCY_IN_GHZ = { Hz: 1e-9, kHz: 1e-6, MHz: 1e-3, GHz: 1 };
+
+// Virtual or bookkeeping gates whose reported error is not meaningful
+const VIRTUAL_GATES = ['rz', 'id', 'delay', 'reset', 'measure'];
+
+export const TWO_QUBIT_GATES = ['cx', 'cz', 'ecr'];
+
+const findParameter = (parameters = [], name) => parameters.find(parameter => parameter.name === name);
+
+const convert = (parameter, table, defaultUnit) => {
+  if (!parameter || !Number.isFinite(parameter.value)) return null;
+  const factor = table[parameter.unit || defaultUnit];
+  return factor === undefined ? parameter.value : parameter.value * factor;
+};
+
+const toMicroseconds = (parameter) => convert(parameter, TIME_IN_US, 'us');
+const toNanoseconds = (parameter) => {
+  const us = toMicroseconds(parameter);
+  return us === null ? null : us * 1000;
+};
+const toGHz = (parameter) => convert(parameter, FREQUENCY_IN_GHZ, 'GHz');
+const valueOf = (parameter) => (parameter && Number.isFinite(parameter.value) ? parameter.value : null);
+
+export const normalizeQubit = (parameters, index) => ({
+  qubit: index,
+  t1: toMicroseconds(findParameter(parameters, 'T1')),
+  t2: toMicroseconds(findParameter(parameters, 'T2')),
+  frequency: toGHz(findParameter(parameters, 'frequency')),
+  readoutError: valueOf(findParameter(parameters, 'readout_error')),
+  readoutLength: toNanoseconds(findParameter(parameters, 'readout_length'))
+});
+
+export const normalizeGate = (gate) => ({
+  gate: gate.gate,
+  qubits: gate.qubits || [],
+  error: valueOf(findParameter(gate.parameters, 'gate_error')),
+  duration: toNanoseconds(findParameter(gate.parameters, 'gate_length'))
+});
+
+// Medians across the device; robust against the odd broken qubit or link
+// that IBM reports with an error of 1
+export const summarizeProperties = ({ qubits = [], gates = [] }) => {
+  const singleQubitGates = gates.filter(gate => gate.qubits.length === 1 && !VIRTUAL_GATES.includes(gate.gate));
+  const twoQubitGates = gates.filter(gate => gate.qubits.length === 2);
+
+  return {
+    medianT1: median(qubits.map(qubit => qubit.t1)),
+    medianT2: median(qubits.map(qubit => qubit.t2)),
+    medianReadoutError: median(qubits.map(qubit => qubit.readoutError)),
+    medianSingleQubitError: median(singleQubitGates.map(gate => gate.error)),
+    medianTwoQubitError: median(twoQubitGates.map(gate => gate.error)),
+    twoQubitGate: twoQubitGates[0]?.gate || null
+  };
+};
+
+export const normalizeProperties = (raw = {}, backendName = raw.backend_name) => {
+  const qubits = (raw.qubits || []).map((parameters, index) => normalizeQubit(parameters, index));
+  const gates = (raw.gates || []).map(normalizeGate);
+
+  return {
+    backend: backendName,
+    lastCalibration: raw.last_update_date ? new Date(raw.last_update_date).toISOString() : null,
+    qubits,
+    gates,
+    summary: summarizeProperties({ qubits, gates })
+  };
+};
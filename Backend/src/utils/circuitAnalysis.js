@@ -0,0 +1,113 @@
+// Metrics of parsed circuits (see utils/qasmParser.js) and checks against the
+// backends they are meant to run on
+
+// Instructions every backend accepts besides its basis gates
+const DIRECTIVES = ['measure', 'barrier', 'reset', 'delay'];
+
+// Number of layers of the circuit, counting every operation on the qubits and
+// bits it touches (including the bits a condition reads). Barriers only order
+// operations and add no layer.
+const circuitDepth = (circuit) => {
+  const qubitLevels = new Array(circuit.qubits).fill(0);
+  const clbitLevels = new Array(circuit.clbits).fill(0);
+  let depth = 0;
+
+  circuit.operations.forEach(operation => {
+    const clbits = [...operation.clbits, ...(operation.condition?.clbits || [])];
+    const level = Math.max(
+      0,
+      ...operation.qubits.map(qubit => qubitLevels[qubit]),
+      ...clbits.map(clbit => clbitLevels[clbit])
+    ) + (operation.name === 'barrier' ? 0 : 1);
+
+    operation.qubits.forEach(qubit => { qubitLevels[qubit] = level; });
+    clbits.forEach(clbit => { clbitLevels[clbit] = level; });
+    depth = Math.max(depth, level);
+  });
+
+  return depth;
+};
+
+// Depth, width, size and gate counts of a circuit as written; custom gates
+// count as one operation each
+export const analyzeCircuit = (circuit) => {
+  const gates = circuit.operations.filter(operation => !DIRECTIVES.includes(operation.name));
+
+  return {
+    version: circuit.version,
+    depth: circuitDepth(circuit),
+    width: circuit.qubits,
+    qubits: circuit.qubits,
+    clbits: circuit.clbits,
+    size: circuit.operations.filter(operation => operation.name !== 'barrier').length,
+    gateCounts: circuit.gateCounts,
+    twoQubitGates: gates.filter(operation => operation.qubits.length === 2).length,
+    multiQubitGates: gates.filter(operation => operation.qubits.length > 2).length,
+    measurements: circuit.gateCounts.measure || 0,
+    customGates: Object.keys(circuit.definitions).sort()
+  };
+};
+
+// What a diagram needs to draw a circuit: its registers and operations
+export const circuitLayout = (circuit) => ({
+  qubits: circuit.qubits,
+  clbits: circuit.clbits,
+  physicalQubits: circuit.physicalQubits,
+  qregs: circuit.qregs,
+  cregs: circuit.cregs,
+  operations: circuit.operations
+});
+
+// Gates outside the basis, after expanding custom gates into the gates their
+// bodies use. A custom gate the backend supports by name is not expanded.
+export const unsupportedGates = (circuit, basisGates = []) => {
+  const allowed = new Set([...basisGates, ...DIRECTIVES]);
+  const unsupported = new Set();
+  const visited = new Set();
+
+  const visit = (name) => {
+    if (allowed.has(name) || visited.has(name)) return;
+    visited.add(name);
+
+    const body = circuit.definitions[name]?.body;
+    if (body) {
+      body.forEach(operation => visit(operation.name));
+    } else {
+      unsupported.add(name);
+    }
+  };
+
+  circuit.operations.forEach(operation => visit(operation.name));
+  return Array.from(unsupported).sort();
+};
+
+// Whether a circuit fits a backend's qubit count, basis gates and shot limit.
+// Backends that don't report basis gates accept any gate.
+export const checkBackendCompatibility = (circuit, backend, { shots = null } = {}) => {
+  const issues = [];
+  const availableQubits = backend.n_qubits ?? backend.num_qubits ?? null;
+  const basisGates = backend.basis_gates || [];
+
+  if (availableQubits !== null && circuit.qubits > availableQubits) {
+    issues.push(`Circuit uses ${circuit.qubits} qubits but ${backend.name} has ${availableQubits}`);
+  }
+
+  const gates = basisGates.length ? unsupportedGates(circuit, basisGates) : [];
+  if (gates.length > 0) {
+    const subject = gates.length === 1 ? `Gate ${gates[0]} is` : `Gates ${gates.join(', ')} are`;
+    issues.push(`${subject} not in the basis of ${backend.name} (${basisGates.join(', ')})`);
+  }
+
+  if (shots && backend.max_shots && shots > backend.max_shots) {
+    issues.push(`${backend.name} runs at most ${backend.max_shots} shots per circuit`);
+  }
+
+  return {
+    backend: backend.name,
+    compatible: issues.length === 0,
+    requiredQubits: circuit.qubits,
+    availableQubits,
+    unsupportedGates: gates,
+    issues
+  };
+};
@@ -0,0 +1,75 @@
+// Where a piece of data came from, from most to least trustworthy
+export const DATA_SOURCES = {
+  LIVE: 'live',
+  CACHE: 'cache',
+  STALE: 'stale',
+  MOCK: 'mock'
+};
+
+// How providers are allowed to obtain data
+export const DATA_SOURCE_MODES = {
+  LIVE: 'live',
+  MOCK: 'mock',
+  LIVE_WITH_STALE_CACHE: 'live-with-stale-cache'
+};
+
+const SOURCE_RANK = {
+  [DATA_SOURCES.LIVE]: 0,
+  [DATA_SOURCES.CACHE]: 1,
+  [DATA_SOURCES.STALE]: 2,
+  [DATA_SOURCES.MOCK]: 3
+};
+
+// Source information is kept out of band so provider results keep their
+// plain array/object shape
+const sourceInfo = new WeakMap();
+
+export const tagSource = (data, dataSource, fetchedAt = Date.now()) => {
+  if (data && typeof data === 'object') {
+    sourceInfo.set(data, { dataSource, fetchedAt });
+  }
+  return data;
+};
+
+export const getSourceInfo = (data) => {
+  return (data && typeof data === 'object' && sourceInfo.get(data)) || null;
+};
+
+export const copySource = (from, to) => {
+  const info = getSourceInfo(from);
+  return info ? tagSource(to, info.dataSource, info.fetchedAt) : to;
+};
+
+// Combine several sources into the least trustworthy one; the data is as old
+// as its oldest part
+export const combineSources = (...infos) => {
+  const known = infos.filter(Boolean);
+  if (known.length === 0) return null;
+
+  return known.reduce((combined, info) => ({
+    dataSource: SOURCE_RANK[info.dataSource] > SOURCE_RANK[combined.dataSource] ? info.dataSource : combined.dataSource,
+    fetchedAt: Math.min(combined.fetchedAt, info.fetchedAt)
+  }));
+};
+
+// Fields added to API responses and socket payloads
+export const describeSource = (info) => {
+  if (!info) {
+    return { dataSource: DATA_SOURCES.LIVE, dataAge: 0, fetchedAt: new Date().toISOString() };
+  }
+
+  return {
+    dataSource: info.dataSource,
+    dataAge: Math.max(0, Date.now() - info.fetchedAt),
+    fetchedAt: new Date(info.fetchedAt).toISOString()
+  };
+};
+
+export const resolveDataSourceMode = (mode, fallback) => {
+  const modes = Object.values(DATA_SOURCE_MODES);
+  if (!mode) return fallback;
+  if (!modes.includes(mode)) {
+    throw new Error(`Invalid DATA_SOURCE_MODE "${mode}". Use one of: ${modes.join(', ')}`);
+  }
+  return mode;
+};
@@ -0,0 +1,175 @@
+import zlib from 'zlib';
+
+// Normalizes job results served by the Runtime `/jobs/{id}/results` endpoint
+// into per-experiment measurement counts keyed by bitstring. Understands
+// Sampler V2 PrimitiveResults (RuntimeEncoder JSON with numpy-encoded
+// BitArrays), legacy Sampler quasi-distributions and backend.run() counts.
+
+const NPY_MAGIC = '\x93NUMPY';
+
+// Decode a RuntimeEncoder ndarray: base64 of a zlib-compressed .npy file
+export const decodeNdarray = (encoded) => {
+  const bytes = zlib.inflateSync(Buffer.from(encoded, 'base64'));
+  if (bytes.subarray(0, 6).toString('latin1') !== NPY_MAGIC) {
+    throw new Error('Unsupported ndarray encoding');
+  }
+
+  const major = bytes[6];
+  const headerLength = major === 1 ? bytes.readUInt16LE(8) : bytes.readUInt32LE(8);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = bytes.subarray(headerStart, headerStart + headerLength).toString('latin1');
+
+  const descr = /'descr':\s*'([^']+)'/.exec(header)?.[1];
+  const shape = (/'shape':\s*\(([^)]*)\)/.exec(header)?.[1] || '')
+    .split(',')
+    .map(dimension => dimension.trim())
+    .filter(Boolean)
+    .map(Number);
+
+  return { descr, shape, data: bytes.subarray(headerStart + headerLength) };
+};
+
+// Count the bitstrings of a BitArray. Shots are packed big-endian into the
+// last axis; any leading axes (parameter sweeps) are merged.
+export const countBitArray = ({ array, num_bits: numBits }) => {
+  const { descr, shape, data } = decodeNdarray(array.__value__);
+  if (descr !== '|u1') {
+    throw new Error(`Unsupported BitArray dtype ${descr}`);
+  }
+
+  const bytesPerShot = shape[shape.length - 1] || 0;
+  const shots = bytesPerShot ? data.length / bytesPerShot : 0;
+  const counts = {};
+
+  for (let shot = 0; shot < shots; shot++) {
+    let bits = '';
+    for (let index = 0; index < bytesPerShot; index++) {
+      bits += data[shot * bytesPerShot + index].toString(2).padStart(8, '0');
+    }
+    const bitstring = bits.slice(-numBits);
+    counts[bitstring] = (counts[bitstring] || 0) + 1;
+  }
+
+  return { numBits, shots, counts };
+};
+
+// Unwrap RuntimeEncoder `{ __type__, __value__ }` envelopes into plain values
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (!value || typeof value !== 'object') return value;
+
+  if (value.__type__ !== undefined) {
+    switch (value.__type__) {
+      case 'BitArray':
+        return { bitArray: countBitArray(value.__value__) };
+      case 'datetime':
+        return new Date(value.__value__).toISOString();
+      case 'ndarray':
+        return null;
+      default:
+        return decodeValue(value.__value__);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decodeValue(entry)]));
+};
+
+// Seconds the device spent executing, from Sampler V2 execution spans
+const executionSeconds = (metadata = {}) => {
+  const spans = metadata.execution?.execution_spans?.spans || [];
+  const total = spans.reduce((sum, span) => {
+    const start = Date.parse(span.start);
+    const stop = Date.parse(span.stop);
+    return Number.isNaN(start) || Number.isNaN(stop) ? sum : sum + (stop - start);
+  }, 0);
+  return spans.length ? total / 1000 : null;
+};
+
+const normalizeSamplerV2 = (raw) => {
+  const result = decodeValue(raw);
+
+  const experiments = (result.pub_results || []).map((pub, index) => {
+    // Classical registers are the BitArray fields of the pub's DataBin
+    const fields = pub.data?.fields || pub.data || {};
+    const [register, { bitArray }] = Object.entries(fields).find(([, field]) => field?.bitArray) || [null, {}];
+
+    return {
+      index,
+      register,
+      numBits: bitArray?.numBits ?? null,
+      shots: bitArray?.shots ?? 0,
+      counts: bitArray?.counts || {},
+      metadata: pub.metadata || {}
+    };
+  });
+
+  return {
+    format: 'sampler-v2',
+    experiments,
+    executionTime: executionSeconds(result.metadata),
+    metadata: result.metadata || {}
+  };
+};
+
+// Quasi-probabilities keyed by integer outcome, scaled back to counts
+const normalizeQuasiDists = (raw) => {
+  const experiments = raw.quasi_dists.map((distribution, index) => {
+    const metadata = raw.metadata?.[index] || {};
+    const shots = metadata.shots || 0;
+    const outcomes = Object.keys(distribution).map(Number);
+    const numBits = Math.max(1, ...outcomes.map(outcome => outcome.toString(2).length));
+
+    const counts = {};
+    Object.entries(distribution).forEach(([outcome, probability]) => {
+      const count = Math.round(Math.max(0, probability) * shots);
+      if (count > 0) counts[Number(outcome).toString(2).padStart(numBits, '0')] = count;
+    });
+
+    return { index, register: null, numBits, shots, counts, metadata };
+  });
+
+  return { format: 'sampler-v1', experiments, executionTime: null, metadata: {} };
+};
+
+// Qiskit Result of backend.run(): hex-keyed counts per experiment
+const normalizeCounts = (raw) => {
+  const experiments = raw.results.map((experiment, index) => {
+    const numBits = experiment.header?.memory_slots || null;
+    const counts = {};
+    Object.entries(experiment.data?.counts || {}).forEach(([outcome, count]) => {
+      const bitstring = outcome.startsWith('0x') ? parseInt(outcome, 16).toString(2) : outcome;
+      counts[numBits ? bitstring.padStart(numBits, '0') : bitstring] = count;
+    });
+
+    return {
+      index,
+      register: experiment.header?.name || null,
+      numBits,
+      shots: experiment.shots || Object.values(counts).reduce((sum, count) => sum + count, 0),
+      counts,
+      metadata: experiment.header || {}
+    };
+  });
+
+  return {
+    format: 'counts',
+    experiments,
+    executionTime: Number.isFinite(raw.time_taken) ? raw.time_taken : null,
+    metadata: {}
+  };
+};
+
+export const normalizeResults = (raw = {}, jobId = null) => {
+  let normalized;
+  if (raw.__type__ === 'PrimitiveResult' || raw.pub_results) {
+    normalized = normalizeSamplerV2(raw);
+  } else if (Array.isArray(raw.quasi_dists)) {
+    normalized = normalizeQuasiDists(raw);
+  } else if (Array.isArray(raw.results)) {
+    normalized = normalizeCounts(raw);
+  } else {
+    throw new Error(`Unrecognized result format for job ${jobId}`);
+  }
+
+  return { jobId, ...normalized };
+};
@@ -0,0 +1,39 @@
+// JSON Patch (RFC 6902) operations between two JSON values. Objects are
+// compared key by key and arrays of the same length item by item; anything
+// else that differs is replaced as a whole.
+
+const escapeToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const diff = (before, after, path = '') => {
+  if (before === after) return [];
+
+  if (isObject(before) && isObject(after)) {
+    const ops = [];
+    Object.keys(before).forEach(key => {
+      if (!(key in after) || after[key] === undefined) {
+        if (before[key] !== undefined) {
+          ops.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+        }
+      }
+    });
+    Object.keys(after).forEach(key => {
+      if (after[key] === undefined) return;
+      const childPath = `${path}/${escapeToken(key)}`;
+      if (!(key in before) || before[key] === undefined) {
+        ops.push({ op: 'add', path: childPath, value: after[key] });
+      } else {
+        ops.push(...diff(before[key], after[key], childPath));
+      }
+    });
+    return ops;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+    return before.flatMap((item, index) => diff(item, after[index], `${path}/${index}`));
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ op: 'replace', path, value: after }];
+};
@@ -0,0 +1,654 @@
+// Parser for the subset of OpenQASM 2 and 3 that describes plain circuits:
+// register declarations, gate definitions, gate calls, measurements, resets,
+// barriers and delays, optionally conditioned on classical bits. Programs are
+// turned into a flat list of operations on circuit-wide qubit and bit indices.
+
+// Gates of qelib1.inc (OpenQASM 2) and stdgates.inc (OpenQASM 3) as
+// [parameters, qubits]
+const STANDARD_GATES = {
+  U: [3, 1],
+  CX: [0, 2],
+  u: [3, 1],
+  u1: [1, 1],
+  u2: [2, 1],
+  u3: [3, 1],
+  p: [1, 1],
+  phase: [1, 1],
+  id: [0, 1],
+  x: [0, 1],
+  y: [0, 1],
+  z: [0, 1],
+  h: [0, 1],
+  s: [0, 1],
+  sdg: [0, 1],
+  t: [0, 1],
+  tdg: [0, 1],
+  sx: [0, 1],
+  sxdg: [0, 1],
+  rx: [1, 1],
+  ry: [1, 1],
+  rz: [1, 1],
+  cx: [0, 2],
+  cy: [0, 2],
+  cz: [0, 2],
+  ch: [0, 2],
+  csx: [0, 2],
+  swap: [0, 2],
+  ecr: [0, 2],
+  crx: [1, 2],
+  cry: [1, 2],
+  crz: [1, 2],
+  cp: [1, 2],
+  cphase: [1, 2],
+  cu1: [1, 2],
+  cu3: [3, 2],
+  cu: [4, 2],
+  rxx: [1, 2],
+  ryy: [1, 2],
+  rzz: [1, 2],
+  rzx: [1, 2],
+  ccx: [0, 3],
+  cswap: [0, 3]
+};
+
+const INCLUDES = ['qelib1.inc', 'stdgates.inc'];
+
+// OpenQASM 3 features beyond plain circuits
+const UNSUPPORTED_KEYWORDS = /^(for|while|def|defcal|cal|defcalgrammar|box|let|const|input|output|extern|return|break|continue|switch|else|int|uint|float|angle|bool|complex|duration|stretch|array|pragma|gphase)\b/;
+
+const IDENTIFIER = '[a-zA-Z_][a-zA-Z0-9_]*';
+
+// Largest circuits the parser accepts. Registers broadcast one statement into
+// an operation per element, so a short program could otherwise describe
+// millions of operations.
+const LIMITS = {
+  qubits: 1000,
+  clbits: 1000,
+  operations: 100000
+};
+
+class QasmSyntaxError extends Error {
+  constructor(message, line = null) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'QasmSyntaxError';
+    this.line = line;
+  }
+}
+
+// Blank out comments, keeping line breaks so line numbers stay correct
+const stripComments = (source) => source
+  .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+  .replace(/\/\/[^\n]*/g, '');
+
+// Statements end with a semicolon, or with the closing brace of a block
+const splitStatements = (source) => {
+  const text = stripComments(source);
+  const statements = [];
+  let start = 0;
+  let depth = 0;
+
+  // `end` is the index of the terminating character, which braces keep
+  const push = (end, keepTerminator = false) => {
+    const raw = text.slice(start, keepTerminator ? end + 1 : end);
+    const offset = raw.search(/\S/);
+    if (offset !== -1) {
+      const line = text.slice(0, start + offset).split('\n').length;
+      statements.push({ text: raw.trim().replace(/\s+/g, ' '), line });
+    }
+    start = end + 1;
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '"') {
+      index = text.indexOf('"', index + 1);
+      if (index === -1) {
+        throw new QasmSyntaxError('Unterminated string', text.slice(0, start).split('\n').length);
+      }
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth < 0) {
+        throw new QasmSyntaxError('Unexpected "}"', text.slice(0, index).split('\n').length);
+      }
+      if (depth === 0) push(index, true);
+    } else if (char === ';' && depth === 0) {
+      push(index);
+    }
+  }
+
+  const rest = text.slice(start);
+  if (rest.trim()) {
+    throw new QasmSyntaxError(
+      depth > 0 ? 'Missing "}"' : 'Missing ";" at the end of the program',
+      text.slice(0, start + rest.search(/\S/)).split('\n').length
+    );
+  }
+
+  return statements;
+};
+
+// Split on commas that are not nested in parentheses, e.g. gate parameters
+const splitList = (text) => {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+
+  return items;
+};
+
+class QasmParser {
+  constructor() {
+    this.version = null;
+    this.qregs = [];
+    this.cregs = [];
+    this.physical = false;
+    this.physicalQubits = 0;
+    this.definitions = {};
+    this.operations = [];
+    this.line = null;
+  }
+
+  error(message) {
+    return new QasmSyntaxError(message, this.line);
+  }
+
+  parse(source) {
+    const statements = splitStatements(source);
+
+    statements.forEach(({ text, line }, index) => {
+      this.line = line;
+      const header = /^OPENQASM\s+(\d+(?:\.\d+)?)$/.exec(text);
+      if (header) {
+        if (index !== 0) throw this.error('The OPENQASM version must be the first statement');
+        if (!['2', '3'].includes(header[1].split('.')[0])) {
+          throw this.error(`Unsupported OpenQASM version ${header[1]}`);
+        }
+        this.version = header[1].includes('.') ? header[1] : `${header[1]}.0`;
+        return;
+      }
+      this.parseStatement(text);
+    });
+
+    // The version header is optional in OpenQASM 3
+    const version = this.version || '3.0';
+    const qubits = this.physical ? this.physicalQubits : this.qregs.reduce((sum, reg) => sum + reg.size, 0);
+    const clbits = this.cregs.reduce((sum, reg) => sum + reg.size, 0);
+
+    const gateCounts = {};
+    this.operations.forEach(operation => {
+      gateCounts[operation.name] = (gateCounts[operation.name] || 0) + 1;
+    });
+
+    return {
+      version,
+      qubits,
+      clbits,
+      physicalQubits: this.physical,
+      qregs: this.qregs,
+      cregs: this.cregs,
+      definitions: this.definitions,
+      operations: this.operations,
+      gateCounts
+    };
+  }
+
+  parseStatement(text) {
+    let match;
+
+    if ((match = /^include\s+"([^"]+)"$/.exec(text))) {
+      if (!INCLUDES.includes(match[1])) {
+        throw this.error(`Cannot include "${match[1]}"; only ${INCLUDES.join(' and ')} are available`);
+      }
+      return;
+    }
+
+    if ((match = new RegExp(`^(qreg|creg)\\s+(${IDENTIFIER})\\s*\\[\\s*(\\d+)\\s*\\]$`).exec(text))) {
+      this.declare(match[1] === 'qreg' ? 'qubit' : 'bit', match[2], Number(match[3]));
+      return;
+    }
+
+    if ((match = new RegExp(`^(qubit|bit)\\s*(?:\\[\\s*(\\d+)\\s*\\])?\\s+(${IDENTIFIER})$`).exec(text))) {
+      this.declare(match[1], match[3], match[2] === undefined ? 1 : Number(match[2]));
+      return;
+    }
+
+    if (/^(gate|opaque)\s/.test(text)) {
+      this.define(text);
+      return;
+    }
+
+    if ((match = /^if\s*\(([^)]*)\)\s*(.+)$/.exec(text))) {
+      const condition = this.parseCondition(match[1]);
+      const first = this.operations.length;
+      if (match[2].startsWith('{') || /^(if|barrier|delay)\b/.test(match[2])) {
+        throw this.error('Only a single gate, measurement or reset can be conditioned');
+      }
+      this.parseStatement(match[2]);
+      this.operations.slice(first).forEach(operation => {
+        operation.condition = condition;
+      });
+      return;
+    }
+
+    if (/[{}]/.test(text) || UNSUPPORTED_KEYWORDS.test(text)) {
+      throw this.error(`Unsupported OpenQASM statement "${text.split(/[\s({]/)[0]}"`);
+    }
+
+    if ((match = /^measure\s+(.+?)\s*->\s*(.+)$/.exec(text))) {
+      this.measure(match[1], match[2]);
+      return;
+    }
+
+    if ((match = /^(.+?)\s*=\s*measure\s+(.+)$/.exec(text))) {
+      this.measure(match[2], match[1]);
+      return;
+    }
+
+    if ((match = /^measure\s+(.+)$/.exec(text))) {
+      this.measure(match[1], null);
+      return;
+    }
+
+    if ((match = /^barrier(?:\s+(.+))?$/.exec(text))) {
+      const qubits = match[1]
+        ? [...new Set(splitList(match[1]).flatMap(operand => this.resolve(operand, 'qubit').indices))]
+        : this.allQubits();
+      this.addOperation({ name: 'barrier', params: [], qubits, clbits: [] });
+      return;
+    }
+
+    if ((match = /^reset\s+(.+)$/.exec(text))) {
+      this.apply('reset', [], splitList(match[1]));
+      return;
+    }
+
+    if ((match = /^delay\s*\[([^\]]+)\]\s*(.+)$/.exec(text))) {
+      this.apply('delay', [match[1].trim()], splitList(match[2]));
+      return;
+    }
+
+    if (text.includes('@')) {
+      throw this.error('Gate modifiers (ctrl, negctrl, inv, pow) are not supported');
+    }
+
+    if ((match = new RegExp(`^(${IDENTIFIER})\\s*(?:\\(([^;]*)\\))?\\s*(.+)$`).exec(text))) {
+      const [, name, params = '', operands] = match;
+      this.checkGate(name, splitList(params), splitList(operands).length);
+      this.apply(name, splitList(params), splitList(operands));
+      return;
+    }
+
+    throw this.error(`Could not parse "${text}"`);
+  }
+
+  declare(kind, name, size) {
+    if ([...this.qregs, ...this.cregs].some(reg => reg.name === name)) {
+      throw this.error(`Register "${name}" is already declared`);
+    }
+    if (size < 1) {
+      throw this.error(`Register "${name}" must have at least one ${kind}`);
+    }
+    if (kind === 'qubit' && this.physical) {
+      throw this.error('Qubit declarations cannot be mixed with physical qubits');
+    }
+
+    const registers = kind === 'qubit' ? this.qregs : this.cregs;
+    const offset = registers.reduce((sum, reg) => sum + reg.size, 0);
+    const limit = kind === 'qubit' ? LIMITS.qubits : LIMITS.clbits;
+    if (offset + size > limit) {
+      throw this.error(`Register "${name}" brings the circuit to ${offset + size} ${kind}s; at most ${limit} are supported`);
+    }
+    registers.push({ name, size, offset });
+  }
+
+  // gate name(params) a, b { body }  /  opaque name(params) a, b
+  define(text) {
+    const match = new RegExp(`^(gate|opaque)\\s+(${IDENTIFIER})\\s*(?:\\(([^)]*)\\))?\\s*([^{]*?)\\s*(?:\\{(.*)\\})?$`).exec(text);
+    if (!match) {
+      throw this.error('Invalid gate definition');
+    }
+
+    const [, kind, name, params = '', args, body] = match;
+    const paramNames = splitList(params);
+    const qubitNames = splitList(args);
+
+    if (qubitNames.length === 0 || !qubitNames.every(arg => new RegExp(`^${IDENTIFIER}$`).test(arg))) {
+      throw this.error(`Gate "${name}" must act on named qubit arguments`);
+    }
+    if (kind === 'gate' && body === undefined) {
+      throw this.error(`Gate "${name}" has no body`);
+    }
+    if (this.definitions[name]) {
+      throw this.error(`Gate "${name}" is already defined`);
+    }
+
+    const operations = kind === 'opaque' ? null : body.split(';')
+      .map(statement => statement.trim())
+      .filter(Boolean)
+      .map(statement => {
+        const call = new RegExp(`^(${IDENTIFIER})\\s*(?:\\(([^;]*)\\))?\\s*(.+)$`).exec(statement);
+        if (!call) {
+          throw this.error(`Invalid statement "${statement}" in gate "${name}"`);
+        }
+
+        const [, gate, gateParams = '', operands] = call;
+        const qubits = splitList(operands).map(operand => {
+          const index = qubitNames.indexOf(operand);
+          if (index === -1) {
+            throw this.error(`Gate "${name}" uses unknown qubit "${operand}"`);
+          }
+          return index;
+        });
+
+        if (gate !== 'barrier') {
+          this.checkGate(gate, splitList(gateParams), qubits.length);
+        }
+        return { name: gate, params: splitList(gateParams), qubits };
+      });
+
+    this.definitions[name] = { params: paramNames, qubits: qubitNames, body: operations };
+  }
+
+  checkGate(name, params, qubitCount) {
+    const definition = this.definitions[name];
+    const [paramCount, arity] = definition
+      ? [definition.params.length, definition.qubits.length]
+      : STANDARD_GATES[name] || [];
+
+    if (arity === undefined) {
+      throw this.error(`Unknown gate "${name}"`);
+    }
+    if (params.length !== paramCount) {
+      throw this.error(`Gate "${name}" takes ${paramCount} parameter${paramCount === 1 ? '' : 's'}, got ${params.length}`);
+    }
+    if (qubitCount !== arity) {
+      throw this.error(`Gate "${name}" acts on ${arity} qubit${arity === 1 ? '' : 's'}, got ${qubitCount}`);
+    }
+  }
+
+  // q[2], a whole register q, or a physical qubit $2
+  resolve(operand, kind) {
+    const physical = /^\$(\d+)$/.exec(operand);
+    if (physical && kind === 'qubit') {
+      if (this.qregs.length > 0) {
+        throw this.error('Physical qubits cannot be mixed with qubit declarations');
+      }
+      const index = Number(physical[1]);
+      if (index >= LIMITS.qubits) {
+        throw this.error(`Physical qubit $${index} is out of range; at most ${LIMITS.qubits} qubits are supported`);
+      }
+      this.physical = true;
+      this.physicalQubits = Math.max(this.physicalQubits, index + 1);
+      return { indices: [index], register: false };
+    }
+
+    const match = new RegExp(`^(${IDENTIFIER})\\s*(?:\\[\\s*(\\d+)\\s*\\])?$`).exec(operand);
+    const registers = kind === 'qubit' ? this.qregs : this.cregs;
+    const reg = match && registers.find(candidate => candidate.name === match[1]);
+    if (!reg) {
+      throw this.error(`Unknown ${kind} "${operand}"`);
+    }
+
+    if (match[2] === undefined) {
+      return { indices: Array.from({ length: reg.size }, (_, index) => reg.offset + index), register: true };
+    }
+
+    const index = Number(match[2]);
+    if (index >= reg.size) {
+      throw this.error(`Index ${index} is out of range for register "${reg.name}" of size ${reg.size}`);
+    }
+    return { indices: [reg.offset + index], register: false };
+  }
+
+  allQubits() {
+    const count = this.physical ? this.physicalQubits : this.qregs.reduce((sum, reg) => sum + reg.size, 0);
+    return Array.from({ length: count }, (_, index) => index);
+  }
+
+  addOperation(operation) {
+    if (this.operations.length >= LIMITS.operations) {
+      throw this.error(`The circuit has more than ${LIMITS.operations} operations`);
+    }
+    this.operations.push(operation);
+  }
+
+  // Whole-register operands apply the instruction once per register element
+  broadcast(resolved) {
+    const sizes = [...new Set(resolved.filter(operand => operand.register).map(operand => operand.indices.length))];
+    if (sizes.length > 1) {
+      throw this.error('Registers used together must have the same size');
+    }
+
+    return Array.from({ length: sizes[0] || 1 }, (_, index) =>
+      resolved.map(operand => (operand.register ? operand.indices[index] : operand.indices[0]))
+    );
+  }
+
+  apply(name, params, operands) {
+    const resolved = operands.map(operand => this.resolve(operand, 'qubit'));
+
+    this.broadcast(resolved).forEach(qubits => {
+      if (new Set(qubits).size !== qubits.length) {
+        throw this.error(`"${name}" cannot act on the same qubit twice`);
+      }
+      this.addOperation({ name, params, qubits, clbits: [] });
+    });
+  }
+
+  measure(source, target) {
+    const qubits = this.resolve(source.trim(), 'qubit');
+    if (target === null) {
+      qubits.indices.forEach(qubit => this.addOperation({ name: 'measure', params: [], qubits: [qubit], clbits: [] }));
+      return;
+    }
+
+    const clbits = this.resolve(target.trim(), 'bit');
+    if (qubits.indices.length !== clbits.indices.length) {
+      throw this.error('Measured qubits and target bits must have the same size');
+    }
+
+    qubits.indices.forEach((qubit, index) => {
+      this.addOperation({ name: 'measure', params: [], qubits: [qubit], clbits: [clbits.indices[index]] });
+    });
+  }
+
+  // c == 3, c[0] == 1 or c[0]
+  parseCondition(text) {
+    const match = new RegExp(`^(${IDENTIFIER})\\s*(?:\\[\\s*(\\d+)\\s*\\])?\\s*(?:==\\s*(\\d+))?$`).exec(text.trim());
+    if (!match || (match[2] === undefined && match[3] === undefined)) {
+      throw this.error(`Unsupported condition "${text.trim()}"`);
+    }
+
+    const [, register, index, value = '1'] = match;
+    const { indices } = this.resolve(index === undefined ? register : `${register}[${index}]`, 'bit');
+    return {
+      register,
+      index: index === undefined ? null : Number(index),
+      value: Number(value),
+      clbits: indices
+    };
+  }
+}
+
+export const parseQasm = (source) => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new QasmSyntaxError('Program is empty');
+  }
+  return new QasmParser().parse(source);
+};
+
+const CONSTANTS = { pi: Math.PI, 'π': Math.PI, tau: 2 * Math.PI, 'τ': 2 * Math.PI, euler: Math.E, 'ℇ': Math.E };
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log,
+  sqrt: Math.sqrt
+};
+
+// Value of a gate parameter such as "pi/2" or "-2*theta", with the names in
+// `bindings` (the parameters of an enclosing gate definition) in scope.
+// Supports + - * / ^ **, parentheses, the OpenQASM constants and functions.
+export const evaluateExpression = (expression, bindings = {}) => {
+  const tokens = String(expression).match(/\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|\*\*|[a-zA-Z_πτℇ][a-zA-Z0-9_]*|\S/g) || [];
+  let position = 0;
+
+  const fail = (message) => {
+    throw new QasmSyntaxError(`${message} in parameter "${expression}"`);
+  };
+  const peek = () => tokens[position];
+  const take = (expected) => {
+    if (expected !== undefined && tokens[position] !== expected) {
+      fail(`Expected "${expected}"`);
+    }
+    return tokens[position++];
+  };
+
+  // sum := product (("+" | "-") product)*
+  const sum = () => {
+    let value = product();
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  // product := unary (("*" | "/") unary)*
+  const product = () => {
+    let value = unary();
+    while (peek() === '*' || peek() === '/') {
+      value = take() === '*' ? value * unary() : value / unary();
+    }
+    return value;
+  };
+
+  // unary := ("-" | "+") unary | power
+  const unary = () => {
+    if (peek() === '-') {
+      take();
+      return -unary();
+    }
+    if (peek() === '+') {
+      take();
+      return unary();
+    }
+    return power();
+  };
+
+  // power := atom (("^" | "**") unary)?, right associative
+  const power = () => {
+    const base = atom();
+    if (peek() === '^' || peek() === '**') {
+      take();
+      return base ** unary();
+    }
+    return base;
+  };
+
+  const atom = () => {
+    const token = take();
+    if (token === undefined) fail('Unexpected end');
+
+    if (token === '(') {
+      const value = sum();
+      take(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      return Number(token);
+    }
+    if (FUNCTIONS[token] && peek() === '(') {
+      take('(');
+      const value = FUNCTIONS[token](sum());
+      take(')');
+      return value;
+    }
+    if (Object.prototype.hasOwnProperty.call(bindings, token)) {
+      return bindings[token];
+    }
+    if (CONSTANTS[token] !== undefined) {
+      return CONSTANTS[token];
+    }
+    return fail(`Unknown name "${token}"`);
+  };
+
+  const value = sum();
+  if (position < tokens.length) {
+    fail(`Unexpected "${peek()}"`);
+  }
+  if (!Number.isFinite(value)) {
+    fail('Non-finite value');
+  }
+  return value;
+};
+
+// OpenQASM 3 text of a parsed circuit, used to hand OpenQASM 2 programs to
+// services that only accept version 3
+export const toQasm3 = (circuit) => {
+  const lines = ['OPENQASM 3.0;', 'include "stdgates.inc";'];
+
+  const call = (name, params) => (params.length ? `${name}(${params.join(', ')})` : name);
+  const registerBit = (registers, index) => {
+    const reg = registers.find(candidate => index >= candidate.offset && index < candidate.offset + candidate.size);
+    return `${reg.name}[${index - reg.offset}]`;
+  };
+  const qubit = (index) => (circuit.physicalQubits ? `$${index}` : registerBit(circuit.qregs, index));
+  const bit = (index) => registerBit(circuit.cregs, index);
+
+  // Opaque gates have nothing to define; the target has to know them
+  Object.entries(circuit.definitions)
+    .filter(([, definition]) => definition.body)
+    .forEach(([name, definition]) => {
+      const body = definition.body
+        .map(operation => `${call(operation.name, operation.params)} ${operation.qubits.map(index => definition.qubits[index]).join(', ')};`)
+        .join(' ');
+      lines.push(`gate ${call(name, definition.params)} ${definition.qubits.join(', ')} { ${body} }`);
+    });
+
+  circuit.qregs.forEach(reg => lines.push(`qubit[${reg.size}] ${reg.name};`));
+  circuit.cregs.forEach(reg => lines.push(`bit[${reg.size}] ${reg.name};`));
+
+  circuit.operations.forEach(operation => {
+    const qubits = operation.qubits.map(qubit).join(', ');
+    let statement;
+
+    if (operation.name === 'measure') {
+      statement = operation.clbits.length ? `${bit(operation.clbits[0])} = measure ${qubits};` : `measure ${qubits};`;
+    } else if (operation.name === 'delay') {
+      statement = `delay[${operation.params[0]}] ${qubits};`;
+    } else {
+      statement = `${call(operation.name, operation.params)} ${qubits};`;
+    }
+
+    if (operation.condition) {
+      const { register, index, value } = operation.condition;
+      statement = `if (${index === null ? register : `${register}[${index}]`} == ${value}) ${statement}`;
+    }
+
+    lines.push(statement);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+export { QasmSyntaxError, STANDARD_GATES, LIMITS };
@@ -0,0 +1,45 @@
+// Small deterministic random helpers for reproducible mock data
+
+// FNV-1a hash of a string to an unsigned 32-bit integer
+export const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  const str = String(value);
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32 generator wrapped with a few convenience helpers
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    float: (min, max) => min + next() * (max - min),
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    weighted: (items, weightOf) => {
+      const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+      let target = next() * total;
+      for (const item of items) {
+        target -= weightOf(item);
+        if (target < 0) return item;
+      }
+      return items[items.length - 1];
+    }
+  };
+};
+
+// Generator derived from any number of key parts, e.g. (seed, 'job', slot)
+export const seededRandom = (...parts) => createRandom(hashString(parts.join(':')));
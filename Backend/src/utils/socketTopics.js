@@ -0,0 +1,80 @@
+// Socket.IO rooms clients subscribe to. `dashboard` carries the dashboard
+// summary, system stats and monitoring errors, `quantum-jobs` every job event;
+// the prefixed topics narrow job and queue events down to what a page shows.
+export const GLOBAL_TOPICS = ['dashboard', 'quantum-jobs'];
+
+export const JOB_STATUSES = ['RUNNING', 'QUEUED', 'COMPLETED', 'ERROR', 'CANCELLED'];
+
+// Topics a single socket may hold at once
+export const MAX_TOPICS_PER_SOCKET = 100;
+
+const TOPIC_PATTERN = /^(backend|job|provider|team):[a-zA-Z0-9_.-]{1,100}$/;
+
+export const backendTopic = (name) => `backend:${name}`;
+export const jobTopic = (id) => `job:${id}`;
+export const statusTopic = (status) => `status:${status}`;
+export const providerTopic = (name) => `provider:${name}`;
+// Private channel every authenticated socket joins on connection; clients
+// can't subscribe to it
+export const userTopic = (id) => `user:${id}`;
+// Channel of a team, joined on connection by its members; admins may
+// subscribe to it
+export const teamTopic = (name) => `team:${name}`;
+
+export const isValidTopic = (topic) => {
+  if (typeof topic !== 'string') return false;
+  if (GLOBAL_TOPICS.includes(topic)) return true;
+  if (topic.startsWith('status:')) return JOB_STATUSES.includes(topic.slice('status:'.length));
+  return TOPIC_PATTERN.test(topic);
+};
+
+// Jobs submitted for a team (`owner` as recorded by the job history) stay
+// out of the public rooms: only the job's own room, which only the team may
+// join, the team's channel and the submitter's channel get them
+const teamJobTopics = (id, owner) => [jobTopic(id), teamTopic(owner.team), userTopic(owner.userId)];
+
+// Rooms interested in a job, by its ID, status, backend and provider
+export const jobTopics = ({ id, status, backend, provider }, owner = null) => owner?.team ? teamJobTopics(id, owner) : [
+  'quantum-jobs',
+  jobTopic(id),
+  status && statusTopic(status),
+  backend && backendTopic(backend),
+  provider && providerTopic(provider)
+].filter(Boolean);
+
+// A status change also concerns the rooms of the status the job left
+export const statusChangeTopics = ({ jobId, oldStatus, newStatus, backend, provider }, owner = null) => owner?.team ? teamJobTopics(jobId, owner) : [
+  ...jobTopics({ id: jobId, status: newStatus, backend, provider }),
+  oldStatus && oldStatus !== newStatus && statusTopic(oldStatus)
+].filter(Boolean);
+
+export const queueTopics = ({ backend, provider }) => [
+  backendTopic(backend),
+  provider && providerTopic(provider)
+].filter(Boolean);
+
+export const emitToTopics = (io, event, payload, topics) => {
+  if (!io || topics.length === 0) return;
+  io.to(topics).emit(event, payload);
+};
+
+// Split the items of an array event by the rooms they go to
+export const groupByTopics = (items, topicsOf) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const topics = [...new Set(topicsOf(item))].sort();
+    const key = topics.join('|');
+    if (!groups.has(key)) {
+      groups.set(key, { topics, items: [] });
+    }
+    groups.get(key).items.push(item);
+  });
+  return Array.from(groups.values());
+};
+
+// Emit an array event so every socket receives the items of the rooms it is
+// in, each item once. Items with the same rooms go out together.
+export const emitByTopics = (io, event, items, topicsOf) => {
+  if (!io) return;
+  groupByTopics(items, topicsOf).forEach(group => emitToTopics(io, event, group.items, group.topics));
+};
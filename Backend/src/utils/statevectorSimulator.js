@@ -0,0 +1,351 @@
+import { evaluateExpression } from './qasmParser.js';
+import { createRandom } from './random.js';
+
+// Statevector simulation of parsed circuits (see utils/qasmParser.js). The
+// state holds 2^n complex amplitudes, with qubit k as bit k of the basis
+// state index; classical bitstrings put bit 0 on the right, as Qiskit does.
+
+// 2x2 unitaries as [re00, im00, re01, im01, re10, im10, re11, im11]
+const SQRT1_2 = Math.SQRT1_2;
+
+const u3 = (theta, phi, lambda) => {
+  const cos = Math.cos(theta / 2);
+  const sin = Math.sin(theta / 2);
+  return [
+    cos, 0,
+    -Math.cos(lambda) * sin, -Math.sin(lambda) * sin,
+    Math.cos(phi) * sin, Math.sin(phi) * sin,
+    Math.cos(phi + lambda) * cos, Math.sin(phi + lambda) * cos
+  ];
+};
+
+const phase = (lambda) => [1, 0, 0, 0, 0, 0, Math.cos(lambda), Math.sin(lambda)];
+
+const rx = (theta) => {
+  const cos = Math.cos(theta / 2);
+  const sin = Math.sin(theta / 2);
+  return [cos, 0, 0, -sin, 0, -sin, cos, 0];
+};
+
+const ry = (theta) => {
+  const cos = Math.cos(theta / 2);
+  const sin = Math.sin(theta / 2);
+  return [cos, 0, -sin, 0, sin, 0, cos, 0];
+};
+
+const rz = (theta) => [Math.cos(theta / 2), -Math.sin(theta / 2), 0, 0, 0, 0, Math.cos(theta / 2), Math.sin(theta / 2)];
+
+const X = [0, 0, 1, 0, 1, 0, 0, 0];
+const Y = [0, 0, 0, -1, 0, 1, 0, 0];
+const Z = [1, 0, 0, 0, 0, 0, -1, 0];
+const H = [SQRT1_2, 0, SQRT1_2, 0, SQRT1_2, 0, -SQRT1_2, 0];
+const SX = [0.5, 0.5, 0.5, -0.5, 0.5, -0.5, 0.5, 0.5];
+const SXDG = [0.5, -0.5, 0.5, 0.5, 0.5, 0.5, 0.5, -0.5];
+
+// Gates applied as one 2x2 unitary on their last qubit, controlled by the
+// qubits before it
+const MATRICES = {
+  U: u3,
+  u: u3,
+  u3,
+  u2: (phi, lambda) => u3(Math.PI / 2, phi, lambda),
+  u1: phase,
+  p: phase,
+  phase,
+  x: () => X,
+  y: () => Y,
+  z: () => Z,
+  h: () => H,
+  s: () => phase(Math.PI / 2),
+  sdg: () => phase(-Math.PI / 2),
+  t: () => phase(Math.PI / 4),
+  tdg: () => phase(-Math.PI / 4),
+  sx: () => SX,
+  sxdg: () => SXDG,
+  rx,
+  ry,
+  rz,
+  CX: () => X,
+  cx: () => X,
+  cy: () => Y,
+  cz: () => Z,
+  ch: () => H,
+  csx: () => SX,
+  crx: rx,
+  cry: ry,
+  crz: rz,
+  cp: phase,
+  cphase: phase,
+  cu1: phase,
+  cu3: u3,
+  ccx: () => X
+};
+
+// Gates rewritten into the ones above, as [name, params, qubit positions]
+const DECOMPOSITIONS = {
+  id: () => [],
+  swap: () => [['cx', [], [0, 1]], ['cx', [], [1, 0]], ['cx', [], [0, 1]]],
+  cswap: () => [['cx', [], [2, 1]], ['ccx', [], [0, 1, 2]], ['cx', [], [2, 1]]],
+  // Controlled U with a phase on the control
+  cu: (theta, phi, lambda, gamma) => [['cu3', [theta, phi, lambda], [0, 1]], ['p', [gamma], [0]]],
+  rzz: (theta) => [['cx', [], [0, 1]], ['rz', [theta], [1]], ['cx', [], [0, 1]]],
+  rxx: (theta) => [['h', [], [0]], ['h', [], [1]], ['rzz', [theta], [0, 1]], ['h', [], [0]], ['h', [], [1]]],
+  ryy: (theta) => [
+    ['rx', [Math.PI / 2], [0]], ['rx', [Math.PI / 2], [1]],
+    ['rzz', [theta], [0, 1]],
+    ['rx', [-Math.PI / 2], [0]], ['rx', [-Math.PI / 2], [1]]
+  ],
+  rzx: (theta) => [['h', [], [1]], ['rzz', [theta], [0, 1]], ['h', [], [1]]],
+  ecr: () => [['rzx', [Math.PI / 4], [0, 1]], ['x', [], [0]], ['rzx', [-Math.PI / 4], [0, 1]]]
+};
+
+// Gates the simulator runs natively; custom gates built from them work too
+export const SIMULATOR_GATES = [...Object.keys(MATRICES), ...Object.keys(DECOMPOSITIONS)].sort();
+
+// Custom gates may call the gates defined before them, so a short program can
+// nest calls until it expands into billions of steps
+const MAX_GATE_DEPTH = 32;
+const MAX_STEPS = 500000;
+
+// Flatten a circuit into unitaries, measurements and resets on circuit-wide
+// qubits, expanding custom gates and evaluating their parameters
+const compile = (circuit) => {
+  const steps = [];
+
+  const push = (step) => {
+    if (steps.length >= MAX_STEPS) {
+      throw new Error(`Circuit expands into more than ${MAX_STEPS} simulation steps`);
+    }
+    steps.push(step);
+  };
+
+  const emit = (name, params, qubits, condition) => {
+    if (MATRICES[name]) {
+      push({
+        kind: 'unitary',
+        matrix: MATRICES[name](...params),
+        target: qubits[qubits.length - 1],
+        controls: qubits.slice(0, -1),
+        condition
+      });
+      return;
+    }
+
+    if (DECOMPOSITIONS[name]) {
+      DECOMPOSITIONS[name](...params).forEach(([gate, gateParams, positions]) => {
+        emit(gate, gateParams, positions.map(position => qubits[position]), condition);
+      });
+      return;
+    }
+
+    throw new Error(`Gate "${name}" cannot be simulated`);
+  };
+
+  const expand = (operation, bindings, qubits, condition, depth = 0) => {
+    const definition = circuit.definitions[operation.name];
+    const params = ['barrier', 'delay'].includes(operation.name)
+      ? []
+      : operation.params.map(param => evaluateExpression(param, bindings));
+
+    if (definition) {
+      if (!definition.body) {
+        throw new Error(`Opaque gate "${operation.name}" cannot be simulated`);
+      }
+      if (depth >= MAX_GATE_DEPTH) {
+        throw new Error(`Custom gates are nested more than ${MAX_GATE_DEPTH} levels deep`);
+      }
+      const scope = Object.fromEntries(definition.params.map((name, index) => [name, params[index]]));
+      definition.body.forEach(inner => expand(inner, scope, inner.qubits.map(index => qubits[index]), condition, depth + 1));
+      return;
+    }
+
+    emit(operation.name, params, qubits, condition);
+  };
+
+  circuit.operations.forEach(operation => {
+    const { name, qubits, clbits, condition = null } = operation;
+
+    if (name === 'measure') {
+      qubits.forEach((qubit, index) => push({ kind: 'measure', qubit, clbit: clbits[index] ?? null, condition }));
+    } else if (name === 'reset') {
+      qubits.forEach(qubit => push({ kind: 'reset', qubit, condition }));
+    } else if (name !== 'barrier' && name !== 'delay') {
+      expand(operation, {}, qubits, condition);
+    }
+  });
+
+  return steps;
+};
+
+class Statevector {
+  constructor(qubits) {
+    this.size = 2 ** qubits;
+    this.re = new Float64Array(this.size);
+    this.im = new Float64Array(this.size);
+    this.re[0] = 1;
+  }
+
+  apply(matrix, target, controls = []) {
+    const { re, im, size } = this;
+    const [m0, m1, m2, m3, m4, m5, m6, m7] = matrix;
+    const bit = 1 << target;
+    const mask = controls.reduce((sum, control) => sum | (1 << control), 0);
+
+    for (let i = 0; i < size; i++) {
+      if ((i & bit) || (i & mask) !== mask) continue;
+      const j = i | bit;
+      const ar = re[i];
+      const ai = im[i];
+      const br = re[j];
+      const bi = im[j];
+      re[i] = m0 * ar - m1 * ai + m2 * br - m3 * bi;
+      im[i] = m0 * ai + m1 * ar + m2 * bi + m3 * br;
+      re[j] = m4 * ar - m5 * ai + m6 * br - m7 * bi;
+      im[j] = m4 * ai + m5 * ar + m6 * bi + m7 * br;
+    }
+  }
+
+  // Measure one qubit, collapsing the state onto the outcome
+  measure(qubit, random) {
+    const { re, im, size } = this;
+    const bit = 1 << qubit;
+
+    let probabilityOne = 0;
+    for (let i = 0; i < size; i++) {
+      if (i & bit) probabilityOne += re[i] * re[i] + im[i] * im[i];
+    }
+
+    const outcome = random.next() < probabilityOne ? 1 : 0;
+    const norm = Math.sqrt(outcome ? probabilityOne : 1 - probabilityOne) || 1;
+
+    for (let i = 0; i < size; i++) {
+      if (((i & bit) ? 1 : 0) === outcome) {
+        re[i] /= norm;
+        im[i] /= norm;
+      } else {
+        re[i] = 0;
+        im[i] = 0;
+      }
+    }
+
+    return outcome;
+  }
+
+  probabilities() {
+    const probabilities = new Float64Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      probabilities[i] = this.re[i] * this.re[i] + this.im[i] * this.im[i];
+    }
+    return probabilities;
+  }
+}
+
+const conditionHolds = (condition, bits) => {
+  if (!condition) return true;
+  const value = condition.clbits.reduce((sum, clbit, index) => sum + (bits[clbit] << index), 0);
+  return value === condition.value;
+};
+
+const toBitstring = (bits) => bits.slice().reverse().join('');
+
+// Without conditions or resets, and with every measurement at the end of its
+// qubit, one pass over the unitaries gives the distribution all shots sample
+const isTerminallyMeasured = (steps) => {
+  const measured = new Set();
+
+  return steps.every(step => {
+    if (step.condition || step.kind === 'reset') return false;
+    if (step.kind === 'measure') {
+      measured.add(step.qubit);
+      return true;
+    }
+    return !measured.has(step.target) && !step.controls.some(control => measured.has(control));
+  });
+};
+
+const sampleFinalState = (circuit, steps, shots, random) => {
+  const state = new Statevector(circuit.qubits);
+  steps.filter(step => step.kind === 'unitary').forEach(step => state.apply(step.matrix, step.target, step.controls));
+
+  const cumulative = state.probabilities();
+  for (let i = 1; i < cumulative.length; i++) {
+    cumulative[i] += cumulative[i - 1];
+  }
+
+  // Later measurements into the same bit overwrite earlier ones
+  const readout = new Map();
+  steps
+    .filter(step => step.kind === 'measure' && step.clbit !== null)
+    .forEach(step => readout.set(step.clbit, step.qubit));
+
+  const outcomes = new Map();
+  for (let shot = 0; shot < shots; shot++) {
+    const target = random.next() * cumulative[cumulative.length - 1];
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cumulative[middle] > target) high = middle;
+      else low = middle + 1;
+    }
+    outcomes.set(low, (outcomes.get(low) || 0) + 1);
+  }
+
+  const counts = {};
+  outcomes.forEach((count, index) => {
+    const bits = new Array(circuit.clbits).fill(0);
+    readout.forEach((qubit, clbit) => {
+      bits[clbit] = (index >> qubit) & 1;
+    });
+    const bitstring = toBitstring(bits);
+    counts[bitstring] = (counts[bitstring] || 0) + count;
+  });
+
+  return counts;
+};
+
+// Mid-circuit measurements, resets and conditions make every shot its own run
+const simulateShots = (circuit, steps, shots, random) => {
+  const counts = {};
+
+  for (let shot = 0; shot < shots; shot++) {
+    const state = new Statevector(circuit.qubits);
+    const bits = new Array(circuit.clbits).fill(0);
+
+    steps.forEach(step => {
+      if (!conditionHolds(step.condition, bits)) return;
+
+      if (step.kind === 'unitary') {
+        state.apply(step.matrix, step.target, step.controls);
+      } else if (step.kind === 'measure') {
+        const outcome = state.measure(step.qubit, random);
+        if (step.clbit !== null) bits[step.clbit] = outcome;
+      } else if (state.measure(step.qubit, random) === 1) {
+        state.apply(X, step.qubit);
+      }
+    });
+
+    const bitstring = toBitstring(bits);
+    counts[bitstring] = (counts[bitstring] || 0) + 1;
+  }
+
+  return counts;
+};
+
+// Run a circuit for a number of shots; the same seed gives the same counts
+export const simulateCircuit = (circuit, { shots = 1024, seed = 0 } = {}) => {
+  const startedAt = Date.now();
+  const steps = compile(circuit);
+  const random = createRandom(seed);
+
+  const counts = isTerminallyMeasured(steps)
+    ? sampleFinalState(circuit, steps, shots, random)
+    : simulateShots(circuit, steps, shots, random);
+
+  return {
+    counts,
+    shots,
+    numBits: circuit.clbits,
+    executionTime: (Date.now() - startedAt) / 1000
+  };
+};
@@ -0,0 +1,16 @@
+// Small numeric helpers shared by the analytics services
+
+export const median = (values) => {
+  const numbers = values.filter(value => Number.isFinite(value));
+  if (numbers.length === 0) return null;
+
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+export const round = (value, digits = 0) => {
+  if (!Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
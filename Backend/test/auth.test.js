@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { issueToken, verifyToken, authenticate, requirePermission } from '../src/middleware/auth.js';
+import { UnauthorizedError, ForbiddenError } from '../src/middleware/errorHandler.js';
+
+// Runs requirePermission as Express would and returns what it passed to next()
+const check = (permission, user) => {
+  let result;
+  requirePermission(permission)({ user }, {}, (error) => { result = error; });
+  return result;
+};
+
+// Runs authenticate on a request with the given Authorization header
+const authenticateWith = (header) => {
+  const req = { get: () => header };
+  let error;
+  authenticate(req, {}, (result) => { error = result; });
+  return { user: req.user, error };
+};
+
+test('tokens carry the user, role, team and the role permissions', () => {
+  const user = verifyToken(issueToken({ id: 'alice', name: 'Alice', role: 'operator', team: 'research' }));
+
+  assert.equal(user.id, 'alice');
+  assert.equal(user.name, 'Alice');
+  assert.equal(user.team, 'research');
+  assert.deepEqual(user.permissions, ['jobs:submit', 'jobs:cancel']);
+});
+
+test('tokens with an unknown role are neither issued nor accepted', () => {
+  assert.throws(() => issueToken({ id: 'mallory', role: 'root' }), /Unknown role/);
+});
+
+test('requests without a token are anonymous, invalid tokens are rejected', () => {
+  assert.deepEqual(authenticateWith(undefined), { user: null, error: undefined });
+  assert.ok(authenticateWith('Bearer not-a-token').error instanceof UnauthorizedError);
+  assert.ok(authenticateWith(`Bearer ${issueToken({ id: 'bob', role: 'viewer' }).slice(0, -2)}`).error instanceof UnauthorizedError);
+});
+
+test('requirePermission needs a user whose role grants the permission', () => {
+  const viewer = verifyToken(issueToken({ id: 'carol', role: 'viewer' }));
+  const admin = verifyToken(issueToken({ id: 'dave', role: 'admin' }));
+
+  assert.ok(check('jobs:submit', null) instanceof UnauthorizedError);
+  assert.ok(check('jobs:submit', viewer) instanceof ForbiddenError);
+  assert.equal(check('monitoring:manage', admin), undefined);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from 'socket.io';
+import MemoryClusterBackend from '../src/cluster/memoryClusterBackend.js';
+import RedisClusterBackend from '../src/cluster/redisClusterBackend.js';
+import { createClusterAdapter } from '../src/cluster/clusterAdapter.js';
+
+// Memory backend whose first `failures` subscriptions are refused
+class FlakyBackend extends MemoryClusterBackend {
+  constructor(failures) {
+    super();
+    this.failures = failures;
+    this.active = 0;
+  }
+
+  async subscribe(channel, handler) {
+    if (this.failures > 0) {
+      this.failures -= 1;
+      throw new Error('connection refused');
+    }
+    const unsubscribe = await super.subscribe(channel, handler);
+    this.active += 1;
+    return () => {
+      this.active -= 1;
+      unsubscribe();
+    };
+  }
+}
+
+// Redis connection stand-in whose SUBSCRIBE calls wait for the test to settle
+// them, in order
+const fakeRedis = () => {
+  const listeners = {};
+  const pending = [];
+  const subscriber = {
+    status: 'ready',
+    on: (event, listener) => { listeners[event] = listener; },
+    subscribe: () => new Promise((resolve, reject) => pending.push({ resolve, reject })),
+    quit: async () => {}
+  };
+  const client = { status: 'ready', on: () => {}, duplicate: () => subscriber, quit: async () => {} };
+  const deliver = (channel, message) => listeners.message(channel, JSON.stringify(message));
+  return { client, pending, deliver };
+};
+
+test('concurrent Redis subscribers share one SUBSCRIBE and a failed one drops only its callers', async () => {
+  const redis = fakeRedis();
+  const backend = new RedisClusterBackend({ prefix: 'q:', createClient: () => redis.client });
+  const received = [];
+  const handler = (name) => (message) => received.push([name, message]);
+
+  // Both wait for the one SUBSCRIBE, and fail with it
+  const failing = Promise.allSettled([backend.subscribe('a', handler('first')), backend.subscribe('a', handler('second'))]);
+  assert.equal(redis.pending.length, 1);
+  redis.pending[0].reject(new Error('connection lost'));
+  assert.deepEqual((await failing).map(({ status }) => status), ['rejected', 'rejected']);
+
+  // A later subscriber tries again; earlier handlers of other channels stay
+  const retried = backend.subscribe('a', handler('third'));
+  const other = backend.subscribe('b', handler('fourth'));
+  redis.pending[1].resolve();
+  redis.pending[2].resolve();
+  await Promise.all([retried, other]);
+
+  redis.deliver('q:a', 1);
+  redis.deliver('q:b', 2);
+  assert.deepEqual(received, [['third', 1], ['fourth', 2]]);
+
+  await backend.close();
+});
+
+test('the adapter retries failed subscriptions and is ready once subscribed', async () => {
+  const backend = new FlakyBackend(1);
+  const io = new Server({ adapter: createClusterAdapter(backend, { subscribeRetryDelay: 10 }) });
+
+  await io.of('/').adapter.ready;
+  // The half that succeeded on the first attempt was undone
+  assert.equal(backend.active, 2);
+  assert.equal(backend.failures, 0);
+
+  io.of('/').adapter.close();
+  await backend.close();
+});
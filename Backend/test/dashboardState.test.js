@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diff } from '../src/utils/jsonPatch.js';
+import dashboardState from '../src/services/dashboardState.js';
+
+// Minimal RFC 6902 add/remove/replace, as clients apply the deltas
+const applyPatch = (state, ops) => ops.reduce((current, { op, path, value }) => {
+  if (path === '') return structuredClone(value);
+
+  const next = structuredClone(current);
+  const keys = path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node[key], next);
+  if (op === 'remove') {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+  return next;
+}, state);
+
+test('diff produces patches that turn one state into the other', () => {
+  const before = { summary: { running: 1, queued: 2 }, jobs: [{ id: 'a', status: 'QUEUED' }], 'a/b': 1 };
+  const after = { summary: { running: 2 }, jobs: [{ id: 'a', status: 'RUNNING' }], 'a/b': 2, added: true };
+
+  assert.deepEqual(applyPatch(before, diff(before, after)), after);
+  assert.deepEqual(diff(after, structuredClone(after)), []);
+});
+
+test('dashboard deltas are numbered and rebuild the state from the first snapshot', () => {
+  const first = dashboardState.update({ summary: { runningJobs: 1 }, backends: [] });
+  assert.equal(first.version, 1);
+  assert.deepEqual(first.ops.map(op => op.path), ['']);
+
+  const second = dashboardState.update({ summary: { runningJobs: 2 }, backends: [{ name: 'ibm_kyiv' }] });
+  assert.equal(second.version, 2);
+
+  const rebuilt = applyPatch(applyPatch(null, first.ops), second.ops);
+  assert.deepEqual(rebuilt, dashboardState.getSnapshot().state);
+});
+
+test('an unchanged dashboard sends no delta and keeps its version', () => {
+  const { version } = dashboardState.getSnapshot();
+  assert.equal(dashboardState.update(structuredClone(dashboardState.getSnapshot().state)), null);
+  assert.equal(dashboardState.getSnapshot().version, version);
+});
+
+test('times and data age alone send no delta, but go along with real changes', () => {
+  const tick = (runningJobs, at) => ({
+    summary: { runningJobs, lastUpdate: at },
+    monitoring: { isActive: true, lastUpdate: at },
+    dataAge: Date.parse(at) % 1000,
+    fetchedAt: at,
+    timestamp: at
+  });
+
+  dashboardState.update(tick(1, '2026-01-01T00:00:00.000Z'));
+  const { version } = dashboardState.getSnapshot();
+  assert.equal(dashboardState.update(tick(1, '2026-01-01T00:00:30.123Z')), null);
+  assert.equal(dashboardState.getSnapshot().version, version);
+
+  const delta = dashboardState.update(tick(2, '2026-01-01T00:01:00.456Z'));
+  assert.equal(delta.version, version + 1);
+  assert.deepEqual(dashboardState.getSnapshot().state, tick(2, '2026-01-01T00:01:00.456Z'));
+  assert.ok(delta.ops.some(op => op.path === '/summary/runningJobs'));
+  assert.ok(delta.ops.some(op => op.path === '/timestamp'));
+});
+
+test('a restored snapshot continues the version sequence', () => {
+  dashboardState.restore({ version: 41, state: { summary: { runningJobs: 0 } } });
+  const delta = dashboardState.update({ summary: { runningJobs: 3 } });
+
+  assert.equal(delta.version, 42);
+  assert.deepEqual(delta.ops, [{ op: 'replace', path: '/summary/runningJobs', value: 3 }]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import eventLog from '../src/services/eventLog.js';
+import { jobTopics } from '../src/utils/socketTopics.js';
+
+// Socket stand-in recording what it was sent
+const fakeSocket = (rooms) => {
+  const received = [];
+  return { id: 'socket-1', rooms: new Set(rooms), received, emit: (event, payload) => received.push({ event, payload }) };
+};
+
+const job = (id, backend = 'ibm_kyiv') => ({ id, status: 'QUEUED', backend, provider: 'ibm' });
+
+test('every emit gets the next event ID, copied into its items', () => {
+  const previous = eventLog.lastId;
+  eventLog.publish(null, 'new-jobs', [job('a')], jobTopics);
+  const entry = eventLog.entries.at(-1);
+
+  assert.equal(entry.id, previous + 1);
+  assert.equal(entry.payload[0].eventId, entry.id);
+});
+
+test('a reconnecting socket gets the events it missed on its topics', () => {
+  const start = eventLog.lastId;
+  eventLog.publish(null, 'new-jobs', [job('b')], jobTopics);
+  eventLog.publish(null, 'new-jobs', [job('c', 'ibm_other')], jobTopics);
+
+  const socket = fakeSocket(['backend:ibm_kyiv']);
+  const result = eventLog.resume(socket, { epoch: eventLog.epoch, lastEventId: start });
+
+  assert.equal(result.replayed, 1);
+  assert.equal(socket.received[0].payload[0].id, 'b');
+  assert.equal(socket.received[0].payload[0].replayed, true);
+});
+
+test('clients from another epoch or too far behind need a resync', () => {
+  const socket = fakeSocket(['quantum-jobs']);
+
+  assert.equal(eventLog.resume(socket, { epoch: 'earlier', lastEventId: 1 }).resync, 'server-restarted');
+
+  eventLog.size = 2;
+  ['d', 'e', 'f'].forEach(id => eventLog.publish(null, 'new-jobs', [job(id)], jobTopics));
+  assert.equal(eventLog.resume(socket, { epoch: eventLog.epoch, lastEventId: 0 }).resync, 'gap-too-large');
+  assert.equal(socket.received.length, 0);
+});
+
+test('a mirrored log adopts the leader epoch and IDs', () => {
+  eventLog.mirror({ epoch: 'leader', entries: [{ id: 7, event: 'new-jobs', topics: ['quantum-jobs'], payload: [] }] });
+  const [entry] = eventLog.publish(null, 'new-jobs', [job('g')], jobTopics);
+
+  assert.equal(eventLog.epoch, 'leader');
+  assert.equal(entry.id, 8);
+});
@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticate, issueToken } from '../../src/middleware/auth.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { PROGRAM_ROUTES, PROGRAM_BODY_LIMIT } from '../../src/routers/quantumRoutes.js';
+
+// The API's routers behind the same authentication and error handling as
+// src/index.js, listening on a free port
+export const startApi = async (routes) => {
+  const app = express();
+  app.use(PROGRAM_ROUTES, express.json({ limit: PROGRAM_BODY_LIMIT }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(authenticate);
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const request = (method, path, { user, body } = {}) => fetch(baseUrl + path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(user && { Authorization: `Bearer ${issueToken(user)}` })
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+};
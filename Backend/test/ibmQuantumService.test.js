@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { IBMQuantumService } from '../src/services/ibmQuantumService.js';
+
+// Live mode without IBM_QUANTUM_API: there is no Runtime client
+const unconfigured = () => {
+  process.env.DATA_SOURCE_MODE = 'live';
+  return new IBMQuantumService();
+};
+
+test('configuration lookups without an API key fail with a clear error', async () => {
+  const service = unconfigured();
+
+  await assert.rejects(service.getCouplingMap('ibm_kyiv'), /not configured/);
+  await assert.rejects(service.fetchConfiguration('ibm_kyiv'), /not configured/);
+});
+
+test('a device that fails its lookup is left out of the backend list', async () => {
+  const service = unconfigured();
+  service.runtime = {
+    listBackends: async () => ({ devices: ['ibm_kyiv', 'ibm_broken'] }),
+    getBackendStatus: async (name) => {
+      if (name === 'ibm_broken') throw new Error('status unavailable');
+      return { state: true, length_queue: 3 };
+    },
+    getBackendConfiguration: async () => ({ n_qubits: 127, basis_gates: ['ecr'] })
+  };
+
+  const backends = await service.getBackends();
+
+  assert.deepEqual(backends.map(backend => backend.name), ['ibm_kyiv']);
+  assert.equal(backends[0].pending_jobs, 3);
+});
+
+test('the backend list fails when every device does', async () => {
+  const service = unconfigured();
+  service.runtime = {
+    listBackends: async () => ({ devices: ['ibm_broken'] }),
+    getBackendStatus: async () => { throw new Error('status unavailable'); },
+    getBackendConfiguration: async () => ({})
+  };
+
+  await assert.rejects(service.getBackends(), /status unavailable/);
+});
+
+// Service whose HTTP client answers with `responses` in turn (a status, or
+// [status, headers]) and records the waits between attempts
+const rateLimited = (...responses) => {
+  const service = unconfigured();
+  const waits = [];
+  let attempts = 0;
+  service.sleep = async (ms) => { waits.push(ms); };
+  service.client = axios.create({
+    adapter: async (config) => {
+      const [status, headers = {}] = [].concat(responses[Math.min(attempts++, responses.length - 1)]);
+      const response = { status, headers, data: {}, config };
+      if (status >= 400) {
+        throw new axios.AxiosError('Request failed', 'ERR_BAD_RESPONSE', config, null, response);
+      }
+      return response;
+    }
+  });
+  service.setupInterceptors();
+  return { service, waits, attempts: () => attempts };
+};
+
+test('rate limited requests back off and give up after a few retries', async () => {
+  const { service, waits, attempts } = rateLimited(429);
+
+  await assert.rejects(service.client.get('/backends'), (error) => error.response.status === 429);
+  assert.deepEqual(waits, [2000, 4000, 8000]);
+  assert.equal(attempts(), 4);
+});
+
+test('rate limited requests wait as long as Retry-After asks', async () => {
+  const { service, waits } = rateLimited([429, { 'retry-after': '5' }], [429, { 'retry-after': '600' }], 200);
+
+  assert.equal((await service.client.get('/backends')).status, 200);
+  assert.deepEqual(waits, [5000, 60000]);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryJobHistoryStore from '../src/stores/memoryJobHistoryStore.js';
+import SqliteJobHistoryStore from '../src/stores/sqliteJobHistoryStore.js';
+
+const hour = 60 * 60 * 1000;
+const now = Date.now();
+
+const job = (id, status, backend, shots, age) => ({
+  id,
+  status,
+  backend,
+  provider: 'ibm',
+  shots,
+  creation_date: new Date(now - age).toISOString()
+});
+
+const jobs = [
+  job('a', 'COMPLETED', 'ibm_kyiv', 1000, 2 * hour),
+  job('b', 'ERROR', 'ibm_kyiv', 500, 30 * 60 * 1000),
+  job('c', 'COMPLETED', 'ibm_brisbane', 2000, 10 * 60 * 1000),
+  job('d', 'QUEUED', null, undefined, 5 * 60 * 1000)
+];
+
+const stores = {
+  memory: () => new MemoryJobHistoryStore(),
+  sqlite: () => new SqliteJobHistoryStore({ filename: ':memory:' })
+};
+
+Object.entries(stores).forEach(([name, createStore]) => {
+  test(`${name} store summarizes jobs by status and backend`, async () => {
+    const store = createStore();
+    await store.recordObservation(jobs);
+
+    assert.deepEqual(await store.summarizeJobs(), {
+      total: 4,
+      byStatus: { COMPLETED: 2, ERROR: 1, QUEUED: 1 },
+      byBackend: { ibm_kyiv: 2, ibm_brisbane: 1, unknown: 1 },
+      totalShots: 3500
+    });
+  });
+
+  test(`${name} store summary follows the filters`, async () => {
+    const store = createStore();
+    await store.recordObservation(jobs);
+
+    const recent = await store.summarizeJobs({ since: new Date(now - hour) });
+    assert.equal(recent.total, 3);
+    assert.equal(recent.totalShots, 2500);
+    assert.deepEqual(recent.byBackend, { ibm_kyiv: 1, ibm_brisbane: 1, unknown: 1 });
+    assert.equal(recent.total, await store.countJobs({ since: new Date(now - hour) }));
+  });
+
+  test(`${name} store keeps job owners when it prunes their jobs`, async () => {
+    const store = createStore();
+    await store.recordObservation(jobs, now - 2 * hour);
+    await store.recordOwner('a', { userId: 'olga', team: 'red' });
+
+    assert.equal(await store.prune(now - hour), 4);
+    assert.equal(await store.getJob('a'), null);
+    assert.deepEqual(await store.getOwner('a'), { userId: 'olga', team: 'red' });
+  });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import jobMonitor, { submitTrackedJob } from '../src/services/jobMonitor.js';
+import providerRegistry from '../src/services/providerRegistry.js';
+import { LOCAL_SIMULATOR_BACKEND } from '../src/services/localSimulatorService.js';
+import { jobHistoryStore } from '../src/stores/index.js';
+import { parseQasm } from '../src/utils/qasmParser.js';
+
+// Server stand-in recording what is emitted to which rooms
+const fakeIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    engine: { clientsCount: 0 },
+    on: () => {},
+    off: () => {},
+    of: () => ({ sockets: new Map() }),
+    to: (topics) => ({ emit: (event, payload) => emitted.push({ event, topics, payload }) })
+  };
+};
+
+test('events still go out after monitoring stops', async () => {
+  const io = fakeIo();
+  await jobMonitor.joinCluster(io);
+  jobMonitor.startMonitoring(io);
+  jobMonitor.stopMonitoring();
+
+  await jobHistoryStore.recordOwner('job-1', { userId: 'olga', team: null });
+  await jobMonitor.publishEvent('job-status-change', [
+    { jobId: 'job-1', oldStatus: 'QUEUED', newStatus: 'RUNNING', backend: 'ibm_kyiv', provider: 'ibm' }
+  ]);
+
+  assert.deepEqual(io.emitted.map(({ event }) => event), ['job-status-change', 'notification']);
+  assert.deepEqual(io.emitted[1].topics, ['user:olga']);
+});
+
+test('a tick waits for submissions in flight, so their team jobs never reach public rooms', async () => {
+  const io = fakeIo();
+  await jobMonitor.joinCluster(io);
+
+  let answer;
+  const answered = new Promise(resolve => { answer = resolve; });
+  const circuit = parseQasm('OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[1];\ncreg c[1];\nh q[0];\nmeasure q -> c;');
+  // The provider lists the job before its answer to the submission arrives
+  const submitting = submitTrackedJob(async () => {
+    const job = await providerRegistry.submitJob({ backend: LOCAL_SIMULATOR_BACKEND, circuit, shots: 10 }, { provider: 'local' });
+    await answered;
+    return job;
+  }, { submittedBy: { id: 'olga', team: 'red' } });
+
+  const ticking = jobMonitor.monitorJobs();
+  await sleep(100);
+  answer();
+  const [job] = await Promise.all([submitting, ticking]);
+
+  const aboutJob = ({ payload }) => [].concat(payload).some(item => item?.id === job.id || item?.jobId === job.id);
+  const publicEmits = io.emitted.filter(({ topics }) => [].concat(topics).some(topic => !/^(job|team|user):/.test(topic)));
+  assert.deepEqual(publicEmits.filter(aboutJob), []);
+  assert.deepEqual(await jobHistoryStore.getOwner(job.id), { userId: 'olga', team: 'red' });
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryClusterBackend from '../src/cluster/memoryClusterBackend.js';
+import LeaderElection from '../src/cluster/leaderElection.js';
+
+const elect = async (instanceId, events) => {
+  const election = new LeaderElection(new MemoryClusterBackend(), { name: 'test-lease', instanceId, ttl: 300 });
+  await election.start({
+    onElected: () => events.push(`${instanceId} elected`),
+    onDemoted: () => events.push(`${instanceId} demoted`)
+  });
+  return election;
+};
+
+test('one instance leads and another takes over when it stops', async () => {
+  const events = [];
+  const a = await elect('a', events);
+  const b = await elect('b', events);
+
+  assert.equal(a.isLeader, true);
+  assert.equal(b.isLeader, false);
+  assert.equal(b.getStatus().leader, 'a');
+
+  await a.stop();
+  await b.campaign();
+
+  assert.equal(b.isLeader, true);
+  assert.deepEqual(events, ['a elected', 'a demoted', 'b elected']);
+  await b.stop();
+});
+
+test('a lease that is not renewed expires', async () => {
+  const events = [];
+  const a = await elect('c', events);
+  // Stop renewing without handing the lease over, as a crashed leader would
+  clearInterval(a.timer);
+  const b = await elect('d', events);
+  assert.equal(b.isLeader, false);
+
+  await new Promise(resolve => setTimeout(resolve, 350));
+  await b.campaign();
+
+  assert.equal(b.isLeader, true);
+  await b.stop();
+});
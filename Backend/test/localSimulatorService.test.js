@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import LocalSimulatorService, { LOCAL_SIMULATOR_BACKEND } from '../src/services/localSimulatorService.js';
+import { parseQasm } from '../src/utils/qasmParser.js';
+import { simulateCircuit } from '../src/utils/statevectorSimulator.js';
+import { ServiceUnavailableError } from '../src/middleware/errorHandler.js';
+
+// gate g0 a { x a; ... } and gates g1..g<levels - 1>, each calling the one
+// before it `calls` times, applied once
+const nestedGates = (levels, calls) => {
+  const lines = ['OPENQASM 2.0;', 'include "qelib1.inc";', 'qreg q[1];', 'creg c[1];'];
+  lines.push(`gate g0 a { ${'x a; '.repeat(calls)}}`);
+  for (let level = 1; level < levels; level++) {
+    lines.push(`gate g${level} a { ${`g${level - 1} a; `.repeat(calls)}}`);
+  }
+  lines.push(`g${levels - 1} q[0];`, 'measure q -> c;');
+  return parseQasm(lines.join('\n'));
+};
+
+test('custom gates are expanded up to a nesting depth and step count', () => {
+  assert.deepEqual(simulateCircuit(nestedGates(3, 2), { shots: 10 }).counts, { 0: 10 });
+  assert.throws(() => simulateCircuit(nestedGates(40, 1)), /nested more than 32 levels/);
+  assert.throws(() => simulateCircuit(nestedGates(10, 4)), /more than 500000 simulation steps/);
+});
+
+test('a job that runs past the timeout is stopped and fails', async () => {
+  const simulator = new LocalSimulatorService({ timeout: 300 });
+  // Resets force a shot-by-shot simulation of a 20 qubit state
+  const circuit = parseQasm('OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[20];\ncreg c[20];\nh q;\nreset q[0];\nmeasure q -> c;');
+
+  const { id } = await simulator.submitJob({ backend: LOCAL_SIMULATOR_BACKEND, circuit, shots: 100000 });
+
+  let job = await simulator.getJobById(id);
+  for (let attempt = 0; attempt < 50 && job.status === 'RUNNING'; attempt++) {
+    await sleep(100);
+    job = await simulator.getJobById(id);
+  }
+
+  assert.equal(job.status, 'ERROR');
+  assert.match(job.status_reason, /took longer than/);
+  assert.equal(simulator.running, null);
+});
+
+test('submissions past the queue limit are refused until a job leaves the queue', async () => {
+  const simulator = new LocalSimulatorService({ maxQueued: 1 });
+  const circuit = parseQasm('OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[20];\ncreg c[20];\nh q;\nreset q[0];\nmeasure q -> c;');
+  const submit = () => simulator.submitJob({ backend: LOCAL_SIMULATOR_BACKEND, circuit, shots: 100000 });
+
+  const running = await submit();
+  const queued = await submit();
+  await assert.rejects(submit(), (error) => {
+    assert.ok(error instanceof ServiceUnavailableError);
+    assert.equal(error.statusCode, 503);
+    return true;
+  });
+
+  await simulator.cancelJob(queued.id);
+  const next = await submit();
+  assert.equal(next.status, 'QUEUED');
+
+  await simulator.cancelJob(next.id);
+  await simulator.cancelJob(running.id);
+});
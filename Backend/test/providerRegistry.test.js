@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderRegistry } from '../src/services/providerRegistry.js';
+
+// Provider stand-in with fixed backends and jobs; `failing` rejects every call
+const fakeProvider = (name, { backends = [], jobs = [], failing = false } = {}) => {
+  const answer = async (value) => {
+    if (failing) throw new Error(`${name} is down`);
+    return value;
+  };
+  return {
+    name,
+    getBackends: () => answer(backends),
+    getJobs: (limit, offset) => answer(jobs.slice(offset, offset + limit)),
+    getJobById: (jobId) => answer(jobs.find(job => job.id === jobId) || null),
+    getQueueStatus: (backendName) => answer({ backend: backendName, length: 3 })
+  };
+};
+
+const job = (id, minutesAgo) => ({ id, creation_date: new Date(Date.now() - minutesAgo * 60000).toISOString() });
+
+const registryOf = (...providers) => {
+  const registry = new ProviderRegistry();
+  providers.forEach(provider => registry.register(provider));
+  return registry;
+};
+
+test('jobs of every provider are merged newest first and paginated together', async () => {
+  const registry = registryOf(
+    fakeProvider('a', { jobs: [job('a1', 1), job('a2', 4)] }),
+    fakeProvider('b', { jobs: [job('b1', 2), job('b2', 3)] })
+  );
+
+  assert.deepEqual((await registry.getJobs(3, 0)).map(j => j.id), ['a1', 'b1', 'b2']);
+  assert.deepEqual((await registry.getJobs(2, 2)).map(j => j.id), ['b2', 'a2']);
+  assert.deepEqual((await registry.getJobs(10, 0, null, { provider: 'b' })).map(j => j.id), ['b1', 'b2']);
+});
+
+test('a failing provider is left out of merged backend lists', async () => {
+  const registry = registryOf(
+    fakeProvider('a', { backends: [{ name: 'a_device' }] }),
+    fakeProvider('b', { failing: true })
+  );
+
+  assert.deepEqual((await registry.getBackends()).map(backend => backend.name), ['a_device']);
+});
+
+test('lookups go to the provider that knows the job or backend', async () => {
+  const registry = registryOf(
+    fakeProvider('a', { backends: [{ name: 'a_device' }], jobs: [job('a1', 1)] }),
+    fakeProvider('b', { backends: [{ name: 'b_device' }], jobs: [job('b1', 1)] })
+  );
+
+  assert.equal((await registry.getJobById('b1')).id, 'b1');
+  assert.equal((await registry.getQueueStatus('b_device')).provider, 'b');
+  assert.throws(() => registry.resolve('c'), /Unknown quantum provider: c/);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQasm, QasmSyntaxError, LIMITS } from '../src/utils/qasmParser.js';
+
+const BELL = `OPENQASM 2.0;
+include "qelib1.inc";
+qreg q[2];
+creg c[2];
+h q[0];
+cx q[0],q[1];
+measure q -> c;
+`;
+
+test('parses registers, gates and broadcast measurements', () => {
+  const circuit = parseQasm(BELL);
+
+  assert.equal(circuit.qubits, 2);
+  assert.equal(circuit.clbits, 2);
+  assert.deepEqual(circuit.operations.map(op => op.name), ['h', 'cx', 'measure', 'measure']);
+});
+
+test('syntax errors report their line', () => {
+  assert.throws(() => parseQasm('OPENQASM 2.0;\nqreg q[2];\nfoo q[0];\n'), (error) => {
+    assert.ok(error instanceof QasmSyntaxError);
+    assert.equal(error.line, 3);
+    return true;
+  });
+});
+
+const rejects = (program, pattern) => {
+  assert.throws(() => parseQasm(program), (error) => {
+    assert.ok(error instanceof QasmSyntaxError);
+    assert.match(error.message, pattern);
+    return true;
+  });
+};
+
+test('registers are limited in size, alone and together', () => {
+  rejects('qreg q[1000000];', /at most 1000 are supported/);
+  rejects('qreg a[600];\nqreg b[600];', /Register "b" brings the circuit to 1200 qubits/);
+  rejects('creg c[100000000];', /bits; at most 1000/);
+  rejects('h $1000;', /Physical qubit \$1000 is out of range/);
+
+  assert.equal(parseQasm(`qreg q[${LIMITS.qubits}];\nh q;`).qubits, LIMITS.qubits);
+});
+
+test('broadcast statements stop at the operation limit', () => {
+  const statements = Math.ceil(LIMITS.operations / LIMITS.qubits) + 1;
+  const program = `qreg q[${LIMITS.qubits}];\n${'h q;\n'.repeat(statements)}`;
+
+  rejects(program, new RegExp(`more than ${LIMITS.operations} operations`));
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import quantumRoutes from '../src/routers/quantumRoutes.js';
+import { jobHistoryStore } from '../src/stores/index.js';
+import { startApi } from './helpers/server.js';
+
+const viewer = { id: 'vera', role: 'viewer' };
+const operator = (id, team) => ({ id, role: 'operator', team });
+
+let api;
+before(async () => {
+  api = await startApi({ '/api/quantum': quantumRoutes });
+});
+after(() => api.close());
+
+test('management and mock scenario routes need monitoring:manage', async () => {
+  const routes = [
+    ['/api/quantum/update', undefined],
+    ['/api/quantum/cache/clear', undefined],
+    ['/api/quantum/mock/scenario', { scenario: 'queue-surge' }]
+  ];
+
+  for (const [path, body] of routes) {
+    assert.equal((await api.request('POST', path, { body })).status, 401, path);
+    assert.equal((await api.request('POST', path, { body, user: viewer })).status, 403, path);
+  }
+});
+
+test('a recorded program that no longer parses is a 422', async () => {
+  await jobHistoryStore.recordProgram('broken-job', 'OPENQASM 2.0;\nqreg q[1];\nfoo q[0];');
+
+  const response = await api.request('GET', '/api/quantum/jobs/broken-job/circuit', { user: viewer });
+  const body = await response.json();
+
+  assert.equal(response.status, 422);
+  assert.equal(body.error, 'Invalid OpenQASM program');
+  assert.equal(body.line, 3);
+});
+
+test('jobs can only be cancelled by their owner, their team or an admin', async () => {
+  await jobHistoryStore.recordOwner('team-job', { userId: 'olga', team: 'red' });
+  const cancel = async (jobId, user) => (await api.request('DELETE', `/api/quantum/jobs/${jobId}`, { user })).status;
+
+  assert.equal(await cancel('team-job', operator('oscar', 'blue')), 403);
+  assert.equal(await cancel('team-job', operator('oscar')), 403);
+  assert.equal(await cancel('unowned-job', operator('oscar', 'blue')), 403);
+
+  // Allowed through to the job lookup, which doesn't know these jobs
+  assert.equal(await cancel('team-job', operator('olga', 'red')), 404);
+  assert.equal(await cancel('team-job', operator('rita', 'red')), 404);
+  assert.equal(await cancel('unowned-job', { id: 'ada', role: 'admin' }), 404);
+});
+
+test('circuit analysis needs jobs:submit and a bounded body', async () => {
+  const path = '/api/quantum/circuits/analyze';
+  const program = 'OPENQASM 2.0;\nqreg q[1];\nh q[0];';
+
+  assert.equal((await api.request('POST', path, { body: { program } })).status, 401);
+  assert.equal((await api.request('POST', path, { body: { program }, user: viewer })).status, 403);
+  assert.equal((await api.request('POST', path, { body: { program }, user: operator('oscar') })).status, 200);
+
+  const oversized = await api.request('POST', path, { body: { program: ' '.repeat(2 * 1024 * 1024) }, user: operator('oscar') });
+  assert.equal(oversized.status, 413);
+});
+
+test('backend properties reject malformed backend and provider names', async () => {
+  const paths = ['/api/quantum/backends/ibm%20kyiv/properties', '/api/quantum/backends/ibm_kyiv/properties?provider=ibm;drop'];
+
+  for (const path of paths) {
+    const response = await api.request('GET', path);
+    assert.equal(response.status, 400, path);
+    assert.equal((await response.json()).errors.length, 1, path);
+  }
+});
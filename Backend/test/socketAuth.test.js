@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { issueToken } from '../src/middleware/auth.js';
+import { authenticateSocket, checkTopicAccess } from '../src/middleware/socketAuth.js';
+import { jobHistoryStore } from '../src/stores/index.js';
+
+// Runs authenticateSocket on a handshake and returns the socket and what it
+// passed to next()
+const handshake = ({ auth = {}, headers = {} }) => {
+  const socket = { handshake: { auth, headers }, data: {} };
+  let error;
+  authenticateSocket(socket, (result) => { error = result; });
+  return { user: socket.data.user, error };
+};
+
+test('handshakes carry a token in auth or the Authorization header', () => {
+  const token = issueToken({ id: 'alice', role: 'operator', team: 'red' });
+
+  assert.equal(handshake({ auth: { token } }).user.id, 'alice');
+  assert.equal(handshake({ headers: { authorization: `Bearer ${token}` } }).user.team, 'red');
+  assert.deepEqual(handshake({}), { user: null, error: undefined });
+});
+
+test('a handshake with an invalid token is refused with its status', () => {
+  const { error } = handshake({ auth: { token: 'not-a-token' } });
+
+  assert.ok(error instanceof Error);
+  assert.equal(error.data.status, 401);
+});
+
+test('rooms of team jobs are open to the team and admins only', async () => {
+  await jobHistoryStore.recordOwner('team-job', { userId: 'alice', team: 'red' });
+  await jobHistoryStore.recordOwner('own-job', { userId: 'bob', team: null });
+
+  assert.equal(await checkTopicAccess({ id: 'alice', role: 'operator', team: 'red' }, 'job:team-job'), null);
+  assert.equal(await checkTopicAccess({ id: 'ada', role: 'admin', team: null }, 'job:team-job'), null);
+  assert.match(await checkTopicAccess({ id: 'bob', role: 'operator', team: 'blue' }, 'job:team-job'), /belongs to team red/);
+  assert.match(await checkTopicAccess(null, 'job:team-job'), /belongs to team red/);
+
+  assert.equal(await checkTopicAccess(null, 'job:own-job'), null);
+  assert.equal(await checkTopicAccess(null, 'backend:ibm_kyiv'), null);
+});
+
+test('rooms of jobs the history does not know yet are open to admins only', async () => {
+  await jobHistoryStore.recordObservation([{ id: 'listed-job', status: 'QUEUED', backend: 'ibm_kyiv', provider: 'ibm' }]);
+
+  assert.equal(await checkTopicAccess(null, 'job:listed-job'), null);
+  assert.match(await checkTopicAccess(null, 'job:local_1_0'), /unknown job/);
+  assert.match(await checkTopicAccess({ id: 'bob', role: 'operator', team: 'blue' }, 'job:local_1_0'), /unknown job/);
+  assert.equal(await checkTopicAccess({ id: 'ada', role: 'admin', team: null }, 'job:local_1_0'), null);
+});
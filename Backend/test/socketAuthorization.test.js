@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jobMonitor, { submitTrackedJob } from '../src/services/jobMonitor.js';
+import eventLog from '../src/services/eventLog.js';
+import dashboardState from '../src/services/dashboardState.js';
+import providerRegistry from '../src/services/providerRegistry.js';
+import { LOCAL_SIMULATOR_BACKEND } from '../src/services/localSimulatorService.js';
+import dashboardRoutes from '../src/routers/dashboardRoutes.js';
+import { jobHistoryStore } from '../src/stores/index.js';
+import { checkTopicAccess } from '../src/middleware/socketAuth.js';
+import { parseQasm } from '../src/utils/qasmParser.js';
+import { startApi } from './helpers/server.js';
+
+// Sockets in rooms, and a server delivering to those in any of the rooms
+const fakeSocket = (id, rooms) => {
+  const received = [];
+  return { id, rooms: new Set([id, ...rooms]), received, emit: (event, payload) => received.push({ event, payload }) };
+};
+
+const fakeIo = (sockets) => ({
+  engine: { clientsCount: sockets.length },
+  on: () => {},
+  off: () => {},
+  of: () => ({ sockets: new Map() }),
+  to: (topics) => ({
+    emit: (event, payload) => sockets
+      .filter(socket => topics.some(topic => socket.rooms.has(topic)))
+      .forEach(socket => socket.emit(event, payload))
+  })
+});
+
+const PUBLIC_ROOMS = ['quantum-jobs', 'status:QUEUED', 'status:RUNNING', 'backend:ibm_kyiv', 'provider:ibm'];
+
+const alice = { id: 'alice', role: 'operator', team: 'red' };
+const bob = { id: 'bob', role: 'operator', team: 'blue' };
+const ada = { id: 'ada', role: 'admin', team: null };
+
+test('team rooms and team job rooms are closed to other teams', async () => {
+  await jobHistoryStore.recordOwner('red-job', { userId: 'alice', team: 'red' });
+
+  assert.equal(await checkTopicAccess(alice, 'team:red'), null);
+  assert.equal(await checkTopicAccess(alice, 'job:red-job'), null);
+  assert.equal(await checkTopicAccess(ada, 'team:red'), null);
+  assert.equal(await checkTopicAccess(ada, 'job:red-job'), null);
+
+  assert.match(await checkTopicAccess(bob, 'team:red'), /not a member/);
+  assert.match(await checkTopicAccess(bob, 'job:red-job'), /belongs to team red/);
+  assert.match(await checkTopicAccess(null, 'job:red-job'), /belongs to team red/);
+});
+
+test('a socket outside the team never receives its job events, live or replayed', async () => {
+  await jobHistoryStore.recordOwner('red-job', { userId: 'alice', team: 'red' });
+
+  // Bob listens to every public room; Alice only has her own channels
+  const outsider = fakeSocket('bob-socket', [...PUBLIC_ROOMS, 'user:bob', 'team:blue']);
+  const member = fakeSocket('alice-socket', ['user:alice', 'team:red']);
+  await jobMonitor.joinCluster(fakeIo([outsider, member]));
+
+  const { lastEventId } = eventLog.resume(outsider, {});
+  const job = { id: 'red-job', status: 'QUEUED', backend: 'ibm_kyiv', provider: 'ibm' };
+  await jobMonitor.publishEvent('new-jobs', [job]);
+  await jobMonitor.publishEvent('job-status-change', [
+    { jobId: 'red-job', oldStatus: 'QUEUED', newStatus: 'RUNNING', backend: 'ibm_kyiv', provider: 'ibm' }
+  ]);
+
+  assert.deepEqual(outsider.received, []);
+  assert.deepEqual(member.received.map(({ event }) => event), ['new-jobs', 'job-status-change', 'notification']);
+
+  const position = { epoch: eventLog.epoch, lastEventId };
+  assert.equal(eventLog.resume(outsider, position).replayed, 0);
+  assert.deepEqual(outsider.received, []);
+  assert.equal(eventLog.resume(member, position).replayed, 2);
+});
+
+test('jobs without a team still go to the public rooms', async () => {
+  await jobHistoryStore.recordOwner('solo-job', { userId: 'bob', team: null });
+
+  const watcher = fakeSocket('anonymous-socket', ['quantum-jobs']);
+  await jobMonitor.joinCluster(fakeIo([watcher]));
+  await jobMonitor.publishEvent('new-jobs', [{ id: 'solo-job', status: 'QUEUED', backend: 'ibm_kyiv', provider: 'ibm' }]);
+
+  assert.deepEqual(watcher.received.map(({ event }) => event), ['new-jobs']);
+});
+
+test('an outsider finds no team job on the dashboard, live or over REST', async () => {
+  const outsider = fakeSocket('bob-socket', ['dashboard', ...PUBLIC_ROOMS, 'user:bob', 'team:blue']);
+  const member = fakeSocket('alice-socket', ['dashboard', 'user:alice', 'team:red']);
+  await jobMonitor.joinCluster(fakeIo([outsider, member]));
+
+  const circuit = parseQasm('OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[1];\ncreg c[1];\nh q[0];\nmeasure q -> c;');
+  const job = await submitTrackedJob(
+    () => providerRegistry.submitJob({ backend: LOCAL_SIMULATOR_BACKEND, circuit, shots: 10 }, { provider: 'local' }),
+    { submittedBy: alice }
+  );
+  await jobMonitor.monitorJobs();
+
+  assert.ok(!JSON.stringify(outsider.received).includes(job.id));
+  assert.ok(!JSON.stringify(dashboardState.getSnapshot()).includes(job.id));
+  const teamView = member.received.find(({ event }) => event === 'team-dashboard').payload;
+  assert.equal(teamView.team, 'red');
+  assert.ok(teamView.recentJobs.some(recentJob => recentJob.id === job.id));
+
+  const api = await startApi({ '/api/dashboard': dashboardRoutes });
+  const overviewJobs = async (user) => {
+    const { data } = await (await api.request('GET', '/api/dashboard/overview', { user })).json();
+    return data.recentJobs.map(recentJob => recentJob.id);
+  };
+  assert.ok(!(await overviewJobs(null)).includes(job.id));
+  assert.ok(!(await overviewJobs(bob)).includes(job.id));
+  assert.ok((await overviewJobs(alice)).includes(job.id));
+  assert.ok((await overviewJobs(ada)).includes(job.id));
+  await api.close();
+});
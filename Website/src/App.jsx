@@ -3,7 +3,10 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Navigation from './components/Navigation';
 import Dashboard from './pages/Dashboard';
 import Jobs from './pages/Jobs';
+import JobDetail from './pages/JobDetail';
+import SubmitJob from './pages/SubmitJob';
 import Backends from './pages/Backends';
+import BackendDetail from './pages/BackendDetail';
 import './App.css';
 
 function App() {
@@ -15,7 +18,10 @@ function App() {
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/jobs" element={<Jobs />} />
+            <Route path="/jobs/:jobId" element={<JobDetail />} />
+            <Route path="/submit" element={<SubmitJob />} />
             <Route path="/backends" element={<Backends />} />
+            <Route path="/backends/:backendName" element={<BackendDetail />} />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { quantumAPI, handleApiError } from '../services/api';
+import { formatDuration } from '../utils/constants';
+
+const PRIORITY_OPTIONS = [
+  { value: 'wait', label: 'Shortest wait' },
+  { value: 'fidelity', label: 'Best fidelity' }
+];
+
+const initialForm = {
+  qubits: 5,
+  basisGates: '',
+  allowSimulator: true,
+  priority: 'wait'
+};
+
+const BackendFinder = () => {
+  const [form, setForm] = useState(initialForm);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await quantumAPI.recommendBackends({
+        qubits: parseInt(form.qubits),
+        basisGates: form.basisGates
+          .split(',')
+          .map(gate => gate.trim())
+          .filter(Boolean),
+        allowSimulator: form.allowSimulator,
+        priority: form.priority
+      });
+      setResult(response.data.data);
+    } catch (err) {
+      // Validation failures come back as a list of field errors
+      setError(err.response?.data?.errors?.[0]?.msg || handleApiError(err));
+      setResult(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="backend-finder">
+      <h2>🧭 Find a Backend</h2>
+      <form className="finder-form" onSubmit={handleSubmit}>
+        <div className="filter-group">
+          <label htmlFor="finder-qubits">Qubits:</label>
+          <input
+            id="finder-qubits"
+            type="number"
+            min="1"
+            value={form.qubits}
+            onChange={(e) => handleChange('qubits', e.target.value)}
+            required
+          />
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="finder-gates">Basis gates:</label>
+          <input
+            id="finder-gates"
+            type="text"
+            placeholder="e.g. cx, sx, rz"
+            value={form.basisGates}
+            onChange={(e) => handleChange('basisGates', e.target.value)}
+          />
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="finder-priority">Priority:</label>
+          <select
+            id="finder-priority"
+            value={form.priority}
+            onChange={(e) => handleChange('priority', e.target.value)}
+          >
+            {PRIORITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group checkbox">
+          <label htmlFor="finder-simulator">
+            <input
+              id="finder-simulator"
+              type="checkbox"
+              checked={form.allowSimulator}
+              onChange={(e) => handleChange('allowSimulator', e.target.checked)}
+            />
+            Allow simulators
+          </label>
+        </div>
+
+        <button type="submit" className="refresh-btn" disabled={loading}>
+          {loading ? 'Searching...' : 'Find backends'}
+        </button>
+      </form>
+
+      {error && <p className="finder-error">{error}</p>}
+
+      {result && (
+        <div className="finder-results">
+          {result.recommendations.length > 0 ? (
+            <ol className="recommendation-list">
+              {result.recommendations.map((recommendation) => (
+                <li key={`${recommendation.provider}:${recommendation.backend}`} className="recommendation-item">
+                  <div className="recommendation-header">
+                    <span className="recommendation-rank">#{recommendation.rank}</span>
+                    <h3>{recommendation.backend}</h3>
+                    {recommendation.simulator && <span className="backend-type">Simulator</span>}
+                    <span className="recommendation-score">Score {Math.round(recommendation.score * 100)}</span>
+                  </div>
+                  <div className="recommendation-details">
+                    <span>Queue: {recommendation.queueLength}</span>
+                    <span>Est. wait: {formatDuration(recommendation.estimatedWaitTime * 1000)}</span>
+                    <span>
+                      Expected fidelity:{' '}
+                      {recommendation.expectedFidelity !== null
+                        ? `${(recommendation.expectedFidelity * 100).toFixed(1)}%`
+                        : 'N/A'}
+                    </span>
+                    <span>{recommendation.n_qubits} qubits</span>
+                  </div>
+                  {recommendation.notes.length > 0 && (
+                    <p className="recommendation-notes">{recommendation.notes.join(' · ')}</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="no-data">No backend meets these requirements</p>
+          )}
+
+          {result.excluded.length > 0 && (
+            <details className="excluded-backends">
+              <summary>{result.excluded.length} backends excluded</summary>
+              <ul>
+                {result.excluded.map((entry) => (
+                  <li key={`${entry.provider}:${entry.backend}`}>
+                    <strong>{entry.backend}</strong>: {entry.reasons.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default BackendFinder;
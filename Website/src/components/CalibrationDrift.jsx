@@ -0,0 +1,62 @@
+import React from 'react';
+import { useApi } from '../hooks/useApi';
+import { quantumAPI } from '../services/api';
+import LineChart from './LineChart';
+import Loading from './Loading';
+import ErrorMessage from './ErrorMessage';
+
+const formatPercent = (value) => `${(value * 100).toFixed(2)}%`;
+const formatMicroseconds = (value) => `${Math.round(value)} µs`;
+
+// Device-wide calibration medians over the last 30 days, one point per daily
+// snapshot kept by the job monitor
+const CalibrationDrift = ({ backendName, provider }) => {
+  const { data, loading, error, refetch } = useApi(
+    () => quantumAPI.getCalibrationHistory(backendName, { provider }),
+    [backendName, provider]
+  );
+
+  if (loading) {
+    return <Loading message="Loading calibration history..." />;
+  }
+
+  if (error) {
+    return <ErrorMessage error={error} onRetry={refetch} />;
+  }
+
+  const snapshots = data?.snapshots || [];
+  const pointsFor = (field) => snapshots.map(snapshot => ({
+    timestamp: snapshot.capturedAt,
+    value: snapshot.summary?.[field]
+  }));
+  const twoQubitGate = snapshots.at(-1)?.summary?.twoQubitGate?.toUpperCase() || 'Two-qubit';
+
+  return (
+    <div className="calibration-drift">
+      <h3>Coherence</h3>
+      <LineChart
+        series={[
+          { label: 'Median T1', color: '#3b82f6', points: pointsFor('medianT1') },
+          { label: 'Median T2', color: '#8b5cf6', points: pointsFor('medianT2') }
+        ]}
+        formatValue={formatMicroseconds}
+        minValue={0}
+        emptyMessage="No calibration snapshots recorded yet"
+      />
+
+      <h3>Error Rates</h3>
+      <LineChart
+        series={[
+          { label: 'Readout', color: '#d97706', points: pointsFor('medianReadoutError') },
+          { label: 'Single-qubit gate', color: '#059669', points: pointsFor('medianSingleQubitError') },
+          { label: `${twoQubitGate} gate`, color: '#dc2626', points: pointsFor('medianTwoQubitError') }
+        ]}
+        formatValue={formatPercent}
+        minValue={0}
+        emptyMessage="No calibration snapshots recorded yet"
+      />
+    </div>
+  );
+};
+
+export default CalibrationDrift;
@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { quantumAPI, handleApiError } from '../services/api';
+
+const CANCELLABLE_STATUSES = ['QUEUED', 'RUNNING'];
+
+// Cancels a queued or running job; hidden when the user may not cancel jobs
+const CancelJobButton = ({ job, onCancelled }) => {
+  const { can } = useAuth();
+  const [cancelling, setCancelling] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!CANCELLABLE_STATUSES.includes(job.status) || !can('jobs:cancel')) {
+    return null;
+  }
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Cancel ${job.name || `job ${job.id}`}?`)) return;
+
+    try {
+      setCancelling(true);
+      setError(null);
+      const response = await quantumAPI.cancelJob(job.id);
+      onCancelled?.(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || handleApiError(err));
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  return (
+    <span className="cancel-job">
+      <button className="cancel-job-btn" onClick={handleCancel} disabled={cancelling}>
+        {cancelling ? 'Cancelling...' : 'Cancel job'}
+      </button>
+      {error && <span className="cancel-job-error">{error}</span>}
+    </span>
+  );
+};
+
+export default CancelJobButton;
@@ -0,0 +1,344 @@
+import React, { useMemo, useRef } from 'react';
+
+const WIRE_SPACING = 48;
+const PADDING = { top: 28, right: 24, bottom: 24, left: 72 };
+const GATE_HEIGHT = 32;
+const MIN_GATE_WIDTH = 36;
+const CHAR_WIDTH = 7;
+const COLUMN_GAP = 14;
+const CONTROL_RADIUS = 5;
+const TARGET_RADIUS = 11;
+const PNG_SCALE = 2;
+
+// Larger circuits are cut off so the page stays responsive
+const MAX_OPERATIONS = 1500;
+
+const COLORS = {
+  wire: '#9ca3af',
+  text: '#1f2937',
+  label: '#4b5563',
+  clifford: '#3b82f6',
+  rotation: '#8b5cf6',
+  multi: '#d97706',
+  measure: '#4b5563',
+  reset: '#1f2937',
+  barrier: '#9ca3af'
+};
+
+const CLIFFORD_GATES = ['id', 'x', 'y', 'z', 'h', 's', 'sdg', 't', 'tdg', 'sx', 'sxdg', 'cx', 'CX', 'cy', 'cz', 'ch', 'csx', 'ccx', 'swap', 'cswap'];
+
+// Controlled gates drawn as control dots and a box with the gate they control
+const CONTROLLED_BOXES = { ch: 'h', cy: 'y', csx: 'sx', crx: 'rx', cry: 'ry', crz: 'rz', cu3: 'u3', cu: 'u' };
+const PHASE_GATES = ['cp', 'cphase', 'cu1'];
+
+const formatParam = (param) => param.replace(/\bpi\b/g, 'π');
+
+const gateLabel = (name, params = []) => (params.length ? `${name}(${params.map(formatParam).join(', ')})` : name);
+
+const boxWidth = (label) => Math.max(MIN_GATE_WIDTH, label.length * CHAR_WIDTH + 14);
+
+const gateColor = (name) => {
+  if (CLIFFORD_GATES.includes(name)) return COLORS.clifford;
+  if (name === 'measure') return COLORS.measure;
+  if (name === 'reset') return COLORS.reset;
+  return /^(c?r[xyz]|c?p|cphase|c?u[0-9]?|U|rxx|ryy|rzz|rzx)$/.test(name) ? COLORS.rotation : COLORS.multi;
+};
+
+// Register-qualified wire names, e.g. q[0] or $3 for physical qubits
+const wireLabels = (registers, count, physical) => {
+  if (physical) {
+    return Array.from({ length: count }, (_, index) => `$${index}`);
+  }
+  return Array.from({ length: count }, (_, index) => {
+    const reg = registers.find(candidate => index >= candidate.offset && index < candidate.offset + candidate.size);
+    if (!reg) return String(index);
+    return reg.size === 1 ? reg.name : `${reg.name}[${index - reg.offset}]`;
+  });
+};
+
+// How wide an operation is drawn
+const operationWidth = (operation) => {
+  const { name, params } = operation;
+  if (['cx', 'CX', 'ccx', 'cz', 'swap', 'cswap', 'barrier'].includes(name)) return 2 * TARGET_RADIUS + 6;
+  if (PHASE_GATES.includes(name)) return Math.max(2 * TARGET_RADIUS, gateLabel('p', params).length * CHAR_WIDTH + 8);
+  if (CONTROLLED_BOXES[name]) return boxWidth(gateLabel(CONTROLLED_BOXES[name], params));
+  if (name === 'measure' || name === 'reset') return MIN_GATE_WIDTH;
+  return boxWidth(gateLabel(name, params));
+};
+
+// Place operations in columns: each one goes right after the last operation
+// on any wire it crosses, counting the wires between its outermost qubits
+// and, for measurements and conditions, the classical wires it reaches
+const layoutColumns = (circuit, operations) => {
+  const levels = new Array(circuit.qubits + circuit.clbits).fill(0);
+  const columnWidths = [];
+
+  const placed = operations.map(operation => {
+    const wires = [...operation.qubits];
+    operation.clbits.forEach(clbit => wires.push(circuit.qubits + clbit));
+    (operation.condition?.clbits || []).forEach(clbit => wires.push(circuit.qubits + clbit));
+
+    const low = Math.min(...wires);
+    const high = Math.max(...wires);
+    let column = 0;
+    for (let wire = low; wire <= high; wire++) column = Math.max(column, levels[wire]);
+    for (let wire = low; wire <= high; wire++) levels[wire] = column + 1;
+
+    columnWidths[column] = Math.max(columnWidths[column] || 0, operationWidth(operation));
+    return { operation, column };
+  });
+
+  const columnX = [];
+  let x = PADDING.left + COLUMN_GAP;
+  columnWidths.forEach((width, column) => {
+    columnX[column] = x + width / 2;
+    x += width + COLUMN_GAP;
+  });
+
+  return { placed, columnX, width: x + PADDING.right };
+};
+
+const download = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const Box = ({ x, y, width, height = GATE_HEIGHT, label, color }) => (
+  <g>
+    <rect x={x - width / 2} y={y - height / 2} width={width} height={height} rx={4} fill={color} />
+    <text x={x} y={y} fill="white" fontSize={12} textAnchor="middle" dominantBaseline="central">{label}</text>
+  </g>
+);
+
+const Control = ({ x, y, color }) => <circle cx={x} cy={y} r={CONTROL_RADIUS} fill={color} />;
+
+const Target = ({ x, y, color }) => (
+  <g stroke={color} strokeWidth={2} fill="white">
+    <circle cx={x} cy={y} r={TARGET_RADIUS} />
+    <line x1={x - TARGET_RADIUS} y1={y} x2={x + TARGET_RADIUS} y2={y} />
+    <line x1={x} y1={y - TARGET_RADIUS} x2={x} y2={y + TARGET_RADIUS} />
+  </g>
+);
+
+const SwapMark = ({ x, y, color }) => (
+  <g stroke={color} strokeWidth={2}>
+    <line x1={x - 6} y1={y - 6} x2={x + 6} y2={y + 6} />
+    <line x1={x - 6} y1={y + 6} x2={x + 6} y2={y - 6} />
+  </g>
+);
+
+// Two parallel lines, as classical wires are drawn
+const DoubleLine = ({ x1, y1, x2, y2, color }) => {
+  const vertical = x1 === x2;
+  const dx = vertical ? 1.5 : 0;
+  const dy = vertical ? 0 : 1.5;
+  return (
+    <g stroke={color} strokeWidth={1}>
+      <line x1={x1 - dx} y1={y1 - dy} x2={x2 - dx} y2={y2 - dy} />
+      <line x1={x1 + dx} y1={y1 + dy} x2={x2 + dx} y2={y2 + dy} />
+    </g>
+  );
+};
+
+// One operation at column center `x`; `qubitY`/`clbitY` give wire heights
+const Operation = ({ operation, x, qubitY, clbitY }) => {
+  const { name, params, qubits, clbits, condition } = operation;
+  const color = gateColor(name);
+  const ys = qubits.map(qubitY);
+  const top = Math.min(...ys);
+  const bottom = Math.max(...ys);
+  const elements = [];
+
+  if (condition) {
+    const conditionYs = condition.clbits.map(clbitY);
+    elements.push(<DoubleLine key="condition" x1={x} y1={bottom} x2={x} y2={Math.max(...conditionYs)} color={COLORS.label} />);
+    condition.clbits.forEach((clbit, index) => {
+      const set = (condition.value >> index) & 1;
+      elements.push(
+        <circle key={`bit-${clbit}`} cx={x} cy={clbitY(clbit)} r={4} fill={set ? COLORS.label : 'white'} stroke={COLORS.label} strokeWidth={1.5} />
+      );
+    });
+    elements.push(
+      <text key="value" x={x + 8} y={Math.max(...conditionYs) + 14} fill={COLORS.label} fontSize={10}>
+        = {condition.value}
+      </text>
+    );
+  }
+
+  if (qubits.length > 1 && name !== 'barrier') {
+    elements.push(<line key="connector" x1={x} y1={top} x2={x} y2={bottom} stroke={color} strokeWidth={2} />);
+  }
+
+  if (name === 'barrier') {
+    const half = WIRE_SPACING / 2;
+    qubits.forEach(qubit => {
+      elements.push(
+        <g key={`barrier-${qubit}`}>
+          <rect x={x - 6} y={qubitY(qubit) - half} width={12} height={WIRE_SPACING} fill="#e5e7eb" opacity={0.6} />
+          <line x1={x} y1={qubitY(qubit) - half} x2={x} y2={qubitY(qubit) + half} stroke={COLORS.barrier} strokeWidth={2} strokeDasharray="4 3" />
+        </g>
+      );
+    });
+  } else if (name === 'measure') {
+    const y = ys[0];
+    if (clbits.length > 0) {
+      const clY = clbitY(clbits[0]);
+      elements.push(<DoubleLine key="readout" x1={x} y1={y + GATE_HEIGHT / 2} x2={x} y2={clY - 6} color={color} />);
+      elements.push(<path key="arrow" d={`M ${x - 5} ${clY - 7} L ${x + 5} ${clY - 7} L ${x} ${clY} Z`} fill={color} />);
+    }
+    elements.push(
+      <g key="meter">
+        <rect x={x - MIN_GATE_WIDTH / 2} y={y - GATE_HEIGHT / 2} width={MIN_GATE_WIDTH} height={GATE_HEIGHT} rx={4} fill={color} />
+        <path d={`M ${x - 10} ${y + 6} A 10 10 0 0 1 ${x + 10} ${y + 6}`} stroke="white" strokeWidth={1.5} fill="none" />
+        <line x1={x} y1={y + 6} x2={x + 7} y2={y - 7} stroke="white" strokeWidth={1.5} />
+      </g>
+    );
+  } else if (name === 'reset') {
+    elements.push(<Box key="reset" x={x} y={ys[0]} width={MIN_GATE_WIDTH} label="|0⟩" color={color} />);
+  } else if (name === 'cx' || name === 'CX' || name === 'ccx') {
+    ys.slice(0, -1).forEach((y, index) => elements.push(<Control key={`control-${index}`} x={x} y={y} color={color} />));
+    elements.push(<Target key="target" x={x} y={ys[ys.length - 1]} color={color} />);
+  } else if (name === 'cz') {
+    ys.forEach((y, index) => elements.push(<Control key={`control-${index}`} x={x} y={y} color={color} />));
+  } else if (PHASE_GATES.includes(name)) {
+    ys.forEach((y, index) => elements.push(<Control key={`control-${index}`} x={x} y={y} color={color} />));
+    elements.push(
+      <text key="label" x={x} y={bottom + 18} fill={color} fontSize={11} textAnchor="middle">
+        {gateLabel('p', params)}
+      </text>
+    );
+  } else if (name === 'swap' || name === 'cswap') {
+    if (name === 'cswap') elements.push(<Control key="control" x={x} y={ys[0]} color={color} />);
+    ys.slice(name === 'cswap' ? 1 : 0).forEach((y, index) => elements.push(<SwapMark key={`swap-${index}`} x={x} y={y} color={color} />));
+  } else if (CONTROLLED_BOXES[name]) {
+    const label = gateLabel(CONTROLLED_BOXES[name], params);
+    elements.push(<Control key="control" x={x} y={ys[0]} color={color} />);
+    elements.push(<Box key="target" x={x} y={ys[1]} width={boxWidth(label)} label={label} color={color} />);
+  } else {
+    // Single-qubit gates, and multi-qubit or custom gates as one tall box
+    // with the position of each argument
+    const label = gateLabel(name, params);
+    const width = boxWidth(label);
+    const height = bottom - top + GATE_HEIGHT;
+    elements.push(<Box key="gate" x={x} y={(top + bottom) / 2} width={width} height={height} label={label} color={color} />);
+    if (qubits.length > 1) {
+      qubits.forEach((qubit, index) => (
+        elements.push(
+          <text key={`arg-${index}`} x={x - width / 2 + 3} y={qubitY(qubit)} fill="white" fontSize={9} dominantBaseline="central">
+            {index}
+          </text>
+        )
+      ));
+    }
+  }
+
+  return <g>{elements}</g>;
+};
+
+// SVG drawing of a parsed circuit (the `circuit` of the circuit analysis and
+// job circuit endpoints), exportable as SVG or PNG
+const CircuitDiagram = ({ circuit, fileName = 'circuit' }) => {
+  const svgRef = useRef(null);
+
+  const { placed, columnX, width } = useMemo(
+    () => layoutColumns(circuit, circuit.operations.slice(0, MAX_OPERATIONS)),
+    [circuit]
+  );
+
+  const qubitLabels = wireLabels(circuit.qregs, circuit.qubits, circuit.physicalQubits);
+  const clbitLabels = wireLabels(circuit.cregs, circuit.clbits, false);
+  const qubitY = (qubit) => PADDING.top + qubit * WIRE_SPACING;
+  const clbitY = (clbit) => PADDING.top + (circuit.qubits + clbit) * WIRE_SPACING;
+  const height = PADDING.top + Math.max(0, circuit.qubits + circuit.clbits - 1) * WIRE_SPACING + PADDING.bottom + 12;
+
+  const serialize = () => new XMLSerializer().serializeToString(svgRef.current);
+
+  const exportSvg = () => {
+    download(new Blob([serialize()], { type: 'image/svg+xml' }), `${fileName}.svg`);
+  };
+
+  // Draw the SVG onto a canvas at twice its size for a sharper image
+  const exportPng = () => {
+    const url = URL.createObjectURL(new Blob([serialize()], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * PNG_SCALE;
+      canvas.height = height * PNG_SCALE;
+      const context = canvas.getContext('2d');
+      context.fillStyle = 'white';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(PNG_SCALE, PNG_SCALE);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => download(blob, `${fileName}.png`), 'image/png');
+    };
+    image.src = url;
+  };
+
+  if (circuit.qubits === 0) {
+    return <p className="no-data">This circuit has no qubits</p>;
+  }
+
+  return (
+    <div className="circuit-diagram">
+      <div className="history-controls">
+        <p className="history-meta">
+          {circuit.qubits} qubit{circuit.qubits === 1 ? '' : 's'} · {circuit.operations.length} operations
+          {circuit.operations.length > MAX_OPERATIONS && ` · showing the first ${MAX_OPERATIONS}`}
+        </p>
+        <button className="refresh-btn" onClick={exportSvg}>Export SVG</button>
+        <button className="refresh-btn" onClick={exportPng}>Export PNG</button>
+      </div>
+
+      <div className="circuit-scroll">
+        <svg
+          ref={svgRef}
+          xmlns="http://www.w3.org/2000/svg"
+          width={width}
+          height={height}
+          viewBox={`0 0 ${width} ${height}`}
+          fontFamily="ui-monospace, SFMono-Regular, Menlo, monospace"
+          role="img"
+          aria-label={`Circuit diagram with ${circuit.qubits} qubits and ${circuit.operations.length} operations`}
+        >
+          <rect width={width} height={height} fill="white" />
+
+          {qubitLabels.map((label, qubit) => (
+            <g key={`qubit-${qubit}`}>
+              <text x={PADDING.left - 10} y={qubitY(qubit)} fill={COLORS.text} fontSize={12} textAnchor="end" dominantBaseline="central">
+                {label}
+              </text>
+              <line x1={PADDING.left} y1={qubitY(qubit)} x2={width - PADDING.right} y2={qubitY(qubit)} stroke={COLORS.wire} strokeWidth={1.5} />
+            </g>
+          ))}
+
+          {clbitLabels.map((label, clbit) => (
+            <g key={`clbit-${clbit}`}>
+              <text x={PADDING.left - 10} y={clbitY(clbit)} fill={COLORS.label} fontSize={12} textAnchor="end" dominantBaseline="central">
+                {label}
+              </text>
+              <DoubleLine x1={PADDING.left} y1={clbitY(clbit)} x2={width - PADDING.right} y2={clbitY(clbit)} color={COLORS.wire} />
+            </g>
+          ))}
+
+          {placed.map(({ operation, column }, index) => (
+            <Operation
+              key={index}
+              operation={operation}
+              x={columnX[column]}
+              qubitY={qubitY}
+              clbitY={clbitY}
+            />
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default CircuitDiagram;
@@ -1,8 +1,9 @@
 import React from 'react';
 import { useSocket } from '../hooks/useSocket';
 import socketService from '../services/socket';
+import { DATA_SOURCE, DATA_SOURCE_LABELS, formatDuration } from '../utils/constants';
 
-const ConnectionStatus = () => {
+const ConnectionStatus = ({ dataSource, dataAge }) => {
   const { isConnected, socketId } = useSocket();
 
   const handleReconnect = () => {
@@ -14,34 +15,51 @@ const ConnectionStatus = () => {
   };
 
   return (
-    <div className={`connection-status ${isConnected ? 'connected' : 'disconnected'}`}>
-      <div className="status-indicator"></div>
-      <span className="status-text">
-        {isConnected ? '🟢 Connected' : '🔴 Disconnected'}
-      </span>
-      {socketId && (
-        <span className="socket-id" title={`Socket ID: ${socketId}`}>
-          ({socketId.slice(0, 8)}...)
-        </span>
-      )}
-      {!isConnected && (
-        <button 
-          onClick={handleReconnect}
-          className="reconnect-btn"
-          style={{
-            marginLeft: '10px',
-            padding: '4px 8px',
-            fontSize: '12px',
-            background: '#007bff',
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
+    <div className="connection-status-bar">
+      {dataSource && (
+        <div
+          className={`data-source-badge ${dataSource}`}
+          title="Where the backend got the data currently displayed"
         >
-          Reconnect
-        </button>
+          <strong>{DATA_SOURCE_LABELS[dataSource] || dataSource}</strong>
+          {(dataSource === DATA_SOURCE.CACHE || dataSource === DATA_SOURCE.STALE) && (
+            <span className="data-source-age">{formatDuration(dataAge)} old</span>
+          )}
+          {dataSource === DATA_SOURCE.MOCK && (
+            <span className="data-source-age">not from a real quantum provider</span>
+          )}
+        </div>
       )}
+
+      <div className={`connection-status ${isConnected ? 'connected' : 'disconnected'}`}>
+        <div className="status-indicator"></div>
+        <span className="status-text">
+          {isConnected ? '🟢 Connected' : '🔴 Disconnected'}
+        </span>
+        {socketId && (
+          <span className="socket-id" title={`Socket ID: ${socketId}`}>
+            ({socketId.slice(0, 8)}...)
+          </span>
+        )}
+        {!isConnected && (
+          <button
+            onClick={handleReconnect}
+            className="reconnect-btn"
+            style={{
+              marginLeft: '10px',
+              padding: '4px 8px',
+              fontSize: '12px',
+              background: '#007bff',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Reconnect
+          </button>
+        )}
+      </div>
     </div>
   );
 };
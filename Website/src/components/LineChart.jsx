@@ -0,0 +1,140 @@
+import React, { useMemo, useState } from 'react';
+
+const WIDTH = 720;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 64 };
+const Y_TICKS = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatTime = (timestamp, span) => {
+  const date = new Date(timestamp);
+  return span > 2 * DAY_MS
+    ? date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Split a series wherever a value is missing so gaps stay visible
+const toSegments = (points) => {
+  const segments = [];
+  let current = [];
+  points.forEach(point => {
+    if (Number.isFinite(point.value)) {
+      current.push(point);
+    } else if (current.length) {
+      segments.push(current);
+      current = [];
+    }
+  });
+  if (current.length) segments.push(current);
+  return segments;
+};
+
+// Time-series chart for one or more series of { timestamp, value } points
+const LineChart = ({ series, height = 220, formatValue = (value) => value, minValue, maxValue, emptyMessage = 'No data for this period' }) => {
+  const [hoverTime, setHoverTime] = useState(null);
+
+  const parsed = useMemo(() => series.map(line => ({
+    ...line,
+    points: line.points.map(point => ({ timestamp: new Date(point.timestamp).getTime(), value: point.value }))
+  })), [series]);
+
+  const allPoints = parsed.flatMap(line => line.points);
+  const values = allPoints.map(point => point.value).filter(Number.isFinite);
+
+  if (values.length === 0) {
+    return <p className="no-data">{emptyMessage}</p>;
+  }
+
+  const timestamps = allPoints.map(point => point.timestamp);
+  const start = Math.min(...timestamps);
+  const end = Math.max(...timestamps);
+  const span = end - start || 1;
+  const low = minValue ?? Math.min(...values);
+  let high = maxValue ?? Math.max(...values);
+  if (high === low) high = low + 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const x = (timestamp) => PADDING.left + ((timestamp - start) / span) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+  const ticks = Array.from({ length: Y_TICKS + 1 }, (_, index) => low + ((high - low) * index) / Y_TICKS);
+
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const position = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    const time = start + ((position - PADDING.left) / plotWidth) * span;
+    // Snap to the closest recorded timestamp
+    const closest = timestamps.reduce((best, timestamp) =>
+      (Math.abs(timestamp - time) < Math.abs(best - time) ? timestamp : best), timestamps[0]);
+    setHoverTime(closest);
+  };
+
+  const hoverValues = hoverTime === null ? [] : parsed
+    .map(line => ({ line, point: line.points.find(point => point.timestamp === hoverTime) }))
+    .filter(({ point }) => point && Number.isFinite(point.value));
+
+  return (
+    <div className="line-chart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHoverTime(null)}
+      >
+        {ticks.map(tick => (
+          <g key={tick} className="chart-grid">
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} />
+            <text x={PADDING.left - 8} y={y(tick)} textAnchor="end" dy="0.35em">
+              {formatValue(tick)}
+            </text>
+          </g>
+        ))}
+
+        <g className="chart-axis">
+          <text x={PADDING.left} y={height - 8}>{formatTime(start, span)}</text>
+          <text x={WIDTH - PADDING.right} y={height - 8} textAnchor="end">{formatTime(end, span)}</text>
+        </g>
+
+        {parsed.map(line => toSegments(line.points).map((segment, index) => (
+          segment.length === 1 ? (
+            <circle key={`${line.label}-${index}`} cx={x(segment[0].timestamp)} cy={y(segment[0].value)} r={3} fill={line.color} />
+          ) : (
+            <polyline
+              key={`${line.label}-${index}`}
+              points={segment.map(point => `${x(point.timestamp)},${y(point.value)}`).join(' ')}
+              fill="none"
+              stroke={line.color}
+              strokeWidth={2}
+            />
+          )
+        )))}
+
+        {hoverTime !== null && (
+          <g className="chart-hover">
+            <line x1={x(hoverTime)} x2={x(hoverTime)} y1={PADDING.top} y2={PADDING.top + plotHeight} />
+            {hoverValues.map(({ line, point }) => (
+              <circle key={line.label} cx={x(point.timestamp)} cy={y(point.value)} r={4} fill={line.color} />
+            ))}
+          </g>
+        )}
+      </svg>
+
+      <div className="chart-legend">
+        {hoverTime !== null && (
+          <span className="chart-hover-time">{new Date(hoverTime).toLocaleString()}</span>
+        )}
+        {parsed.map(line => {
+          const hovered = hoverValues.find(entry => entry.line.label === line.label);
+          return (
+            <span key={line.label} className="chart-legend-item">
+              <span className="chart-legend-swatch" style={{ backgroundColor: line.color }} />
+              {line.label}
+              {hovered && `: ${formatValue(hovered.point.value)}`}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LineChart;
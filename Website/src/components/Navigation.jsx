@@ -1,15 +1,32 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { useAuth, updateAuthToken } from '../hooks/useAuth';
+import { useNotifications } from '../hooks/useSocket';
+import { getAuthToken } from '../services/api';
 
 const Navigation = () => {
   const location = useLocation();
+  const { user, authEnabled } = useAuth();
+  const { notifications, dismiss } = useNotifications();
+
+  // Detail pages such as /backends/:name keep their section highlighted
+  const isActive = (path) => (path === '/' ? location.pathname === '/' : location.pathname.startsWith(path));
 
   const navItems = [
     { path: '/', label: 'Dashboard', icon: '📊' },
     { path: '/jobs', label: 'Jobs', icon: '⚛️' },
+    { path: '/submit', label: 'Submit', icon: '📝' },
     { path: '/backends', label: 'Backends', icon: '🔬' }
   ];
 
+  // Tokens come from `npm run token` on the backend; an empty entry signs out
+  const handleSetToken = () => {
+    const token = window.prompt('Access token (leave empty to sign out)', getAuthToken() || '');
+    if (token !== null) {
+      updateAuthToken(token.trim() || null);
+    }
+  };
+
   return (
     <nav className="navigation">
       <div className="nav-brand">
@@ -22,7 +39,7 @@ const Navigation = () => {
           <li key={item.path} className="nav-item">
             <Link
               to={item.path}
-              className={`nav-link ${location.pathname === item.path ? 'active' : ''}`}
+              className={`nav-link ${isActive(item.path) ? 'active' : ''}`}
             >
               <span className="nav-icon">{item.icon}</span>
               <span className="nav-label">{item.label}</span>
@@ -30,6 +47,31 @@ const Navigation = () => {
           </li>
         ))}
       </ul>
+
+      <div className="nav-user">
+        {notifications.length > 0 && (
+          <div className="nav-notifications">
+            {notifications.map(notification => (
+              <Link
+                key={`${notification.jobId}-${notification.newStatus}`}
+                to={`/jobs/${notification.jobId}`}
+                className="nav-notification"
+              >
+                🔔 {notification.jobName}: {notification.newStatus}
+              </Link>
+            ))}
+            <button className="nav-token-btn" onClick={dismiss}>Dismiss</button>
+          </div>
+        )}
+        <span className="nav-user-name" title={user?.team ? `Team ${user.team}` : undefined}>
+          {user ? `${user.name} · ${user.role}` : 'Read-only'}
+        </span>
+        {authEnabled && (
+          <button className="nav-token-btn" onClick={handleSetToken}>
+            {getAuthToken() ? 'Change token' : 'Set token'}
+          </button>
+        )}
+      </div>
     </nav>
   );
 };
@@ -0,0 +1,290 @@
+import React, { useMemo, useState } from 'react';
+
+const WIDTH = 720;
+const HEIGHT = 480;
+const PADDING = 24;
+const NODE_RADIUS = 9;
+const LAYOUT_ITERATIONS = 60;
+
+// Per-qubit metrics the nodes can be colored by; `lowerIsBetter` decides the
+// direction of the green-to-red scale
+const NODE_METRICS = {
+  readoutError: { label: 'Readout error', lowerIsBetter: true, format: (value) => `${(value * 100).toFixed(2)}%` },
+  t1: { label: 'T1', lowerIsBetter: false, format: (value) => `${value.toFixed(1)} µs` },
+  t2: { label: 'T2', lowerIsBetter: false, format: (value) => `${value.toFixed(1)} µs` }
+};
+
+const formatError = (value) => `${(value * 100).toFixed(2)}%`;
+
+// Coupling maps list directed [control, target] pairs; the graph only needs
+// each physical link once
+const toLinks = (couplingMap = []) => {
+  const links = new Map();
+  couplingMap.forEach(([a, b]) => {
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (!links.has(key)) links.set(key, { key, source: Math.min(a, b), target: Math.max(a, b) });
+  });
+  return Array.from(links.values());
+};
+
+// Hop distances between every pair of qubits; disconnected qubits are
+// placed one hop beyond the graph's diameter
+const hopDistances = (numQubits, links) => {
+  const adjacent = Array.from({ length: numQubits }, () => []);
+  links.forEach(({ source, target }) => {
+    adjacent[source].push(target);
+    adjacent[target].push(source);
+  });
+
+  const distances = adjacent.map((_, start) => {
+    const row = new Array(numQubits).fill(Infinity);
+    const queue = [start];
+    row[start] = 0;
+    for (let head = 0; head < queue.length; head++) {
+      const qubit = queue[head];
+      adjacent[qubit].forEach(next => {
+        if (row[next] === Infinity) {
+          row[next] = row[qubit] + 1;
+          queue.push(next);
+        }
+      });
+    }
+    return row;
+  });
+
+  const diameter = Math.max(0, ...distances.flat().filter(Number.isFinite));
+  return distances.map(row => row.map(distance => (Number.isFinite(distance) ? distance : diameter + 1)));
+};
+
+// Top eigenvectors of the double-centered squared distance matrix (classical
+// MDS) by power iteration; a deterministic starting point for the layout
+const classicalScaling = (distances) => {
+  const n = distances.length;
+  const squared = distances.map(row => row.map(distance => distance * distance));
+  const rowMeans = squared.map(row => row.reduce((sum, value) => sum + value, 0) / n);
+  const mean = rowMeans.reduce((sum, value) => sum + value, 0) / n;
+  const centered = squared.map((row, i) => row.map((value, j) => -0.5 * (value - rowMeans[i] - rowMeans[j] + mean)));
+
+  const components = [];
+  for (let component = 0; component < 2; component++) {
+    let vector = Array.from({ length: n }, (_, i) => Math.cos(i * (component + 1) + component));
+    let eigenvalue = 0;
+
+    for (let iteration = 0; iteration < 100; iteration++) {
+      let next = centered.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+      components.forEach(({ vector: previous, eigenvalue: value }) => {
+        const dot = previous.reduce((sum, x, i) => sum + x * vector[i], 0);
+        next = next.map((x, i) => x - value * dot * previous[i]);
+      });
+      eigenvalue = Math.hypot(...next) || 1;
+      vector = next.map(x => x / eigenvalue);
+    }
+
+    components.push({ vector, eigenvalue });
+  }
+
+  return Array.from({ length: n }, (_, i) => ({
+    x: components[0].vector[i] * Math.sqrt(components[0].eigenvalue),
+    y: components[1].vector[i] * Math.sqrt(components[1].eigenvalue)
+  }));
+};
+
+// Stress majorization: place qubits so on-screen distances match hop counts.
+// Unlike force layouts it unfolds lattices such as heavy-hex instead of
+// crumpling them, and gives the same picture on every render.
+const layoutGraph = (numQubits, links) => {
+  const distances = hopDistances(numQubits, links);
+  let positions = classicalScaling(distances);
+
+  for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+    positions = positions.map((position, i) => {
+      let x = 0;
+      let y = 0;
+      let totalWeight = 0;
+
+      positions.forEach((other, j) => {
+        if (i === j) return;
+        const target = distances[i][j];
+        const weight = 1 / (target * target);
+        const dx = position.x - other.x;
+        const dy = position.y - other.y;
+        const distance = Math.hypot(dx, dy) || 1e-4;
+        x += weight * (other.x + (target * dx) / distance);
+        y += weight * (other.y + (target * dy) / distance);
+        totalWeight += weight;
+      });
+
+      return totalWeight ? { x: x / totalWeight, y: y / totalWeight } : position;
+    });
+  }
+
+  // Fit the layout into the drawing area
+  const xs = positions.map(position => position.x);
+  const ys = positions.map(position => position.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const scale = Math.min(
+    (WIDTH - 2 * PADDING) / (Math.max(...xs) - minX || 1),
+    (HEIGHT - 2 * PADDING) / (Math.max(...ys) - minY || 1)
+  );
+
+  return positions.map(position => ({
+    x: PADDING + (position.x - minX) * scale,
+    y: PADDING + (position.y - minY) * scale
+  }));
+};
+
+// Green (best) to red (worst) relative to the device's own range
+const colorScale = (values, lowerIsBetter) => {
+  const finite = values.filter(Number.isFinite);
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+
+  return (value) => {
+    if (!Number.isFinite(value)) return '#9ca3af';
+    const ratio = max > min ? (value - min) / (max - min) : 0;
+    const quality = lowerIsBetter ? 1 - ratio : ratio;
+    return `hsl(${Math.round(quality * 120)}, 70%, 45%)`;
+  };
+};
+
+const QubitTopology = ({ numQubits, couplingMap, properties }) => {
+  const [metric, setMetric] = useState('readoutError');
+  const [hovered, setHovered] = useState(null);
+  const [selectedQubit, setSelectedQubit] = useState(null);
+
+  const links = useMemo(() => toLinks(couplingMap), [couplingMap]);
+  const positions = useMemo(() => layoutGraph(numQubits, links), [numQubits, links]);
+
+  // Lowest reported two-qubit gate error per link, in either direction
+  const linkErrors = useMemo(() => {
+    const errors = new Map();
+    (properties?.gates || [])
+      .filter(gate => gate.qubits.length === 2 && Number.isFinite(gate.error))
+      .forEach(({ qubits: [a, b], error }) => {
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        errors.set(key, Math.min(error, errors.get(key) ?? Infinity));
+      });
+    return errors;
+  }, [properties]);
+
+  const qubitData = properties?.qubits || [];
+  const metricInfo = NODE_METRICS[metric];
+  const nodeColor = colorScale(qubitData.map(qubit => qubit[metric]), metricInfo.lowerIsBetter);
+  const linkColor = colorScale(Array.from(linkErrors.values()), true);
+  const twoQubitGate = properties?.summary?.twoQubitGate?.toUpperCase() || 'Two-qubit';
+
+  const neighbors = useMemo(() => {
+    if (selectedQubit === null) return null;
+    return new Set(links
+      .filter(link => link.source === selectedQubit || link.target === selectedQubit)
+      .flatMap(link => [link.source, link.target]));
+  }, [links, selectedQubit]);
+
+  const describeHovered = () => {
+    if (!hovered) return 'Hover a qubit or link for details, click a qubit to highlight its neighbors';
+
+    if (hovered.type === 'link') {
+      const error = linkErrors.get(hovered.key);
+      return `Q${hovered.source} ↔ Q${hovered.target}: ${twoQubitGate} error ${Number.isFinite(error) ? formatError(error) : 'N/A'}`;
+    }
+
+    const qubit = qubitData[hovered.qubit];
+    if (!qubit) return `Q${hovered.qubit}: no calibration data`;
+
+    return [
+      `Q${hovered.qubit}`,
+      `T1 ${Number.isFinite(qubit.t1) ? NODE_METRICS.t1.format(qubit.t1) : 'N/A'}`,
+      `T2 ${Number.isFinite(qubit.t2) ? NODE_METRICS.t2.format(qubit.t2) : 'N/A'}`,
+      `Readout error ${Number.isFinite(qubit.readoutError) ? formatError(qubit.readoutError) : 'N/A'}`
+    ].join(' · ');
+  };
+
+  return (
+    <div className="qubit-topology">
+      <div className="topology-controls">
+        <div className="filter-group">
+          <label htmlFor="topology-metric">Color qubits by:</label>
+          <select
+            id="topology-metric"
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            disabled={!properties}
+          >
+            {Object.entries(NODE_METRICS).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <p className="topology-hint">{describeHovered()}</p>
+      </div>
+
+      <svg
+        className="topology-graph"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`Qubit connectivity of ${numQubits} qubits`}
+      >
+        <g className="topology-links">
+          {links.map((link) => {
+            const from = positions[link.source];
+            const to = positions[link.target];
+            const dimmed = neighbors && !(neighbors.has(link.source) && neighbors.has(link.target));
+            return (
+              <line
+                key={link.key}
+                x1={from.x}
+                y1={from.y}
+                x2={to.x}
+                y2={to.y}
+                stroke={linkErrors.size ? linkColor(linkErrors.get(link.key)) : '#9ca3af'}
+                strokeWidth={hovered?.key === link.key ? 6 : 3}
+                opacity={dimmed ? 0.2 : 1}
+                onMouseEnter={() => setHovered({ type: 'link', ...link })}
+                onMouseLeave={() => setHovered(null)}
+              />
+            );
+          })}
+        </g>
+        <g className="topology-nodes">
+          {positions.map((position, qubit) => {
+            const dimmed = neighbors && !neighbors.has(qubit);
+            return (
+              <g
+                key={qubit}
+                className="topology-node"
+                transform={`translate(${position.x}, ${position.y})`}
+                opacity={dimmed ? 0.3 : 1}
+                onMouseEnter={() => setHovered({ type: 'qubit', qubit })}
+                onMouseLeave={() => setHovered(null)}
+                onClick={() => setSelectedQubit(selectedQubit === qubit ? null : qubit)}
+              >
+                <circle
+                  r={NODE_RADIUS}
+                  fill={qubitData.length ? nodeColor(qubitData[qubit]?.[metric]) : '#3b82f6'}
+                  stroke={selectedQubit === qubit ? '#1f2937' : 'white'}
+                  strokeWidth={2}
+                />
+                <text textAnchor="middle" dy="0.35em">
+                  {qubit}
+                </text>
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+
+      {properties ? (
+        <p className="topology-legend">
+          <span className="legend-scale" /> Qubits: {metricInfo.label}, links: {twoQubitGate} error — green is better
+        </p>
+      ) : (
+        <p className="topology-legend">No calibration data available for coloring</p>
+      )}
+    </div>
+  );
+};
+
+export default QubitTopology;
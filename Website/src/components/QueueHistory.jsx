@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { useApi } from '../hooks/useApi';
+import { quantumAPI } from '../services/api';
+import LineChart from './LineChart';
+import Loading from './Loading';
+import ErrorMessage from './ErrorMessage';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const HISTORY_RANGES = {
+  '6h': { label: '6 Hours', ms: 6 * HOUR_MS },
+  '24h': { label: '24 Hours', ms: 24 * HOUR_MS },
+  '7d': { label: '7 Days', ms: 7 * 24 * HOUR_MS },
+  '30d': { label: '30 Days', ms: 30 * 24 * HOUR_MS }
+};
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// Queue length and uptime of a backend over time, from the samples the job
+// monitor records every tick
+const QueueHistory = ({ backendName, provider }) => {
+  const [range, setRange] = useState('24h');
+  const { data, loading, error, refetch } = useApi(
+    () => quantumAPI.getQueueHistory(backendName, {
+      from: new Date(Date.now() - HISTORY_RANGES[range].ms).toISOString(),
+      provider
+    }),
+    [backendName, provider, range]
+  );
+
+  const points = data?.points || [];
+  const samples = points.reduce((sum, point) => sum + point.samples, 0);
+  const uptime = samples
+    ? points.reduce((sum, point) => sum + point.uptime * point.samples, 0) / samples
+    : null;
+
+  return (
+    <div className="queue-history">
+      <div className="history-controls">
+        <div className="filter-group">
+          <label htmlFor="queue-history-range">Period:</label>
+          <select
+            id="queue-history-range"
+            value={range}
+            onChange={(e) => setRange(e.target.value)}
+          >
+            {Object.entries(HISTORY_RANGES).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {data && (
+          <p className="history-meta">
+            {data.resolution} resolution · {points.length} points
+            {uptime !== null && ` · ${formatPercent(uptime)} uptime`}
+          </p>
+        )}
+      </div>
+
+      {loading && <Loading message="Loading queue history..." />}
+      {error && <ErrorMessage error={error} onRetry={refetch} />}
+
+      {!loading && !error && (
+        <>
+          <h3>Queue Length</h3>
+          <LineChart
+            series={[
+              { label: 'Average', color: '#3b82f6', points: points.map(point => ({ timestamp: point.timestamp, value: point.queueLength })) },
+              { label: 'Peak', color: '#d97706', points: points.map(point => ({ timestamp: point.timestamp, value: point.queueLengthMax })) }
+            ]}
+            formatValue={(value) => Math.round(value)}
+            minValue={0}
+          />
+
+          <h3>Uptime</h3>
+          <LineChart
+            series={[
+              { label: 'Operational', color: '#059669', points: points.map(point => ({ timestamp: point.timestamp, value: point.uptime })) }
+            ]}
+            height={160}
+            formatValue={formatPercent}
+            minValue={0}
+            maxValue={1}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QueueHistory;
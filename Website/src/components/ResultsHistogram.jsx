@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { useApi } from '../hooks/useApi';
+import { quantumAPI } from '../services/api';
+import Loading from './Loading';
+import ErrorMessage from './ErrorMessage';
+
+const PLOT_HEIGHT = 220;
+const PADDING = { top: 16, right: 16, left: 56 };
+const BAR_WIDTH = 28;
+const Y_TICKS = 4;
+
+const SORT_OPTIONS = [
+  { value: 'count', label: 'Most frequent' },
+  { value: 'bitstring', label: 'Bitstring' }
+];
+
+const TOP_N_OPTIONS = [8, 16, 32, 64];
+
+// Measurement counts of a completed job, one bar per bitstring
+const ResultsHistogram = ({ jobId }) => {
+  const [sortBy, setSortBy] = useState('count');
+  const [topN, setTopN] = useState(16);
+  const [experimentIndex, setExperimentIndex] = useState(0);
+  const { data: results, loading, error, refetch } = useApi(() => quantumAPI.getJobResults(jobId), [jobId]);
+
+  if (loading) {
+    return <Loading message="Loading results..." />;
+  }
+
+  if (error) {
+    return <ErrorMessage error={error} onRetry={refetch} />;
+  }
+
+  const experiment = results.experiments[experimentIndex] || results.experiments[0];
+  if (!experiment || experiment.shots === 0) {
+    return <p className="no-data">This job returned no measurements</p>;
+  }
+
+  // Always keep the most frequent outcomes, then order them as requested
+  const entries = Object.entries(experiment.counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const shown = entries.slice(0, topN);
+  if (sortBy === 'bitstring') {
+    shown.sort((a, b) => a[0].localeCompare(b[0]));
+  }
+
+  const otherCount = entries.slice(topN).reduce((sum, [, count]) => sum + count, 0);
+  const maxProbability = Math.max(...shown.map(([, count]) => count)) / experiment.shots;
+
+  // Bitstrings are written vertically under their bars
+  const labelHeight = Math.min(experiment.numBits || 8, 32) * 7 + 16;
+  const width = Math.max(720, PADDING.left + PADDING.right + shown.length * BAR_WIDTH);
+  const plotHeight = PLOT_HEIGHT;
+  const height = PADDING.top + plotHeight + labelHeight;
+  const y = (probability) => PADDING.top + (1 - probability / maxProbability) * plotHeight;
+  const ticks = Array.from({ length: Y_TICKS + 1 }, (_, index) => (maxProbability * index) / Y_TICKS);
+
+  return (
+    <div className="results-histogram">
+      <div className="history-controls">
+        {results.experiments.length > 1 && (
+          <div className="filter-group">
+            <label htmlFor="results-experiment">Experiment:</label>
+            <select
+              id="results-experiment"
+              value={experimentIndex}
+              onChange={(e) => setExperimentIndex(parseInt(e.target.value))}
+            >
+              {results.experiments.map(entry => (
+                <option key={entry.index} value={entry.index}>
+                  #{entry.index}{entry.register ? ` (${entry.register})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="filter-group">
+          <label htmlFor="results-sort">Sort by:</label>
+          <select id="results-sort" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="results-top">Show:</label>
+          <select id="results-top" value={topN} onChange={(e) => setTopN(parseInt(e.target.value))}>
+            {TOP_N_OPTIONS.map(option => (
+              <option key={option} value={option}>
+                Top {option}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <p className="history-meta">
+          {experiment.shots.toLocaleString()} shots · {entries.length.toLocaleString()} distinct outcomes
+          {Number.isFinite(results.executionTime) && ` · ${results.executionTime.toFixed(1)}s execution`}
+        </p>
+      </div>
+
+      <div className="histogram-scroll">
+        <svg viewBox={`0 0 ${width} ${height}`} style={{ minWidth: width }}>
+          {ticks.map(tick => (
+            <g key={tick} className="chart-grid">
+              <line x1={PADDING.left} x2={width - PADDING.right} y1={y(tick)} y2={y(tick)} />
+              <text x={PADDING.left - 8} y={y(tick)} textAnchor="end" dy="0.35em">
+                {(tick * 100).toFixed(1)}%
+              </text>
+            </g>
+          ))}
+
+          {shown.map(([bitstring, count], index) => {
+            const probability = count / experiment.shots;
+            const x = PADDING.left + index * BAR_WIDTH;
+            return (
+              <g key={bitstring} className="histogram-bar">
+                <rect x={x + 4} y={y(probability)} width={BAR_WIDTH - 8} height={PADDING.top + plotHeight - y(probability)}>
+                  <title>{`${bitstring}: ${count.toLocaleString()} (${(probability * 100).toFixed(2)}%)`}</title>
+                </rect>
+                <text
+                  className="histogram-label"
+                  transform={`translate(${x + BAR_WIDTH / 2}, ${PADDING.top + plotHeight + 8}) rotate(90)`}
+                  dy="0.35em"
+                >
+                  {bitstring}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {otherCount > 0 && (
+        <p className="topology-legend">
+          {(entries.length - shown.length).toLocaleString()} less frequent outcomes hidden
+          ({((otherCount / experiment.shots) * 100).toFixed(1)}% of shots)
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ResultsHistogram;
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { authAPI, setAuthToken } from '../services/api';
+import socketService from '../services/socket';
+
+// One /api/auth/me request shared by every component until the token changes
+let currentUserRequest = null;
+const listeners = new Set();
+
+const loadCurrentUser = () => {
+  if (!currentUserRequest) {
+    currentUserRequest = authAPI.getCurrentUser()
+      .then(response => response.data.data)
+      .catch(() => ({ authEnabled: true, user: null }));
+  }
+  return currentUserRequest;
+};
+
+// Store a new token (or clear it) and reload the user everywhere
+export const updateAuthToken = (token) => {
+  setAuthToken(token);
+  currentUserRequest = null;
+  listeners.forEach(listener => listener());
+  // The socket's channels and room access depend on the user too
+  socketService.reauthenticate();
+};
+
+// Hook for the signed-in user and their permissions
+export const useAuth = () => {
+  const [auth, setAuth] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => loadCurrentUser().then(result => {
+      if (active) setAuth(result);
+    });
+
+    listeners.add(refresh);
+    refresh();
+
+    return () => {
+      active = false;
+      listeners.delete(refresh);
+    };
+  }, []);
+
+  const user = auth?.user || null;
+
+  return {
+    user,
+    authEnabled: auth?.authEnabled ?? true,
+    loading: auth === null,
+    can: (permission) => Boolean(user?.permissions?.includes(permission))
+  };
+};
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import socketService from '../services/socket';
+import { SOCKET_TOPICS } from '../utils/constants';
 
 export const useSocket = () => {
   const [isConnected, setIsConnected] = useState(false);
@@ -7,7 +8,7 @@ export const useSocket = () => {
 
   useEffect(() => {
     // Connect to socket
-    socketService.connect();
+    socketService.retain();
 
     // Update connection status
     const updateConnectionStatus = () => {
@@ -24,7 +25,7 @@ export const useSocket = () => {
     return () => {
       socketService.off('connect', updateConnectionStatus);
       socketService.off('disconnect', updateConnectionStatus);
-      socketService.disconnect();
+      socketService.release();
     };
   }, []);
 
@@ -36,21 +37,50 @@ export const useSocket = () => {
     socketService.off(event, callback);
   }, []);
 
+  const subscribe = useCallback((topic) => {
+    socketService.subscribe(topic);
+  }, []);
+
+  const unsubscribe = useCallback((topic) => {
+    socketService.unsubscribe(topic);
+  }, []);
+
   return {
     isConnected,
     lastUpdate,
     on,
     off,
+    subscribe,
+    unsubscribe,
     socketId: socketService.getSocketId()
   };
 };
 
+// Subscribe to topics while the component is mounted
+export const useTopics = (...topics) => {
+  const key = topics.filter(Boolean).join('|');
+
+  useEffect(() => {
+    const subscribed = key ? key.split('|') : [];
+    subscribed.forEach(topic => socketService.subscribe(topic));
+
+    return () => {
+      subscribed.forEach(topic => socketService.unsubscribe(topic));
+    };
+  }, [key]);
+};
+
 // Hook for dashboard real-time updates
 export const useDashboardUpdates = () => {
   const [dashboardData, setDashboardData] = useState(null);
   const [jobChanges, setJobChanges] = useState([]);
   const [newJobs, setNewJobs] = useState([]);
+  // JSON Patch paths the last delta changed, e.g. `/summary/runningJobs`
+  const [changedPaths, setChangedPaths] = useState([]);
+  // Recent jobs of the user's teams, by team
+  const [teamJobs, setTeamJobs] = useState({});
   const { isConnected, on, off } = useSocket();
+  useTopics(SOCKET_TOPICS.DASHBOARD, SOCKET_TOPICS.JOBS);
 
   useEffect(() => {
     const handleDashboardUpdate = (data) => {
@@ -58,6 +88,14 @@ export const useDashboardUpdates = () => {
       setDashboardData(data);
     };
 
+    const handleDashboardDelta = (delta) => {
+      setChangedPaths(delta.ops.map(op => op.path));
+    };
+
+    const handleTeamDashboard = ({ team, recentJobs }) => {
+      setTeamJobs(prev => ({ ...prev, [team]: recentJobs }));
+    };
+
     const handleJobStatusChange = (changes) => {
       console.log('Job status changes received:', changes);
       setJobChanges(prev => [...changes, ...prev].slice(0, 10)); // Keep last 10 changes
@@ -71,6 +109,8 @@ export const useDashboardUpdates = () => {
     // Only set up listeners when connected
     if (isConnected) {
       on('dashboard-update', handleDashboardUpdate);
+      on('dashboard-delta', handleDashboardDelta);
+      on('team-dashboard', handleTeamDashboard);
       on('job-status-change', handleJobStatusChange);
       on('new-jobs', handleNewJobs);
     }
@@ -78,6 +118,8 @@ export const useDashboardUpdates = () => {
     return () => {
       if (isConnected) {
         off('dashboard-update', handleDashboardUpdate);
+        off('dashboard-delta', handleDashboardDelta);
+        off('team-dashboard', handleTeamDashboard);
         off('job-status-change', handleJobStatusChange);
         off('new-jobs', handleNewJobs);
       }
@@ -87,7 +129,107 @@ export const useDashboardUpdates = () => {
   return {
     isConnected,
     dashboardData,
+    changedPaths,
+    teamJobs: Object.values(teamJobs).flat(),
     jobChanges,
     newJobs
   };
 };
+
+// Hook for live queue status of a single backend
+export const useQueueUpdates = (backendName) => {
+  const [queueUpdate, setQueueUpdate] = useState(null);
+  const { isConnected, on, off } = useSocket();
+  useTopics(backendName && SOCKET_TOPICS.backend(backendName));
+
+  useEffect(() => {
+    const handleQueueUpdate = (updates) => {
+      const update = updates.find(entry => entry.backend === backendName);
+      if (update) {
+        setQueueUpdate(update);
+      }
+    };
+
+    if (isConnected) {
+      on('queue-update', handleQueueUpdate);
+    }
+
+    return () => {
+      if (isConnected) {
+        off('queue-update', handleQueueUpdate);
+      }
+    };
+  }, [on, off, isConnected, backendName]);
+
+  return {
+    isConnected,
+    queueUpdate
+  };
+};
+
+// Hook for status changes of a single job
+export const useJobUpdates = (jobId) => {
+  const [lastChange, setLastChange] = useState(null);
+  const { isConnected, on, off } = useSocket();
+  useTopics(jobId && SOCKET_TOPICS.job(jobId));
+
+  useEffect(() => {
+    const handleJobStatusChange = (changes) => {
+      const change = changes.find(entry => entry.jobId === jobId);
+      if (change) {
+        setLastChange(change);
+      }
+    };
+
+    // Changes missed while disconnected are gone: reload the job
+    const handleResync = ({ reason }) => {
+      setLastChange({ jobId, resync: reason, timestamp: new Date().toISOString() });
+    };
+
+    if (isConnected) {
+      on('job-status-change', handleJobStatusChange);
+      on('resync', handleResync);
+    }
+
+    return () => {
+      if (isConnected) {
+        off('job-status-change', handleJobStatusChange);
+        off('resync', handleResync);
+      }
+    };
+  }, [on, off, isConnected, jobId]);
+
+  return {
+    isConnected,
+    lastChange
+  };
+};
+
+// Hook for notifications sent to the signed-in user, newest first
+export const useNotifications = (limit = 5) => {
+  const [notifications, setNotifications] = useState([]);
+  const { isConnected, on, off } = useSocket();
+
+  useEffect(() => {
+    const handleNotification = (notification) => {
+      setNotifications(prev => [notification, ...prev].slice(0, limit));
+    };
+
+    if (isConnected) {
+      on('notification', handleNotification);
+    }
+
+    return () => {
+      if (isConnected) {
+        off('notification', handleNotification);
+      }
+    };
+  }, [on, off, isConnected, limit]);
+
+  const dismiss = useCallback(() => setNotifications([]), []);
+
+  return {
+    notifications,
+    dismiss
+  };
+};
@@ -0,0 +1,219 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import { useQueueUpdates } from '../hooks/useSocket';
+import { quantumAPI } from '../services/api';
+import { formatDate, formatDuration } from '../utils/constants';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import QubitTopology from '../components/QubitTopology';
+import QueueHistory from '../components/QueueHistory';
+import CalibrationDrift from '../components/CalibrationDrift';
+
+const RECENT_JOBS_LIMIT = 10;
+
+const formatPercent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : 'N/A');
+const formatMicroseconds = (value) => (Number.isFinite(value) ? `${value.toFixed(1)} µs` : 'N/A');
+
+const BackendDetail = () => {
+  const { backendName } = useParams();
+  const { data: backend, loading, error, refetch } = useApi(() => quantumAPI.getBackendDetails(backendName), [backendName]);
+  // Simulators have no calibration data, so a failure here is not an error
+  const { data: properties } = useApi(() => quantumAPI.getBackendProperties(backendName), [backendName]);
+  const { data: prediction } = useApi(() => quantumAPI.getPrediction(backendName), [backendName]);
+  const { data: recentJobs, refetch: refetchJobs } = useApi(
+    () => quantumAPI.getJobs({ cached: true, backend: backendName, limit: RECENT_JOBS_LIMIT }),
+    [backendName]
+  );
+  const { isConnected, queueUpdate } = useQueueUpdates(backendName);
+
+  if (loading) {
+    return <Loading message={`Loading ${backendName}...`} />;
+  }
+
+  if (error) {
+    return <ErrorMessage error={error} onRetry={refetch} />;
+  }
+
+  const numQubits = backend.n_qubits || backend.num_qubits;
+  const summary = properties?.summary;
+
+  // Live queue status from the job monitor takes over once it arrives
+  const queueLength = queueUpdate?.queueLength ?? backend.queueStatus?.length ?? backend.pending_jobs ?? 0;
+  const estimatedWaitTime = queueUpdate?.estimatedWaitTime ?? prediction?.estimatedWaitTime;
+
+  const handleRefresh = () => {
+    refetch();
+    refetchJobs();
+  };
+
+  return (
+    <div className="backend-detail-page">
+      <header className="page-header">
+        <div>
+          <Link to="/backends" className="back-link">← All backends</Link>
+          <h1>{backend.name}</h1>
+        </div>
+        <div className="detail-header-actions">
+          {backend.simulator ? (
+            <span className="backend-type">Simulator</span>
+          ) : (
+            <span className={`backend-status ${backend.status?.operational ? 'online' : 'offline'}`}>
+              {backend.status?.operational ? '🟢 Online' : '🔴 Offline'}
+            </span>
+          )}
+          <button className="refresh-btn" onClick={handleRefresh}>
+            Refresh
+          </button>
+        </div>
+      </header>
+
+      <section className="backends-summary">
+        <div className="summary-stats">
+          <div className="summary-stat">
+            <h3>Qubits</h3>
+            <p className="stat-value">{numQubits}</p>
+          </div>
+          <div className="summary-stat">
+            <h3>Queue Length</h3>
+            <p className="stat-value queued">{queueLength}</p>
+            <p className="stat-note">
+              {queueUpdate
+                ? `Live · ${new Date(queueUpdate.timestamp).toLocaleTimeString()}`
+                : isConnected ? 'Waiting for live update' : 'Offline'}
+            </p>
+          </div>
+          <div className="summary-stat">
+            <h3>Est. Wait</h3>
+            <p className="stat-value">
+              {Number.isFinite(estimatedWaitTime) ? formatDuration(estimatedWaitTime * 1000) : 'N/A'}
+            </p>
+            {prediction?.confidence && <p className="stat-note">{prediction.confidence} confidence</p>}
+          </div>
+          {summary && (
+            <>
+              <div className="summary-stat">
+                <h3>Median T1</h3>
+                <p className="stat-value">{formatMicroseconds(summary.medianT1)}</p>
+              </div>
+              <div className="summary-stat">
+                <h3>Median Readout Error</h3>
+                <p className="stat-value">{formatPercent(summary.medianReadoutError)}</p>
+              </div>
+              <div className="summary-stat">
+                <h3>Median {summary.twoQubitGate?.toUpperCase() || 'Two-Qubit'} Error</h3>
+                <p className="stat-value">{formatPercent(summary.medianTwoQubitError)}</p>
+              </div>
+            </>
+          )}
+        </div>
+      </section>
+
+      <section className="dashboard-section">
+        <h2>🕸️ Qubit Topology</h2>
+        {backend.coupling_map?.length ? (
+          <QubitTopology
+            numQubits={numQubits}
+            couplingMap={backend.coupling_map}
+            properties={properties}
+          />
+        ) : (
+          <p className="no-data">
+            {backend.simulator
+              ? 'All qubits are connected to each other on this simulator'
+              : 'No coupling map available for this backend'}
+          </p>
+        )}
+        {properties?.lastCalibration && (
+          <p className="topology-legend">Last calibrated {formatDate(properties.lastCalibration)}</p>
+        )}
+      </section>
+
+      <section className="dashboard-section">
+        <h2>📈 Queue & Uptime History</h2>
+        <div className="chart-panel">
+          <QueueHistory backendName={backend.name} provider={backend.provider} />
+        </div>
+      </section>
+
+      {!backend.simulator && (
+        <section className="dashboard-section">
+          <h2>🌡️ Calibration Drift</h2>
+          <div className="chart-panel">
+            <CalibrationDrift backendName={backend.name} provider={backend.provider} />
+          </div>
+        </section>
+      )}
+
+      <section className="dashboard-section">
+        <h2>Recent Jobs</h2>
+        <div className="jobs-list">
+          {recentJobs?.length > 0 ? (
+            recentJobs.map((job) => (
+              <div key={job.id} className="job-card">
+                <div className="job-header">
+                  <h4>{job.name || `Job ${job.id}`}</h4>
+                  <span className={`job-status ${job.status?.toLowerCase()}`}>
+                    {job.status}
+                  </span>
+                </div>
+                <div className="job-details">
+                  <p><strong>Shots:</strong> {job.shots ?? 'N/A'}</p>
+                  <p><strong>Qubits:</strong> {job.qubits ?? 'N/A'}</p>
+                  <p><strong>Created:</strong> {formatDate(job.creation_date)}</p>
+                  <p><strong>Last seen:</strong> {formatDate(job.last_seen)}</p>
+                </div>
+              </div>
+            ))
+          ) : (
+            <p className="no-data">No jobs recorded on this backend yet</p>
+          )}
+        </div>
+      </section>
+
+      <section className="dashboard-section">
+        <h2>⚙️ Configuration</h2>
+        <div className="backend-card">
+          <div className="backend-details">
+            {backend.processor_type?.family && (
+              <div className="detail-row">
+                <span className="detail-label">Processor:</span>
+                <span className="detail-value">
+                  {backend.processor_type.family} r{backend.processor_type.revision}
+                </span>
+              </div>
+            )}
+            {backend.backend_version && (
+              <div className="detail-row">
+                <span className="detail-label">Version:</span>
+                <span className="detail-value">{backend.backend_version}</span>
+              </div>
+            )}
+            <div className="detail-row">
+              <span className="detail-label">Provider:</span>
+              <span className="detail-value">{backend.provider}</span>
+            </div>
+            <div className="detail-row">
+              <span className="detail-label">Qubits:</span>
+              <span className="detail-value">{numQubits}</span>
+            </div>
+            {backend.basis_gates && (
+              <div className="detail-row">
+                <span className="detail-label">Basis Gates:</span>
+                <span className="detail-value gates">{backend.basis_gates.join(', ')}</span>
+              </div>
+            )}
+            {backend.status?.status_msg && (
+              <div className="detail-row">
+                <span className="detail-label">Status:</span>
+                <span className="detail-value">{backend.status.status_msg}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default BackendDetail;
@@ -1,7 +1,9 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { useBackends } from '../hooks/useApi';
 import Loading from '../components/Loading';
 import ErrorMessage from '../components/ErrorMessage';
+import BackendFinder from '../components/BackendFinder';
 
 const Backends = () => {
   const { backends, loading, error, refetch } = useBackends();
@@ -50,7 +52,10 @@ const Backends = () => {
         </div>
       </section>
 
-      {/* Real Devices */}
+      {/* Recommendations */}
+      <BackendFinder />
+
+      {/* Real Devices (select one to see its qubit topology) */}
       {realDevices.length > 0 && (
         <section className="backends-section">
           <h2>🔬 Real Quantum Devices</h2>
@@ -58,7 +63,7 @@ const Backends = () => {
             {realDevices.map((backend) => (
               <div key={backend.name} className="backend-card real-device">
                 <div className="backend-header">
-                  <h3>{backend.name}</h3>
+                  <h3><Link to={`/backends/${backend.name}`}>{backend.name}</Link></h3>
                   <span className={`backend-status ${backend.status?.operational ? 'online' : 'offline'}`}>
                     {backend.status?.operational ? '🟢 Online' : '🔴 Offline'}
                   </span>
@@ -103,7 +108,7 @@ const Backends = () => {
             {simulators.map((backend) => (
               <div key={backend.name} className="backend-card simulator">
                 <div className="backend-header">
-                  <h3>{backend.name}</h3>
+                  <h3><Link to={`/backends/${backend.name}`}>{backend.name}</Link></h3>
                   <span className="backend-type">Simulator</span>
                 </div>
                 
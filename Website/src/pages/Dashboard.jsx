@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useDashboard } from '../hooks/useApi';
 import { useDashboardUpdates } from '../hooks/useSocket';
 import Loading from '../components/Loading';
@@ -7,7 +8,7 @@ import ConnectionStatus from '../components/ConnectionStatus';
 
 const Dashboard = () => {
   const { dashboard, loading, error, refetch } = useDashboard();
-  const { isConnected, dashboardData, jobChanges, newJobs } = useDashboardUpdates();
+  const { isConnected, dashboardData, changedPaths, teamJobs, jobChanges, newJobs } = useDashboardUpdates();
   const [currentData, setCurrentData] = useState(null);
 
   // Update current data when we receive new data
@@ -24,6 +25,18 @@ const Dashboard = () => {
   // Use the persisted current data
   const data = currentData;
 
+  // The live dashboard only lists public jobs; those of the user's teams come
+  // separately and are merged in, newest first
+  const recentJobs = [
+    ...new Map([...(data?.recentJobs || []), ...teamJobs].map(job => [job.id, job])).values()
+  ]
+    .sort((a, b) => new Date(b.creation_date) - new Date(a.creation_date))
+    .slice(0, 10);
+
+  // Highlight what the last live update changed
+  const changed = (path) => changedPaths.some(changedPath => changedPath === path || changedPath.startsWith(`${path}/`));
+  const updatedClass = (className, path) => (changed(path) ? `${className} updated` : className);
+
   console.log('Dashboard render state:', {
     loading,
     error: error?.message,
@@ -46,7 +59,7 @@ const Dashboard = () => {
     <div className="dashboard">
       <header className="dashboard-header">
         <h1>Quantumania Dashboard</h1>
-        <ConnectionStatus />
+        <ConnectionStatus dataSource={data?.dataSource} dataAge={data?.dataAge} />
       </header>
 
       {data && (
@@ -55,27 +68,27 @@ const Dashboard = () => {
           <section className="dashboard-summary">
             <h2>System Overview</h2>
             <div className="stats-grid">
-              <div className="stat-card">
+              <div className={updatedClass('stat-card', '/summary/totalJobs')}>
                 <h3>Total Jobs</h3>
                 <p className="stat-value">{data.summary?.totalJobs || 0}</p>
               </div>
-              <div className="stat-card">
+              <div className={updatedClass('stat-card', '/summary/runningJobs')}>
                 <h3>Running Jobs</h3>
                 <p className="stat-value running">{data.summary?.runningJobs || 0}</p>
               </div>
-              <div className="stat-card">
+              <div className={updatedClass('stat-card', '/summary/queuedJobs')}>
                 <h3>Queued Jobs</h3>
                 <p className="stat-value queued">{data.summary?.queuedJobs || 0}</p>
               </div>
-              <div className="stat-card">
+              <div className={updatedClass('stat-card', '/summary/completedJobs')}>
                 <h3>Completed Jobs</h3>
                 <p className="stat-value completed">{data.summary?.completedJobs || 0}</p>
               </div>
-              <div className="stat-card">
+              <div className={updatedClass('stat-card', '/summary/totalBackends')}>
                 <h3>Total Backends</h3>
                 <p className="stat-value">{data.summary?.totalBackends || 0}</p>
               </div>
-              <div className="stat-card">
+              <div className={updatedClass('stat-card', '/summary/onlineBackends')}>
                 <h3>Online Backends</h3>
                 <p className="stat-value online">{data.summary?.onlineBackends || 0}</p>
               </div>
@@ -86,11 +99,11 @@ const Dashboard = () => {
           <section className="dashboard-section">
             <h2>Recent Jobs</h2>
             <div className="jobs-list">
-              {data.recentJobs?.length > 0 ? (
-                data.recentJobs.map((job) => (
-                  <div key={job.id} className="job-card">
+              {recentJobs.length > 0 ? (
+                recentJobs.map((job) => (
+                  <div key={job.id} className={updatedClass('job-card', `/recentJobs/${data.recentJobs?.indexOf(job)}`)}>
                     <div className="job-header">
-                      <h4>{job.name || `Job ${job.id}`}</h4>
+                      <h4><Link to={`/jobs/${job.id}`}>{job.name || `Job ${job.id}`}</Link></h4>
                       <span className={`job-status ${job.status?.toLowerCase()}`}>
                         {job.status}
                       </span>
@@ -114,9 +127,9 @@ const Dashboard = () => {
             <h2>Quantum Backends</h2>
             <div className="backends-grid">
               {data.backends?.length > 0 ? (
-                data.backends.map((backend) => (
-                  <div key={backend.name} className="backend-card">
-                    <h4>{backend.name}</h4>
+                data.backends.map((backend, index) => (
+                  <div key={backend.name} className={updatedClass('backend-card', `/backends/${index}`)}>
+                    <h4><Link to={`/backends/${backend.name}`}>{backend.name}</Link></h4>
                     <div className="backend-details">
                       <p><strong>Status:</strong> 
                         <span className={`backend-status ${backend.status}`}>
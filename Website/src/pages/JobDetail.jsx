@@ -0,0 +1,190 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import { useJobUpdates } from '../hooks/useSocket';
+import { quantumAPI } from '../services/api';
+import { formatDate, formatDuration, JOB_STATUS_COLORS } from '../utils/constants';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import LineChart from '../components/LineChart';
+import ResultsHistogram from '../components/ResultsHistogram';
+import CancelJobButton from '../components/CancelJobButton';
+import CircuitDiagram from '../components/CircuitDiagram';
+
+const DATE_FIELDS = ['creation_date', 'start_date', 'end_date', 'first_seen', 'last_seen'];
+
+const formatLabel = (key) => key
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const formatField = (key, value) => {
+  if (value === null || value === undefined || value === '') return 'N/A';
+  if (DATE_FIELDS.includes(key)) return formatDate(value);
+  if (typeof value === 'number') return value.toLocaleString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const JobDetail = () => {
+  const { jobId } = useParams();
+  // A status change for this job reloads both the job and its timeline
+  const { isConnected, lastChange } = useJobUpdates(jobId);
+  const { data: job, loading, error, refetch } = useApi(() => quantumAPI.getJobById(jobId), [jobId, lastChange]);
+  const { data: history, error: historyError, refetch: refetchHistory } = useApi(() => quantumAPI.getJobHistory(jobId), [jobId, lastChange]);
+  // Only jobs submitted through Quantumania have a recorded circuit
+  const { data: jobCircuit } = useApi(() => quantumAPI.getJobCircuit(jobId), [jobId]);
+
+  if (loading && !job) {
+    return <Loading message="Loading job..." />;
+  }
+
+  if (error && !job) {
+    return <ErrorMessage error={error} onRetry={refetch} />;
+  }
+
+  const phases = history?.phases || [];
+  const totalDuration = phases.reduce((sum, phase) => sum + (phase.durationMs || 0), 0);
+  const cancellation = history?.cancellation;
+
+  const handleCancelled = () => {
+    refetch();
+    refetchHistory();
+  };
+
+  return (
+    <div className="job-detail-page">
+      <header className="page-header">
+        <div>
+          <Link to="/jobs" className="back-link">← All jobs</Link>
+          <h1>{job.name || `Job ${job.id}`}</h1>
+        </div>
+        <div className="detail-header-actions">
+          <span className={`job-status ${job.status?.toLowerCase()}`}>{job.status}</span>
+          <CancelJobButton job={job} onCancelled={handleCancelled} />
+          <span className="stat-note">
+            {lastChange
+              ? `Updated live · ${new Date(lastChange.timestamp).toLocaleTimeString()}`
+              : isConnected ? 'Watching for status changes' : 'Offline'}
+          </span>
+        </div>
+      </header>
+
+      <section className="dashboard-section">
+        <h2>⏱️ Status Timeline</h2>
+        {cancellation && (
+          <p className="cancellation-note">
+            Cancelled by {cancellation.requestedBy} on {formatDate(cancellation.requestedAt)}
+            {cancellation.reason && ` · ${cancellation.reason}`}
+          </p>
+        )}
+        {phases.length > 0 ? (
+          <div className="chart-panel">
+            {totalDuration > 0 && (
+              <div className="timeline-bar">
+                {phases.filter(phase => phase.durationMs > 0).map(phase => (
+                  <span
+                    key={phase.enteredAt + phase.status}
+                    className="timeline-segment"
+                    style={{
+                      flexGrow: phase.durationMs,
+                      backgroundColor: JOB_STATUS_COLORS[phase.status] || '#9ca3af'
+                    }}
+                    title={`${phase.status}: ${formatDuration(phase.durationMs)}`}
+                  />
+                ))}
+              </div>
+            )}
+
+            <ol className="timeline">
+              {phases.map(phase => (
+                <li key={phase.enteredAt + phase.status} className="timeline-item">
+                  <span className={`job-status ${phase.status.toLowerCase()}`}>{phase.status}</span>
+                  <span className="timeline-time">{formatDate(phase.enteredAt)}</span>
+                  <span className="timeline-duration">
+                    {phase.durationMs === null
+                      ? 'Final'
+                      : `${formatDuration(phase.durationMs)}${phase.ongoing ? ' so far' : ''}`}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </div>
+        ) : (
+          <p className="no-data">
+            {historyError || 'No status transitions recorded for this job yet'}
+          </p>
+        )}
+      </section>
+
+      {history?.queuePositions?.length > 0 && (
+        <section className="dashboard-section">
+          <h2>📈 Queue Position</h2>
+          <div className="chart-panel">
+            <LineChart
+              series={[
+                {
+                  label: 'Queue position',
+                  color: '#d97706',
+                  points: history.queuePositions.map(entry => ({ timestamp: entry.observedAt, value: entry.queuePosition }))
+                },
+                {
+                  label: `${job.backend} queue length`,
+                  color: '#3b82f6',
+                  points: history.backendQueue.map(point => ({ timestamp: point.timestamp, value: point.queueLength }))
+                }
+              ]}
+              formatValue={(value) => Math.round(value)}
+              minValue={0}
+            />
+          </div>
+        </section>
+      )}
+
+      {job.status === 'COMPLETED' && (
+        <section className="dashboard-section">
+          <h2>📊 Results</h2>
+          <div className="chart-panel">
+            <ResultsHistogram jobId={job.id} />
+          </div>
+        </section>
+      )}
+
+      {jobCircuit?.circuit && (
+        <section className="dashboard-section">
+          <h2>🔌 Circuit</h2>
+          <div className="chart-panel">
+            <p className="topology-legend">
+              Depth {jobCircuit.depth} · {jobCircuit.size} operations · {jobCircuit.twoQubitGates} two-qubit gates
+            </p>
+            <CircuitDiagram circuit={jobCircuit.circuit} fileName={`circuit-${job.id}`} />
+          </div>
+        </section>
+      )}
+
+      <section className="dashboard-section">
+        <h2>📋 Details</h2>
+        <div className="backend-card">
+          <div className="backend-details">
+            {Object.entries(job)
+              .filter(([key]) => !['dataSource', 'dataAge', 'fetchedAt'].includes(key))
+              .map(([key, value]) => (
+                <div key={key} className="detail-row">
+                  <span className="detail-label">{formatLabel(key)}:</span>
+                  <span className="detail-value">
+                    {key === 'backend' && value ? (
+                      <Link to={`/backends/${value}`}>{value}</Link>
+                    ) : (
+                      formatField(key, value)
+                    )}
+                  </span>
+                </div>
+              ))}
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default JobDetail;
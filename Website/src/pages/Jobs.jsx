@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useJobs } from '../hooks/useApi';
 import Loading from '../components/Loading';
 import ErrorMessage from '../components/ErrorMessage';
+import CancelJobButton from '../components/CancelJobButton';
 
 const Jobs = () => {
   const [filters, setFilters] = useState({
@@ -84,7 +86,7 @@ const Jobs = () => {
               {jobs.map((job) => (
                 <div key={job.id} className="job-card">
                   <div className="job-header">
-                    <h3>{job.name || `Job ${job.id}`}</h3>
+                    <h3><Link to={`/jobs/${job.id}`}>{job.name || `Job ${job.id}`}</Link></h3>
                     <span className={`job-status ${job.status?.toLowerCase()}`}>
                       {job.status}
                     </span>
@@ -120,6 +122,10 @@ const Jobs = () => {
                       </div>
                     )}
                   </div>
+
+                  <div className="job-actions">
+                    <CancelJobButton job={job} onCancelled={refetch} />
+                  </div>
                 </div>
               ))}
             </div>
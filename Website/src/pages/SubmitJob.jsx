@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import { useAuth } from '../hooks/useAuth';
+import { quantumAPI, handleApiError } from '../services/api';
+import CircuitDiagram from '../components/CircuitDiagram';
+
+// Bell pair written with the basis gates of IBM's Eagle devices
+const EXAMPLE_PROGRAM = `OPENQASM 2.0;
+include "qelib1.inc";
+qreg q[2];
+creg c[2];
+rz(pi/2) q[0];
+sx q[0];
+rz(pi/2) q[0];
+cx q[0], q[1];
+measure q -> c;
+`;
+
+const initialForm = {
+  program: EXAMPLE_PROGRAM,
+  backend: '',
+  shots: 4096,
+  name: ''
+};
+
+const SubmitJob = () => {
+  const navigate = useNavigate();
+  const [form, setForm] = useState(initialForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [analyzing, setAnalyzing] = useState(false);
+  const { can, loading: authLoading } = useAuth();
+  const { data: backends } = useApi(() => quantumAPI.getBackends({ onlyOperational: true }), []);
+
+  const backendName = form.backend || backends?.[0]?.name || '';
+  const selectedBackend = backends?.find(backend => backend.name === backendName);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const reportError = (err) => {
+    // Parse and compatibility errors explain themselves in `message`
+    const data = err.response?.data;
+    setError({
+      message: data?.errors?.[0]?.msg || data?.message || handleApiError(err),
+      issues: data?.compatibility?.issues || []
+    });
+  };
+
+  const handleAnalyze = async () => {
+    try {
+      setAnalyzing(true);
+      setError(null);
+      const response = await quantumAPI.analyzeCircuit({
+        program: form.program,
+        backend: backendName || undefined,
+        shots: parseInt(form.shots) || undefined
+      });
+      setAnalysis(response.data.data);
+    } catch (err) {
+      setAnalysis(null);
+      reportError(err);
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await quantumAPI.submitJob({
+        program: form.program,
+        backend: backendName,
+        shots: parseInt(form.shots),
+        name: form.name.trim() || undefined
+      });
+      navigate(`/jobs/${response.data.data.id}`);
+    } catch (err) {
+      reportError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="submit-job-page">
+      <header className="page-header">
+        <h1>Submit Job</h1>
+      </header>
+
+      <section className="backend-finder">
+        <h2>📝 OpenQASM Circuit</h2>
+        {!authLoading && !can('jobs:submit') && (
+          <p className="auth-notice">
+            Analyzing circuits and submitting jobs needs an operator or admin access token. Set one from the navigation bar.
+          </p>
+        )}
+        <form onSubmit={handleSubmit}>
+          <textarea
+            className="qasm-editor"
+            value={form.program}
+            onChange={(e) => handleChange('program', e.target.value)}
+            spellCheck={false}
+            rows={16}
+            required
+          />
+
+          <div className="finder-form">
+            <div className="filter-group">
+              <label htmlFor="submit-backend">Backend:</label>
+              <select
+                id="submit-backend"
+                value={backendName}
+                onChange={(e) => handleChange('backend', e.target.value)}
+              >
+                {(backends || []).map(backend => (
+                  <option key={`${backend.provider}:${backend.name}`} value={backend.name}>
+                    {backend.name} ({backend.n_qubits} qubits)
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="filter-group">
+              <label htmlFor="submit-shots">Shots:</label>
+              <input
+                id="submit-shots"
+                type="number"
+                min="1"
+                max="100000"
+                value={form.shots}
+                onChange={(e) => handleChange('shots', e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="filter-group">
+              <label htmlFor="submit-name">Name:</label>
+              <input
+                id="submit-name"
+                type="text"
+                placeholder="Optional"
+                maxLength={100}
+                value={form.name}
+                onChange={(e) => handleChange('name', e.target.value)}
+              />
+            </div>
+
+            <button type="button" className="refresh-btn" onClick={handleAnalyze} disabled={analyzing || !can('jobs:submit')}>
+              {analyzing ? 'Analyzing...' : 'Analyze'}
+            </button>
+
+            <button type="submit" className="refresh-btn" disabled={submitting || !backendName || !can('jobs:submit')}>
+              {submitting ? 'Submitting...' : 'Submit job'}
+            </button>
+          </div>
+        </form>
+
+        {selectedBackend?.basis_gates?.length > 0 && (
+          <p className="topology-legend">
+            Basis gates of {selectedBackend.name}: {selectedBackend.basis_gates.join(', ')}
+          </p>
+        )}
+
+        {error && (
+          <div className="finder-error">
+            <p>{error.message}</p>
+            {error.issues.length > 1 && (
+              <ul>
+                {error.issues.map(issue => <li key={issue}>{issue}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+      </section>
+
+      {analysis && (
+        <section className="dashboard-section">
+          <h2>🔍 Circuit Analysis</h2>
+          <div className="summary-stats">
+            <div className="summary-stat">
+              <h3>Depth</h3>
+              <p className="stat-value">{analysis.depth}</p>
+            </div>
+            <div className="summary-stat">
+              <h3>Width</h3>
+              <p className="stat-value">{analysis.width}</p>
+              <p className="stat-note">{analysis.clbits} classical bits</p>
+            </div>
+            <div className="summary-stat">
+              <h3>Operations</h3>
+              <p className="stat-value">{analysis.size}</p>
+            </div>
+            <div className="summary-stat">
+              <h3>Two-Qubit Gates</h3>
+              <p className="stat-value">{analysis.twoQubitGates}</p>
+              {analysis.multiQubitGates > 0 && (
+                <p className="stat-note">+ {analysis.multiQubitGates} on three or more qubits</p>
+              )}
+            </div>
+            {analysis.compatibility && (
+              <div className="summary-stat">
+                <h3>{analysis.compatibility.backend}</h3>
+                <p className={`stat-value ${analysis.compatibility.compatible ? 'online' : 'error'}`}>
+                  {analysis.compatibility.compatible ? 'Compatible' : 'Incompatible'}
+                </p>
+              </div>
+            )}
+          </div>
+
+          <p className="topology-legend">
+            Gate counts: {Object.entries(analysis.gateCounts)
+              .map(([gate, count]) => `${gate} × ${count}`)
+              .join(', ') || 'none'}
+          </p>
+
+          {analysis.compatibility?.issues.length > 0 && (
+            <div className="finder-error">
+              <ul>
+                {analysis.compatibility.issues.map(issue => <li key={issue}>{issue}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="chart-panel">
+            <CircuitDiagram circuit={analysis.circuit} fileName={form.name.trim() || 'circuit'} />
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default SubmitJob;
@@ -13,9 +13,26 @@ const api = axios.create({
   }
 });
 
-// Request interceptor for logging
+// Access token issued by the backend (`npm run token`), kept across reloads
+const TOKEN_KEY = 'quantumania.token';
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Request interceptor for logging and authentication
 api.interceptors.request.use(
   (config) => {
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
     return config;
   },
@@ -71,13 +88,27 @@ api.interceptors.response.use(
 export const quantumAPI = {
   // Jobs endpoints
   getJobs: (params = {}) => api.get('/api/quantum/jobs', { params }),
+  submitJob: (submission) => api.post('/api/quantum/jobs', submission),
   getJobById: (jobId) => api.get(`/api/quantum/jobs/${jobId}`),
+  cancelJob: (jobId, reason) => api.delete(`/api/quantum/jobs/${jobId}`, { data: { reason } }),
+  getJobHistory: (jobId) => api.get(`/api/quantum/jobs/${jobId}/history`),
+  getJobResults: (jobId) => api.get(`/api/quantum/jobs/${jobId}/results`),
+  getJobCircuit: (jobId) => api.get(`/api/quantum/jobs/${jobId}/circuit`),
   getJobsByStatus: (status) => api.get(`/api/quantum/jobs/status/${status}`),
   
   // Backends endpoints
-  getBackends: () => api.get('/api/quantum/backends'),
+  getBackends: (params = {}) => api.get('/api/quantum/backends', { params }),
   getBackendDetails: (backendName) => api.get(`/api/quantum/backends/${backendName}`),
   getQueueStatus: (backendName) => api.get(`/api/quantum/backends/${backendName}/queue`),
+  getQueueHistory: (backendName, params = {}) => api.get(`/api/quantum/backends/${backendName}/queue/history`, { params }),
+  getPrediction: (backendName, params = {}) => api.get(`/api/quantum/backends/${backendName}/prediction`, { params }),
+  getBackendProperties: (backendName) => api.get(`/api/quantum/backends/${backendName}/properties`),
+  getCalibrationHistory: (backendName, params = {}) => api.get(`/api/quantum/backends/${backendName}/properties/history`, { params }),
+  recommendBackends: (requirements) => api.post('/api/quantum/recommend', requirements),
+  analyzeCircuit: (circuit) => api.post('/api/quantum/circuits/analyze', circuit),
+  
+  // Providers endpoints
+  getProviders: () => api.get('/api/quantum/providers'),
   
   // Statistics endpoints
   getStats: () => api.get('/api/quantum/stats'),
@@ -97,6 +128,11 @@ export const dashboardAPI = {
   getRealtimeData: () => api.get('/api/dashboard/realtime')
 };
 
+export const authAPI = {
+  // Who the current token belongs to and what it may do
+  getCurrentUser: () => api.get('/api/auth/me')
+};
+
 export const systemAPI = {
   // System endpoints
   getHealth: () => api.get('/health'),
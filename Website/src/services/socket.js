@@ -1,10 +1,25 @@
 import { io } from 'socket.io-client';
+import { applyPatch } from '../utils/jsonPatch';
+import { getAuthToken } from './api';
+
+// Job event IDs remembered for de-duplication
+const MAX_SEEN_EVENTS = 1000;
 
 class SocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
+    // Components using the connection; the last one to let go closes it
+    this.users = 0;
     this.listeners = new Map();
+    // Topics pages are subscribed to, with how many subscribers each has
+    this.subscriptions = new Map();
+    // Dashboard state rebuilt from the server's snapshot and deltas
+    this.dashboard = { version: 0, state: null };
+    // Position in the server's job event log, kept across reconnects
+    this.eventLog = { epoch: null, lastEventId: 0 };
+    // IDs of recent job events, so replayed events aren't delivered twice
+    this.seenEventIds = new Set();
   }
 
   connect() {
@@ -25,7 +40,9 @@ class SocketService {
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
-      forceNew: true
+      forceNew: true,
+      // Read on every (re)connection, so a new token applies on reconnect
+      auth: (callback) => callback({ token: getAuthToken() })
     });
 
     this.setupEventListeners();
@@ -39,17 +56,25 @@ class SocketService {
     this.socket.on('connect', () => {
       console.log('✅ Socket connected:', this.socket.id);
       this.isConnected = true;
-      this.joinRooms();
+      // Versions restart with every connection: subscribing sends a snapshot
+      this.dashboard = { version: 0, state: null };
+      this.resubscribe();
+      this.resume();
+      this.emit('connect');
     });
 
     this.socket.on('disconnect', (reason) => {
       console.log('❌ Socket disconnected:', reason);
       this.isConnected = false;
+      this.emit('disconnect');
     });
 
     this.socket.on('connect_error', (error) => {
       console.error('🔥 Socket connection error:', error);
       this.isConnected = false;
+      if (error.data?.status === 401) {
+        console.error('🔑 The server rejected the access token; set a new one to connect');
+      }
       console.error('Error details:', {
         message: error.message,
         type: error.type,
@@ -68,23 +93,37 @@ class SocketService {
     this.socket.on('reconnect', (attemptNumber) => {
       console.log('🔄 Socket reconnected after', attemptNumber, 'attempts');
       this.isConnected = true;
-      this.joinRooms();
     });
 
     // Quantum-specific events
-    this.socket.on('dashboard-update', (data) => {
-      console.log('📊 Dashboard update received:', data);
-      this.emit('dashboard-update', data);
+    this.socket.on('dashboard-snapshot', (snapshot) => {
+      console.log('📊 Dashboard snapshot received:', snapshot.version);
+      this.dashboard = { version: snapshot.version, state: snapshot.state };
+      this.emit('dashboard-update', snapshot.state);
+    });
+
+    this.socket.on('dashboard-delta', (delta) => {
+      this.applyDashboardDelta(delta);
+    });
+
+    // Recent jobs of one of the user's teams, which the public dashboard leaves out
+    this.socket.on('team-dashboard', (view) => {
+      console.log('📊 Team dashboard received:', view.team);
+      this.emit('team-dashboard', view);
     });
 
     this.socket.on('job-status-change', (changes) => {
-      console.log('🔄 Job status changes:', changes);
-      this.emit('job-status-change', changes);
+      const unseen = this.trackEvents(changes);
+      if (unseen.length === 0) return;
+      console.log('🔄 Job status changes:', unseen);
+      this.emit('job-status-change', unseen);
     });
 
     this.socket.on('new-jobs', (newJobs) => {
-      console.log('🆕 New jobs detected:', newJobs);
-      this.emit('new-jobs', newJobs);
+      const unseen = this.trackEvents(newJobs);
+      if (unseen.length === 0) return;
+      console.log('🆕 New jobs detected:', unseen);
+      this.emit('new-jobs', unseen);
     });
 
     this.socket.on('queue-update', (queueUpdates) => {
@@ -101,15 +140,150 @@ class SocketService {
       console.error('⚠️ Monitor error:', error);
       this.emit('monitor-error', error);
     });
+
+    // Sent to the signed-in user only, e.g. when one of their jobs changes
+    this.socket.on('notification', (notification) => {
+      console.log('🔔 Notification:', notification);
+      this.emit('notification', notification);
+    });
   }
 
-  joinRooms() {
+  // Deltas apply to the version before them; after a gap, or to a state
+  // they don't fit, ask the server for a new snapshot
+  applyDashboardDelta(delta) {
+    const { version, state } = this.dashboard;
+    const isSnapshot = delta.ops.some(op => op.path === '');
+
+    if (delta.version <= version && !isSnapshot) return;
+
+    if (!isSnapshot && (delta.version !== version + 1 || !state)) {
+      console.warn(`📊 Dashboard delta ${delta.version} does not follow ${version}, resyncing`);
+      this.requestDashboardResync();
+      return;
+    }
+
+    try {
+      const next = applyPatch(state, delta.ops);
+      this.dashboard = { version: delta.version, state: next };
+      console.log(`📊 Dashboard delta ${delta.version}: ${delta.ops.length} changes`);
+      this.emit('dashboard-delta', delta);
+      this.emit('dashboard-update', next);
+    } catch (error) {
+      console.warn('📊 Dashboard delta could not be applied, resyncing:', error.message);
+      this.requestDashboardResync();
+    }
+  }
+
+  requestDashboardResync() {
+    if (this.isConnected) {
+      this.socket.emit('dashboard-resync');
+    }
+  }
+
+  // Drop job events already delivered and remember the newest event ID
+  trackEvents(items) {
+    const unseen = items.filter(item => item.eventId == null || !this.seenEventIds.has(item.eventId));
+
+    unseen.forEach(item => {
+      if (item.eventId == null) return;
+      this.seenEventIds.add(item.eventId);
+      this.eventLog.lastEventId = Math.max(this.eventLog.lastEventId, item.eventId);
+    });
+
+    // Sets keep insertion order: forget the oldest IDs first
+    const overflow = this.seenEventIds.size - MAX_SEEN_EVENTS;
+    if (overflow > 0) {
+      Array.from(this.seenEventIds).slice(0, overflow).forEach(id => this.seenEventIds.delete(id));
+    }
+
+    return unseen;
+  }
+
+  // Ask the server for the job events missed while disconnected. When they
+  // can't be replayed, listeners get a `resync` event and reload instead.
+  resume() {
     if (!this.socket || !this.isConnected) return;
 
-    // Join relevant rooms for real-time updates
-    this.socket.emit('join-room', 'dashboard');
-    this.socket.emit('join-room', 'quantum-jobs');
-    console.log('🏠 Joined dashboard and quantum-jobs rooms');
+    this.socket.emit('resume', this.eventLog, (result) => {
+      if (result.epoch !== this.eventLog.epoch) {
+        this.seenEventIds.clear();
+      }
+      this.eventLog = {
+        epoch: result.epoch,
+        lastEventId: result.epoch === this.eventLog.epoch
+          ? Math.max(this.eventLog.lastEventId, result.lastEventId)
+          : result.lastEventId
+      };
+
+      if (result.resync) {
+        console.warn('🔁 Missed events cannot be replayed, resyncing:', result.resync);
+        this.emit('resync', { reason: result.resync });
+      } else if (result.replayed > 0) {
+        console.log(`🔁 Replayed ${result.replayed} missed events`);
+      }
+    });
+  }
+
+  // Topic subscriptions: the server only sends the events of subscribed
+  // topics (see SOCKET_TOPICS). Subscriptions are counted, so a topic stays
+  // subscribed until its last subscriber unsubscribes.
+  subscribe(topic) {
+    const count = this.subscriptions.get(topic) || 0;
+    this.subscriptions.set(topic, count + 1);
+
+    if (count === 0 && this.isConnected) {
+      this.socket.emit('subscribe', topic);
+      console.log('🏠 Subscribed to', topic);
+    }
+  }
+
+  unsubscribe(topic) {
+    const count = this.subscriptions.get(topic) || 0;
+    if (count === 0) return;
+
+    if (count > 1) {
+      this.subscriptions.set(topic, count - 1);
+      return;
+    }
+
+    this.subscriptions.delete(topic);
+    if (this.isConnected) {
+      this.socket.emit('unsubscribe', topic);
+      console.log('🚪 Unsubscribed from', topic);
+    }
+  }
+
+  // A new connection starts without rooms
+  resubscribe() {
+    if (!this.socket || !this.isConnected || this.subscriptions.size === 0) return;
+
+    const topics = Array.from(this.subscriptions.keys());
+    this.socket.emit('subscribe', topics);
+    console.log('🏠 Subscribed to', topics.join(', '));
+  }
+
+  // Shared connection for components: the first one connects, the last one
+  // to release it disconnects
+  retain() {
+    this.users += 1;
+    if (!this.socket) {
+      this.connect();
+    }
+  }
+
+  release() {
+    this.users = Math.max(this.users - 1, 0);
+    if (this.users === 0) {
+      this.disconnect();
+    }
+  }
+
+  // Reconnect with the current access token; subscriptions are restored on
+  // connect
+  reauthenticate() {
+    if (this.socket) {
+      this.socket.disconnect().connect();
+    }
   }
 
   disconnect() {
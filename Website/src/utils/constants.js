@@ -29,14 +29,43 @@ export const BACKEND_STATUS = {
   OFFLINE: 'offline'
 };
 
+// Data Sources (where the backend got the data it served)
+export const DATA_SOURCE = {
+  LIVE: 'live',
+  CACHE: 'cache',
+  STALE: 'stale',
+  MOCK: 'mock'
+};
+
+export const DATA_SOURCE_LABELS = {
+  [DATA_SOURCE.LIVE]: 'Live data',
+  [DATA_SOURCE.CACHE]: 'Cached data',
+  [DATA_SOURCE.STALE]: 'Stale data',
+  [DATA_SOURCE.MOCK]: 'Mock data'
+};
+
 // WebSocket Events
 export const SOCKET_EVENTS = {
-  DASHBOARD_UPDATE: 'dashboard-update',
+  DASHBOARD_SNAPSHOT: 'dashboard-snapshot',
+  DASHBOARD_DELTA: 'dashboard-delta',
+  DASHBOARD_RESYNC: 'dashboard-resync',
+  TEAM_DASHBOARD: 'team-dashboard',
   JOB_STATUS_CHANGE: 'job-status-change',
   NEW_JOBS: 'new-jobs',
   QUEUE_UPDATE: 'queue-update',
   SYSTEM_STATS_UPDATE: 'system-stats-update',
-  MONITOR_ERROR: 'monitor-error'
+  MONITOR_ERROR: 'monitor-error',
+  NOTIFICATION: 'notification'
+};
+
+// WebSocket subscription topics
+export const SOCKET_TOPICS = {
+  DASHBOARD: 'dashboard',
+  JOBS: 'quantum-jobs',
+  backend: (name) => `backend:${name}`,
+  job: (id) => `job:${id}`,
+  status: (status) => `status:${status}`,
+  provider: (name) => `provider:${name}`
 };
 
 // Time Ranges for Analytics
@@ -71,6 +100,17 @@ export const formatNumber = (number) => {
   return number.toLocaleString();
 };
 
+export const formatDuration = (ms) => {
+  if (typeof ms !== 'number' || ms < 0) return 'N/A';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+};
+
 export const formatStatus = (status) => {
   if (!status) return 'Unknown';
   return status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
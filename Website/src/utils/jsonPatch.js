@@ -0,0 +1,44 @@
+// Apply JSON Patch operations (add, remove, replace) without mutating the
+// state: only the objects along each changed path are copied, so unchanged
+// parts keep their identity between renders.
+
+const parsePath = (path) => path === ''
+  ? []
+  : path.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+const setIn = (target, tokens, op) => {
+  const [token, ...rest] = tokens;
+  const copy = Array.isArray(target) ? [...target] : { ...target };
+  const key = Array.isArray(copy) ? Number(token) : token;
+
+  if (rest.length > 0) {
+    if (copy[key] === null || typeof copy[key] !== 'object') {
+      throw new Error(`Invalid patch path at "${token}"`);
+    }
+    copy[key] = setIn(copy[key], rest, op);
+  } else if (op.op === 'remove') {
+    if (Array.isArray(copy)) copy.splice(key, 1);
+    else delete copy[key];
+  } else if (op.op === 'add' && Array.isArray(copy)) {
+    copy.splice(token === '-' ? copy.length : key, 0, op.value);
+  } else {
+    copy[key] = op.value;
+  }
+
+  return copy;
+};
+
+export const applyPatch = (state, ops) => ops.reduce((current, op) => {
+  if (!['add', 'remove', 'replace'].includes(op.op)) {
+    throw new Error(`Unsupported patch operation "${op.op}"`);
+  }
+
+  const tokens = parsePath(op.path);
+  if (tokens.length === 0) {
+    return op.value;
+  }
+  if (current === null || typeof current !== 'object') {
+    throw new Error('Cannot patch an empty state');
+  }
+  return setIn(current, tokens, op);
+}, state);